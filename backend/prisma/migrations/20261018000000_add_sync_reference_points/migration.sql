@@ -0,0 +1,5 @@
+-- AlterTable: store each sync as a (real time, game time) pair so offsets can be
+-- computed from reference points instead of raw elapsed seconds
+ALTER TABLE "Session" ADD COLUMN "syncedAt" TIMESTAMP(3),
+ADD COLUMN "referenceAt" TIMESTAMP(3),
+ADD COLUMN "clockStopped" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- AlterTable: keep each session's recent syncs so broadcast delay can be estimated
+-- across several samples (the game clock stops, so one sync isn't enough)
+ALTER TABLE "Session" ADD COLUMN "syncSamples" JSONB;
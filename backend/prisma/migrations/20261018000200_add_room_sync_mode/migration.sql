@@ -0,0 +1,2 @@
+-- AlterTable: rooms can sync by "I saw this play" markers instead of the game clock
+ALTER TABLE "Room" ADD COLUMN "syncMode" TEXT NOT NULL DEFAULT 'clock';
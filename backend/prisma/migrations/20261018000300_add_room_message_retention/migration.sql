@@ -0,0 +1,2 @@
+-- AlterTable: rooms choose how long chat history is kept (NULL = server default)
+ALTER TABLE "Room" ADD COLUMN "messageRetentionHours" INTEGER;
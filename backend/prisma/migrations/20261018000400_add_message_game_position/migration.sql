@@ -0,0 +1,8 @@
+-- AlterTable: messages remember the sender's game position, so late viewers can replay them
+ALTER TABLE "Message" ADD COLUMN "gameElapsedSeconds" INTEGER;
+
+-- AlterTable: sessions remember replay mode across reconnects
+ALTER TABLE "Session" ADD COLUMN "replay" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "Message_roomId_gameElapsedSeconds_idx" ON "Message"("roomId", "gameElapsedSeconds");
@@ -0,0 +1,2 @@
+-- AlterTable: rooms can release messages by game position instead of wall-clock offset
+ALTER TABLE "Room" ADD COLUMN "deliveryPolicy" TEXT NOT NULL DEFAULT 'offset';
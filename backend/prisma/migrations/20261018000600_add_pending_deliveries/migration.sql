@@ -0,0 +1,25 @@
+-- CreateTable: messages still owed to each session, so reconnects and restarts don't lose them
+CREATE TABLE "PendingDelivery" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "message" JSONB NOT NULL,
+    "deliverAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PendingDelivery_sessionId_messageId_key" ON "PendingDelivery"("sessionId", "messageId");
+
+-- CreateIndex
+CREATE INDEX "PendingDelivery_sessionId_deliverAt_idx" ON "PendingDelivery"("sessionId", "deliverAt");
+
+-- AddForeignKey
+ALTER TABLE "PendingDelivery" ADD CONSTRAINT "PendingDelivery_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Row Level Security: deny direct access via PostgREST (backend uses postgres role which bypasses RLS)
+ALTER TABLE "PendingDelivery" ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "deny_all_anon" ON "PendingDelivery" FOR ALL TO anon USING (false);
+CREATE POLICY "deny_all_authenticated" ON "PendingDelivery" FOR ALL TO authenticated USING (false);
@@ -0,0 +1,27 @@
+-- AlterTable: message edits and deletion
+ALTER TABLE "Message" ADD COLUMN "editCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Message" ADD COLUMN "editedAt" TIMESTAMP(3);
+ALTER TABLE "Message" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateTable: earlier versions of edited messages
+CREATE TABLE "MessageEdit" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "previousContent" TEXT NOT NULL,
+    "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "gameElapsedSeconds" INTEGER,
+
+    CONSTRAINT "MessageEdit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageEdit_messageId_version_key" ON "MessageEdit"("messageId", "version");
+
+-- AddForeignKey
+ALTER TABLE "MessageEdit" ADD CONSTRAINT "MessageEdit_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Row Level Security: deny direct access via PostgREST (backend uses postgres role which bypasses RLS)
+ALTER TABLE "MessageEdit" ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "deny_all_anon" ON "MessageEdit" FOR ALL TO anon USING (false);
+CREATE POLICY "deny_all_authenticated" ON "MessageEdit" FOR ALL TO authenticated USING (false);
@@ -0,0 +1,25 @@
+-- CreateTable: emoji reactions to messages
+CREATE TABLE "Reaction" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "emoji" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "gameElapsedSeconds" INTEGER,
+
+    CONSTRAINT "Reaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Reaction_messageId_sessionId_emoji_key" ON "Reaction"("messageId", "sessionId", "emoji");
+
+-- AddForeignKey
+ALTER TABLE "Reaction" ADD CONSTRAINT "Reaction_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Reaction" ADD CONSTRAINT "Reaction_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Row Level Security: deny direct access via PostgREST (backend uses postgres role which bypasses RLS)
+ALTER TABLE "Reaction" ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "deny_all_anon" ON "Reaction" FOR ALL TO anon USING (false);
+CREATE POLICY "deny_all_authenticated" ON "Reaction" FOR ALL TO authenticated USING (false);
@@ -0,0 +1,2 @@
+-- AlterTable: spoiler-flagged messages
+ALTER TABLE "Message" ADD COLUMN "spoiler" BOOLEAN NOT NULL DEFAULT false;
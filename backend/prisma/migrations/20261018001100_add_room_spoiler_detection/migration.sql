@@ -0,0 +1,3 @@
+-- AlterTable: per-room spoiler detection (spoilerClassifier)
+ALTER TABLE "Room" ADD COLUMN "spoilerDetection" TEXT NOT NULL DEFAULT 'tag';
+ALTER TABLE "Room" ADD COLUMN "spoilerRules" TEXT[] DEFAULT ARRAY['score', 'final', 'team-score', 'live-score-link']::TEXT[];
@@ -0,0 +1,2 @@
+-- AlterTable: /me action messages
+ALTER TABLE "Message" ADD COLUMN "emote" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,86 @@
+/**
+ * Message Queue Benchmark
+ *
+ * Measures the messageQueue scheduler with many users on large offsets:
+ * how long queueing takes, and what each scheduler wake-up costs as the
+ * deliveries come due. Runs in simulated time (no timers, no database).
+ *
+ * Usage:
+ *   npm run bench:queue
+ *   node scripts/benchmarkMessageQueue.js [users] [messagesPerUser] [maxOffsetSeconds]
+ *
+ * Defaults: 2000 users, 100 messages each, offsets up to 120 seconds.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const messageQueue = require('../services/messageQueue');
+
+const users = parseInt(process.argv[2], 10) || 2000;
+const messagesPerUser = parseInt(process.argv[3], 10) || 100;
+const maxOffsetMs = (parseInt(process.argv[4], 10) || 120) * 1000;
+
+// Messages are sent one per 100ms, like a busy room
+const SEND_INTERVAL_MS = 100;
+
+// Simulated wake-ups: every 100ms of game (what the old polling loop did)
+const TICK_MS = 100;
+
+// Messages delivered, counted inside each emit (messages due together go out as one batch)
+let emitted = 0;
+messageQueue.initialize({
+  to: () => ({
+    emit: (event, payload) => {
+      if (event === 'new-message') emitted++;
+      if (event === 'new-messages') emitted += payload.messages.length;
+    }
+  })
+});
+messageQueue.stopProcessor(); // Drive it by hand in simulated time
+
+const start = 1_000_000_000_000;
+const socketIds = Array.from({ length: users }, (_, i) => `socket-${i}`);
+const offsets = socketIds.map(() => Math.floor(Math.random() * maxOffsetMs));
+
+// Queue: every message goes to every user at sent + offset
+const queueStarted = process.hrtime.bigint();
+for (let m = 0; m < messagesPerUser; m++) {
+  const sentAt = start + m * SEND_INTERVAL_MS;
+  const message = { id: `message-${m}`, content: 'benchmark', timestamp: sentAt };
+  for (let u = 0; u < users; u++) {
+    messageQueue.queueMessage(socketIds[u], message, sentAt + offsets[u]);
+  }
+}
+const queueMs = Number(process.hrtime.bigint() - queueStarted) / 1e6;
+const queued = users * messagesPerUser;
+
+// Idle wake-up: nothing is due yet, however much is queued
+const idleStarted = process.hrtime.bigint();
+messageQueue.processQueues(start - 1);
+const idleUs = Number(process.hrtime.bigint() - idleStarted) / 1e3;
+
+// Drain in simulated time
+const end = start + messagesPerUser * SEND_INTERVAL_MS + maxOffsetMs;
+let ticks = 0;
+let worstTickMs = 0;
+const drainStarted = process.hrtime.bigint();
+for (let now = start; now <= end + TICK_MS; now += TICK_MS) {
+  const tickStarted = process.hrtime.bigint();
+  messageQueue.processQueues(now);
+  worstTickMs = Math.max(worstTickMs, Number(process.hrtime.bigint() - tickStarted) / 1e6);
+  ticks++;
+}
+const drainMs = Number(process.hrtime.bigint() - drainStarted) / 1e6;
+
+const heapMb = process.memoryUsage().heapUsed / 1024 / 1024;
+
+console.log(`Users: ${users}, messages per user: ${messagesPerUser}, offsets up to ${maxOffsetMs / 1000}s`);
+console.log(`Queued ${queued} deliveries in ${queueMs.toFixed(0)}ms (${(queueMs * 1000 / queued).toFixed(2)}µs each)`);
+console.log(`Idle wake-up with everything queued: ${idleUs.toFixed(0)}µs`);
+console.log(`Delivered ${emitted} over ${ticks} wake-ups in ${drainMs.toFixed(0)}ms (worst wake-up ${worstTickMs.toFixed(1)}ms)`);
+console.log(`Heap used: ${heapMb.toFixed(0)}MB`);
+
+if (emitted !== queued) {
+  console.error(`Expected ${queued} deliveries, got ${emitted}`);
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+/**
+ * Storage Adapter Check
+ *
+ * Runs the same checks against both storage adapters (see services/storage.js):
+ * memory, and Redis against ioredis-mock - so the Redis adapter can be checked
+ * without a Redis server. Then runs the rate limiter on the Redis adapter.
+ *
+ * Usage:
+ *   npm run check:storage
+ *
+ * Exits non-zero on the first failed check.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const assert = require('assert/strict');
+const RedisMock = require('ioredis-mock');
+const memoryStorage = require('../services/memoryStorage');
+const redisStorage = require('../services/redisStorage');
+const storage = require('../services/storage');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function checkAdapter(adapter) {
+  // Plain values (copied, not shared)
+  const value = { offset: 1500, samples: [1, 2] };
+  await adapter.set('value', value);
+  value.offset = 0;
+  assert.deepEqual(await adapter.get('value'), { offset: 1500, samples: [1, 2] });
+  assert.equal(await adapter.get('missing'), null);
+  await adapter.del('value');
+  assert.equal(await adapter.get('value'), null);
+
+  // Expiry and setIfAbsent (the countdown lock)
+  assert.equal(await adapter.setIfAbsent('lock', 'a', 50), true);
+  assert.equal(await adapter.setIfAbsent('lock', 'b', 50), false);
+  assert.equal(await adapter.get('lock'), 'a');
+  await sleep(80);
+  assert.equal(await adapter.get('lock'), null);
+  assert.equal(await adapter.setIfAbsent('lock', 'b', 50), true);
+
+  // Hashes (shared room users)
+  await adapter.hashSet('users', 'socket-1', { nickname: 'Ana' });
+  await adapter.hashSet('users', 'socket-2', { nickname: 'Ben' });
+  await adapter.hashDelete('users', 'socket-1');
+  assert.deepEqual(await adapter.hashGetAll('users'), { 'socket-2': { nickname: 'Ben' } });
+  assert.deepEqual(await adapter.hashGetAll('no-users'), {});
+
+  // Sliding windows (rate limits)
+  const now = Date.now();
+  await adapter.windowAdd('window', now - 2000, 1000);
+  await adapter.windowAdd('window', now, 1000);
+  await adapter.windowAdd('window', now, 1000);
+  assert.equal((await adapter.windowEntries('window', now, 1000)).length, 2);
+
+  // Publish/subscribe (delivered asynchronously, to this process's subscribers too)
+  const received = [];
+  await adapter.subscribe('channel', message => received.push(message));
+  await adapter.publish('channel', { instanceId: 'other', roomId: 'ROOM1' });
+  assert.equal(received.length, 0);
+  await sleep(20);
+  assert.deepEqual(received, [{ instanceId: 'other', roomId: 'ROOM1' }]);
+}
+
+async function checkRateLimiter() {
+  const rateLimiter = require('../services/rateLimiter');
+
+  for (let i = 0; i < rateLimiter.MAX_MESSAGES; i++) {
+    assert.equal((await rateLimiter.checkRateLimit('socket-1')).allowed, true);
+  }
+  const blocked = await rateLimiter.checkRateLimit('socket-1');
+  assert.equal(blocked.allowed, false);
+  assert.ok(blocked.retryAfter > 0);
+  assert.equal((await rateLimiter.getStatus('socket-1')).remaining, 0);
+
+  await rateLimiter.clearUser('socket-1');
+  assert.equal((await rateLimiter.checkRateLimit('socket-1')).allowed, true);
+}
+
+async function main() {
+  const memory = memoryStorage.create();
+  await checkAdapter(memory);
+  await memory.close();
+  console.log('memory adapter: ok');
+
+  const redis = redisStorage.create({ client: new RedisMock() });
+  await checkAdapter(redis);
+  console.log('redis adapter (ioredis-mock): ok');
+
+  storage.setStorage(redis);
+  await checkRateLimiter();
+  console.log('rate limiter on redis adapter: ok');
+
+  await storage.closeStorage();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -22,6 +22,7 @@ if (process.env.SENTRY_DSN) {
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const helmet = require('helmet');
 const cors = require('cors');
@@ -33,8 +34,19 @@ const validation = require('./services/validation');
 const sessionManager = require('./services/sessionManager');
 const authService = require('./services/authService');
 const userService = require('./services/userService');
-const { getSportConfig, DEFAULT_SPORT } = require('./services/sportConfig');
+const { getSportConfig, getAllSports, getAllPeriodInfo, DEFAULT_SPORT } = require('./services/sportConfig');
+const gameProgress = require('./services/gameProgress');
+const messageHistory = require('./services/messageHistory');
+const replay = require('./services/replay');
+const sentMessages = require('./services/sentMessages');
+const messageEdits = require('./services/messageEdits');
+const reactions = require('./services/reactions');
+const positionQueue = require('./services/positionQueue');
+const { DEFAULT_DELIVERY_POLICY } = require('./services/deliveryPolicy');
+const commands = require('./services/commands');
+const spoilerClassifier = require('./services/spoilerClassifier');
 const logger = require('./services/logger');
+const { getStorage, closeStorage, INSTANCE_ID } = require('./services/storage');
 const { prisma } = require('./services/database');
 
 // Create Express app and HTTP server
@@ -70,6 +82,16 @@ const io = new Server(server, {
   maxHttpBufferSize: 1e5 // 100KB max for Socket.IO packets (prevents memory exhaustion)
 });
 
+// Running several instances (REDIS_URL set): broadcasts go through Redis, so
+// io.to(room).emit() reaches sockets on every instance (see services/storage.js)
+const storage = getStorage();
+let adapterSubscriber = null;
+if (storage.kind === 'redis') {
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  adapterSubscriber = storage.client.duplicate();
+  io.adapter(createAdapter(storage.client, adapterSubscriber));
+}
+
 // Connection rate limiting per IP
 // Limits new Socket.IO connections to prevent connection spam/DoS
 // Only applies to handshake requests (new connections), not ongoing polls
@@ -109,7 +131,7 @@ const connectionLimiter = rateLimit({
 // Apply rate limiter to Socket.IO's underlying HTTP engine
 io.engine.use(connectionLimiter);
 
-// REST API rate limiting — applied to /api/user/* endpoints
+// REST API rate limiting — applied to /api/* endpoints
 // More generous than the connection limiter since these are authenticated data fetches
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,  // 1 minute window
@@ -127,6 +149,64 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * GET /api/sports
+ * Sport definitions (loaded from backend/sports/) for the sport picker and clock input,
+ * with what clients need to sync without knowing the sport's rules: its progress
+ * fields, and (clock sports) every period's name and clock range
+ */
+app.get('/api/sports', apiLimiter, (req, res) => {
+  // Definitions only change on deploy, so let browsers cache them briefly
+  res.set('Cache-Control', 'public, max-age=300');
+  const sports = getAllSports().map(sport => ({
+    ...sport,
+    progressFields: gameProgress.getProgressFields(sport.id),
+    periodInfo: getAllPeriodInfo(sport)
+  }));
+  res.json({ sports, defaultSport: DEFAULT_SPORT });
+});
+
+/**
+ * GET /api/rooms/:code/messages?before=<ms>&beforeId=<id>&limit=<n>
+ * Page back through a room's message history.
+ * The X-Session-Id header identifies the requester, who must be in the room and
+ * synced - pages are filtered by their offset, like the load-history socket event.
+ */
+app.get('/api/rooms/:code/messages', apiLimiter, async (req, res) => {
+  try {
+    const roomValidation = validation.validateRoomId(req.params.code);
+    if (!roomValidation.valid) {
+      return res.status(400).json({ error: roomValidation.error });
+    }
+
+    const requestValidation = validation.validateHistoryRequest(req.query);
+    if (!requestValidation.valid) {
+      return res.status(400).json({ error: requestValidation.error });
+    }
+
+    const sessionId = req.get('X-Session-Id');
+    const user = sessionId && roomManager.getUserBySessionId(roomValidation.sanitized, sessionId);
+    if (!user) {
+      return res.status(403).json({ error: 'Join the room to load its messages' });
+    }
+
+    const result = await roomManager.loadHistory(roomValidation.sanitized, user.id, requestValidation.sanitized);
+    if (!result.success) {
+      return res.status(403).json({ error: result.error });
+    }
+
+    res.json({
+      messages: result.messages,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      nextCursorId: result.nextCursorId
+    });
+  } catch (error) {
+    logger.error({ err: error, roomCode: req.params.code }, 'Error loading message history');
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
 // ============================================
 // Authentication Middleware & REST Endpoints
 // ============================================
@@ -236,10 +316,679 @@ function validateRoomMembership(socket) {
   return { valid: true, user };
 }
 
+/**
+ * Persist a successful sync and tell everyone about it.
+ * Shared by game clock syncs and play marker syncs.
+ *
+ * - Saves the sync to the user's session (for reconnection)
+ * - Sends sync-confirmed to the user (and message history on their first sync)
+ * - Updates everyone's user list, and notifies users whose offsets changed
+ *
+ * @param {Socket} socket - The socket that synced
+ * @param {Object} result - Result of roomManager.updateUserGameTime() / postMarker() / recordMarkerSighting()
+ * @param {Object} details - Sync details
+ * @param {boolean} details.wasUnsynced - Whether this was the user's first sync
+ * @param {Object|null} details.gameTime - Progress reading (see gameProgress), null for marker syncs
+ * @param {number|null} details.elapsedSeconds - Elapsed game seconds, null for marker syncs
+ */
+function applySyncResult(socket, result, { wasUnsynced, gameTime, elapsedSeconds }) {
+  const { roomId, nickname, sessionId } = socket;
+
+  // Syncing while paused resumes them (roomManager already shifted their samples)
+  if (result.resumedAfterMs !== null && result.resumedAfterMs !== undefined) {
+    messageQueue.resumeUser(socket.id, result.syncedAt);
+    socket.emit('playback-resumed', { pausedMs: result.resumedAfterMs });
+  }
+
+  // Persist sync to database (async, non-blocking)
+  if (sessionId) {
+    sessionManager.updateSessionGameTime(
+      sessionId,
+      gameProgress.readingToSlots(gameTime, socket.sportType || DEFAULT_SPORT),
+      elapsedSeconds,
+      {
+        syncedAt: result.syncedAt,
+        referencePoint: result.referencePoint,
+        clockStopped: result.clockStopped,
+        syncSamples: result.syncSamples
+      }
+    ).catch(err => {
+      logger.error({ err, nickname }, 'Failed to persist game time');
+    });
+  }
+
+  // Send confirmation to the user with their offset
+  socket.emit('sync-confirmed', {
+    // The reading the user synced with (keyed by the sport's progress fields), and its display string
+    gameTime: gameProgress.withDisplay(gameTime, socket.sportType || DEFAULT_SPORT),
+    offset: result.offset,
+    offsetFormatted: result.offsetFormatted,
+    isBaseline: result.isBaseline,
+    clockStopped: result.clockStopped,
+    // True when no running-clock sync exists yet - user gets the room's max delay
+    referencePending: result.referencePending,
+    // How much to trust the delay estimate ({ level, score, sampleCount, resyncSuggested })
+    confidence: result.confidence
+  });
+
+  // If this was user's first sync, send them the message history
+  // (Late joiner protection: we withheld messages until they synced)
+  if (wasUnsynced) {
+    const messages = roomManager.getVisibleMessages(roomId, socket.id);
+    if (messages.length > 0) {
+      socket.emit('message-history', { messages });
+      logger.debug({ nickname, messageCount: messages.length }, 'Sent message history to newly synced user');
+    }
+  }
+
+  // Notify others that this user has synced (update their user list)
+  socket.to(roomId).emit('user-synced', {
+    id: socket.id,
+    nickname,
+    isSynced: true,
+    offset: result.offset,
+    offsetFormatted: result.offsetFormatted
+  });
+
+  // If other users' offsets changed (due to baseline shift), notify them
+  // (not the user who just synced - they already got sync-confirmed)
+  notifyOffsetChanges(roomId, result.updatedUsers, socket.id);
+}
+
+/**
+ * Resume a paused user: release their frozen queue with every delivery pushed
+ * back by the pause, and save their shifted sync samples.
+ *
+ * @param {Socket} socket - The paused user's socket
+ * @param {number} now - When they resumed (Date.now() format)
+ * @returns {Object} Result of roomManager.resumeUser()
+ */
+function resumePlayback(socket, now = Date.now()) {
+  const result = roomManager.resumeUser(socket.roomId, socket.id, now);
+  if (!result.success) return result;
+
+  messageQueue.resumeUser(socket.id, now);
+
+  if (socket.sessionId) {
+    sessionManager.updateSessionSyncSamples(socket.sessionId, result.referencePoint, result.syncSamples).catch(err => {
+      logger.error({ err, nickname: socket.nickname }, 'Failed to persist resumed sync samples');
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Sync a user's game time from what they see on their broadcast.
+ * Shared by the sync-game-time event and the /sync command.
+ *
+ * @param {Socket} socket - The syncing socket (a room member)
+ * @param {Object} data - The sport's progress fields ({ period, minutes, seconds } for
+ *   clock sports - also accepts 'quarter' - { inning, half, outs } for baseball...)
+ *   and clockStopped (optional: the game clock isn't running right now)
+ * @returns {Object} { success, error? }
+ */
+function syncGameTime(socket, data) {
+  try {
+    const roomId = socket.roomId;
+    const nickname = socket.nickname;
+    const sportType = socket.sportType || DEFAULT_SPORT;
+    const reading = gameProgress.readReading(data, sportType);
+    const clockStopped = data.clockStopped === true;
+
+    // Check if this is user's first sync (for late joiner message history)
+    const wasUnsynced = !roomManager.hasUserSynced(roomId, socket.id);
+
+    // Update user's game time and calculate offset (uses room's sport type)
+    const result = roomManager.updateUserGameTime(
+      roomId,
+      socket.id,
+      reading,
+      { clockStopped }
+    );
+
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    applySyncResult(socket, result, {
+      wasUnsynced,
+      gameTime: reading,
+      elapsedSeconds: result.elapsedSeconds
+    });
+
+    logger.info({ nickname, roomId, gameTime: gameProgress.formatReading(reading, sportType), sportType, offset: result.offsetFormatted }, 'User synced game time');
+    return { success: true };
+  } catch (error) {
+    logger.error({ err: error, event: 'sync-game-time' }, 'Error syncing game time');
+    return { success: false, error: 'Failed to sync game time. Please try again.' };
+  }
+}
+
+/**
+ * Pause a user's stream: freeze their queue until they resume, and show them
+ * as paused to everyone else. Shared by the pause-playback event and /pause.
+ *
+ * @param {Socket} socket - The pausing socket (a room member)
+ * @returns {Object} { success, error? }
+ */
+function pauseStream(socket) {
+  const roomId = socket.roomId;
+  const now = Date.now();
+  const result = roomManager.pauseUser(roomId, socket.id, now);
+  if (!result.success) return result;
+
+  messageQueue.pauseUser(socket.id, now);
+  socket.emit('playback-paused', { pausedAt: result.pausedAt });
+
+  socket.to(roomId).emit('user-synced', {
+    id: socket.id,
+    nickname: socket.nickname,
+    isSynced: roomManager.hasUserSynced(roomId, socket.id),
+    offset: roomManager.getUserOffset(roomId, socket.id),
+    offsetFormatted: 'Paused'
+  });
+  notifyOffsetChanges(roomId, result.updatedUsers, socket.id);
+
+  logger.info({ nickname: socket.nickname, roomId }, 'User paused playback');
+  return { success: true };
+}
+
+/**
+ * Resume a user's stream - their delay grows by however long they were paused -
+ * and tell everyone their new delay. Shared by the resume-playback event and /resume.
+ *
+ * @param {Socket} socket - The resuming socket (a room member)
+ * @returns {Object} { success, error? }
+ */
+function resumeStream(socket) {
+  const roomId = socket.roomId;
+  const result = resumePlayback(socket);
+  if (!result.success) return result;
+
+  socket.emit('playback-resumed', { pausedMs: result.pausedMs });
+  socket.emit('offset-updated', {
+    offset: result.offset,
+    offsetFormatted: result.offsetFormatted,
+    isBaseline: result.isBaseline
+  });
+
+  socket.to(roomId).emit('user-synced', {
+    id: socket.id,
+    nickname: socket.nickname,
+    isSynced: roomManager.hasUserSynced(roomId, socket.id),
+    offset: result.offset,
+    offsetFormatted: result.offsetFormatted
+  });
+  notifyOffsetChanges(roomId, result.updatedUsers, socket.id);
+
+  logger.info({ nickname: socket.nickname, roomId, pausedMs: result.pausedMs }, 'User resumed playback');
+  return { success: true };
+}
+
+/**
+ * Change a user's nickname in their room (/nick) and tell everyone.
+ * Counts towards the message rate limit, like anything the room sees.
+ *
+ * @param {Socket} socket - The renaming socket (a room member)
+ * @param {string} nickname - The new nickname (validated)
+ * @returns {Promise<Object>} { success, error?, nickname? }
+ */
+async function changeNickname(socket, nickname) {
+  const { roomId, sessionId } = socket;
+  if (nickname === socket.nickname) {
+    return { success: false, error: "That's already your nickname" };
+  }
+
+  const rateCheck = await rateLimiter.checkRateLimit(socket.id);
+  if (!rateCheck.allowed) {
+    return { success: false, error: `Slow down! You can try again in ${rateCheck.retryAfter} seconds` };
+  }
+
+  const renamed = await sessionManager.renameSession(sessionId, nickname);
+  if (!renamed.success) return renamed;
+
+  const result = roomManager.renameUser(roomId, socket.id, nickname);
+  if (!result.success) return result;
+  socket.nickname = nickname;
+
+  io.to(roomId).emit('user-renamed', { id: socket.id, previousNickname: result.previousNickname, nickname });
+
+  logger.info({ roomId, previousNickname: result.previousNickname, nickname }, 'User changed nickname');
+  return { success: true, nickname };
+}
+
+// What each non-message command does (see services/commands.js) - each returns
+// { success, error? } plus anything the sender gets back with the result
+const COMMAND_HANDLERS = {
+  // Same paths as the sync-game-time, pause-playback and resume-playback events
+  sync: (socket, args) => syncGameTime(socket, args),
+  pause: (socket) => pauseStream(socket),
+  resume: (socket) => resumeStream(socket),
+  nick: (socket, { nickname }) => changeNickname(socket, nickname),
+  who: (socket) => ({
+    success: true,
+    users: roomManager.getRoomUsers(socket.roomId).map(user => ({
+      nickname: user.nickname,
+      isSynced: user.isSynced,
+      offsetFormatted: user.offsetFormatted,
+      isPaused: user.isPaused,
+      isReplay: user.isReplay
+    }))
+  })
+};
+
+/**
+ * Run a slash command that doesn't send a message, and answer the sender only.
+ * Acked with { status: 'done', command, ...result } or, like parse errors,
+ * { status: 'failed', command, code, error } (code 'command-failed').
+ *
+ * @param {Socket} socket - The socket that typed it (a room member)
+ * @param {Object} command - A valid parsed command (commands.parseCommand())
+ * @param {Function} respond - Acknowledgement callback
+ */
+async function runCommand(socket, command, respond) {
+  const handler = COMMAND_HANDLERS[command.name];
+  let result;
+  try {
+    result = handler
+      ? await handler(socket, command.args)
+      : { success: false, error: `/${command.name} isn't available here` };
+  } catch (error) {
+    logger.error({ err: error, event: 'send-message', command: command.name }, 'Error running command');
+    result = { success: false, error: `Failed to run /${command.name}. Please try again.` };
+  }
+
+  const { success, error, ...details } = result;
+  if (!success) {
+    respond({ status: 'failed', command: command.name, code: 'command-failed', error });
+    return;
+  }
+  respond({ status: 'done', command: command.name, ...details });
+}
+
+/**
+ * Pick up what a reconnecting session is still owed.
+ *
+ * Deliveries saved under the session (messageQueue) come back for their
+ * original deliverAt. Messages sent while the session had no socket never got
+ * queued, so anything in the room that hasn't reached their screen yet is
+ * queued now - by game position in game-position rooms, otherwise by offset.
+ * The same goes for edits and deletions, including those of saved deliveries,
+ * and for reaction updates.
+ *
+ * @param {Socket} socket - The reconnected socket (roomId and sessionId set)
+ * @param {Array} visibleMessages - Messages already being sent with the room state
+ * @returns {Promise<Array>} Owed messages, changes and reaction updates whose time has already come (oldest first)
+ */
+async function restoreDeliveries(socket, visibleMessages) {
+  const { roomId } = socket;
+  const now = Date.now();
+  const { due, requeued } = await messageQueue.restoreUserQueue(socket.id, socket.sessionId, now);
+
+  const known = new Set([...visibleMessages, ...requeued].map(message => message.id));
+  const owed = due.filter(message => !known.has(message.id));
+  owed.forEach(message => known.add(message.id));
+
+  const byGamePosition = roomManager.getRoomDeliveryPolicy(roomId) === 'game-position';
+  const offset = roomManager.getUserOffset(roomId, socket.id);
+  const queueOwed = (item) => {
+    if (byGamePosition && messageEdits.releasePosition(item) !== null) {
+      positionQueue.queueMessage(socket.id, roomId, item);
+    } else {
+      messageQueue.queueMessage(socket.id, item, messageEdits.releaseTime(item) + offset);
+    }
+  };
+
+  // Saved deliveries edited or deleted while the session was away are out of date
+  for (const message of [...requeued, ...owed]) {
+    for (const change of roomManager.getMessageChanges(roomId, message.id)) {
+      if (change.version <= (message.version ?? 0) || known.has(change.id)) continue;
+      known.add(change.id);
+      if (!messageQueue.applyChange(socket.id, change)) queueOwed(change);
+    }
+  }
+
+  for (const item of roomManager.getWithheldMessages(roomId, socket.id, now)) {
+    if (!known.has(item.id)) queueOwed(item);
+  }
+
+  // Replies whose parent is still on its way wait for it
+  return messageQueue.holdReplies(socket.id, owed);
+}
+
+/**
+ * Tell users whose offsets changed, and update everyone's view of them.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Map|undefined} updatedUsers - socketId -> { offset, offsetFormatted } (roomManager)
+ * @param {string} skipSocketId - User who already knows their new offset
+ */
+function notifyOffsetChanges(roomId, updatedUsers, skipSocketId) {
+  if (!updatedUsers || updatedUsers.size === 0) return;
+
+  for (const [userId, updateData] of updatedUsers) {
+    if (userId === skipSocketId) continue;
+
+    // Send offset-updated to that specific user
+    io.to(userId).emit('offset-updated', {
+      offset: updateData.offset,
+      offsetFormatted: updateData.offsetFormatted,
+      isBaseline: updateData.offset === 0
+    });
+
+    // Also update everyone's view of that user
+    const user = roomManager.getUser(roomId, userId);
+    if (user) {
+      io.to(roomId).emit('user-synced', {
+        id: userId,
+        nickname: user.nickname,
+        isSynced: true,
+        offset: updateData.offset,
+        offsetFormatted: updateData.offsetFormatted
+      });
+    }
+  }
+}
+
+/**
+ * Deliver a new message to every user in the room held by this instance,
+ * each according to their delay (offset, game position, replay or pause).
+ * Called for messages sent here and for messages shared by other instances.
+ *
+ * Edits and deletions (messageEdits.js) are delivered the same way, except to
+ * users still waiting for the message itself - it is replaced in their queue.
+ * So are reaction updates (reactions.js).
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} message - The message, change or reaction update (timestamp = when the server received it)
+ * @param {string|null} senderSocketId - Sender's socket, if they are on this instance
+ */
+function deliverToRoom(roomId, message, senderSocketId) {
+  const room = roomManager.getRoom(roomId);
+  const sentAt = message.timestamp;
+  const isChange = messageEdits.isChange(message);
+
+  // Game-position rooms release a message when each recipient's game clock reaches it
+  // (messages from unsynced senders can't be placed, so they go by offset)
+  const byGamePosition = room.deliveryPolicy === 'game-position' && message.gameElapsedSeconds !== null;
+
+  for (const [recipientSocketId, recipientUser] of room.users) {
+    // Users on other instances get it from their own instance
+    if (recipientUser.instanceId !== INSTANCE_ID) continue;
+
+    const offset = recipientUser.offset;
+    // Paused users' queues are frozen, so even "immediate" messages wait in the queue
+    const recipientPaused = messageQueue.isPaused(recipientSocketId);
+
+    // Sender always sees their own message immediately
+    if (recipientSocketId === senderSocketId) {
+      messageQueue.deliverImmediately(recipientSocketId, message);
+      continue;
+    }
+
+    // Still waiting for the message itself - they'll only ever get its final version
+    if (isChange && (messageQueue.applyChange(recipientSocketId, message)
+      || positionQueue.applyChange(recipientSocketId, message))) {
+      continue;
+    }
+
+    // Replay viewers get it when their recording reaches the sender's game position
+    if (replay.isReplaying(recipientSocketId)) {
+      replay.addMessage(recipientSocketId, message);
+      continue;
+    }
+
+    if (byGamePosition && roomManager.hasUserSynced(roomId, recipientSocketId)) {
+      positionQueue.queueMessage(recipientSocketId, roomId, message);
+      continue;
+    }
+
+    // Users who haven't synced: use conservative delay (max room offset)
+    // This prevents late joiners from getting instant spoilers
+    if (!roomManager.hasUserSynced(roomId, recipientSocketId)) {
+      const maxOffset = roomManager.getMaxRoomOffset(roomId);
+      if (maxOffset > 0 || recipientPaused) {
+        // Queue with max room delay to protect from spoilers
+        const deliverAt = sentAt + maxOffset;
+        messageQueue.queueMessage(recipientSocketId, message, deliverAt);
+      } else {
+        // No synced users yet, deliver immediately
+        messageQueue.deliverImmediately(recipientSocketId, message);
+      }
+      continue;
+    }
+
+    // offset = 0 means user is "live" - deliver immediately
+    if (offset === 0 && !recipientPaused) {
+      messageQueue.deliverImmediately(recipientSocketId, message);
+      continue;
+    }
+
+    // Queue the message for delayed delivery
+    const deliverAt = sentAt + offset;
+    messageQueue.queueMessage(recipientSocketId, message, deliverAt);
+  }
+}
+
+/**
+ * Start replaying the room's messages to a socket, paced by its game position.
+ * Used when a user starts a replay, and when a replay user reconnects.
+ *
+ * @param {Socket} socket - The replay viewer's socket
+ * @returns {Promise<Object>} { messageCount, truncated } - what was queued for the replay,
+ *   and whether the room had more than fits in one
+ */
+async function beginReplay(socket) {
+  const room = roomManager.getRoom(socket.roomId);
+  const { messages, truncated } = room.dbId
+    ? await messageHistory.loadReplayMessages(room.dbId, room.retentionHours, room.sportType)
+    : { messages: [], truncated: false };
+  replay.startReplay(socket.id, socket.roomId, messages);
+  return { messageCount: messages.length, truncated };
+}
+
+/**
+ * Edit or delete a message the socket's session sent, then deliver the change
+ * to the room like a new message (see messageEdits.js).
+ * Acked with { status: 'sent', id }, { status: 'confirm', matches } (an edit that
+ * looks like a spoiler - resend with confirmed: true to make it) or { status: 'failed', error }.
+ *
+ * @param {Socket} socket - The sender's socket
+ * @param {string} type - 'edit' or 'delete'
+ * @param {Object} data - { messageId, content? and confirmed? (edits only) }
+ * @param {Function} ack - Socket.IO acknowledgement callback (optional)
+ */
+async function changeMessage(socket, type, data, ack) {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const fail = (error) => {
+    socket.emit('error', { message: error });
+    respond({ status: 'failed', error });
+  };
+
+  const memberCheck = validateRoomMembership(socket);
+  if (!memberCheck.valid) {
+    fail(memberCheck.error);
+    return;
+  }
+
+  const { messageId, content, confirmed } = data || {};
+  const idValidation = validation.validateMessageId(messageId);
+  if (!idValidation.valid) {
+    fail(idValidation.error);
+    return;
+  }
+
+  let contentValidation = null;
+  if (type === 'edit') {
+    contentValidation = validation.validateMessage(content);
+    if (!contentValidation.valid) {
+      fail(contentValidation.error);
+      return;
+    }
+  }
+
+  const { roomId, sessionId } = socket;
+
+  // Edits that look like spoilers are flagged, or held until the sender confirms
+  // them - like new messages (see send-message)
+  let flagged = false;
+  if (type === 'edit') {
+    const detection = roomManager.getRoomSpoilerDetection(roomId);
+    const matches = validation.detectSpoilers(content, detection);
+    if (matches.length > 0) {
+      if (detection.action === 'tag') {
+        flagged = true;
+      } else if (detection.action === 'confirm' && confirmed !== true) {
+        respond({ status: 'confirm', matches: matches.map(match => match.label) });
+        return;
+      }
+    }
+  }
+
+  let change;
+  try {
+    // Edits and deletions count towards the message rate limit
+    const rateCheck = await rateLimiter.checkRateLimit(socket.id);
+    if (!rateCheck.allowed) {
+      fail(`Slow down! You can send again in ${rateCheck.retryAfter} seconds`);
+      return;
+    }
+
+    const room = roomManager.getRoom(roomId);
+    const found = room.dbId
+      ? await messageEdits.findOwnMessage(room.dbId, idValidation.sanitized, sessionId)
+      : { success: false, error: 'Message not found' };
+    if (!found.success) {
+      fail(found.error);
+      return;
+    }
+
+    // Stamped like a new message: now, and where the sender is in the game
+    const now = Date.now();
+    const details = {
+      now,
+      gameElapsedSeconds: roomManager.getUserGameTime(roomId, socket.id, now)?.elapsedSeconds ?? null
+    };
+    const result = type === 'edit'
+      ? await messageEdits.editMessage(found.row, contentValidation.sanitized, { ...details, spoiler: flagged })
+      : await messageEdits.deleteMessage(found.row, details);
+    if (!result.success) {
+      fail(result.error);
+      return;
+    }
+    change = result.change;
+  } catch (error) {
+    logger.error({ err: error, event: `${type}-message` }, 'Error changing message');
+    fail(`Failed to ${type} message. Please try again.`);
+    return;
+  }
+
+  roomManager.addMessageChange(roomId, change);
+  deliverToRoom(roomId, change, socket.id);
+  respond({ status: 'sent', id: change.id });
+
+  logger.debug({ roomId, messageId: change.messageId, type }, 'Message changed');
+}
+
+/**
+ * Add or remove the socket's session's reaction to a message, then deliver the
+ * new count to the room like a new message (see reactions.js).
+ * Acked with { status: 'sent', id, reacted } or { status: 'failed', error }.
+ *
+ * @param {Socket} socket - The reacting socket
+ * @param {Object} data - { messageId, emoji }
+ * @param {Function} ack - Socket.IO acknowledgement callback (optional)
+ */
+async function reactToMessage(socket, data, ack) {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const fail = (error) => {
+    socket.emit('error', { message: error });
+    respond({ status: 'failed', error });
+  };
+
+  const memberCheck = validateRoomMembership(socket);
+  if (!memberCheck.valid) {
+    fail(memberCheck.error);
+    return;
+  }
+
+  const { messageId, emoji } = data || {};
+  const idValidation = validation.validateMessageId(messageId);
+  if (!idValidation.valid) {
+    fail(idValidation.error);
+    return;
+  }
+  const emojiValidation = validation.validateReaction(emoji);
+  if (!emojiValidation.valid) {
+    fail(emojiValidation.error);
+    return;
+  }
+
+  const { roomId, sessionId } = socket;
+  let result;
+  try {
+    // Reactions have their own, roomier rate limit
+    const rateCheck = await rateLimiter.checkReactionRateLimit(socket.id);
+    if (!rateCheck.allowed) {
+      fail(`Slow down! You can react again in ${rateCheck.retryAfter} seconds`);
+      return;
+    }
+
+    const room = roomManager.getRoom(roomId);
+    if (!room.dbId) {
+      fail('Message not found');
+      return;
+    }
+
+    // Stamped like a new message: now, and where the reacting user is in the game
+    const now = Date.now();
+    result = await reactions.toggleReaction(room.dbId, idValidation.sanitized, sessionId, emojiValidation.sanitized, {
+      now,
+      gameElapsedSeconds: roomManager.getUserGameTime(roomId, socket.id, now)?.elapsedSeconds ?? null
+    });
+    if (!result.success) {
+      fail(result.error);
+      return;
+    }
+  } catch (error) {
+    logger.error({ err: error, event: 'react-message' }, 'Error reacting to message');
+    fail('Failed to react. Please try again.');
+    return;
+  }
+
+  const { update, reacted } = result;
+  roomManager.addReaction(roomId, update);
+  deliverToRoom(roomId, update, socket.id);
+  respond({ status: 'sent', id: update.id, reacted });
+
+  logger.debug({ roomId, messageId: update.messageId, emoji: update.emoji, reacted }, 'Reaction changed');
+}
+
 // Track active sync countdowns per room — prevents concurrent countdowns
 // roomId → interval ID (cleared when countdown finishes)
 const activeCountdowns = new Map();
 
+// Countdowns run on one instance at a time: the instance that starts one holds
+// this key (a little longer than the countdown itself) - see services/storage.js
+const COUNTDOWN_LOCK_MS = 5000;
+const countdownKey = (roomId) => `countdown:${roomId}`;
+
+// Share room state with other instances (a no-op fan-out with a single instance)
+roomManager.startSharing({
+  // Another instance's user synced, paused, left... - tell ours whose offsets moved
+  onRemoteChange: (roomId, updatedUsers, departedUsers) => {
+    notifyOffsetChanges(roomId, updatedUsers, null);
+    for (const user of departedUsers) {
+      io.local.to(roomId).emit('user-left', { id: user.id, nickname: user.nickname });
+    }
+  },
+  // A message sent through another instance - deliver it to our users
+  onRemoteMessage: (roomId, message) => deliverToRoom(roomId, message, null)
+}).catch(err => {
+  logger.error({ err }, 'Failed to start sharing room state');
+});
+
 // Socket.IO connection handling
 io.on('connection', async (socket) => {
   logger.info({ socketId: socket.id }, 'User connected');
@@ -265,7 +1014,7 @@ io.on('connection', async (socket) => {
       // Rate limit join attempts per IP (prevents room code enumeration)
       const ip = socket.handshake.headers['x-forwarded-for']?.split(',')[0]?.trim()
                || socket.handshake.address;
-      const joinCheck = rateLimiter.checkJoinRateLimit(ip);
+      const joinCheck = await rateLimiter.checkJoinRateLimit(ip);
       if (!joinCheck.allowed) {
         socket.emit('error', {
           message: `Too many room join attempts. Try again in ${joinCheck.retryAfter} seconds.`
@@ -273,7 +1022,7 @@ io.on('connection', async (socket) => {
         return;
       }
 
-      const { roomId, nickname, sessionId: clientSessionId, sportType, roomName, teams, gameDate, joinOnly } = data;
+      const { roomId, nickname, sessionId: clientSessionId, sportType, syncMode, deliveryPolicy, retentionHours, spoilerDetection, spoilerRules, roomName, teams, gameDate, joinOnly } = data;
 
       // Validate and sanitize room ID
       const roomValidation = validation.validateRoomId(roomId);
@@ -310,6 +1059,59 @@ io.on('connection', async (socket) => {
         sanitizedSportType = sportValidation.sanitized;
       }
 
+      // Validate sync mode (if provided) - only used when creating a room
+      let sanitizedSyncMode = 'clock';
+      if (syncMode) {
+        const syncModeValidation = validation.validateSyncMode(syncMode);
+        if (!syncModeValidation.valid) {
+          socket.emit('error', { message: syncModeValidation.error });
+          return;
+        }
+        sanitizedSyncMode = syncModeValidation.sanitized;
+      }
+
+      // Validate delivery policy (if provided) - only used when creating a room
+      let sanitizedDeliveryPolicy = DEFAULT_DELIVERY_POLICY;
+      if (deliveryPolicy) {
+        const deliveryPolicyValidation = validation.validateDeliveryPolicy(deliveryPolicy);
+        if (!deliveryPolicyValidation.valid) {
+          socket.emit('error', { message: deliveryPolicyValidation.error });
+          return;
+        }
+        sanitizedDeliveryPolicy = deliveryPolicyValidation.sanitized;
+      }
+
+      // Game positions come from the game clock, which marker rooms don't have
+      if (sanitizedSyncMode === 'marker' && sanitizedDeliveryPolicy === 'game-position') {
+        socket.emit('error', { message: 'Delivery by game position needs a game clock room' });
+        return;
+      }
+
+      // Validate spoiler detection (if provided) - only used when creating a room
+      let sanitizedSpoilerDetection = null;
+      if (spoilerDetection || spoilerRules) {
+        const spoilerDetectionValidation = validation.validateSpoilerDetection({
+          action: spoilerDetection,
+          rules: spoilerRules
+        });
+        if (!spoilerDetectionValidation.valid) {
+          socket.emit('error', { message: spoilerDetectionValidation.error });
+          return;
+        }
+        sanitizedSpoilerDetection = spoilerDetectionValidation.sanitized;
+      }
+
+      // Validate message retention (if provided) - only used when creating a room
+      let sanitizedRetentionHours = null;
+      if (retentionHours) {
+        const retentionValidation = validation.validateRetentionHours(retentionHours);
+        if (!retentionValidation.valid) {
+          socket.emit('error', { message: retentionValidation.error });
+          return;
+        }
+        sanitizedRetentionHours = retentionValidation.sanitized;
+      }
+
       // Validate and sanitize room metadata (optional fields)
       let roomMetadata = null;
       if (roomName || teams || gameDate) {
@@ -344,17 +1146,29 @@ io.on('connection', async (socket) => {
       const sanitizedRoomId = roomValidation.sanitized;
       const sanitizedNickname = nicknameValidation.sanitized;
 
-      // Get or create session in database (pass sport type and metadata for new rooms)
+      // Get or create session in database (pass sport type, metadata, sync mode, retention,
+      // delivery policy and spoiler detection for new rooms)
       const { session, room: dbRoom, isReconnect } = await sessionManager.getOrCreateSession(
         sanitizedRoomId,
         sanitizedNickname,
         clientSessionId,
         sanitizedSportType,
-        roomMetadata
+        roomMetadata,
+        sanitizedSyncMode,
+        sanitizedRetentionHours,
+        sanitizedDeliveryPolicy,
+        sanitizedSpoilerDetection
       );
 
-      // Use the room's sport type (first joiner sets it, subsequent joiners use existing)
+      // Use the room's sport type and sync mode (first joiner sets them, subsequent joiners use existing)
       const effectiveSportType = dbRoom.sportType || DEFAULT_SPORT;
+      const effectiveSyncMode = dbRoom.syncMode || 'clock';
+      const effectiveDeliveryPolicy = dbRoom.deliveryPolicy || DEFAULT_DELIVERY_POLICY;
+      const effectiveSpoilerDetection = {
+        action: dbRoom.spoilerDetection || spoilerClassifier.DEFAULT_SPOILER_ACTION,
+        rules: dbRoom.spoilerRules || spoilerClassifier.DEFAULT_SPOILER_RULES,
+        teamNames: spoilerClassifier.parseTeamNames(dbRoom.teams)
+      };
 
       // Connect session (update socket ID in database)
       await sessionManager.connectSession(session.id, socket.id);
@@ -375,8 +1189,24 @@ io.on('connection', async (socket) => {
       }
 
       // Load message history from database and initialize room with sport type
-      const dbMessages = await roomManager.loadMessagesFromDb(dbRoom.id);
-      roomManager.initializeRoom(sanitizedRoomId, dbRoom.id, dbMessages, effectiveSportType);
+      const dbMessages = await roomManager.loadMessagesFromDb(
+        dbRoom.id,
+        roomManager.MAX_MESSAGES_PER_ROOM,
+        dbRoom.messageRetentionHours
+      );
+      roomManager.initializeRoom(
+        sanitizedRoomId,
+        dbRoom.id,
+        dbMessages,
+        effectiveSportType,
+        effectiveSyncMode,
+        dbRoom.messageRetentionHours,
+        effectiveDeliveryPolicy,
+        effectiveSpoilerDetection
+      );
+
+      // Users connected to other instances count towards offsets here too
+      await roomManager.loadSharedState(sanitizedRoomId);
 
       // Store sport type on socket for sync-game-time
       socket.sportType = effectiveSportType;
@@ -399,7 +1229,8 @@ io.on('connection', async (socket) => {
         socket.id,
         sanitizedNickname,
         session.id,
-        restoredGameTime
+        restoredGameTime,
+        session.replay
       );
 
       // Store room info on socket for easy access
@@ -407,20 +1238,41 @@ io.on('connection', async (socket) => {
       socket.nickname = sanitizedNickname;
       socket.sessionId = session.id;
 
-      // Get current room state
-      const messages = roomManager.getRoomMessages(sanitizedRoomId);
+      // Get current room state (only messages that have reached this user's screen)
+      const messages = roomManager.getVisibleMessages(sanitizedRoomId, socket.id);
+
+      // Replay viewers pick up their replay again (messages are re-sent by game time);
+      // everyone else picks up deliveries still owed to their session
+      let owedMessages = [];
+      let owedChanges = [];
+      let owedReactions = [];
+      let replayTruncated = false;
+      if (session.replay) {
+        messageQueue.bindSession(socket.id, session.id);
+        ({ truncated: replayTruncated } = await beginReplay(socket));
+      } else {
+        const owed = await restoreDeliveries(socket, messages);
+        if (owed.length > 0) {
+          logger.debug({ nickname: sanitizedNickname, messageCount: owed.length }, 'Redelivering owed messages');
+        }
+        owedMessages = owed.filter(item => !messageEdits.isChange(item) && !reactions.isReaction(item));
+        owedChanges = owed.filter(item => messageEdits.isChange(item));
+        owedReactions = owed.filter(item => reactions.isReaction(item));
+      }
+
       const users = roomManager.getRoomUsers(sanitizedRoomId);
 
       // Build sync state for reconnecting users
       let syncState = null;
       if (restoredGameTime) {
         syncState = {
-          period: restoredGameTime.period ?? restoredGameTime.quarter,  // Support both for backwards compat
-          minutes: restoredGameTime.minutes,
-          seconds: restoredGameTime.seconds,
+          gameTime: gameProgress.withDisplay(user.gameTime, effectiveSportType),  // Progress reading (with display), null for marker syncs
           offset: user.offset,
           offsetFormatted: require('./services/timeUtils').formatOffset(user.offset),
-          isBaseline: user.offset === 0
+          isBaseline: user.offset === 0 && user.referencePoint !== null,
+          clockStopped: user.syncPoint.clockStopped,
+          referencePending: user.referencePoint === null,
+          confidence: user.confidence
         };
       }
 
@@ -435,19 +1287,43 @@ io.on('connection', async (socket) => {
         roomId: sanitizedRoomId,
         nickname: sanitizedNickname,
         users,
-        messages: shouldSendMessages ? messages : [],  // Only send history if reconnecting with sync
+        // Only send history if reconnecting with sync; messages owed from before always arrive
+        messages: shouldSendMessages
+          ? [...messages, ...owedMessages].sort((a, b) => a.timestamp - b.timestamp)
+          : owedMessages,
+        // Edits and deletions owed from before, applied after the messages
+        changes: owedChanges,
+        // Reaction counts owed from before, likewise
+        reactions: owedReactions,
         sessionId: session.id,  // Send session ID for client storage
+        senderId: sessionManager.getSenderId(session.id),  // On our own messages
         isReconnect,
         syncState,  // Restored sync state (null if new user)
+        isReplay: session.replay,  // Watching a recording - messages arrive by game time
+        replayTruncated,  // The replay stops before the room's last messages
+        // How users sync, and open play markers to tap (marker rooms only)
+        syncMode: effectiveSyncMode,
+        // When messages arrive: after your delay ('offset') or when your game clock reaches them
+        deliveryPolicy: effectiveDeliveryPolicy,
+        markers: roomManager.getRoomMarkers(sanitizedRoomId, session.id),
         // Sport info (Phase 8)
         sportType: effectiveSportType,
         sportConfig: {
           periods: sportConfig.periods,
           periodLabel: sportConfig.periodLabel,
           periodLabelShort: sportConfig.periodLabelShort,
+          periodNames: sportConfig.periodNames || null,
+          overtime: sportConfig.overtime || null,
           periodDurationMinutes: sportConfig.periodDurationMinutes,
           clockDirection: sportConfig.clockDirection,
-          maxMinutes: sportConfig.maxMinutes
+          maxMinutes: sportConfig.maxMinutes,
+          allowStoppageTime: sportConfig.allowStoppageTime || false,
+          continuousClock: sportConfig.continuousClock || false,
+          // Non-clock sports (innings, sets, laps) sync with these fields instead
+          progress: sportConfig.progress || null,
+          progressFields: gameProgress.getProgressFields(effectiveSportType),
+          // Clock sports: every period's name and clock range (sportConfig.getAllPeriodInfo)
+          periodInfo: getAllPeriodInfo(sportConfig)
         },
         // Room metadata (Phase 11)
         roomName: dbRoom.roomName || null,
@@ -462,7 +1338,9 @@ io.on('connection', async (socket) => {
         nickname: sanitizedNickname,
         isSynced,
         offset: user.offset,
-        offsetFormatted: isSynced ? require('./services/timeUtils').formatOffset(user.offset) : 'Not synced'
+        offsetFormatted: user.replay
+          ? 'Replay'
+          : isSynced ? require('./services/timeUtils').formatOffset(user.offset) : 'Not synced'
       });
 
       logger.info({ nickname: sanitizedNickname, roomId: sanitizedRoomId, isReconnect }, 'User joined room');
@@ -473,205 +1351,378 @@ io.on('connection', async (socket) => {
   });
 
   // Handle game time synchronization
-  socket.on('sync-game-time', async (data) => {
+  socket.on('sync-game-time', (data) => {
+    // Validate socket is still a valid room member
+    const memberCheck = validateRoomMembership(socket);
+    if (!memberCheck.valid) {
+      socket.emit('error', { message: memberCheck.error });
+      return;
+    }
+
+    const result = syncGameTime(socket, data);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
+  });
+
+  // Handle posting a play marker ("I saw this play") - marker sync mode only
+  // Posting syncs the poster; everyone else can tap the marker when they see the play
+  socket.on('post-marker', async (data) => {
     try {
-      // Validate socket is still a valid room member
       const memberCheck = validateRoomMembership(socket);
       if (!memberCheck.valid) {
         socket.emit('error', { message: memberCheck.error });
         return;
       }
 
-      // Accept both 'period' (new) and 'quarter' (backwards compat) from client
-      const period = data.period ?? data.quarter;
-      const { minutes, seconds } = data;
-      const roomId = socket.roomId;
-      const nickname = socket.nickname;
-      const sessionId = socket.sessionId;
-      const sportType = socket.sportType || DEFAULT_SPORT;
+      const labelValidation = validation.validateMarkerLabel(data?.label);
+      if (!labelValidation.valid) {
+        socket.emit('error', { message: labelValidation.error });
+        return;
+      }
 
-      // Check if this is user's first sync (for late joiner message history)
+      // Markers are visible to the whole room, so they share the message rate limit
+      const rateCheck = await rateLimiter.checkRateLimit(socket.id);
+      if (!rateCheck.allowed) {
+        socket.emit('error', {
+          message: `Slow down! You can post again in ${rateCheck.retryAfter} seconds`
+        });
+        return;
+      }
+
+      const roomId = socket.roomId;
       const wasUnsynced = !roomManager.hasUserSynced(roomId, socket.id);
 
-      // Update user's game time and calculate offset (uses room's sport type)
-      const result = roomManager.updateUserGameTime(
-        roomId,
-        socket.id,
-        period,
-        minutes,
-        seconds
-      );
+      const result = roomManager.postMarker(roomId, socket.id, labelValidation.sanitized);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      // Everyone sees the marker right away - they need it on screen before the play reaches them
+      const { id, label, nickname, postedAt } = result.marker;
+      socket.to(roomId).emit('marker-posted', { id, label, nickname, postedAt, seen: false });
+      socket.emit('marker-posted', { id, label, nickname, postedAt, seen: true });
+
+      applySyncResult(socket, result, { wasUnsynced, gameTime: null, elapsedSeconds: null });
+
+      logger.info({ nickname: socket.nickname, roomId, offset: result.offsetFormatted }, 'User posted play marker');
+    } catch (error) {
+      logger.error({ err: error, event: 'post-marker' }, 'Error posting marker');
+      socket.emit('error', { message: 'Failed to post marker. Please try again.' });
+    }
+  });
+
+  // Handle "I just saw it" taps on a play marker - marker sync mode only
+  socket.on('marker-seen', (data) => {
+    try {
+      const memberCheck = validateRoomMembership(socket);
+      if (!memberCheck.valid) {
+        socket.emit('error', { message: memberCheck.error });
+        return;
+      }
+
+      if (typeof data?.markerId !== 'string') {
+        socket.emit('error', { message: 'Invalid marker' });
+        return;
+      }
 
+      const roomId = socket.roomId;
+      const wasUnsynced = !roomManager.hasUserSynced(roomId, socket.id);
+
+      const result = roomManager.recordMarkerSighting(roomId, socket.id, data.markerId);
       if (!result.success) {
         socket.emit('error', { message: result.error });
         return;
       }
 
-      // Persist game time to database (async, non-blocking)
-      if (sessionId) {
-        sessionManager.updateSessionGameTime(
-          sessionId,
-          { period, minutes, seconds },
-          result.elapsedSeconds
-        ).catch(err => {
-          logger.error({ err, nickname }, 'Failed to persist game time');
-        });
+      applySyncResult(socket, result, { wasUnsynced, gameTime: null, elapsedSeconds: null });
+
+      logger.info({ nickname: socket.nickname, roomId, offset: result.offsetFormatted }, 'User synced by play marker');
+    } catch (error) {
+      logger.error({ err: error, event: 'marker-seen' }, 'Error recording marker sighting');
+      socket.emit('error', { message: 'Failed to sync with that play. Please try again.' });
+    }
+  });
+
+  // Switch to replay mode - for watching a recording after the game.
+  // Messages are then delivered by game time (the sender's game position
+  // when they sent it) instead of by offset.
+  socket.on('start-replay', async () => {
+    try {
+      const memberCheck = validateRoomMembership(socket);
+      if (!memberCheck.valid) {
+        socket.emit('error', { message: memberCheck.error });
+        return;
       }
 
-      // Send confirmation to the user with their offset
-      socket.emit('sync-confirmed', {
-        period,
-        minutes,
-        seconds,
-        offset: result.offset,
-        offsetFormatted: result.offsetFormatted,
-        isBaseline: result.isBaseline
-      });
+      // Claimed before loading, so a second start-replay meanwhile is ignored too
+      if (!replay.claimReplay(socket.id)) return;
 
-      // If this was user's first sync, send them the message history
-      // (Late joiner protection: we withheld messages until they synced)
-      if (wasUnsynced) {
-        const messages = roomManager.getRoomMessages(roomId);
-        if (messages.length > 0) {
-          socket.emit('message-history', { messages });
-          logger.debug({ nickname, messageCount: messages.length }, 'Sent message history to newly synced user');
-        }
+      const roomId = socket.roomId;
+      const result = roomManager.setUserReplay(roomId, socket.id);
+      if (!result.success) {
+        replay.cancelReplay(socket.id);
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      // Live messages already on their way would arrive out of game order
+      messageQueue.clearUserQueue(socket.id);
+      positionQueue.clearUserQueue(socket.id);
+
+      if (socket.sessionId) {
+        sessionManager.setSessionReplay(socket.sessionId).catch(err => {
+          logger.error({ err, nickname: socket.nickname }, 'Failed to persist replay mode');
+        });
       }
 
-      // Notify others that this user has synced (update their user list)
+      const { messageCount, truncated } = await beginReplay(socket);
+      socket.emit('replay-started', { messageCount, truncated });
+
+      // Everyone else sees them as replaying; leaving the offsets can move the baseline
       socket.to(roomId).emit('user-synced', {
         id: socket.id,
-        nickname,
-        isSynced: true,
-        offset: result.offset,
-        offsetFormatted: result.offsetFormatted
+        nickname: socket.nickname,
+        isSynced: roomManager.hasUserSynced(roomId, socket.id),
+        offset: 0,
+        offsetFormatted: 'Replay'
       });
+      notifyOffsetChanges(roomId, result.updatedUsers, socket.id);
 
-      // If other users' offsets changed (due to baseline shift), notify them
-      if (result.updatedUsers && result.updatedUsers.size > 0) {
-        for (const [userId, updateData] of result.updatedUsers) {
-          // Don't re-notify the user who just synced (they already got sync-confirmed)
-          if (userId !== socket.id) {
-            // Send offset-updated to that specific user
-            io.to(userId).emit('offset-updated', {
-              offset: updateData.offset,
-              offsetFormatted: updateData.offsetFormatted,
-              isBaseline: updateData.offset === 0
-            });
-
-            // Also update everyone's view of that user
-            const user = roomManager.getUser(roomId, userId);
-            if (user) {
-              io.to(roomId).emit('user-synced', {
-                id: userId,
-                nickname: user.nickname,
-                isSynced: true,
-                offset: updateData.offset,
-                offsetFormatted: updateData.offsetFormatted
-              });
-            }
-          }
-        }
+      logger.info({ nickname: socket.nickname, roomId, messageCount }, 'User started replay');
+    } catch (error) {
+      replay.cancelReplay(socket.id);
+      logger.error({ err: error, event: 'start-replay' }, 'Error starting replay');
+      socket.emit('error', { message: 'Failed to start the replay. Please try again.' });
+    }
+  });
+
+  // Handle "I paused" - freeze their queue until they resume
+  socket.on('pause-playback', () => {
+    const memberCheck = validateRoomMembership(socket);
+    if (!memberCheck.valid) {
+      socket.emit('error', { message: memberCheck.error });
+      return;
+    }
+
+    const result = pauseStream(socket);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
+  });
+
+  // Handle "I resumed" - their delay grows by however long they were paused
+  socket.on('resume-playback', () => {
+    const memberCheck = validateRoomMembership(socket);
+    if (!memberCheck.valid) {
+      socket.emit('error', { message: memberCheck.error });
+      return;
+    }
+
+    const result = resumeStream(socket);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+    }
+  });
+
+  // Handle requests for older messages (paging back through history)
+  socket.on('load-history', async (data) => {
+    try {
+      const memberCheck = validateRoomMembership(socket);
+      if (!memberCheck.valid) {
+        socket.emit('error', { message: memberCheck.error });
+        return;
+      }
+
+      const requestValidation = validation.validateHistoryRequest(data);
+      if (!requestValidation.valid) {
+        socket.emit('error', { message: requestValidation.error });
+        return;
+      }
+
+      const result = await roomManager.loadHistory(socket.roomId, socket.id, requestValidation.sanitized);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
       }
 
-      // Get display format for logging
-      const timeUtils = require('./services/timeUtils');
-      const displayTime = timeUtils.elapsedSecondsToGameTime(result.elapsedSeconds, sportType);
-      logger.info({ nickname, roomId, gameTime: displayTime.display, sportType, offset: result.offsetFormatted }, 'User synced game time');
+      socket.emit('history-page', {
+        messages: result.messages,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor,
+        nextCursorId: result.nextCursorId
+      });
     } catch (error) {
-      logger.error({ err: error, event: 'sync-game-time' }, 'Error syncing game time');
-      socket.emit('error', { message: 'Failed to sync game time. Please try again.' });
+      logger.error({ err: error, event: 'load-history' }, 'Error loading history');
+      socket.emit('error', { message: 'Failed to load earlier messages. Please try again.' });
     }
   });
 
-  // Handle chat messages
-  socket.on('send-message', (data) => {
+  // Handle a chat message. Clients attach a UUID (clientId) and an ack callback,
+  // and retry with the same clientId until they hear back. The ack is
+  // { status: 'sent' | 'duplicate', id } (id = the server message ID),
+  // { status: 'confirm', matches } (held: it looks like a spoiler - resend with
+  // confirmed: true to post it) or { status: 'failed', error }.
+  // Slash commands that don't post a message are acked with { status: 'done', command, ... }
+  // or { status: 'failed', command, code, error, usage? } (see runCommand).
+  socket.on('send-message', async (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const fail = (error) => {
+      socket.emit('error', { message: error });
+      respond({ status: 'failed', error });
+    };
+
     // Validate socket is still a valid room member
     const memberCheck = validateRoomMembership(socket);
     if (!memberCheck.valid) {
-      socket.emit('error', { message: memberCheck.error });
+      fail(memberCheck.error);
       return;
     }
 
-    const { content } = data;
+    const { content, clientId, replyToId, spoiler, emote, confirmed } = data || {};
     const roomId = socket.roomId;
     const nickname = socket.nickname;
     const sessionId = socket.sessionId;
 
+    // Slash commands are parsed before the message (see services/commands.js): most
+    // run here and only answer the sender, /me and /spoiler become the message
+    const command = commands.parseCommand(content, { sportType: socket.sportType || DEFAULT_SPORT });
+    if (command && !command.valid) {
+      const { name, code, error, usage } = command;
+      respond({ status: 'failed', command: name, code, error, ...(usage && { usage }) });
+      return;
+    }
+    if (command && !command.sendsMessage) {
+      await runCommand(socket, command, respond);
+      return;
+    }
+    const text = command ? command.args.content : content;
+
     // Validate and sanitize message content
-    const messageValidation = validation.validateMessage(content);
+    const messageValidation = validation.validateMessage(text);
     if (!messageValidation.valid) {
-      socket.emit('error', { message: messageValidation.error });
+      fail(messageValidation.error);
       return;
     }
 
-    // Check rate limit (10 messages per minute)
-    const rateCheck = rateLimiter.checkRateLimit(socket.id);
-    if (!rateCheck.allowed) {
-      socket.emit('error', {
-        message: `Slow down! You can send again in ${rateCheck.retryAfter} seconds`
-      });
+    const clientIdValidation = validation.validateClientMessageId(clientId);
+    if (!clientIdValidation.valid) {
+      fail(clientIdValidation.error);
       return;
     }
+    const sanitizedClientId = clientIdValidation.sanitized;
 
-    // Create message object with server receive timestamp
-    const now = Date.now();
-    const sanitizedContent = messageValidation.sanitized;
-    const message = {
-      id: `${now}-${socket.id}`,
-      senderId: socket.id,
-      nickname,
-      content: sanitizedContent,
-      timestamp: now
-    };
+    const replyToValidation = validation.validateReplyToId(replyToId);
+    if (!replyToValidation.valid) {
+      fail(replyToValidation.error);
+      return;
+    }
 
-    // Store message in room buffer (for users who join/refresh later)
-    // Now also persists to database asynchronously
-    roomManager.addMessage(roomId, message, sessionId);
+    let message;
+    try {
+      // A retry of a message we already posted: ack it again (it doesn't count
+      // towards the rate limit)
+      if (sanitizedClientId) {
+        const existingId = await sentMessages.findSentMessage(sessionId, sanitizedClientId);
+        if (existingId) {
+          respond({ status: 'duplicate', id: existingId });
+          return;
+        }
+      }
 
-    // Get all users in the room
-    const room = roomManager.getRoom(roomId);
-    const users = room.users;
+      // Messages that look like spoilers are flagged, or held until the sender
+      // confirms them (the sender's own flag needs no check)
+      let flagged = spoiler === true || command?.args.spoiler === true;
+      if (!flagged) {
+        const detection = roomManager.getRoomSpoilerDetection(roomId);
+        const matches = validation.detectSpoilers(text, detection);
+        if (matches.length > 0) {
+          if (detection.action === 'tag') {
+            flagged = true;
+          } else if (detection.action === 'confirm' && confirmed !== true) {
+            // Not posted, so it doesn't count towards the rate limit or claim the clientId
+            respond({ status: 'confirm', matches: matches.map(match => match.label) });
+            return;
+          }
+        }
+      }
 
-    // Deliver message to each user based on their offset
-    for (const [recipientSocketId, recipientUser] of users) {
-      const offset = recipientUser.offset;
+      // Check rate limit (10 messages per minute)
+      const rateCheck = await rateLimiter.checkRateLimit(socket.id);
+      if (!rateCheck.allowed) {
+        fail(`Slow down! You can send again in ${rateCheck.retryAfter} seconds`);
+        return;
+      }
 
-      // Sender always sees their own message immediately
-      if (recipientSocketId === socket.id) {
-        messageQueue.deliverImmediately(recipientSocketId, message);
-        continue;
-      }
-
-      // Users who haven't synced: use conservative delay (max room offset)
-      // This prevents late joiners from getting instant spoilers
-      if (!roomManager.hasUserSynced(roomId, recipientSocketId)) {
-        const maxOffset = roomManager.getMaxRoomOffset(roomId);
-        if (maxOffset > 0) {
-          // Queue with max room delay to protect from spoilers
-          const deliverAt = now + maxOffset;
-          messageQueue.queueMessage(recipientSocketId, message, deliverAt);
-        } else {
-          // No synced users yet, deliver immediately
-          messageQueue.deliverImmediately(recipientSocketId, message);
+      // Replies quote their parent as it is now (deliveries make sure nobody
+      // gets the reply before the parent and its edits - see messageQueue REPLIES)
+      let parent = null;
+      if (replyToValidation.sanitized) {
+        const room = roomManager.getRoom(roomId);
+        parent = roomManager.findMessage(roomId, replyToValidation.sanitized)
+          ?? (room.dbId ? await messageHistory.loadMessage(room.dbId, replyToValidation.sanitized, room.sportType) : null);
+        if (!parent || parent.deleted) {
+          fail('The message you replied to is no longer available');
+          return;
         }
-        continue;
       }
 
-      // offset = 0 means user is "live" - deliver immediately
-      if (offset === 0) {
-        messageQueue.deliverImmediately(recipientSocketId, message);
-        continue;
+      // Create message object with server receive timestamp, and where the sender
+      // is in the game (estimated from their syncs - null if they haven't synced).
+      // Messages typed offline and flushed from the client's outbox after a reconnect
+      // are stamped the same way - where the sender is now, never when they typed it -
+      // so nobody gets one before their own broadcast reaches that point.
+      const now = Date.now();
+      const senderGameTime = roomManager.getUserGameTime(roomId, socket.id, now);
+      message = {
+        id: crypto.randomUUID(),  // Also the Message row's key - sends can finish in the same millisecond
+        clientId: sanitizedClientId,  // Lets the sender match the message to the one they're showing as pending
+        senderId: sessionManager.getSenderId(socket.sessionId),  // Same across reconnects and /nick
+        nickname,
+        content: messageValidation.sanitized,
+        timestamp: now,
+        gameElapsedSeconds: senderGameTime?.elapsedSeconds ?? null,  // Persisted; places the message in replays
+        // Reading, with its display string ("Q3 8:42")
+        gameTime: senderGameTime ? { ...senderGameTime.gameTime, display: senderGameTime.display } : null,
+        ...(parent && { replyToId: parent.id, replyTo: messageHistory.toQuote(parent) }),
+        ...(flagged && { spoiler: true }),  // Clients blur it until revealed
+        ...((emote === true || command?.args.emote) && { emote: true })  // A /me action
+      };
+
+      // Two retries can race past the lookup - only the first one posts
+      if (sanitizedClientId) {
+        const claim = await sentMessages.claimClientId(sessionId, sanitizedClientId, message.id);
+        if (!claim.claimed) {
+          respond({ status: 'duplicate', id: claim.messageId });
+          return;
+        }
       }
-
-      // Queue the message for delayed delivery
-      const deliverAt = now + offset;
-      messageQueue.queueMessage(recipientSocketId, message, deliverAt);
+    } catch (error) {
+      logger.error({ err: error, event: 'send-message' }, 'Error sending message');
+      fail('Failed to send message. Please try again.');
+      return;
     }
 
-    logger.debug({ roomId, nickname, messagePreview: sanitizedContent.substring(0, 50) }, 'Message sent');
+    // Store message in room buffer (for users who join/refresh later)
+    // Now also persists to database asynchronously
+    roomManager.addMessage(roomId, message, sessionId);
+
+    // Deliver message to each user in the room based on their offset
+    // (other instances deliver to their own users when the message is shared)
+    deliverToRoom(roomId, message, socket.id);
+    respond({ status: 'sent', id: message.id });
+
+    logger.debug({ roomId, nickname, messagePreview: message.content.substring(0, 50) }, 'Message sent');
   });
 
+  // Handle edits and deletions of the sender's own messages
+  socket.on('edit-message', (data, ack) => changeMessage(socket, 'edit', data, ack));
+  socket.on('delete-message', (data, ack) => changeMessage(socket, 'delete', data, ack));
+
+  // Handle emoji reactions (each one toggles on and off)
+  socket.on('react-message', (data, ack) => reactToMessage(socket, data, ack));
+
   // Handle message reports
   socket.on('report-message', async (data) => {
     if (!socket.roomId || !socket.nickname) return;
@@ -699,15 +1750,23 @@ io.on('connection', async (socket) => {
   });
 
   // Handle sync countdown — any room member can trigger a coordinated 3-2-1 sync
-  socket.on('start-countdown', () => {
+  socket.on('start-countdown', async () => {
     if (!socket.roomId) return;
     const memberCheck = validateRoomMembership(socket);
     if (!memberCheck.valid) return;
 
-    // Only one countdown can run per room at a time
+    // Only one countdown can run per room at a time (across every instance)
     if (activeCountdowns.has(socket.roomId)) return;
 
     const roomId = socket.roomId;
+    try {
+      const claimed = await storage.setIfAbsent(countdownKey(roomId), INSTANCE_ID, COUNTDOWN_LOCK_MS);
+      if (!claimed) return;
+    } catch (error) {
+      logger.error({ err: error, event: 'start-countdown' }, 'Error claiming countdown');
+      return;
+    }
+
     logger.info({ roomId, triggeredBy: socket.nickname }, 'Sync countdown started');
     io.to(roomId).emit('countdown-started', { triggeredBy: socket.nickname });
 
@@ -719,6 +1778,9 @@ io.on('connection', async (socket) => {
         clearInterval(interval);
         activeCountdowns.delete(roomId);
         io.to(roomId).emit('sync-now');
+        storage.del(countdownKey(roomId)).catch(err => {
+          logger.error({ err, roomId }, 'Failed to release countdown');
+        });
       }
     }, 1000);
 
@@ -731,14 +1793,25 @@ io.on('connection', async (socket) => {
     const nickname = socket.nickname;
     const sessionId = socket.sessionId;
 
-    // Clear any queued messages for this user (they won't receive them)
-    const clearedCount = messageQueue.clearUserQueue(socket.id);
-    if (clearedCount > 0) {
-      logger.debug({ nickname, clearedCount }, 'Cleared queued messages');
+    // Leaving while paused: keep the delay they built up, so a reconnect doesn't run ahead
+    if (roomId) {
+      resumePlayback(socket);
     }
 
+    // Their session keeps whatever is still queued, for when they reconnect
+    const owedCount = messageQueue.detachUser(socket.id);
+    if (owedCount > 0) {
+      logger.debug({ nickname, owedCount }, 'Kept queued messages for reconnect');
+    }
+
+    // Stop their replay, if they were watching one, and drop messages waiting on their game clock
+    replay.stopReplay(socket.id);
+    positionQueue.clearUserQueue(socket.id);
+
     // Clear rate limiter data for this user
-    rateLimiter.clearUser(socket.id);
+    rateLimiter.clearUser(socket.id).catch(err => {
+      logger.error({ err, nickname }, 'Failed to clear rate limit');
+    });
 
     // Mark session as disconnected in database (but keep it active for reconnection)
     if (sessionId) {
@@ -791,6 +1864,25 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000); // Check every 5 minutes
 
+// Live positions - broadcast where each synced user's broadcast is now
+// (extrapolated from their syncs) so the sidebar moves between syncs
+const ROOM_CLOCK_INTERVAL_MS = 5000;
+
+setInterval(() => {
+  const now = Date.now();
+  const stats = roomManager.getStats();
+
+  for (const roomInfo of stats.rooms) {
+    if (roomInfo.syncedUsers === 0) continue;
+
+    // Every instance knows the whole room, so each one only updates its own sockets
+    const clock = roomManager.getRoomClock(roomInfo.id, now);
+    if (clock && clock.users.length > 0) {
+      io.local.to(roomInfo.id).emit('room-clock', clock);
+    }
+  }
+}, ROOM_CLOCK_INTERVAL_MS);
+
 // Database cleanup - expire disconnected sessions and clean old data
 // Run every 5 minutes
 setInterval(async () => {
@@ -801,6 +1893,16 @@ setInterval(async () => {
   }
 }, 5 * 60 * 1000);
 
+// Message retention - delete messages older than their room's retention window
+// Run every hour
+setInterval(async () => {
+  try {
+    await messageHistory.purgeExpiredMessages();
+  } catch (error) {
+    logger.error({ err: error, task: 'purge-messages' }, 'Cleanup error');
+  }
+}, 60 * 60 * 1000);
+
 // Deep cleanup - delete old sessions and inactive rooms
 // Run once per day
 setInterval(async () => {
@@ -828,8 +1930,14 @@ async function shutdown(signal) {
   // Clear any active countdown intervals
   for (const [, intervalId] of activeCountdowns) clearInterval(intervalId);
   activeCountdowns.clear();
+  positionQueue.stopProcessor();
+  messageQueue.stopProcessor();
+  // Other instances drop this one's users at their next heartbeat
+  await roomManager.stopSharing().catch(err => logger.error({ err }, 'Failed to stop sharing room state'));
   io.close();
   server.close();
+  if (adapterSubscriber) await adapterSubscriber.quit();
+  await closeStorage();
   await prisma.$disconnect();
   process.exit(0);
 }
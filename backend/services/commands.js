@@ -0,0 +1,248 @@
+/**
+ * Chat Commands Service
+ *
+ * Slash commands typed into the message composer: "/sync Q3 8:42", "/pause",
+ * "/me waves"... They are parsed before the message is validated, so a command
+ * never reaches the room as text.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. Commands are registered by name:
+ *    { name, usage, description, sendsMessage, parse(args, context) }
+ *    parse() checks what was typed after the name and returns
+ *    { valid, sanitized, error } like the validators in validation.js.
+ *    context carries the sender's room settings ({ sportType }).
+ *
+ * 2. parseCommand() turns composer text into a parsed command (or null for a
+ *    normal message). Problems come back STRUCTURED, so clients can show them
+ *    next to the composer:
+ *    { valid: false, name, code, error, usage? }
+ *    - code 'unknown-command': no command by that name
+ *    - code 'invalid-arguments': the command can't use what was typed after it
+ *
+ * 3. Commands that send a message (sendsMessage: true - /me, /spoiler) become
+ *    that message: their sanitized args are { content, emote?, spoiler? }.
+ *    The rest are run by server.js (runCommand) and only answer the sender.
+ *
+ * Text that starts with "/" but no letters ("/ hi", "1/2") is a normal message.
+ * Clients keep their own copy of the built-in list (frontend lib/commands.js).
+ */
+
+const { getSportConfig, getTotalPeriods, getPeriodName, DEFAULT_SPORT } = require('./sportConfig');
+const { getProgressFields } = require('./gameProgress');
+const { validateNickname } = require('./validation');
+
+// "/name" followed by anything (the name is letters only)
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+// A game clock reading: "Q3 8:42", "3 8:42", "OT1 2:00", "2nd Half 41:10", optionally "stopped"
+const CLOCK_SYNC_PATTERN = /^(.*?)\s*(\d{1,3}):(\d{2})(\s+stopped)?$/i;
+
+// Registered commands (name -> command)
+const commands = new Map();
+
+/**
+ * Add a command (or replace the command with the same name).
+ *
+ * @param {Object} command
+ * @param {string} command.name - What follows the slash (lowercase letters)
+ * @param {string} command.usage - Example for help and errors ("/sync Q3 8:42")
+ * @param {string} command.description - What it does
+ * @param {boolean} command.sendsMessage - Whether it becomes a chat message
+ * @param {Function} command.parse - (args, context) => { valid, sanitized?, error? }
+ */
+function registerCommand({ name, usage, description, sendsMessage = false, parse }) {
+  commands.set(name, { name, usage, description, sendsMessage, parse });
+}
+
+/**
+ * List the registered commands, for help.
+ *
+ * @returns {Array<Object>} [{ name, usage, description }]
+ */
+function listCommands() {
+  return [...commands.values()].map(({ name, usage, description }) => ({ name, usage, description }));
+}
+
+/**
+ * Parse composer text as a command.
+ *
+ * @param {string} content - Raw composer text
+ * @param {Object} context - { sportType }
+ * @returns {Object|null} null for a normal message, otherwise
+ *   { valid: true, name, sendsMessage, args } or { valid: false, name, code, error, usage? }
+ */
+function parseCommand(content, context = { sportType: DEFAULT_SPORT }) {
+  if (typeof content !== 'string') return null;
+  const match = content.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const command = commands.get(name);
+  if (!command) {
+    return {
+      valid: false,
+      name,
+      code: 'unknown-command',
+      error: `Unknown command /${name}. Try ${[...commands.keys()].map(known => `/${known}`).join(', ')}`
+    };
+  }
+
+  const parsed = command.parse((match[2] || '').trim(), context);
+  if (!parsed.valid) {
+    return { valid: false, name, code: 'invalid-arguments', error: parsed.error, usage: command.usage };
+  }
+  return { valid: true, name, sendsMessage: command.sendsMessage, args: parsed.sanitized };
+}
+
+/**
+ * Parse for commands that take nothing after their name.
+ *
+ * @param {string} name - The command's name
+ * @returns {Function} parse()
+ */
+function noArgs(name) {
+  return (args) => args.length === 0
+    ? { valid: true, sanitized: {} }
+    : { valid: false, error: `/${name} doesn't take anything after it` };
+}
+
+/**
+ * Parse for commands that send the rest of the line as a message.
+ *
+ * @param {string} name - The command's name
+ * @param {Object} flags - Added to the message ({ emote: true }, { spoiler: true })
+ * @returns {Function} parse()
+ */
+function messageArgs(name, flags) {
+  return (args) => args.length > 0
+    ? { valid: true, sanitized: { content: args, ...flags } }
+    : { valid: false, error: `Type your message after /${name}` };
+}
+
+/**
+ * Find the period a user typed ("Q3", "3", "OT1", "2nd half") for a clock sport.
+ *
+ * @param {string} text - What was typed before the clock
+ * @param {Object} config - Sport configuration
+ * @returns {number|null} Period number, null if it doesn't name one
+ */
+function parsePeriod(text, config) {
+  const typed = text.replace(/\s+/g, ' ').trim().toLowerCase();
+  if (/^\d{1,2}$/.test(typed)) return Number(typed);
+
+  for (let period = 1; period <= getTotalPeriods(config); period++) {
+    if (getPeriodName(config, period).toLowerCase() === typed) return period;
+  }
+
+  // "q3" when periods are named "1st Quarter"...
+  const short = typed.match(/^([a-z]+)\s?(\d{1,2})$/);
+  if (short && short[1] === config.periodLabelShort.toLowerCase()) return Number(short[2]);
+  if (short && config.overtime && short[1] === config.overtime.periodLabelShort.toLowerCase()) {
+    return config.periods + Number(short[2]);
+  }
+  return null;
+}
+
+/**
+ * Parse "/sync" into a sync-game-time payload for the sender's sport.
+ * Clock sports take a period and the clock ("Q3 8:42", add "stopped" while the
+ * clock is stopped); other sports take their progress fields as numbers, in order.
+ * The reading itself is checked where every sync is (roomManager.updateUserGameTime).
+ *
+ * @param {string} args - What was typed after /sync
+ * @param {Object} context - { sportType }
+ * @returns {Object} { valid, sanitized?: { ...reading, clockStopped }, error? }
+ */
+function parseSync(args, { sportType = DEFAULT_SPORT } = {}) {
+  const config = getSportConfig(sportType);
+  const fields = getProgressFields(sportType);
+
+  if (!config.progress || config.progress.model === 'clock') {
+    const match = args.match(CLOCK_SYNC_PATTERN);
+    const period = match ? parsePeriod(match[1], config) : null;
+    if (period === null) {
+      return { valid: false, error: `Type the ${config.periodLabel.toLowerCase()} and clock you see, e.g. /sync ${getPeriodName(config, 1)} 8:42` };
+    }
+    return {
+      valid: true,
+      sanitized: {
+        period,
+        minutes: Number(match[2]),
+        seconds: Number(match[3]),
+        clockStopped: !!match[4]
+      }
+    };
+  }
+
+  const values = args.split(/\s+/).filter(Boolean);
+  if (values.length !== fields.length || values.some(value => !/^\d{1,3}$/.test(value))) {
+    return { valid: false, error: `Type your ${fields.map(field => field.label.toLowerCase()).join(', ')} as numbers, e.g. /sync ${fields.map(() => 1).join(' ')}` };
+  }
+  const reading = {};
+  fields.forEach((field, i) => { reading[field.key] = Number(values[i]); });
+  return { valid: true, sanitized: { ...reading, clockStopped: false } };
+}
+
+registerCommand({
+  name: 'sync',
+  usage: '/sync Q3 8:42',
+  description: 'Sync with the game time on your screen (add "stopped" if the clock is stopped)',
+  parse: parseSync
+});
+
+registerCommand({
+  name: 'pause',
+  usage: '/pause',
+  description: 'Pause your stream - messages wait until you resume',
+  parse: noArgs('pause')
+});
+
+registerCommand({
+  name: 'resume',
+  usage: '/resume',
+  description: 'Resume your stream after a pause',
+  parse: noArgs('resume')
+});
+
+registerCommand({
+  name: 'me',
+  usage: '/me jumps off the couch',
+  description: 'Send an action ("* Sam jumps off the couch")',
+  sendsMessage: true,
+  parse: messageArgs('me', { emote: true })
+});
+
+registerCommand({
+  name: 'spoiler',
+  usage: '/spoiler what a finish',
+  description: 'Send a message blurred until revealed',
+  sendsMessage: true,
+  parse: messageArgs('spoiler', { spoiler: true })
+});
+
+registerCommand({
+  name: 'nick',
+  usage: '/nick NewName',
+  description: 'Change your nickname in this room',
+  parse: (args) => {
+    if (args.length === 0) return { valid: false, error: 'Type your new nickname after /nick' };
+    const nicknameValidation = validateNickname(args);
+    return nicknameValidation.valid
+      ? { valid: true, sanitized: { nickname: nicknameValidation.sanitized } }
+      : nicknameValidation;
+  }
+});
+
+registerCommand({
+  name: 'who',
+  usage: '/who',
+  description: "List who's here and how far behind live they are",
+  parse: noArgs('who')
+});
+
+module.exports = {
+  registerCommand,
+  listCommands,
+  parseCommand
+};
@@ -0,0 +1,256 @@
+/**
+ * Delay Estimator Service
+ *
+ * Estimates each viewer's broadcast delay from a history of sync samples
+ * instead of a single sync point.
+ *
+ * WHY: In basketball, football and hockey the game clock stops constantly
+ * (timeouts, fouls, commercials), so game time does NOT advance 1:1 with real time.
+ * With one sync per user, "synced 20 minutes later" looks exactly like
+ * "is 20 minutes further behind".
+ *
+ * MODEL:
+ * Everyone in a room watches the same game, so the game clock advances at the same
+ * average rate for everybody - only the broadcast delay differs. We fit a line per
+ * viewer through their samples (real time -> elapsed game seconds) where all viewers
+ * SHARE one slope (the room's clock rate) and each gets their own intercept:
+ *
+ *   elapsed(t) ≈ meanElapsed + clockRate * (t - meanRealTime) / 1000
+ *
+ * The shared clock rate is a pooled least-squares estimate, shrunk towards the sport's
+ * typical clock rate while there isn't much data. Following a viewer's line back to
+ * elapsed = 0 gives their reference point; with a single sample and a clock rate of 1
+ * this is exactly timeUtils.calculateReferencePoint(). Reference points compare the
+ * same way as before (see roomManager).
+ *
+ * DATA STRUCTURES:
+ *
+ * SyncSample: {
+ *   realTime: number,        // When the user synced (Date.now() format)
+ *   elapsedSeconds: number,  // Game seconds elapsed at that moment
+ *   clockStopped: boolean    // Stopped-clock samples are kept but never fitted
+ * }
+ */
+
+// Keep at most this many samples per user (newest win)
+const MAX_SAMPLES_PER_USER = 6;
+
+// Ignore samples older than this relative to the user's newest sample -
+// the clock rate drifts over a game (end-of-quarter fouling, intermissions)
+const SAMPLE_WINDOW_MS = 45 * 60 * 1000; // 45 minutes
+
+// Slack (in game seconds) for typos and slow thumbs when checking that a new sample
+// follows on from the previous one
+const PROGRESSION_TOLERANCE_SECONDS = 10;
+
+// How strongly the sport's typical clock rate is trusted before samples accumulate.
+// Expressed as an equivalent spread of real time (in seconds) across samples.
+const PRIOR_WEIGHT_SECONDS = 120;
+
+// A running game clock can't advance faster than real time
+const MIN_CLOCK_RATE = 0.1;
+const MAX_CLOCK_RATE = 1;
+
+/**
+ * Get the samples that can be fitted (taken while the clock was running).
+ *
+ * @param {Array<Object>} samples - User's sync samples
+ * @returns {Array<Object>} Running-clock samples only
+ */
+function getRunningSamples(samples) {
+  return samples.filter(sample => !sample.clockStopped);
+}
+
+/**
+ * Estimate the room's shared clock rate (game seconds per real second).
+ *
+ * Pooled least squares: each user's samples are centered on their own means,
+ * so differences in broadcast delay between users don't leak into the slope.
+ * Sports whose clock never stops always use their typical rate.
+ *
+ * @param {Array<Array<Object>>} sampleSets - One array of samples per user
+ * @param {Object} sportConfig - Sport configuration (clockStops, typicalClockRate)
+ * @returns {number} Estimated clock rate
+ */
+function estimateClockRate(sampleSets, sportConfig) {
+  const priorRate = sportConfig.typicalClockRate ?? 1;
+  if (!sportConfig.clockStops) {
+    return priorRate;
+  }
+
+  let sumXY = 0;
+  let sumXX = 0;
+
+  for (const samples of sampleSets) {
+    const running = getRunningSamples(samples);
+    if (running.length < 2) continue;
+
+    const meanT = running.reduce((sum, s) => sum + s.realTime, 0) / running.length;
+    const meanG = running.reduce((sum, s) => sum + s.elapsedSeconds, 0) / running.length;
+
+    for (const sample of running) {
+      const x = (sample.realTime - meanT) / 1000; // Real seconds from the user's mean
+      const y = sample.elapsedSeconds - meanG;     // Game seconds from the user's mean
+      sumXY += x * y;
+      sumXX += x * x;
+    }
+  }
+
+  // Shrink towards the prior: behaves like extra data lying exactly on the typical rate
+  const priorWeight = PRIOR_WEIGHT_SECONDS * PRIOR_WEIGHT_SECONDS;
+  const rate = (sumXY + priorRate * priorWeight) / (sumXX + priorWeight);
+
+  return Math.min(MAX_CLOCK_RATE, Math.max(MIN_CLOCK_RATE, rate));
+}
+
+/**
+ * Fit a user's running-clock samples with the shared clock rate.
+ *
+ * @param {Array<Object>} samples - User's sync samples
+ * @param {number} clockRate - Room clock rate from estimateClockRate()
+ * @returns {Object|null} { meanRealTime, meanElapsed, sampleCount, residualSeconds, lastSampleAt }
+ *   or null if the user has no running-clock samples
+ */
+function fitSamples(samples, clockRate) {
+  const running = getRunningSamples(samples);
+  if (running.length === 0) return null;
+
+  const meanRealTime = running.reduce((sum, s) => sum + s.realTime, 0) / running.length;
+  const meanElapsed = running.reduce((sum, s) => sum + s.elapsedSeconds, 0) / running.length;
+
+  // Root-mean-square distance (in game seconds) between samples and the fitted line
+  let sumSquares = 0;
+  for (const sample of running) {
+    const predicted = meanElapsed + clockRate * (sample.realTime - meanRealTime) / 1000;
+    sumSquares += (sample.elapsedSeconds - predicted) ** 2;
+  }
+
+  return {
+    meanRealTime,
+    meanElapsed,
+    sampleCount: running.length,
+    residualSeconds: Math.sqrt(sumSquares / running.length),
+    lastSampleAt: running[running.length - 1].realTime
+  };
+}
+
+/**
+ * Estimate a user's reference point (when the game "started" for them) from their fit.
+ *
+ * @param {Object} fit - Result of fitSamples()
+ * @param {number} clockRate - Room clock rate
+ * @returns {number} Reference point in milliseconds
+ */
+function estimateReferencePoint(fit, clockRate) {
+  return Math.round(fit.meanRealTime - (fit.meanElapsed / clockRate) * 1000);
+}
+
+/**
+ * Predict how many game seconds a user has seen at a given moment by following
+ * their fitted line forward from their samples.
+ *
+ * @param {Object} fit - Result of fitSamples()
+ * @param {number} clockRate - Room clock rate
+ * @param {number} realTime - Moment to predict for (Date.now() format)
+ * @returns {number} Estimated elapsed game seconds
+ */
+function predictElapsed(fit, clockRate, realTime) {
+  return fit.meanElapsed + clockRate * (realTime - fit.meanRealTime) / 1000;
+}
+
+/**
+ * Check whether a new sample can follow on from the user's previous one.
+ *
+ * The game clock can't run backwards or faster than real time. If it appears to,
+ * the user's broadcast delay changed (switched streams, rewound the DVR).
+ *
+ * @param {Object} previous - Previous sample
+ * @param {Object} sample - New sample
+ * @returns {boolean} True if the samples are consistent with the same delay
+ */
+function isPlausibleProgression(previous, sample) {
+  const gameDelta = sample.elapsedSeconds - previous.elapsedSeconds;
+  const realDelta = (sample.realTime - previous.realTime) / 1000;
+
+  return gameDelta >= -PROGRESSION_TOLERANCE_SECONDS &&
+    gameDelta <= realDelta + PROGRESSION_TOLERANCE_SECONDS;
+}
+
+/**
+ * Add a sample to a user's history.
+ *
+ * Drops samples outside the window, caps the history length, and starts over
+ * when the new sample is inconsistent with the previous one.
+ *
+ * @param {Array<Object>} samples - User's existing sync samples (oldest first)
+ * @param {Object} sample - New sample { realTime, elapsedSeconds, clockStopped }
+ * @returns {Array<Object>} New sample history (oldest first)
+ */
+function appendSample(samples, sample) {
+  let history = samples.filter(s => sample.realTime - s.realTime <= SAMPLE_WINDOW_MS);
+
+  const previous = history[history.length - 1];
+  if (previous && !isPlausibleProgression(previous, sample)) {
+    history = [];
+  }
+
+  history.push(sample);
+  return history.slice(-MAX_SAMPLES_PER_USER);
+}
+
+/**
+ * Describe how much we trust a user's delay estimate.
+ *
+ * Score combines three factors (each 0-1):
+ * - Sample count: one sample can't separate delay from clock stoppages
+ * - Fit quality: samples that disagree with each other
+ * - Freshness: the clock rate drifts, so old samples become less predictive
+ *
+ * Sample count and freshness only matter for sports whose clock stops.
+ *
+ * @param {Object|null} fit - Result of fitSamples() (null = no running-clock samples)
+ * @param {Object} sportConfig - Sport configuration (clockStops)
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object} { level: 'low'|'medium'|'high', score, sampleCount, resyncSuggested }
+ */
+function assessConfidence(fit, sportConfig, now = Date.now()) {
+  if (!fit) {
+    return { level: 'low', score: 0, sampleCount: 0, resyncSuggested: true };
+  }
+
+  let countFactor = 1;
+  let ageFactor = 1;
+
+  if (sportConfig.clockStops) {
+    countFactor = fit.sampleCount >= 3 ? 1 : fit.sampleCount === 2 ? 0.75 : 0.5;
+
+    // Fresh for 5 minutes, then fades to 0.3 at 30 minutes
+    const ageMinutes = (now - fit.lastSampleAt) / 60000;
+    ageFactor = 1 - 0.7 * Math.min(1, Math.max(0, (ageMinutes - 5) / 25));
+  }
+
+  // Within 2 game seconds is as good as a manual sync gets; 15+ is unreliable
+  const fitFactor = 1 - 0.8 * Math.min(1, Math.max(0, (fit.residualSeconds - 2) / 13));
+
+  const score = Math.round(countFactor * fitFactor * ageFactor * 100) / 100;
+  const level = score >= 0.75 ? 'high' : score >= 0.45 ? 'medium' : 'low';
+
+  return {
+    level,
+    score,
+    sampleCount: fit.sampleCount,
+    resyncSuggested: level === 'low'
+  };
+}
+
+module.exports = {
+  getRunningSamples,
+  estimateClockRate,
+  fitSamples,
+  estimateReferencePoint,
+  predictElapsed,
+  appendSample,
+  assessConfidence,
+  MAX_SAMPLES_PER_USER,
+  SAMPLE_WINDOW_MS
+};
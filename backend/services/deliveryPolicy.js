@@ -0,0 +1,19 @@
+/**
+ * Delivery Policies
+ *
+ * When a room's messages reach each viewer:
+ * - 'offset': after the viewer's broadcast delay (messageQueue.js)
+ * - 'game-position': once the viewer's game position reaches them (positionQueue.js)
+ *
+ * Kept apart from the queues, so checking a room's policy (validation.js)
+ * doesn't load them.
+ */
+
+// How a room delivers messages: by wall-clock offset, or by game position
+const DELIVERY_POLICIES = ['offset', 'game-position'];
+const DEFAULT_DELIVERY_POLICY = 'offset';
+
+module.exports = {
+  DELIVERY_POLICIES,
+  DEFAULT_DELIVERY_POLICY
+};
@@ -0,0 +1,355 @@
+/**
+ * Game Progress Service
+ *
+ * Turns what a viewer sees on their broadcast into a single number: how far
+ * the game has progressed. Offsets (roomManager) only ever compare these numbers,
+ * so any sport works as long as its progress model produces one that only goes up.
+ *
+ * PROGRESS MODELS (the sport's "progress.model", default "clock"):
+ * - clock:   Period + game clock (basketball, soccer...). See timeUtils.
+ * - innings: Inning + half + outs (baseball)
+ * - sets:    Set + game + point (tennis), or set + point (volleyball)
+ * - laps:    Current lap (F1)
+ *
+ * A READING is what the user enters, keyed by the model's field names:
+ *   clock   { period: 3, minutes: 8, seconds: 42 }
+ *   innings { inning: 7, half: 1, outs: 2 }        // half: 0 = top, 1 = bottom
+ *   sets    { set: 2, game: 5, point: 3 }
+ *   laps    { lap: 23 }
+ *
+ * Every model converts a reading to "elapsed seconds". For the clock model that
+ * is real game time. The other models count units (outs, points, laps) and give
+ * each one a nominal length (progress.unitSeconds) so the numbers sit on the same
+ * scale as the clock model. Their sports set clockStops: false and
+ * typicalClockRate: 1, so delayEstimator treats the count as advancing with real
+ * time. Two viewers who sync on the same count still get the exact difference
+ * between their streams; the nominal lengths only matter between different counts.
+ *
+ * Counts change in steps, so a reading is only precise at the moment it changes -
+ * the UI asks users to sync right when an out, point or lap is completed.
+ *
+ * A reading has at most three fields, stored in the session's game time columns
+ * in field order (see readingToSlots).
+ */
+
+const timeUtils = require('./timeUtils');
+const { getSportConfig, getTotalPeriods, DEFAULT_SPORT } = require('./sportConfig');
+
+/**
+ * Ordinal suffix for a number (1st, 2nd, 3rd, 4th...)
+ *
+ * @param {number} n - Positive integer
+ * @returns {string} Number with ordinal suffix
+ */
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+/**
+ * Model implementations. Each one provides:
+ * - fields(config): input fields, in storage order
+ *     [{ key, label, min, max }] or [{ key, label, options: [{ value, label }] }]
+ * - toElapsedSeconds(reading, config): progress scalar for a valid reading
+ * - fromElapsedSeconds(elapsedSeconds, config): reading at a progress scalar
+ * - format(reading, config): display string ("Bot 7th, 2 outs")
+ * - isStoppedReading(reading, config): whether the reading can't pin a reference point
+ * - validate(reading, config) (optional): extra checks beyond field ranges
+ */
+const MODELS = {
+  clock: {
+    fields(config) {
+      return [
+        { key: 'period', label: config.periodLabel, min: 1, max: getTotalPeriods(config) },
+        { key: 'minutes', label: 'Min', min: 0, max: null },
+        { key: 'seconds', label: 'Sec', min: 0, max: 59 },
+      ];
+    },
+    validate({ period, minutes, seconds }, config) {
+      return timeUtils.validateGameTime(period, minutes, seconds, config.id);
+    },
+    toElapsedSeconds({ period, minutes, seconds }, config) {
+      return timeUtils.gameTimeToElapsedSeconds(period, minutes, seconds, config.id);
+    },
+    fromElapsedSeconds(elapsedSeconds, config) {
+      const { period, minutes, seconds } = timeUtils.elapsedSecondsToGameTime(elapsedSeconds, config.id);
+      return { period, minutes, seconds };
+    },
+    format({ period, minutes, seconds }, config) {
+      return timeUtils.formatGameTime(period, minutes, seconds, config.id);
+    },
+    isStoppedReading({ period, minutes, seconds }, config) {
+      return timeUtils.isClockStoppedReading(period, minutes, seconds, config.id);
+    },
+  },
+
+  innings: {
+    fields(config) {
+      const { innings, extraInnings = 0, outsPerHalf = 3 } = config.progress;
+      return [
+        { key: 'inning', label: 'Inning', min: 1, max: innings + extraInnings },
+        { key: 'half', label: 'Half', options: [{ value: 0, label: 'Top' }, { value: 1, label: 'Bottom' }] },
+        { key: 'outs', label: 'Outs', min: 0, max: outsPerHalf - 1 },
+      ];
+    },
+    toElapsedSeconds({ inning, half, outs }, config) {
+      const { outsPerHalf = 3, unitSeconds } = config.progress;
+      return (((inning - 1) * 2 + half) * outsPerHalf + outs) * unitSeconds;
+    },
+    fromElapsedSeconds(elapsedSeconds, config) {
+      const { outsPerHalf = 3, unitSeconds } = config.progress;
+      const totalOuts = Math.floor(elapsedSeconds / unitSeconds);
+      const halfInnings = Math.floor(totalOuts / outsPerHalf);
+      return {
+        inning: Math.floor(halfInnings / 2) + 1,
+        half: halfInnings % 2,
+        outs: totalOuts % outsPerHalf,
+      };
+    },
+    format({ inning, half, outs }) {
+      return `${half === 0 ? 'Top' : 'Bot'} ${ordinal(inning)}, ${outs} ${outs === 1 ? 'out' : 'outs'}`;
+    },
+    isStoppedReading() {
+      return false;
+    },
+  },
+
+  sets: {
+    fields(config) {
+      const { sets, maxGamesPerSet, maxPoints } = config.progress;
+      const fields = [{ key: 'set', label: 'Set', min: 1, max: sets }];
+      if (maxGamesPerSet) {
+        fields.push({ key: 'game', label: 'Games played', min: 0, max: maxGamesPerSet - 1 });
+      }
+      fields.push({ key: 'point', label: 'Points played', min: 0, max: maxPoints });
+      return fields;
+    },
+    toElapsedSeconds({ set, game = 0, point }, config) {
+      const { maxGamesPerSet, maxPoints, unitSeconds } = config.progress;
+      const gamesPerSet = maxGamesPerSet || 1;
+      const pointsPerGame = maxPoints + 1;
+      return (((set - 1) * gamesPerSet + game) * pointsPerGame + point) * unitSeconds;
+    },
+    fromElapsedSeconds(elapsedSeconds, config) {
+      const { maxGamesPerSet, maxPoints, unitSeconds } = config.progress;
+      const gamesPerSet = maxGamesPerSet || 1;
+      const pointsPerGame = maxPoints + 1;
+      const totalPoints = Math.floor(elapsedSeconds / unitSeconds);
+      const totalGames = Math.floor(totalPoints / pointsPerGame);
+      const reading = { set: Math.floor(totalGames / gamesPerSet) + 1 };
+      if (maxGamesPerSet) reading.game = totalGames % gamesPerSet;
+      reading.point = totalPoints % pointsPerGame;
+      return reading;
+    },
+    format({ set, game, point }, config) {
+      const parts = [`Set ${set}`];
+      if (config.progress.maxGamesPerSet) parts.push(`Game ${game + 1}`);
+      parts.push(`${point} ${point === 1 ? 'point' : 'points'}`);
+      return parts.join(', ');
+    },
+    isStoppedReading() {
+      return false;
+    },
+  },
+
+  laps: {
+    fields(config) {
+      return [{ key: 'lap', label: 'Lap', min: 1, max: config.progress.laps }];
+    },
+    toElapsedSeconds({ lap }, config) {
+      return (lap - 1) * config.progress.unitSeconds;
+    },
+    fromElapsedSeconds(elapsedSeconds, config) {
+      return { lap: Math.min(Math.floor(elapsedSeconds / config.progress.unitSeconds) + 1, config.progress.laps) };
+    },
+    format({ lap }) {
+      return `Lap ${lap}`;
+    },
+    isStoppedReading() {
+      return false;
+    },
+  },
+};
+
+/**
+ * Get a sport's progress model implementation.
+ *
+ * @param {Object} config - Sport configuration
+ * @returns {Object} Model from MODELS
+ */
+function getModel(config) {
+  return MODELS[config.progress?.model ?? 'clock'];
+}
+
+/**
+ * Get the input fields for a sport's progress model, in storage order.
+ *
+ * @param {string} sportType - Sport identifier
+ * @returns {Array<Object>} [{ key, label, min, max }] or [{ key, label, options }]
+ */
+function getProgressFields(sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  return getModel(config).fields(config);
+}
+
+/**
+ * Pick a sport's reading out of a client payload.
+ * Clock sports also accept 'quarter' (backwards compat).
+ *
+ * @param {Object} data - Payload from the client
+ * @param {string} sportType - Sport identifier
+ * @returns {Object} Reading keyed by the model's field names
+ */
+function readReading(data, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  const reading = {};
+  for (const { key } of getModel(config).fields(config)) {
+    reading[key] = data[key];
+  }
+  if (reading.period === undefined && data.quarter !== undefined && 'period' in reading) {
+    reading.period = data.quarter;
+  }
+  return reading;
+}
+
+/**
+ * Validate a reading for a sport.
+ *
+ * @param {Object} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateReading(reading, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  const model = getModel(config);
+
+  if (!reading || typeof reading !== 'object') {
+    return { valid: false, error: 'Game progress is required' };
+  }
+
+  for (const field of model.fields(config)) {
+    const value = reading[field.key];
+    if (!Number.isInteger(value)) {
+      return { valid: false, error: `${field.label} must be a whole number` };
+    }
+    if (field.options) {
+      if (!field.options.some(option => option.value === value)) {
+        return { valid: false, error: `${field.label} must be one of: ${field.options.map(o => o.label).join(', ')}` };
+      }
+    } else if (field.max === null) {
+      // Range checked by the model's own validate()
+      if (value < field.min) return { valid: false, error: `${field.label} must be ${field.min} or greater` };
+    } else if (value < field.min || value > field.max) {
+      return { valid: false, error: `${field.label} must be ${field.min}-${field.max}` };
+    }
+  }
+
+  return model.validate ? model.validate(reading, config) : { valid: true };
+}
+
+/**
+ * Convert a valid reading to elapsed seconds (the progress scalar).
+ *
+ * @param {Object} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {number} Elapsed seconds since the start of the game
+ */
+function readingToElapsedSeconds(reading, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  return getModel(config).toElapsedSeconds(reading, config);
+}
+
+/**
+ * Convert elapsed seconds back to a reading and its display string.
+ *
+ * @param {number} elapsedSeconds - Elapsed seconds since the start of the game
+ * @param {string} sportType - Sport identifier
+ * @returns {Object} { reading, display }
+ */
+function elapsedSecondsToReading(elapsedSeconds, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  const model = getModel(config);
+  const reading = model.fromElapsedSeconds(Math.max(0, elapsedSeconds), config);
+  return { reading, display: model.format(reading, config) };
+}
+
+/**
+ * Format a reading for display ("Q3 8:42", "Bot 7th, 2 outs", "Lap 23").
+ *
+ * @param {Object} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {string} Display string
+ */
+function formatReading(reading, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  return getModel(config).format(reading, config);
+}
+
+/**
+ * A reading as sent to clients: its fields plus its display string, so clients
+ * show game times without formatting them themselves.
+ *
+ * @param {Object|null} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {Object|null} { ...reading, display }, or null without a reading
+ */
+function withDisplay(reading, sportType = DEFAULT_SPORT) {
+  return reading ? { ...reading, display: formatReading(reading, sportType) } : null;
+}
+
+/**
+ * Check whether a reading can't pin a reference point (clock stopped).
+ *
+ * @param {Object} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {boolean} True if the reading is taken on a stopped clock
+ */
+function isStoppedReading(reading, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  return getModel(config).isStoppedReading(reading, config);
+}
+
+/**
+ * Map a reading onto the session's three game time columns, in field order.
+ *
+ * @param {Object|null} reading - Reading keyed by the model's field names
+ * @param {string} sportType - Sport identifier
+ * @returns {Object|null} { period, minutes, seconds } column values
+ */
+function readingToSlots(reading, sportType = DEFAULT_SPORT) {
+  if (!reading) return null;
+  const [first, second, third] = getProgressFields(sportType).map(({ key }) => reading[key] ?? null);
+  return { period: first, minutes: second ?? null, seconds: third ?? null };
+}
+
+/**
+ * Rebuild a reading from the session's game time columns.
+ *
+ * @param {Object|null} slots - { period, minutes, seconds } column values
+ * @param {string} sportType - Sport identifier
+ * @returns {Object|null} Reading keyed by the model's field names
+ */
+function slotsToReading(slots, sportType = DEFAULT_SPORT) {
+  if (!slots || slots.period == null) return null;
+  const values = [slots.period, slots.minutes, slots.seconds];
+  const reading = {};
+  getProgressFields(sportType).forEach(({ key }, i) => {
+    reading[key] = values[i];
+  });
+  return reading;
+}
+
+module.exports = {
+  MODELS,
+  getProgressFields,
+  readReading,
+  validateReading,
+  readingToElapsedSeconds,
+  elapsedSecondsToReading,
+  formatReading,
+  withDisplay,
+  isStoppedReading,
+  readingToSlots,
+  slotsToReading,
+};
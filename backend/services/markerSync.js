@@ -0,0 +1,131 @@
+/**
+ * Marker Sync Service
+ *
+ * Second way to sync a room: by "I saw this play" events instead of the game clock.
+ *
+ * HOW IT WORKS:
+ * 1. Any member posts a marker ("Tatum three") the moment they see a play
+ * 2. Everyone else taps "I just saw it" when the play shows up on their screen
+ * 3. The gap between the post and a tap is that viewer's delay relative to the poster
+ *
+ * Markers are turned into the same sync samples the game clock produces (see
+ * delayEstimator), so roomManager's offset machinery works unchanged. The "game
+ * position" of a marker is the real time it was posted, shifted back by the
+ * poster's own delay so markers from different posters line up:
+ *
+ *   Bob (reference point 10s) posts at 12:00:10, Alice taps at 12:00:30
+ *   → position = 12:00:10 - 10s = 12:00:00
+ *   → sample { realTime: 12:00:30, elapsedSeconds: 12:00:00 / 1000 }
+ *   → Alice's reference point = 12:00:30 - 12:00:00 = 30s (20s behind Bob)
+ *
+ * In marker rooms a reference point is therefore a delay in milliseconds rather than
+ * a wall-clock time, but offsets compare them the same way.
+ * This "marker clock" advances exactly 1:1 with real time and never stops.
+ *
+ * DATA STRUCTURES:
+ *
+ * Marker: {
+ *   id: string,
+ *   label: string,          // Short description of the play
+ *   nickname: string,       // Poster's nickname
+ *   postedAt: number,       // When the poster saw the play (Date.now() format)
+ *   position: number,       // postedAt minus the poster's delay (ms on the marker clock)
+ *   seenBy: Set<string>     // Viewers (session IDs) that already tapped or posted it
+ * }
+ */
+
+const crypto = require('crypto');
+
+// How a room syncs: reading the game clock, or tapping on play markers
+const SYNC_MODES = ['clock', 'marker'];
+const DEFAULT_SYNC_MODE = 'clock';
+
+// Clock model for delayEstimator - the marker clock is real time
+const MARKER_CLOCK = {
+  clockStops: false,
+  typicalClockRate: 1
+};
+
+// Markers can be tapped for this long after being posted.
+// Nobody's stream is more than a few minutes behind.
+const MARKER_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Keep at most this many open markers per room (newest win)
+const MAX_MARKERS_PER_ROOM = 10;
+
+/**
+ * Create a marker for a play the poster just saw.
+ *
+ * @param {string} viewerKey - Poster's session ID (socket ID for sessionless users)
+ * @param {string} nickname - Poster's nickname
+ * @param {string} label - Sanitized marker label
+ * @param {number} now - Post time (Date.now() format)
+ * @param {number} posterDelayMs - Poster's reference point on the marker clock (0 if unknown)
+ * @returns {Object} The marker
+ */
+function createMarker(viewerKey, nickname, label, now = Date.now(), posterDelayMs = 0) {
+  return {
+    id: crypto.randomUUID(),
+    label,
+    nickname,
+    postedAt: now,
+    position: now - posterDelayMs,
+    seenBy: new Set([viewerKey])
+  };
+}
+
+/**
+ * Turn a marker sighting into a sync sample.
+ *
+ * @param {Object} marker - The marker
+ * @param {number} seenAt - When the user saw the play (Date.now() format)
+ * @returns {Object} Sync sample { realTime, elapsedSeconds, clockStopped }
+ */
+function markerToSample(marker, seenAt) {
+  return {
+    realTime: seenAt,
+    elapsedSeconds: marker.position / 1000,
+    clockStopped: false
+  };
+}
+
+/**
+ * Drop expired markers and cap how many are kept.
+ *
+ * @param {Array<Object>} markers - Room's markers (oldest first)
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Array<Object>} Markers that can still be tapped (oldest first)
+ */
+function pruneMarkers(markers, now = Date.now()) {
+  return markers
+    .filter(marker => now - marker.postedAt < MARKER_TTL_MS)
+    .slice(-MAX_MARKERS_PER_ROOM);
+}
+
+/**
+ * Convert a marker to the shape sent to a client.
+ *
+ * @param {Object} marker - The marker
+ * @param {string|null} viewerKey - Recipient's session ID, to flag markers they already tapped
+ * @returns {Object} { id, label, nickname, postedAt, seen }
+ */
+function toPublicMarker(marker, viewerKey = null) {
+  return {
+    id: marker.id,
+    label: marker.label,
+    nickname: marker.nickname,
+    postedAt: marker.postedAt,
+    seen: viewerKey !== null && marker.seenBy.has(viewerKey)
+  };
+}
+
+module.exports = {
+  SYNC_MODES,
+  DEFAULT_SYNC_MODE,
+  MARKER_CLOCK,
+  MARKER_TTL_MS,
+  createMarker,
+  markerToSample,
+  pruneMarkers,
+  toPublicMarker
+};
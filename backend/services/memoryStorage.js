@@ -0,0 +1,118 @@
+/**
+ * Memory Storage Adapter
+ *
+ * The storage adapter (see storage.js) for a single backend instance: every
+ * structure lives in this process. Values are copied through JSON on the way
+ * in and out, like the Redis adapter, so callers can't depend on sharing
+ * object references with the store.
+ *
+ * Publish/subscribe only reaches subscribers in this process (delivered
+ * asynchronously, like Redis).
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Create a memory storage adapter.
+ *
+ * @returns {Object} Storage adapter (see storage.js for the interface)
+ */
+function create() {
+  // key -> { value, expiresAt }  (plain values, hashes and windows share the keyspace)
+  const entries = new Map();
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  // Get a live entry, dropping it if it has expired
+  const read = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttlMs = null) => {
+    entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  };
+
+  return {
+    kind: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? copy(entry.value) : null;
+    },
+
+    async set(key, value, ttlMs = null) {
+      write(key, copy(value), ttlMs);
+    },
+
+    async setIfAbsent(key, value, ttlMs = null) {
+      if (read(key)) return false;
+      write(key, copy(value), ttlMs);
+      return true;
+    },
+
+    async del(key) {
+      entries.delete(key);
+    },
+
+    async hashSet(key, field, value) {
+      const entry = read(key);
+      const hash = entry ? entry.value : {};
+      hash[field] = copy(value);
+      entries.set(key, { value: hash, expiresAt: entry ? entry.expiresAt : null });
+    },
+
+    async hashDelete(key, field) {
+      const entry = read(key);
+      if (!entry) return;
+      delete entry.value[field];
+      if (Object.keys(entry.value).length === 0) {
+        entries.delete(key);
+      }
+    },
+
+    async hashGetAll(key) {
+      const entry = read(key);
+      return entry ? copy(entry.value) : {};
+    },
+
+    async windowEntries(key, now, windowMs) {
+      const entry = read(key, now);
+      if (!entry) return [];
+      entry.value = entry.value.filter(time => time > now - windowMs);
+      return [...entry.value];
+    },
+
+    async windowAdd(key, now, windowMs) {
+      const entry = read(key, now);
+      const times = entry ? entry.value : [];
+      times.push(now);
+      entries.set(key, { value: times, expiresAt: now + windowMs });
+    },
+
+    async publish(channel, message) {
+      const payload = JSON.stringify(message);
+      setImmediate(() => channels.emit(channel, JSON.parse(payload)));
+    },
+
+    async subscribe(channel, handler) {
+      channels.on(channel, handler);
+    },
+
+    async close() {
+      channels.removeAllListeners();
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  create
+};
@@ -0,0 +1,275 @@
+/**
+ * Message Edits Service
+ *
+ * Lets senders edit and delete their messages without the edit becoming a spoiler.
+ *
+ * WHY: an edit is typed later in the game than the message it changes. Sent to
+ * everyone at once, "what a shot" fixed to "what a shot, 3 points and the lead"
+ * would reach delayed viewers before their broadcast shows the basket.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. An edit or deletion becomes a CHANGE, stamped like a new message with when
+ *    it was made and where the sender is in the game:
+ *    { id, type: 'edit' | 'delete', messageId, version, content?, spoiler?, editedAt,
+ *      timestamp, gameElapsedSeconds }
+ *    Changes are delivered through the same queues as messages, so each
+ *    recipient gets one `offset` ms after it was made (or when their game
+ *    position reaches it) - as a `messages-changed` event.
+ *
+ * 2. A recipient who hasn't received the message yet gets only its final
+ *    version: the queued message is replaced by the edited one, released no
+ *    earlier than the edit (releaseTime / releasePosition), or dropped if it was
+ *    deleted. See messageQueue.applyChange() and positionQueue.applyChange().
+ *
+ * 3. The Message row holds the current version (editCount, editedAt, deletedAt);
+ *    each edit saves the content it replaced as a MessageEdit row, so history
+ *    pages can show every viewer the version they have reached (messageHistory).
+ *    Deleted messages stay in the database for reports but are never sent again.
+ *
+ * 4. Edits go through spoiler detection like new messages (server.js). An edit
+ *    that looks like a spoiler flags the message: spoiler: true on the change,
+ *    and on the row from then on.
+ *
+ * Versions count up from 0 (the original), so clients apply a change only if it
+ * is newer than the version they have.
+ */
+
+const prisma = require('./database');
+const messageHistory = require('./messageHistory');
+
+const CHANGE_TYPES = ['edit', 'delete'];
+
+/**
+ * Check whether a queued item is a change rather than a message.
+ *
+ * @param {Object} item - A message or change
+ * @returns {boolean}
+ */
+function isChange(item) {
+  return CHANGE_TYPES.includes(item.type);
+}
+
+/**
+ * When a message (in its current version) may be released: no earlier than
+ * its latest edit was made.
+ *
+ * @param {Object} message - A message or change
+ * @returns {number} Timestamp (Date.now() format)
+ */
+function releaseTime(message) {
+  return Math.max(message.timestamp, message.editedAt ?? message.timestamp);
+}
+
+/**
+ * Where in the game a message (in its current version) may be released: no
+ * earlier than its latest edit was made. Null when that can't be placed.
+ *
+ * @param {Object} message - A message or change
+ * @returns {number|null} Game position (elapsed seconds)
+ */
+function releasePosition(message) {
+  if (message.gameElapsedSeconds === null || message.gameElapsedSeconds === undefined) return null;
+  if (!message.editedAt) return message.gameElapsedSeconds;
+  if (message.editedGameElapsedSeconds === null || message.editedGameElapsedSeconds === undefined) return null;
+  return Math.max(message.gameElapsedSeconds, message.editedGameElapsedSeconds);
+}
+
+/**
+ * Build the change for an edit or deletion of a message.
+ *
+ * @param {string} type - 'edit' or 'delete'
+ * @param {Object} message - The message being changed ({ id, gameElapsedSeconds })
+ * @param {Object} details
+ * @param {number} details.version - The version the change makes
+ * @param {string|null} details.content - The new content (edits only)
+ * @param {boolean} details.spoiler - The edit flags the message as a spoiler (edits only)
+ * @param {number} details.now - When the change was made (Date.now() format)
+ * @param {number|null} details.gameElapsedSeconds - The sender's game position, null if unknown
+ * @returns {Object} The change
+ */
+function createChange(type, message, { version, content = null, spoiler = false, now, gameElapsedSeconds }) {
+  // Never placed before the message itself - it couldn't be released earlier anyway
+  const position = gameElapsedSeconds === null
+    ? null
+    : Math.max(gameElapsedSeconds, message.gameElapsedSeconds ?? gameElapsedSeconds);
+
+  return {
+    id: type === 'delete' ? `${message.id}-deleted` : `${message.id}-v${version}`,
+    type,
+    messageId: message.id,
+    version,
+    ...(type === 'edit' && { content }),
+    ...(type === 'edit' && spoiler && { spoiler: true }),
+    editedAt: now,
+    timestamp: now,
+    gameElapsedSeconds: position
+  };
+}
+
+/**
+ * Apply a change to a message.
+ *
+ * @param {Object} message - The message
+ * @param {Object} change - An edit or delete change
+ * @returns {Object|null} The new version, or null if the message was deleted
+ */
+function applyChange(message, change) {
+  if (change.type === 'delete') return null;
+
+  return {
+    ...message,
+    content: change.content,
+    version: change.version,
+    editedAt: change.editedAt,
+    editedGameElapsedSeconds: change.gameElapsedSeconds,
+    ...(change.spoiler && { spoiler: true })
+  };
+}
+
+/**
+ * Rebuild a recent message and its changes from the database, for a room's
+ * in-memory cache (roomManager).
+ *
+ * @param {Object} row - Prisma Message row, with edits (messageHistory.WITH_EDITS)
+ * @param {string} sportType - The room's sport type
+ * @returns {Object} { message (current version, deleted: true once deleted),
+ *   changes: Array<{ change, previous }> }
+ */
+function restoreMessage(row, sportType) {
+  const versions = messageHistory.toMessageVersions(row, sportType);
+  const changes = versions.slice(1).map((version, index) => ({
+    change: createChange('edit', versions[0], {
+      version: version.version,
+      content: version.content,
+      now: version.editedAt,
+      gameElapsedSeconds: version.editedGameElapsedSeconds
+    }),
+    previous: versions[index]
+  }));
+
+  const current = versions[versions.length - 1];
+  if (!row.deletedAt) {
+    return { message: current, changes };
+  }
+
+  // Where the sender was when they deleted it isn't kept, so it goes by time
+  changes.push({
+    change: createChange('delete', current, {
+      version: row.editCount + 1,
+      now: row.deletedAt.getTime(),
+      gameElapsedSeconds: null
+    }),
+    previous: current
+  });
+  return { message: { ...current, deleted: true }, changes };
+}
+
+/**
+ * Find a message a session sent in a room, if it hasn't been deleted.
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {string} messageId - The message ID
+ * @param {string} sessionId - The session trying to change it
+ * @returns {Promise<Object>} { success, row?, error? }
+ */
+async function findOwnMessage(dbRoomId, messageId, sessionId) {
+  const row = await prisma.message.findFirst({
+    where: { id: messageId, roomId: dbRoomId, deletedAt: null }
+  });
+
+  if (!row) {
+    return { success: false, error: 'Message not found' };
+  }
+  if (row.sessionId !== sessionId) {
+    return { success: false, error: 'You can only change your own messages' };
+  }
+  return { success: true, row };
+}
+
+/**
+ * Save an edit: the replaced content becomes a MessageEdit row.
+ *
+ * @param {Object} row - The Message row (findOwnMessage())
+ * @param {string} content - The new content (validated)
+ * @param {Object} details
+ * @param {number} details.now - When the edit was made (Date.now() format)
+ * @param {number|null} details.gameElapsedSeconds - The sender's game position, null if unknown
+ * @param {boolean} details.spoiler - The new content looks like a spoiler: flag the message
+ * @returns {Promise<Object>} { success, change?, error? }
+ */
+async function editMessage(row, content, { now, gameElapsedSeconds, spoiler = false }) {
+  if (content === row.content) {
+    return { success: false, error: 'Message is unchanged' };
+  }
+
+  const change = createChange('edit', row, {
+    version: row.editCount + 1,
+    content,
+    spoiler,
+    now,
+    gameElapsedSeconds
+  });
+
+  const saved = await prisma.$transaction(async (tx) => {
+    // Only if nobody changed it since we read it
+    const { count } = await tx.message.updateMany({
+      where: { id: row.id, editCount: row.editCount, deletedAt: null },
+      data: { content, editCount: change.version, editedAt: new Date(now), ...(spoiler && { spoiler: true }) }
+    });
+    if (count === 0) return false;
+
+    await tx.messageEdit.create({
+      data: {
+        messageId: row.id,
+        version: change.version,
+        previousContent: row.content,
+        editedAt: new Date(now),
+        gameElapsedSeconds: change.gameElapsedSeconds
+      }
+    });
+    return true;
+  });
+
+  if (!saved) {
+    return { success: false, error: 'Message was changed in the meantime. Please try again.' };
+  }
+  return { success: true, change };
+}
+
+/**
+ * Save a deletion.
+ *
+ * @param {Object} row - The Message row (findOwnMessage())
+ * @param {Object} details
+ * @param {number} details.now - When it was deleted (Date.now() format)
+ * @param {number|null} details.gameElapsedSeconds - The sender's game position, null if unknown
+ * @returns {Promise<Object>} { success, change?, error? }
+ */
+async function deleteMessage(row, { now, gameElapsedSeconds }) {
+  const { count } = await prisma.message.updateMany({
+    where: { id: row.id, deletedAt: null },
+    data: { deletedAt: new Date(now) }
+  });
+
+  if (count === 0) {
+    return { success: false, error: 'Message not found' };
+  }
+  return {
+    success: true,
+    change: createChange('delete', row, { version: row.editCount + 1, now, gameElapsedSeconds })
+  };
+}
+
+module.exports = {
+  isChange,
+  releaseTime,
+  releasePosition,
+  createChange,
+  applyChange,
+  restoreMessage,
+  findOwnMessage,
+  editMessage,
+  deleteMessage,
+  CHANGE_TYPES
+};
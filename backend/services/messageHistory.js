@@ -0,0 +1,393 @@
+/**
+ * Message History Service
+ *
+ * Pages back through a room's persisted messages and enforces each room's
+ * retention window.
+ *
+ * WHY: roomManager only keeps the last MAX_MESSAGES_PER_ROOM messages in memory,
+ * so after a busy quarter most of the chat is only in the database.
+ *
+ * SPOILER SAFETY:
+ * A page never contains anything the requester couldn't have seen yet - only
+ * messages sent at least `offset` ms ago are returned (the same rule as live
+ * delivery, where a message reaches a user `offset` ms after it was sent).
+ * In game-position rooms, only messages at or before the requester's game position.
+ *
+ * PAGING:
+ * Cursor-based on the message timestamp. A page returns messages strictly older
+ * than `before` (ms), newest first from the database, then reversed into
+ * chronological order. The oldest timestamp on the page is the next cursor.
+ *
+ * REPLAY:
+ * Messages store the sender's game position (gameElapsedSeconds), so a room can be
+ * replayed in game order for someone watching a recording (see replay.js).
+ *
+ * EDITS:
+ * Edited messages keep their earlier versions (MessageEdit, see messageEdits.js).
+ * A page shows each message as the viewer has seen it so far - an edit made
+ * after the page's cut-off hasn't reached them yet, so they get the version
+ * before it. Deleted messages disappear once the deletion has reached them.
+ *
+ * THREADS:
+ * A reply carries a quote of the message it replies to (replyTo), as the
+ * viewer has seen it. A page leaves out replies to messages that haven't
+ * reached the viewer yet - a reply never arrives before its parent.
+ *
+ * REACTIONS:
+ * A page counts only the reactions (see reactions.js) that have reached the
+ * viewer, by the same rule as edits. A replay gets them as updates, released
+ * as the viewer's game position reaches them.
+ *
+ * RETENTION:
+ * Each room keeps messages for messageRetentionHours (set when the room is created),
+ * or MESSAGE_RETENTION_HOURS when it didn't choose. Older messages are never
+ * returned and are deleted by purgeExpiredMessages().
+ */
+
+const prisma = require('./database');
+const gameProgress = require('./gameProgress');
+const reactions = require('./reactions');
+const { getSenderId } = require('./sessionManager');
+const { DEFAULT_SPORT } = require('./sportConfig');
+const logger = require('./logger');
+
+// Retention for rooms that didn't choose one
+const DEFAULT_RETENTION_HOURS = parseInt(process.env.MESSAGE_RETENTION_HOURS, 10) || 24;
+
+// Retention windows a room can choose (hours) - rooms are cleaned up after 7 days anyway
+const RETENTION_OPTIONS_HOURS = [6, 24, 72, 168];
+
+// Messages per history page (clients may ask for fewer)
+const HISTORY_PAGE_SIZE = 50;
+
+// Most items (messages and their reaction updates) queued for one replay. Kept below
+// positionQueue's per-viewer cap, so messages sent during the replay still fit behind it
+const MAX_REPLAY_ITEMS = 1500;
+
+// Loads a message's earlier versions along with it, oldest first
+const WITH_EDITS = { edits: { orderBy: { version: 'asc' } } };
+
+// Also loads the message a reply replies to (with its earlier versions), for the quote
+const WITH_REPLY_TO = { ...WITH_EDITS, replyTo: { include: WITH_EDITS } };
+
+// Loads a message's reactions along with it, oldest first
+const WITH_REACTIONS = { reactions: { orderBy: { createdAt: 'asc' } } };
+
+// Longest quote of a parent message carried by a reply
+const MAX_QUOTE_LENGTH = 140;
+
+/**
+ * Get a room's retention window in hours.
+ *
+ * @param {number|null} retentionHours - The room's messageRetentionHours
+ * @returns {number} Retention window in hours
+ */
+function getRetentionHours(retentionHours) {
+  return retentionHours || DEFAULT_RETENTION_HOURS;
+}
+
+/**
+ * Get the oldest timestamp a room still keeps.
+ *
+ * @param {number|null} retentionHours - The room's messageRetentionHours
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Date} Messages before this are expired
+ */
+function getRetentionCutoff(retentionHours, now = Date.now()) {
+  return new Date(now - getRetentionHours(retentionHours) * 60 * 60 * 1000);
+}
+
+/**
+ * Convert a Message row to the shape sent to clients (same as live messages).
+ * The sender's game position is turned back into a reading, with its display
+ * string ({ period, minutes, seconds, display: "Q3 8:42" }).
+ * Edited messages also carry their version and when (and where in the game) the
+ * latest edit was made - the edit position needs the row's edits (WITH_EDITS).
+ * Replies carry their parent's ID, and a quote of it when the row's replyTo is
+ * loaded (WITH_REPLY_TO).
+ *
+ * @param {Object} row - Prisma Message row
+ * @param {string} sportType - The room's sport type
+ * @returns {Object} { id, senderId, nickname, content, timestamp, gameElapsedSeconds, gameTime,
+ *   version?, editedAt?, editedGameElapsedSeconds?, replyToId?, replyTo?, spoiler?, emote? }
+ */
+function toChatMessage(row, sportType = DEFAULT_SPORT) {
+  const position = row.gameElapsedSeconds != null
+    ? gameProgress.elapsedSecondsToReading(row.gameElapsedSeconds, sportType)
+    : null;
+  return {
+    id: row.id,
+    senderId: row.sessionId ? getSenderId(row.sessionId) : 'unknown',
+    nickname: row.senderNickname,
+    content: row.content,
+    timestamp: row.timestamp.getTime(),
+    gameElapsedSeconds: row.gameElapsedSeconds ?? null,
+    gameTime: position && { ...position.reading, display: position.display },
+    ...(row.editCount > 0 && {
+      version: row.editCount,
+      editedAt: row.editedAt.getTime(),
+      editedGameElapsedSeconds: row.edits?.at(-1)?.gameElapsedSeconds ?? null
+    }),
+    ...(row.replyToId && {
+      replyToId: row.replyToId,
+      replyTo: row.replyTo ? toQuote(toChatMessage(row.replyTo, sportType), !!row.replyTo.deletedAt) : null
+    }),
+    ...(row.spoiler && { spoiler: true }),
+    ...(row.emote && { emote: true })
+  };
+}
+
+/**
+ * Quote a message for the replies to it. A spoiler stays flagged in quotes,
+ * and a /me action stays one.
+ *
+ * @param {Object} message - The parent message (chat message shape)
+ * @param {boolean} deleted - Whether the parent has been deleted
+ * @returns {Object} { id, senderId, nickname, content, spoiler?, emote? } or { id, nickname, deleted: true }
+ */
+function toQuote(message, deleted = false) {
+  if (deleted) {
+    return { id: message.id, nickname: message.nickname, deleted: true };
+  }
+  return {
+    id: message.id,
+    senderId: message.senderId,
+    nickname: message.nickname,
+    content: message.content.length > MAX_QUOTE_LENGTH
+      ? `${message.content.slice(0, MAX_QUOTE_LENGTH)}…`
+      : message.content,
+    ...(message.spoiler && { spoiler: true }),
+    ...(message.emote && { emote: true })
+  };
+}
+
+/**
+ * Every version of a Message row, oldest first - the original, then one per
+ * edit (the last is the same as toChatMessage()). Needs the row's edits (WITH_EDITS).
+ *
+ * @param {Object} row - Prisma Message row, with edits
+ * @param {string} sportType - The room's sport type
+ * @returns {Array<Object>} Chat messages, one per version
+ */
+function toMessageVersions(row, sportType = DEFAULT_SPORT) {
+  const edits = row.edits || [];
+  const earlier = edits.map((edit, index) => toChatMessage({
+    ...row,
+    content: edit.previousContent,
+    editCount: index,
+    editedAt: edits[index - 1]?.editedAt ?? null,
+    edits: edits.slice(0, index)
+  }, sportType));
+
+  return [...earlier, toChatMessage(row, sportType)];
+}
+
+/**
+ * The version of a Message row a viewer has seen: the one before the first
+ * edit that hasn't reached them. Null once its deletion has reached them.
+ *
+ * @param {Object} row - Prisma Message row, with edits
+ * @param {string} sportType - The room's sport type
+ * @param {Function} hasReached - (time: Date, gameElapsedSeconds: number|null) => boolean
+ * @returns {Object|null} Chat message
+ */
+function toSeenVersion(row, sportType, hasReached) {
+  if (row.deletedAt && hasReached(row.deletedAt, null)) return null;
+
+  const versions = toMessageVersions(row, sportType);
+  const unseen = (row.edits || []).findIndex(edit => !hasReached(edit.editedAt, edit.gameElapsedSeconds));
+  return unseen === -1 ? versions[versions.length - 1] : versions[unseen];
+}
+
+/**
+ * Load one page of a room's history as seen by a viewer.
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {Object} options - Page options
+ * @param {number|null} options.before - Only messages older than this (ms), null for the newest page
+ * @param {string|null} options.beforeId - With before: also messages sent in that same ms
+ *   whose ID sorts before this one (the cursor is (timestamp, id), so a burst sharing
+ *   a millisecond isn't skipped at a page boundary)
+ * @param {number} options.offset - The viewer's delay in ms (newer messages are withheld)
+ * @param {number|null} options.gamePosition - The viewer's game position in game-position rooms
+ *   (messages from further into the game are withheld), null to go by offset only
+ * @param {number|null} options.retentionHours - The room's messageRetentionHours
+ * @param {number} options.limit - Max messages to return
+ * @param {string} options.sportType - The room's sport type
+ * @param {number} options.now - Current time (Date.now() format)
+ * @returns {Promise<Object>} { messages (oldest first), hasMore, nextCursor, nextCursorId }
+ */
+async function loadHistoryPage(dbRoomId, { before = null, beforeId = null, offset = 0, gamePosition = null, retentionHours = null, limit = HISTORY_PAGE_SIZE, sportType = DEFAULT_SPORT, now = Date.now() }) {
+  // Newest message the viewer may see: anything sent in the last `offset` ms
+  // hasn't reached their screen yet
+  const sentBefore = { timestamp: { lte: new Date(now - offset) } };
+
+  // In game-position rooms, messages are visible once the viewer's game clock
+  // reaches them (messages without a position still go by offset)
+  const visible = gamePosition === null
+    ? sentBefore
+    : { OR: [{ gameElapsedSeconds: null, ...sentBefore }, { gameElapsedSeconds: { lte: gamePosition } }] };
+
+  // Older than the cursor: (timestamp, id) before (before, beforeId)
+  let olderThanCursor = {};
+  if (before !== null) {
+    olderThanCursor = beforeId === null
+      ? { timestamp: { lt: new Date(before) } }
+      : { OR: [{ timestamp: { lt: new Date(before) } }, { timestamp: new Date(before), id: { lt: beforeId } }] };
+  }
+
+  const rows = await prisma.message.findMany({
+    where: {
+      roomId: dbRoomId,
+      AND: [
+        { timestamp: { gte: getRetentionCutoff(retentionHours, now) } },
+        olderThanCursor,
+        visible
+      ]
+    },
+    include: { ...WITH_REPLY_TO, ...WITH_REACTIONS },
+    orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+    take: limit + 1  // One extra to see whether there's another page
+  });
+
+  // Edits and deletions reach the viewer like messages do
+  const hasReached = (time, gameElapsedSeconds) => (gamePosition !== null && gameElapsedSeconds !== null
+    ? gameElapsedSeconds <= gamePosition
+    : time.getTime() <= now - offset);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit).reverse();
+  const messages = [];
+  for (const row of page) {
+    const parent = row.replyTo;
+    if (parent && !hasReached(parent.timestamp, parent.gameElapsedSeconds)) continue;
+
+    const message = toSeenVersion(row, sportType, hasReached);
+    if (!message) continue;
+    if (parent) {
+      const seenParent = toSeenVersion(parent, sportType, hasReached);
+      message.replyTo = toQuote(seenParent || toChatMessage(parent, sportType), !seenParent);
+    }
+    const seenReactions = (row.reactions || []).filter(reaction => hasReached(reaction.createdAt, reaction.gameElapsedSeconds));
+    if (seenReactions.length > 0) {
+      message.reactions = reactions.tallyReactions(seenReactions);
+    }
+    messages.push(message);
+  }
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: page.length > 0 ? page[0].timestamp.getTime() : before,
+    nextCursorId: page.length > 0 ? page[0].id : beforeId
+  };
+}
+
+/**
+ * Load a room's messages in game order, for replaying the room to a late viewer.
+ * Messages without a game position (sender wasn't synced) can't be placed and are skipped,
+ * and so are deleted ones. Edited messages are replayed in their final version.
+ * Each message is followed by its reaction updates (reactions.js) that can be
+ * placed - the replay queue releases them in game order too.
+ * Messages and reaction updates share one budget (MAX_REPLAY_ITEMS); a room with
+ * more stops at the last message that fits, and comes back truncated.
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {number|null} retentionHours - The room's messageRetentionHours
+ * @param {string} sportType - The room's sport type
+ * @returns {Promise<Object>} { messages, truncated } - messages (and reaction updates)
+ *   ordered by gameElapsedSeconds, truncated if later ones didn't fit
+ */
+async function loadReplayMessages(dbRoomId, retentionHours = null, sportType = DEFAULT_SPORT) {
+  const rows = await prisma.message.findMany({
+    where: {
+      roomId: dbRoomId,
+      gameElapsedSeconds: { not: null },
+      deletedAt: null,
+      timestamp: { gte: getRetentionCutoff(retentionHours) }
+    },
+    include: { ...WITH_REPLY_TO, ...WITH_REACTIONS },
+    orderBy: [{ gameElapsedSeconds: 'asc' }, { timestamp: 'asc' }],
+    // One more than fits, to tell whether there were more
+    take: MAX_REPLAY_ITEMS + 1
+  });
+
+  const messages = [];
+  for (const row of rows) {
+    const updates = reactions.restoreUpdates(row).filter(update => update.gameElapsedSeconds !== null);
+    if (messages.length + 1 + updates.length > MAX_REPLAY_ITEMS) {
+      logger.warn({ dbRoomId, itemCount: messages.length }, 'Replay truncated to fit the replay queue');
+      return { messages, truncated: true };
+    }
+    messages.push(toChatMessage(row, sportType), ...updates);
+  }
+  return { messages, truncated: false };
+}
+
+/**
+ * Load a message of a room in its current version, e.g. one being replied to
+ * that is no longer cached in memory.
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {string} messageId - The message ID
+ * @param {string} sportType - The room's sport type
+ * @returns {Promise<Object|null>} Chat message, or null if it doesn't exist or was deleted
+ */
+async function loadMessage(dbRoomId, messageId, sportType = DEFAULT_SPORT) {
+  const row = await prisma.message.findFirst({
+    where: { id: messageId, roomId: dbRoomId, deletedAt: null },
+    include: WITH_EDITS
+  });
+  return row ? toChatMessage(row, sportType) : null;
+}
+
+/**
+ * Delete messages that are older than their room's retention window.
+ * Should be called periodically (e.g., every hour)
+ *
+ * @returns {Promise<number>} Number of messages deleted
+ */
+async function purgeExpiredMessages() {
+  const now = Date.now();
+
+  // Rooms share a handful of retention values, so delete per value
+  const retentionValues = await prisma.room.findMany({
+    distinct: ['messageRetentionHours'],
+    select: { messageRetentionHours: true }
+  });
+
+  let deleted = 0;
+  for (const { messageRetentionHours } of retentionValues) {
+    const result = await prisma.message.deleteMany({
+      where: {
+        room: { messageRetentionHours },
+        timestamp: { lt: getRetentionCutoff(messageRetentionHours, now) }
+      }
+    });
+    deleted += result.count;
+  }
+
+  if (deleted > 0) {
+    logger.info({ deleted }, 'Purged expired messages');
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  getRetentionHours,
+  getRetentionCutoff,
+  toChatMessage,
+  toMessageVersions,
+  toQuote,
+  loadHistoryPage,
+  loadMessage,
+  loadReplayMessages,
+  purgeExpiredMessages,
+  DEFAULT_RETENTION_HOURS,
+  RETENTION_OPTIONS_HOURS,
+  HISTORY_PAGE_SIZE,
+  WITH_EDITS,
+  WITH_REPLY_TO,
+  WITH_REACTIONS
+};
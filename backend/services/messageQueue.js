@@ -10,10 +10,17 @@
  * 1. When a message is sent, we calculate a delivery time for each recipient:
  *    deliverAt = now + recipientOffset
  *
- * 2. Messages are stored in per-user queues with their delivery timestamp.
+ * 2. Every queued delivery goes into one min-heap ordered by deliverAt
+ *    (ties keep send order).
  *
- * 3. A background interval (100ms) checks all queues and delivers any
- *    messages whose deliverAt time has passed.
+ * 3. A single timer sleeps until the earliest deliverAt, then delivers
+ *    everything that is due and sleeps again. Nothing runs while nothing is
+ *    due, however many messages are queued.
+ *
+ * 4. Messages that come due for a socket in the same wake-up are coalesced
+ *    into one `new-messages` event ({ messages }, oldest first), so a burst
+ *    after a big play is one socket write and one re-render. A lone message
+ *    is still sent as `new-message`.
  *
  * EXAMPLE:
  *   - User A is "live" (offset = 0)
@@ -25,32 +32,106 @@
  *
  *   User B won't see the message until 30 seconds later!
  *
+ * DURABILITY:
+ * Sockets come and go (a phone switching from Wi-Fi to LTE gets a new socket),
+ * so every queued message is also written to the database keyed by the
+ * recipient's SESSION (PendingDelivery) and removed once delivered. When the
+ * session reconnects - on a new socket, or after a server restart -
+ * restoreUserQueue() picks up what is still owed, in deliverAt order.
+ *
+ * PAUSE / RESUME:
+ * When a user pauses their stream, their queue is frozen - nothing is delivered
+ * and new messages still queue up. On resume, every pending deliverAt moves
+ * later by the pause duration, so each message still lands `offset` ms of
+ * broadcast after it was sent. Deliveries still in the heap are moved lazily:
+ * each remembers the queue's total shift when it was scheduled, and is pushed
+ * back in when it surfaces with an older one.
+ *
+ * EDITS:
+ * Edits and deletions (see messageEdits.js) are queued like messages and go
+ * out as `messages-changed` ({ changes }). If the message itself is still
+ * queued for a user, applyChange() replaces it with its final version instead
+ * (or drops it, once deleted) - they never see the version it replaced.
+ *
+ * REACTIONS:
+ * Reaction updates (see reactions.js) are queued like messages too, so counts
+ * grow on each user's own delay, and go out as `reactions-changed` ({ reactions }).
+ * Like an edit, an update waits for its message if that is still queued.
+ *
+ * REPLIES:
+ * A reply is never delivered before its parent. If the parent (or an edit of
+ * it) is still queued for the recipient - here or in another queue that
+ * registered with addPendingSource() - the reply waits in waitingReplies and
+ * goes out right after it. Waiting replies stay saved until they go out.
+ *
+ * Removing a user's deliveries (disconnect, replay) only marks them cancelled;
+ * they are skipped when they surface, and the heap is rebuilt once more than
+ * half of it is cancelled.
+ *
  * DATA STRUCTURES:
  *
- * messageQueues: Map<socketId, Array<QueuedMessage>>
- * QueuedMessage: {
- *   message: { id, senderId, nickname, content, timestamp },
- *   deliverAt: number (timestamp when to deliver)
+ * deliveryHeap: Array<Delivery>  // Min-heap on (deliverAt, seq)
+ * Delivery: {
+ *   socketId: string,
+ *   message: { id, senderId, nickname, content, timestamp, ... },
+ *   deliverAt: number,   // Timestamp when to deliver
+ *   seq: number,         // Queue order, breaks deliverAt ties
+ *   shift: number,       // The user's shiftMs when deliverAt was last set
+ *   cancelled: boolean
+ * }
+ * userQueues: Map<socketId, UserQueue>
+ * UserQueue: {
+ *   deliveries: Set<Delivery>,  // Not yet delivered, in queue order
+ *   pausedAt: number | null,    // When the user paused (null while playing)
+ *   held: Array<Delivery>,      // Came due while paused
+ *   shiftMs: number             // Total time deliveries were pushed back by pauses
  * }
+ * sessionIds: Map<socketId, sessionId>  // Whose queue is persisted (see bindSession)
+ * waitingReplies: Map<socketId, Array<Message>>  // Due, but their parent hasn't gone out yet
  */
 
+const prisma = require('./database');
+const messageEdits = require('./messageEdits');
+const reactions = require('./reactions');
 const logger = require('./logger');
 
-// Store queued messages per user (socketId -> array of queued messages)
-const messageQueues = new Map();
+// Every pending delivery, earliest first
+const deliveryHeap = [];
+
+// Per-user bookkeeping (socketId -> UserQueue)
+const userQueues = new Map();
+
+// Sessions behind each socket, for persisting their queues (socketId -> sessionId)
+const sessionIds = new Map();
+
+// Replies due before their parent, per recipient (socketId -> messages, in order)
+const waitingReplies = new Map();
+
+// Other queues messages can be pending in (see addPendingSource)
+const pendingSources = [];
 
 // Reference to Socket.IO server (set via initialize)
 let ioServer = null;
 
-// Interval ID for the queue processor
-let processorIntervalId = null;
+// Whether the scheduler may set timers (between initialize and stopProcessor)
+let schedulerRunning = false;
 
-// How often to check queues (in milliseconds)
-const PROCESSOR_INTERVAL_MS = 100;
+// The pending wake-up, and the deliverAt it is set for
+let timerId = null;
+let timerAt = null;
+
+// Tie-breaker so equal deliverAt times keep queue order
+let nextSeq = 0;
+
+// Cancelled deliveries still sitting in the heap
+let cancelledCount = 0;
 
 // Maximum messages to queue per user (prevents memory issues)
 const MAX_QUEUE_SIZE_PER_USER = 100;
 
+// setTimeout can't wait longer than this (~24.8 days); we just wake up and re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
 /**
  * Initialize the message queue service with the Socket.IO server instance.
  * This must be called once when the server starts.
@@ -59,114 +140,487 @@ const MAX_QUEUE_SIZE_PER_USER = 100;
  */
 function initialize(io) {
   ioServer = io;
-  startProcessor();
-  logger.debug('[MessageQueue] Initialized with 100ms processor interval');
+  schedulerRunning = true;
+  scheduleNext();
+  logger.debug('[MessageQueue] Initialized with heap scheduler');
 }
 
 /**
- * Start the background processor that checks queues every 100ms.
- * Messages are delivered when their deliverAt time has passed.
+ * Stop the scheduler.
+ * Called when shutting down the server.
  */
-function startProcessor() {
-  if (processorIntervalId) {
-    return; // Already running
+function stopProcessor() {
+  schedulerRunning = false;
+  if (timerId) {
+    clearTimeout(timerId);
+    timerId = null;
+    timerAt = null;
+    logger.debug('[MessageQueue] Processor stopped');
   }
+}
 
-  processorIntervalId = setInterval(() => {
-    processQueues();
-  }, PROCESSOR_INTERVAL_MS);
+// ---------------------------------------------------------------------------
+// Min-heap on (deliverAt, seq)
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether delivery a comes before delivery b.
+ *
+ * @param {Object} a - A delivery
+ * @param {Object} b - Another delivery
+ * @returns {boolean}
+ */
+function isEarlier(a, b) {
+  return a.deliverAt < b.deliverAt || (a.deliverAt === b.deliverAt && a.seq < b.seq);
 }
 
 /**
- * Stop the background processor.
- * Called when shutting down the server.
+ * Add a delivery to the heap.
+ *
+ * @param {Object} delivery - The delivery
  */
-function stopProcessor() {
-  if (processorIntervalId) {
-    clearInterval(processorIntervalId);
-    processorIntervalId = null;
-    logger.debug('[MessageQueue] Processor stopped');
+function heapPush(delivery) {
+  deliveryHeap.push(delivery);
+  let index = deliveryHeap.length - 1;
+  while (index > 0) {
+    const parent = (index - 1) >> 1;
+    if (!isEarlier(deliveryHeap[index], deliveryHeap[parent])) break;
+    [deliveryHeap[index], deliveryHeap[parent]] = [deliveryHeap[parent], deliveryHeap[index]];
+    index = parent;
+  }
+}
+
+/**
+ * Move the delivery at index down until both children come after it.
+ *
+ * @param {number} index - Heap index
+ */
+function siftDown(index) {
+  const length = deliveryHeap.length;
+  for (;;) {
+    const left = 2 * index + 1;
+    const right = left + 1;
+    let earliest = index;
+    if (left < length && isEarlier(deliveryHeap[left], deliveryHeap[earliest])) earliest = left;
+    if (right < length && isEarlier(deliveryHeap[right], deliveryHeap[earliest])) earliest = right;
+    if (earliest === index) return;
+    [deliveryHeap[index], deliveryHeap[earliest]] = [deliveryHeap[earliest], deliveryHeap[index]];
+    index = earliest;
+  }
+}
+
+/**
+ * Remove and return the earliest delivery.
+ *
+ * @returns {Object} The delivery
+ */
+function heapPop() {
+  const top = deliveryHeap[0];
+  const last = deliveryHeap.pop();
+  if (deliveryHeap.length > 0) {
+    deliveryHeap[0] = last;
+    siftDown(0);
   }
+  return top;
 }
 
 /**
- * Process all queues and deliver ready messages.
- * This runs every 100ms.
+ * Drop cancelled deliveries and restore the heap order in one pass.
  */
-function processQueues() {
-  const now = Date.now();
+function compactHeap() {
+  let kept = 0;
+  for (const delivery of deliveryHeap) {
+    if (!delivery.cancelled) deliveryHeap[kept++] = delivery;
+  }
+  deliveryHeap.length = kept;
+  for (let index = (kept >> 1) - 1; index >= 0; index--) {
+    siftDown(index);
+  }
+  cancelledCount = 0;
+}
 
-  for (const [socketId, queue] of messageQueues) {
-    // Find all messages ready to deliver
-    const readyMessages = [];
-    const remainingMessages = [];
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
 
-    for (const queuedMessage of queue) {
-      if (queuedMessage.deliverAt <= now) {
-        readyMessages.push(queuedMessage);
-      } else {
-        remainingMessages.push(queuedMessage);
-      }
+/**
+ * Make sure a timer is set for the earliest pending delivery.
+ */
+function scheduleNext() {
+  if (!schedulerRunning) return;
+
+  if (deliveryHeap.length === 0) {
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+      timerAt = null;
     }
+    return;
+  }
+
+  const next = deliveryHeap[0].deliverAt;
+  if (timerId && timerAt <= next) {
+    return; // Already waking up in time
+  }
+
+  if (timerId) clearTimeout(timerId);
+  timerAt = next;
+  timerId = setTimeout(() => {
+    timerId = null;
+    timerAt = null;
+    processQueues();
+    scheduleNext();
+  }, Math.min(Math.max(0, next - Date.now()), MAX_TIMER_MS));
+}
 
-    // Deliver ready messages
-    for (const queuedMessage of readyMessages) {
-      deliverMessage(socketId, queuedMessage.message);
+/**
+ * Deliver every message that is due, grouped per socket.
+ * Runs when the scheduler wakes up.
+ *
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {number} Number of messages delivered
+ */
+function processQueues(now = Date.now()) {
+  const batches = new Map(); // socketId -> messages, in delivery order
+
+  while (deliveryHeap.length > 0 && deliveryHeap[0].deliverAt <= now) {
+    const delivery = heapPop();
+    if (delivery.cancelled) {
+      cancelledCount--;
+      continue;
     }
 
-    // Update queue with remaining messages
-    if (remainingMessages.length > 0) {
-      messageQueues.set(socketId, remainingMessages);
-    } else {
-      messageQueues.delete(socketId);
+    const queue = userQueues.get(delivery.socketId);
+
+    // Pushed back by a pause since it was scheduled - reschedule
+    if (delivery.shift !== queue.shiftMs) {
+      delivery.deliverAt += queue.shiftMs - delivery.shift;
+      delivery.shift = queue.shiftMs;
+      heapPush(delivery);
+      continue;
+    }
+
+    // Paused users' queues are frozen until they resume
+    if (queue.pausedAt !== null) {
+      queue.held.push(delivery);
+      continue;
+    }
+
+    queue.deliveries.delete(delivery);
+    if (!batches.has(delivery.socketId)) {
+      batches.set(delivery.socketId, []);
     }
+    batches.get(delivery.socketId).push(delivery.message);
+  }
+
+  let delivered = 0;
+  for (const [socketId, messages] of batches) {
+    const sent = deliverMessages(socketId, messages);
+    // No longer owed (replies still waiting for their parent stay saved)
+    forgetDeliveries(socketId, sent.map(message => message.id));
+    releaseQueueIfEmpty(socketId);
+    delivered += sent.length;
   }
+
+  return delivered;
 }
 
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+
 /**
- * Deliver a message to a specific user via Socket.IO.
+ * Deliver messages to a specific user via Socket.IO, in order.
+ * Several messages go out as one new-messages batch; edits and deletions
+ * among them go out as messages-changed, and reaction updates as
+ * reactions-changed, after the messages.
+ * Replies whose parent hasn't gone out yet wait for it (see REPLIES), and
+ * replies that were waiting go out once their parent has.
  *
  * @param {string} socketId - The recipient's socket ID
- * @param {Object} message - The message to deliver
+ * @param {Array<Object>} items - The messages, changes and reaction updates to deliver (oldest first)
+ * @returns {Array<Object>} The items that went out (including replies that were waiting)
  */
-function deliverMessage(socketId, message) {
+function deliverMessages(socketId, items) {
   if (!ioServer) {
     logger.error('[MessageQueue] Cannot deliver: Socket.IO not initialized');
-    return;
+    return [];
   }
 
+  const wasWaiting = waitingReplies.get(socketId) || [];
+  const { ready, waiting } = takeReady(socketId, [...wasWaiting, ...items]);
+  if (waiting.length > 0) {
+    waitingReplies.set(socketId, waiting);
+  } else {
+    waitingReplies.delete(socketId);
+  }
+
+  const messages = ready.filter(item => !messageEdits.isChange(item) && !reactions.isReaction(item));
+  const changes = ready.filter(item => messageEdits.isChange(item));
+  const updates = ready.filter(item => reactions.isReaction(item));
+
   // Emit to the specific socket
-  ioServer.to(socketId).emit('new-message', message);
+  if (messages.length === 1) {
+    ioServer.to(socketId).emit('new-message', messages[0]);
+  } else if (messages.length > 1) {
+    ioServer.to(socketId).emit('new-messages', { messages });
+  }
+  if (changes.length > 0) {
+    ioServer.to(socketId).emit('messages-changed', { changes });
+  }
+  if (updates.length > 0) {
+    ioServer.to(socketId).emit('reactions-changed', { reactions: updates });
+  }
+
+  // Waiting replies were saved when they were queued
+  const released = wasWaiting.filter(item => ready.includes(item));
+  if (released.length > 0) {
+    forgetDeliveries(socketId, released.map(item => item.id));
+  }
+
+  return ready;
 }
 
 /**
- * Queue a message for a specific user.
+ * Split items into those that can go out now and those waiting for an item
+ * that hasn't gone out yet, keeping their order (a parent comes before its replies).
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Array<Object>} items - Messages and changes, oldest first
+ * @returns {Object} { ready, waiting } - Arrays of items
+ */
+function takeReady(socketId, items) {
+  const ready = [];
+  let waiting = items;
+  for (let progress = true; progress && waiting.length > 0;) {
+    progress = false;
+    const stillWaiting = [];
+    for (const item of waiting) {
+      if (isWaiting(socketId, item, waiting)) {
+        stillWaiting.push(item);
+      } else {
+        ready.push(item);
+        progress = true;
+      }
+    }
+    waiting = stillWaiting;
+  }
+  return { ready, waiting };
+}
+
+/**
+ * Check whether an item has to wait: a reply for its parent (and any edit of
+ * it) to go out first, a change or reaction update for its message.
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Object} item - A message or change
+ * @param {Array<Object>} others - Items going out with it, or waiting
+ * @returns {boolean}
+ */
+function isWaiting(socketId, item, others) {
+  const isReply = !messageEdits.isChange(item) && !reactions.isReaction(item);
+  const awaitedId = isReply ? item.replyToId : item.messageId;
+  if (!awaitedId) return false;
+
+  const isAwaited = (other) => other.id === awaitedId || (isReply && other.messageId === awaitedId);
+  return others.some(other => other !== item && isAwaited(other)) || isPending(socketId, isAwaited);
+}
+
+/**
+ * Check whether a message matching a test is still queued for a user, in this
+ * queue or any registered pending source.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @param {Function} test - (message) => boolean
+ * @returns {boolean}
+ */
+function isPending(socketId, test) {
+  const queue = userQueues.get(socketId);
+  if (queue) {
+    for (const delivery of queue.deliveries) {
+      if (test(delivery.message)) return true;
+    }
+  }
+  return pendingSources.some(isQueued => isQueued(socketId, test));
+}
+
+/**
+ * Hold back replies among messages about to reach a user some other way (with
+ * the room state on reconnect) while their parent is still queued for them.
+ * They go out right after it.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @param {Array<Object>} items - Messages and changes, oldest first
+ * @returns {Array<Object>} The items that may be sent now
+ */
+function holdReplies(socketId, items) {
+  const { ready, waiting } = takeReady(socketId, items);
+  if (waiting.length > 0) {
+    waitingReplies.set(socketId, [...(waitingReplies.get(socketId) || []), ...waiting]);
+  }
+  return ready;
+}
+
+/**
+ * Register another queue messages can be pending in, so replies wait for
+ * parents queued there too (positionQueue).
+ *
+ * @param {Function} isQueued - (socketId, test) => boolean, whether a message
+ *   matching test is queued for the user
+ */
+function addPendingSource(isQueued) {
+  pendingSources.push(isQueued);
+}
+
+/**
+ * Save a queued message for the socket's session (async, non-blocking).
  *
  * @param {string} socketId - The recipient's socket ID
  * @param {Object} message - The message object
  * @param {number} deliverAt - Timestamp when to deliver (Date.now() format)
  */
-function queueMessage(socketId, message, deliverAt) {
-  if (!messageQueues.has(socketId)) {
-    messageQueues.set(socketId, []);
+function persistDelivery(socketId, message, deliverAt) {
+  const sessionId = sessionIds.get(socketId);
+  if (!sessionId) return;
+
+  prisma.pendingDelivery.createMany({
+    data: [{ sessionId, messageId: message.id, message, deliverAt: new Date(deliverAt) }],
+    skipDuplicates: true
+  }).catch(err => {
+    logger.error({ err, sessionId }, 'Failed to persist pending delivery');
+  });
+}
+
+/**
+ * Remove delivered (or dropped) messages from the socket's saved queue (async, non-blocking).
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Array<string>} messageIds - IDs of the messages that are no longer owed
+ */
+function forgetDeliveries(socketId, messageIds) {
+  const sessionId = sessionIds.get(socketId);
+  if (!sessionId) return;
+
+  prisma.pendingDelivery.deleteMany({
+    where: { sessionId, messageId: { in: messageIds } }
+  }).catch(err => {
+    logger.error({ err, sessionId }, 'Failed to clear pending deliveries');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Per-user queues
+// ---------------------------------------------------------------------------
+
+/**
+ * Get a user's queue, creating an empty one if needed.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @returns {Object} The user's queue
+ */
+function getOrCreateQueue(socketId) {
+  if (!userQueues.has(socketId)) {
+    userQueues.set(socketId, { deliveries: new Set(), pausedAt: null, held: [], shiftMs: 0 });
+  }
+  return userQueues.get(socketId);
+}
+
+/**
+ * Forget a user's queue once nothing is pending and they aren't paused.
+ *
+ * @param {string} socketId - The user's socket ID
+ */
+function releaseQueueIfEmpty(socketId) {
+  const queue = userQueues.get(socketId);
+  if (queue && queue.deliveries.size === 0 && queue.pausedAt === null) {
+    userQueues.delete(socketId);
+  }
+}
+
+/**
+ * Mark a delivery cancelled (if it's in the heap, it stays there until it
+ * surfaces or a compaction).
+ *
+ * @param {Object} queue - The user's queue
+ * @param {Object} delivery - The delivery to cancel
+ */
+function cancelDelivery(queue, delivery) {
+  delivery.cancelled = true;
+  queue.deliveries.delete(delivery);
+
+  const heldIndex = queue.held.indexOf(delivery);
+  if (heldIndex !== -1) {
+    queue.held.splice(heldIndex, 1);
+  } else {
+    cancelledCount++;
+  }
+}
+
+/**
+ * Cancel everything a user has queued (replies waiting for their parent too)
+ * and forget their queue.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @returns {number} Number of messages that were cancelled
+ */
+function dropQueue(socketId) {
+  waitingReplies.delete(socketId);
+  const queue = userQueues.get(socketId);
+  if (!queue) return 0;
+
+  const count = queue.deliveries.size;
+  for (const delivery of queue.deliveries) {
+    cancelDelivery(queue, delivery);
+  }
+  userQueues.delete(socketId);
+
+  if (cancelledCount > deliveryHeap.length / 2) {
+    compactHeap();
   }
+  return count;
+}
 
-  const queue = messageQueues.get(socketId);
+/**
+ * Add a delivery to the heap (without saving it).
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Object} message - The message object
+ * @param {number} deliverAt - Timestamp when to deliver (Date.now() format)
+ */
+function enqueue(socketId, message, deliverAt) {
+  const queue = getOrCreateQueue(socketId);
 
   // Enforce max queue size to prevent memory issues
-  if (queue.length >= MAX_QUEUE_SIZE_PER_USER) {
-    logger.warn({ socketId, queueSize: queue.length }, 'Message queue full, dropping oldest message');
-    queue.shift(); // Remove oldest
+  if (queue.deliveries.size >= MAX_QUEUE_SIZE_PER_USER) {
+    logger.warn({ socketId, queueSize: queue.deliveries.size }, 'Message queue full, dropping oldest message');
+    const oldest = queue.deliveries.values().next().value;
+    cancelDelivery(queue, oldest);
+    forgetDeliveries(socketId, [oldest.message.id]);
   }
 
-  // Add new message to queue
-  queue.push({
+  const delivery = {
+    socketId,
     message,
-    deliverAt
-  });
+    deliverAt,
+    seq: nextSeq++,
+    shift: queue.shiftMs,
+    cancelled: false
+  };
+  queue.deliveries.add(delivery);
+  heapPush(delivery);
+}
 
-  // Keep queue sorted by deliverAt (oldest first) for efficient processing
-  queue.sort((a, b) => a.deliverAt - b.deliverAt);
+/**
+ * Queue a message for a specific user.
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Object} message - The message object
+ * @param {number} deliverAt - Timestamp when to deliver (Date.now() format)
+ */
+function queueMessage(socketId, message, deliverAt) {
+  enqueue(socketId, message, deliverAt);
+  persistDelivery(socketId, message, deliverAt);
+  scheduleNext();
 }
 
 /**
@@ -177,20 +631,203 @@ function queueMessage(socketId, message, deliverAt) {
  * @param {Object} message - The message object
  */
 function deliverImmediately(socketId, message) {
-  deliverMessage(socketId, message);
+  deliverMessages(socketId, [message]);
 }
 
 /**
- * Remove all queued messages for a user.
+ * Apply an edit or deletion to a message still queued for a user, so they
+ * only ever receive its final version. The edited message is pushed back by
+ * as long as the edit came after its current version - it still lands
+ * `offset` ms after the edit was made. A deleted message is dropped.
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Object} change - The change (messageEdits.createChange())
+ * @returns {boolean} Whether the message was queued (false: deliver the change instead)
+ */
+function applyChange(socketId, change) {
+  const queue = userQueues.get(socketId);
+  if (!queue) return false;
+
+  let queued = null;
+  for (const delivery of queue.deliveries) {
+    if (delivery.message.id === change.messageId) {
+      queued = delivery;
+      break;
+    }
+  }
+  if (!queued) return false;
+
+  cancelDelivery(queue, queued);
+  const message = messageEdits.applyChange(queued.message, change);
+  if (!message) {
+    forgetDeliveries(socketId, [change.messageId]);
+    releaseQueueIfEmpty(socketId);
+    // Replies waiting for it no longer have to
+    deliverMessages(socketId, []);
+    return true;
+  }
+
+  const deliverAt = queued.deliverAt + (queue.shiftMs - queued.shift)
+    + Math.max(0, change.timestamp - messageEdits.releaseTime(queued.message));
+  enqueue(socketId, message, deliverAt);
+  scheduleNext();
+
+  const sessionId = sessionIds.get(socketId);
+  if (sessionId) {
+    prisma.pendingDelivery.updateMany({
+      where: { sessionId, messageId: message.id },
+      data: { message, deliverAt: new Date(deliverAt) }
+    }).catch(err => {
+      logger.error({ err, sessionId }, 'Failed to update pending delivery');
+    });
+  }
+  return true;
+}
+
+/**
+ * Freeze a user's queue while their stream is paused.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - When they paused (Date.now() format)
+ */
+function pauseUser(socketId, now = Date.now()) {
+  const queue = getOrCreateQueue(socketId);
+  if (queue.pausedAt === null) {
+    queue.pausedAt = now;
+  }
+}
+
+/**
+ * Unfreeze a user's queue, moving every pending delivery later by the pause duration.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - When they resumed (Date.now() format)
+ * @returns {number} How long the queue was frozen (ms), 0 if it wasn't
+ */
+function resumeUser(socketId, now = Date.now()) {
+  const queue = userQueues.get(socketId);
+  if (!queue || queue.pausedAt === null) return 0;
+
+  const pausedMs = Math.max(0, now - queue.pausedAt);
+  queue.pausedAt = null;
+  queue.shiftMs += pausedMs;
+
+  // Deliveries that came due during the pause go back in, pushed back too;
+  // the ones still in the heap catch up when they surface
+  for (const delivery of queue.held) {
+    delivery.deliverAt += queue.shiftMs - delivery.shift;
+    delivery.shift = queue.shiftMs;
+    heapPush(delivery);
+  }
+  queue.held = [];
+
+  const sessionId = sessionIds.get(socketId);
+  if (sessionId && pausedMs > 0 && queue.deliveries.size > 0) {
+    prisma.$executeRaw`
+      UPDATE "PendingDelivery"
+      SET "deliverAt" = "deliverAt" + ${pausedMs} * INTERVAL '1 millisecond'
+      WHERE "sessionId" = ${sessionId}
+    `.catch(err => {
+      logger.error({ err, sessionId }, 'Failed to shift pending deliveries');
+    });
+  }
+
+  releaseQueueIfEmpty(socketId);
+  scheduleNext();
+  return pausedMs;
+}
+
+/**
+ * Check whether a user's queue is frozen.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @returns {boolean}
+ */
+function isPaused(socketId) {
+  const queue = userQueues.get(socketId);
+  return !!queue && queue.pausedAt !== null;
+}
+
+/**
+ * Persist a socket's queue under its session from now on.
+ * Called when a user joins a room.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @param {string} sessionId - The user's database session ID
+ */
+function bindSession(socketId, sessionId) {
+  sessionIds.set(socketId, sessionId);
+}
+
+/**
+ * Pick up a session's saved queue on its new socket.
+ * Messages whose time has come are returned for the caller to send with the
+ * room state; the rest are queued again for their original deliverAt.
+ *
+ * @param {string} socketId - The user's new socket ID
+ * @param {string} sessionId - The user's database session ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Promise<Object>} { due, requeued } - Arrays of messages, oldest first
+ */
+async function restoreUserQueue(socketId, sessionId, now = Date.now()) {
+  bindSession(socketId, sessionId);
+
+  const rows = await prisma.pendingDelivery.findMany({
+    where: { sessionId },
+    orderBy: { deliverAt: 'asc' }
+  });
+
+  const due = [];
+  const requeued = [];
+  for (const row of rows) {
+    if (row.deliverAt.getTime() <= now) {
+      due.push(row.message);
+    } else {
+      // Already saved - queue in memory only
+      enqueue(socketId, row.message, row.deliverAt.getTime());
+      requeued.push(row.message);
+    }
+  }
+
+  if (due.length > 0) {
+    forgetDeliveries(socketId, due.map(message => message.id));
+  }
+  scheduleNext();
+
+  return { due, requeued };
+}
+
+/**
+ * Drop a socket's in-memory queue but keep what its session is still owed,
+ * for restoreUserQueue() on reconnect.
  * Called when a user disconnects.
  *
  * @param {string} socketId - The user's socket ID
+ * @returns {number} Number of messages left for the session
+ */
+function detachUser(socketId) {
+  const count = dropQueue(socketId);
+  sessionIds.delete(socketId);
+  return count;
+}
+
+/**
+ * Remove all queued messages for a user, including their session's saved queue.
+ * Called when a user switches to replay (live messages would arrive out of order).
+ *
+ * @param {string} socketId - The user's socket ID
  * @returns {number} Number of messages that were cleared
  */
 function clearUserQueue(socketId) {
-  const queue = messageQueues.get(socketId);
-  const count = queue ? queue.length : 0;
-  messageQueues.delete(socketId);
+  const count = dropQueue(socketId);
+
+  const sessionId = sessionIds.get(socketId);
+  if (sessionId) {
+    prisma.pendingDelivery.deleteMany({ where: { sessionId } }).catch(err => {
+      logger.error({ err, sessionId }, 'Failed to clear pending deliveries');
+    });
+  }
+
   return count;
 }
 
@@ -202,18 +839,23 @@ function clearUserQueue(socketId) {
  */
 function getStats() {
   let totalQueued = 0;
+  let pausedUsers = 0;
   const userCounts = [];
 
-  for (const [socketId, queue] of messageQueues) {
-    totalQueued += queue.length;
-    userCounts.push({ socketId, count: queue.length });
+  for (const [socketId, queue] of userQueues) {
+    totalQueued += queue.deliveries.size;
+    if (queue.pausedAt !== null) pausedUsers++;
+    userCounts.push({ socketId, count: queue.deliveries.size });
   }
 
   return {
-    usersWithQueues: messageQueues.size,
+    usersWithQueues: userQueues.size,
+    pausedUsers,
     totalQueuedMessages: totalQueued,
     userCounts,
-    processorRunning: processorIntervalId !== null
+    heapSize: deliveryHeap.length,
+    nextDeliveryAt: timerAt,
+    processorRunning: schedulerRunning
   };
 }
 
@@ -224,15 +866,26 @@ function getStats() {
  * @returns {number} Number of queued messages
  */
 function getUserQueueSize(socketId) {
-  const queue = messageQueues.get(socketId);
-  return queue ? queue.length : 0;
+  const queue = userQueues.get(socketId);
+  return queue ? queue.deliveries.size : 0;
 }
 
 module.exports = {
   initialize,
   stopProcessor,
+  processQueues,
   queueMessage,
   deliverImmediately,
+  deliverMessages,
+  addPendingSource,
+  holdReplies,
+  applyChange,
+  pauseUser,
+  resumeUser,
+  isPaused,
+  bindSession,
+  restoreUserQueue,
+  detachUser,
   clearUserQueue,
   getStats,
   getUserQueueSize
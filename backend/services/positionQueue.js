@@ -0,0 +1,229 @@
+/**
+ * Position Queue Service
+ *
+ * Delivers messages by GAME POSITION instead of wall-clock offset.
+ *
+ * WHY: messageQueue releases a message at deliverAt = sent + offset. That assumes
+ * everyone's broadcast keeps running - pause your DVR for five minutes and
+ * messages keep arriving at the old pace, five minutes ahead of your screen.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. Every message carries the sender's game position when it was sent
+ *    (gameElapsedSeconds, estimated from their syncs).
+ *
+ * 2. A message is queued per recipient and released once the recipient's
+ *    estimated game position reaches it (roomManager.getUserGamePosition()).
+ *    That estimate stops moving a while after their latest sync, so a paused
+ *    viewer receives nothing new until they resume and resync.
+ *
+ * 3. A background interval (1s) checks all queues. Everything a recipient's
+ *    position passed since the last check goes out as one batch
+ *    (messageQueue.deliverMessages()).
+ *
+ * An edited message is released once the recipient reaches its latest edit too
+ * (messageEdits.releasePosition()). Edits and deletions of a message still
+ * queued here replace it (applyChange()), like in messageQueue.
+ * Reaction updates (reactions.js) are queued and released the same way.
+ *
+ * Used for rooms with the 'game-position' delivery policy, and for replays
+ * (see replay.js). Messages without a game position (sender not synced) can't
+ * be placed - the caller falls back to offset delivery.
+ *
+ * DATA STRUCTURES:
+ *
+ * positionQueues: Map<socketId, PositionQueue>
+ * PositionQueue: {
+ *   roomId: string,
+ *   messages: Array<Message>  // Sorted by release position, not yet delivered
+ * }
+ */
+
+const roomManager = require('./roomManager');
+const messageQueue = require('./messageQueue');
+const { applyChange: applyMessageChange, releasePosition } = require('./messageEdits');
+const logger = require('./logger');
+
+// Store queued messages per user (socketId -> queue)
+const positionQueues = new Map();
+
+// Interval ID for the queue processor
+let processorIntervalId = null;
+
+// How often to check queues (in milliseconds) - game positions move in whole seconds
+const PROCESSOR_INTERVAL_MS = 1000;
+
+// Maximum messages to queue per user (prevents memory issues) - replays preload a whole game
+const MAX_QUEUE_SIZE_PER_USER = 2000;
+
+// Replies in messageQueue wait for parents queued here too
+messageQueue.addPendingSource((socketId, test) => {
+  const queue = positionQueues.get(socketId);
+  return !!queue && queue.messages.some(test);
+});
+
+/**
+ * Start the background processor that releases messages.
+ */
+function startProcessor() {
+  if (processorIntervalId) {
+    return; // Already running
+  }
+
+  processorIntervalId = setInterval(() => {
+    processQueues();
+  }, PROCESSOR_INTERVAL_MS);
+}
+
+/**
+ * Stop the background processor.
+ * Called when shutting down the server.
+ */
+function stopProcessor() {
+  if (processorIntervalId) {
+    clearInterval(processorIntervalId);
+    processorIntervalId = null;
+    logger.debug('[PositionQueue] Processor stopped');
+  }
+}
+
+/**
+ * Deliver every queued message each recipient's game position has reached.
+ *
+ * @param {number} now - Current time (Date.now() format)
+ */
+function processQueues(now = Date.now()) {
+  for (const [socketId, queue] of positionQueues) {
+    const position = roomManager.getUserGamePosition(queue.roomId, socketId, now);
+    if (position === null) continue;  // Not synced yet
+
+    let delivered = 0;
+    while (delivered < queue.messages.length && releasePosition(queue.messages[delivered]) <= position) {
+      delivered++;
+    }
+
+    if (delivered > 0) {
+      messageQueue.deliverMessages(socketId, queue.messages.splice(0, delivered));
+    }
+  }
+}
+
+/**
+ * Queue a message for a recipient, to be released at the message's game position.
+ *
+ * A full queue drops whichever is furthest ahead in the game: the new message,
+ * or the last one queued. Unlike messageQueue (which drops the oldest), the front
+ * of this queue is what the viewer's screen reaches next - a replay preloads the
+ * whole game - so the end goes first. A reply always queues behind its parent,
+ * so the message dropped is never a parent with a reply still queued here.
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {string} roomId - The room identifier
+ * @param {Object} message - The message object (must have gameElapsedSeconds)
+ * @returns {boolean} Whether the message was queued (false: the queue was full)
+ */
+function queueMessage(socketId, roomId, message) {
+  if (!positionQueues.has(socketId)) {
+    positionQueues.set(socketId, { roomId, messages: [] });
+  }
+
+  const queue = positionQueues.get(socketId);
+
+  // Enforce max queue size to prevent memory issues
+  if (queue.messages.length >= MAX_QUEUE_SIZE_PER_USER) {
+    const last = queue.messages[queue.messages.length - 1];
+    if (releasePosition(message) >= releasePosition(last)) {
+      logger.warn({ socketId, queueSize: queue.messages.length, messageId: message.id }, 'Position queue full, dropping new message');
+      return false;
+    }
+    logger.warn({ socketId, queueSize: queue.messages.length, messageId: last.id }, 'Position queue full, dropping furthest-ahead message');
+    queue.messages.pop();
+  }
+
+  insertMessage(queue, message);
+  startProcessor();
+  return true;
+}
+
+/**
+ * Insert a message into a queue, keeping it sorted by release position
+ * (after equal positions, so send order holds).
+ *
+ * @param {Object} queue - The recipient's queue
+ * @param {Object} message - The message object
+ */
+function insertMessage(queue, message) {
+  const position = releasePosition(message);
+  const index = queue.messages.findIndex(queued => releasePosition(queued) > position);
+  if (index === -1) {
+    queue.messages.push(message);
+  } else {
+    queue.messages.splice(index, 0, message);
+  }
+}
+
+/**
+ * Apply an edit or deletion to a message still queued for a recipient, so
+ * they only ever receive its final version (see messageEdits.js).
+ *
+ * @param {string} socketId - The recipient's socket ID
+ * @param {Object} change - The change (messageEdits.createChange())
+ * @returns {boolean} Whether the message was queued (false: deliver the change instead)
+ */
+function applyChange(socketId, change) {
+  const queue = positionQueues.get(socketId);
+  const index = queue ? queue.messages.findIndex(queued => queued.id === change.messageId) : -1;
+  if (index === -1) return false;
+
+  // An edit made without a game position can't be placed - the recipient keeps
+  // the version they're due, and gets the edit by offset
+  if (change.type === 'edit' && change.gameElapsedSeconds === null) return false;
+
+  const [queued] = queue.messages.splice(index, 1);
+  const message = applyMessageChange(queued, change);
+  if (!message) {
+    // Replies waiting for it no longer have to
+    messageQueue.deliverMessages(socketId, []);
+    return true;
+  }
+
+  insertMessage(queue, message);
+  return true;
+}
+
+/**
+ * Remove all queued messages for a user.
+ * Called when a user disconnects.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @returns {number} Number of messages that were cleared
+ */
+function clearUserQueue(socketId) {
+  const queue = positionQueues.get(socketId);
+  const count = queue ? queue.messages.length : 0;
+  positionQueues.delete(socketId);
+  if (positionQueues.size === 0) {
+    stopProcessor();
+  }
+  return count;
+}
+
+/**
+ * Get the number of queued messages for a specific user.
+ *
+ * @param {string} socketId - The user's socket ID
+ * @returns {number} Number of queued messages
+ */
+function getUserQueueSize(socketId) {
+  const queue = positionQueues.get(socketId);
+  return queue ? queue.messages.length : 0;
+}
+
+module.exports = {
+  queueMessage,
+  applyChange,
+  clearUserQueue,
+  getUserQueueSize,
+  processQueues,
+  stopProcessor
+};
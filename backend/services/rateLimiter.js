@@ -4,80 +4,105 @@
  * Implements per-user message rate limiting using a sliding window approach.
  * Tracks message timestamps and rejects messages if the user exceeds the limit.
  *
+ * The windows live in the storage adapter (see storage.js), so join limits per
+ * IP hold across every backend instance.
+ *
  * Configuration:
  * - MAX_MESSAGES: Maximum messages allowed in the time window
  * - WINDOW_MS: Time window in milliseconds (default: 1 minute)
+ * - MAX_REACTIONS: Reactions allowed in the same window - counted on their own,
+ *   so reacting along with a big play doesn't use up the messages
  */
 
+const { getStorage } = require('./storage');
+
 // Rate limit configuration
 const MAX_MESSAGES = 10;        // 10 messages per window
 const WINDOW_MS = 60 * 1000;    // 1 minute window
 
-// Map of socketId -> array of message timestamps
-const messageTimes = new Map();
+// Reactions are quick taps, often several in a row
+const MAX_REACTIONS = 60;       // 60 reactions per window
 
 // Join room rate limiting (per IP to prevent room enumeration)
 const MAX_JOIN_ATTEMPTS = 10;   // 10 join attempts per window
 const JOIN_WINDOW_MS = 60 * 1000; // 1 minute window
-const joinAttempts = new Map(); // Map of IP -> array of attempt timestamps
+
+// Storage keys for each window
+const messageKey = (socketId) => `ratelimit:messages:${socketId}`;
+const reactionKey = (socketId) => `ratelimit:reactions:${socketId}`;
+const joinKey = (ip) => `ratelimit:joins:${ip}`;
 
 /**
- * Check if a user can send a message (and record the attempt if allowed)
- * @param {string} socketId - The user's socket ID
- * @returns {Object} { allowed: boolean, remaining: number, retryAfter?: number }
+ * Check a sliding window and record the attempt if it's allowed.
+ *
+ * @param {string} key - Storage key of the window
+ * @param {number} max - Attempts allowed in the window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed: boolean, remaining: number, retryAfter?: number }
  */
-function checkRateLimit(socketId) {
+async function checkWindow(key, max, windowMs) {
+  const storage = getStorage();
   const now = Date.now();
-  const windowStart = now - WINDOW_MS;
-
-  // Get existing timestamps for this user
-  let timestamps = messageTimes.get(socketId) || [];
 
-  // Filter out timestamps outside the current window
-  timestamps = timestamps.filter(time => time > windowStart);
+  // Timestamps still inside the window
+  const timestamps = await storage.windowEntries(key, now, windowMs);
 
-  // Check if user has exceeded the limit
-  if (timestamps.length >= MAX_MESSAGES) {
-    // Calculate when the oldest message in the window will expire
-    const oldestTimestamp = timestamps[0];
-    const retryAfter = Math.ceil((oldestTimestamp + WINDOW_MS - now) / 1000);
+  // Check if the limit has been reached
+  if (timestamps.length >= max) {
+    // Calculate when the oldest attempt in the window will expire
+    const oldestTimestamp = Math.min(...timestamps);
+    const retryAfter = Math.ceil((oldestTimestamp + windowMs - now) / 1000);
 
     return {
       allowed: false,
       remaining: 0,
-      retryAfter  // seconds until user can send again
+      retryAfter  // seconds until the next attempt is allowed
     };
   }
 
-  // Allow the message and record the timestamp
-  timestamps.push(now);
-  messageTimes.set(socketId, timestamps);
+  // Allow the attempt and record the timestamp
+  await storage.windowAdd(key, now, windowMs);
 
   return {
     allowed: true,
-    remaining: MAX_MESSAGES - timestamps.length
+    remaining: max - timestamps.length - 1
   };
 }
 
+/**
+ * Check if a user can send a message (and record the attempt if allowed)
+ * @param {string} socketId - The user's socket ID
+ * @returns {Promise<Object>} { allowed: boolean, remaining: number, retryAfter?: number }
+ */
+async function checkRateLimit(socketId) {
+  return checkWindow(messageKey(socketId), MAX_MESSAGES, WINDOW_MS);
+}
+
+/**
+ * Check if a user can react to a message (and record the attempt if allowed)
+ * @param {string} socketId - The user's socket ID
+ * @returns {Promise<Object>} { allowed: boolean, remaining: number, retryAfter?: number }
+ */
+async function checkReactionRateLimit(socketId) {
+  return checkWindow(reactionKey(socketId), MAX_REACTIONS, WINDOW_MS);
+}
+
 /**
  * Clear rate limit data for a user (on disconnect)
  * @param {string} socketId - The user's socket ID
  */
-function clearUser(socketId) {
-  messageTimes.delete(socketId);
+async function clearUser(socketId) {
+  const storage = getStorage();
+  await Promise.all([storage.del(messageKey(socketId)), storage.del(reactionKey(socketId))]);
 }
 
 /**
  * Get current rate limit status for a user (without recording a message)
  * @param {string} socketId - The user's socket ID
- * @returns {Object} { messagesUsed: number, remaining: number }
+ * @returns {Promise<Object>} { messagesUsed: number, remaining: number }
  */
-function getStatus(socketId) {
-  const now = Date.now();
-  const windowStart = now - WINDOW_MS;
-
-  let timestamps = messageTimes.get(socketId) || [];
-  timestamps = timestamps.filter(time => time > windowStart);
+async function getStatus(socketId) {
+  const timestamps = await getStorage().windowEntries(messageKey(socketId), Date.now(), WINDOW_MS);
 
   return {
     messagesUsed: timestamps.length,
@@ -88,52 +113,31 @@ function getStatus(socketId) {
 /**
  * Check if an IP can attempt to join a room (prevents room code enumeration)
  * @param {string} ip - The client's IP address
- * @returns {Object} { allowed: boolean, retryAfter?: number }
+ * @returns {Promise<Object>} { allowed: boolean, retryAfter?: number }
  */
-function checkJoinRateLimit(ip) {
-  const now = Date.now();
-  const windowStart = now - JOIN_WINDOW_MS;
-
-  // Get existing timestamps for this IP
-  let attempts = joinAttempts.get(ip) || [];
-
-  // Filter out timestamps outside the current window
-  attempts = attempts.filter(time => time > windowStart);
-
-  // Check if IP has exceeded the limit
-  if (attempts.length >= MAX_JOIN_ATTEMPTS) {
-    const oldestAttempt = attempts[0];
-    const retryAfter = Math.ceil((oldestAttempt + JOIN_WINDOW_MS - now) / 1000);
-
-    return {
-      allowed: false,
-      retryAfter // seconds until IP can try again
-    };
-  }
-
-  // Allow the attempt and record the timestamp
-  attempts.push(now);
-  joinAttempts.set(ip, attempts);
-
-  return { allowed: true };
+async function checkJoinRateLimit(ip) {
+  const { allowed, retryAfter } = await checkWindow(joinKey(ip), MAX_JOIN_ATTEMPTS, JOIN_WINDOW_MS);
+  return allowed ? { allowed } : { allowed, retryAfter };
 }
 
 /**
  * Clear join attempt data for an IP (optional cleanup)
  * @param {string} ip - The client's IP address
  */
-function clearJoinAttempts(ip) {
-  joinAttempts.delete(ip);
+async function clearJoinAttempts(ip) {
+  await getStorage().del(joinKey(ip));
 }
 
 module.exports = {
   checkRateLimit,
+  checkReactionRateLimit,
   clearUser,
   getStatus,
   checkJoinRateLimit,
   clearJoinAttempts,
   // Export config for testing/documentation
   MAX_MESSAGES,
+  MAX_REACTIONS,
   WINDOW_MS,
   MAX_JOIN_ATTEMPTS,
   JOIN_WINDOW_MS
@@ -0,0 +1,181 @@
+/**
+ * Reactions Service
+ *
+ * Emoji reactions to messages, counted without the counts becoming a spoiler.
+ *
+ * WHY: reactions pile up the moment something happens. A message that suddenly
+ * collects twenty 😱 tells a delayed viewer a big play is coming before their
+ * broadcast shows it - so reactions must reach each viewer on their own delay,
+ * like messages.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. Reacting toggles one emoji of one session on a message (a Reaction row).
+ *    Each toggle becomes an UPDATE, stamped like a new message with when it was
+ *    made and where the reacting user is in the game, and carrying the emoji's
+ *    new count:
+ *    { id, type: 'reaction', messageId, emoji, count, timestamp, gameElapsedSeconds }
+ *
+ * 2. Updates are delivered through the same queues as messages, so each
+ *    recipient gets one `offset` ms after it was made (or when their game
+ *    position reaches it) - as a `reactions-changed` event. Counts are grown
+ *    only by what has reached them; an update never arrives before its message.
+ *
+ * 3. Updates carry the count rather than +1/-1, so getting one twice (with the
+ *    room state on reconnect, and from the saved queue) can't count it twice.
+ *
+ * Rooms keep the updates of their cached messages (roomManager), and history
+ * pages count the Reaction rows that have reached the viewer (messageHistory).
+ * A removed reaction's row is gone, so history only counts current reactions.
+ */
+
+const prisma = require('./database');
+
+// Emoji a message can be reacted to with
+const REACTION_EMOJIS = ['🔥', '😱', '👏', '😂', '😢', '👀'];
+
+/**
+ * Check whether a queued item is a reaction update.
+ *
+ * @param {Object} item - A message, change or reaction update
+ * @returns {boolean}
+ */
+function isReaction(item) {
+  return item.type === 'reaction';
+}
+
+/**
+ * Build the update for a reaction being added or removed.
+ *
+ * @param {Object} message - The message reacted to ({ id, gameElapsedSeconds })
+ * @param {Object} details
+ * @param {string} details.id - Unique ID of the update
+ * @param {string} details.emoji - The emoji
+ * @param {number} details.count - How many sessions reacted with it now
+ * @param {number} details.now - When it was added or removed (Date.now() format)
+ * @param {number|null} details.gameElapsedSeconds - The reacting user's game position, null if unknown
+ * @returns {Object} The reaction update
+ */
+function createUpdate(message, { id, emoji, count, now, gameElapsedSeconds }) {
+  // Never placed before the message itself - it couldn't be released earlier anyway
+  const position = gameElapsedSeconds === null || gameElapsedSeconds === undefined
+    ? null
+    : Math.max(gameElapsedSeconds, message.gameElapsedSeconds ?? gameElapsedSeconds);
+
+  return {
+    id,
+    type: 'reaction',
+    messageId: message.id,
+    emoji,
+    count,
+    timestamp: now,
+    gameElapsedSeconds: position
+  };
+}
+
+/**
+ * Current counts from a message's updates, oldest first.
+ *
+ * @param {Array<Object>} updates - Reaction updates
+ * @returns {Object} { [emoji]: count } - emoji nobody reacted with are left out
+ */
+function countReactions(updates) {
+  const counts = {};
+  for (const update of updates) {
+    counts[update.emoji] = update.count;
+  }
+  for (const emoji of Object.keys(counts)) {
+    if (counts[emoji] === 0) delete counts[emoji];
+  }
+  return counts;
+}
+
+/**
+ * Count Reaction rows per emoji.
+ *
+ * @param {Array<Object>} rows - Prisma Reaction rows
+ * @returns {Object} { [emoji]: count }
+ */
+function tallyReactions(rows) {
+  const counts = {};
+  for (const row of rows) {
+    counts[row.emoji] = (counts[row.emoji] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Rebuild a message's updates from its Reaction rows, oldest first, for a
+ * room's in-memory cache (roomManager) or a replay.
+ *
+ * @param {Object} row - Prisma Message row, with reactions (messageHistory.WITH_REACTIONS)
+ * @returns {Array<Object>} Reaction updates
+ */
+function restoreUpdates(row) {
+  const counts = {};
+  return (row.reactions || []).map(reaction => {
+    counts[reaction.emoji] = (counts[reaction.emoji] || 0) + 1;
+    return createUpdate(row, {
+      id: reaction.id,
+      emoji: reaction.emoji,
+      count: counts[reaction.emoji],
+      now: reaction.createdAt.getTime(),
+      gameElapsedSeconds: reaction.gameElapsedSeconds
+    });
+  });
+}
+
+/**
+ * Add a session's reaction to a message, or remove it if they already reacted
+ * with that emoji.
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {string} messageId - The message ID
+ * @param {string} sessionId - The reacting session
+ * @param {string} emoji - The emoji (validated)
+ * @param {Object} details
+ * @param {number} details.now - When they reacted (Date.now() format)
+ * @param {number|null} details.gameElapsedSeconds - The reacting user's game position, null if unknown
+ * @returns {Promise<Object>} { success, update?, reacted? (whether they now have it), error? }
+ */
+async function toggleReaction(dbRoomId, messageId, sessionId, emoji, { now, gameElapsedSeconds }) {
+  const message = await prisma.message.findFirst({
+    where: { id: messageId, roomId: dbRoomId, deletedAt: null },
+    select: { id: true, gameElapsedSeconds: true }
+  });
+  if (!message) {
+    return { success: false, error: 'Message not found' };
+  }
+
+  const existing = await prisma.reaction.findFirst({
+    where: { messageId, sessionId, emoji }
+  });
+
+  let id;
+  if (existing) {
+    await prisma.reaction.delete({ where: { id: existing.id } });
+    id = `${existing.id}-removed`;
+  } else {
+    const created = await prisma.reaction.create({
+      data: { messageId, sessionId, emoji, createdAt: new Date(now), gameElapsedSeconds }
+    });
+    id = created.id;
+  }
+
+  const count = await prisma.reaction.count({ where: { messageId, emoji } });
+  return {
+    success: true,
+    reacted: !existing,
+    update: createUpdate(message, { id, emoji, count, now, gameElapsedSeconds })
+  };
+}
+
+module.exports = {
+  isReaction,
+  createUpdate,
+  countReactions,
+  tallyReactions,
+  restoreUpdates,
+  toggleReaction,
+  REACTION_EMOJIS
+};
@@ -0,0 +1,144 @@
+/**
+ * Redis Storage Adapter
+ *
+ * The storage adapter (see storage.js) shared by every backend instance.
+ * Works with any Redis-compatible server (Redis, Valkey, KeyDB, ...) through
+ * ioredis - or with a stand-in client such as ioredis-mock for local checks.
+ *
+ * KEYS (all under KEY_PREFIX):
+ * - Plain values: JSON strings (PX expiry when a TTL is given)
+ * - Hashes: one JSON string per field
+ * - Windows: sorted sets scored by timestamp (rate limiting)
+ *
+ * Publish/subscribe uses a second connection, since a subscribed Redis
+ * connection can't run other commands.
+ */
+
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+// Namespace for every key and channel, so the app can share a Redis server
+const KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'sfc:';
+
+/**
+ * Create a Redis storage adapter.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Redis connection URL (ignored when client is given)
+ * @param {Object} options.client - An existing ioredis-compatible client (e.g. ioredis-mock)
+ * @returns {Object} Storage adapter (see storage.js for the interface)
+ */
+function create({ url = process.env.REDIS_URL, client = null } = {}) {
+  const redis = client || new Redis(url, { maxRetriesPerRequest: 3 });
+  const subscriber = redis.duplicate();
+  const handlers = new Map(); // channel -> Array<handler>
+
+  redis.on('error', err => logger.error({ err }, 'Redis storage error'));
+  subscriber.on('error', err => logger.error({ err }, 'Redis subscriber error'));
+
+  subscriber.on('message', (prefixedChannel, payload) => {
+    const channel = prefixedChannel.slice(KEY_PREFIX.length);
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (err) {
+      logger.warn({ err, channel }, 'Ignoring malformed storage message');
+      return;
+    }
+    for (const handler of handlers.get(channel) || []) {
+      handler(message);
+    }
+  });
+
+  const k = (key) => `${KEY_PREFIX}${key}`;
+  const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+  return {
+    kind: 'redis',
+
+    // The connections, for the Socket.IO Redis adapter
+    client: redis,
+    subscriber,
+
+    async get(key) {
+      return parse(await redis.get(k(key)));
+    },
+
+    async set(key, value, ttlMs = null) {
+      if (ttlMs) {
+        await redis.set(k(key), JSON.stringify(value), 'PX', ttlMs);
+      } else {
+        await redis.set(k(key), JSON.stringify(value));
+      }
+    },
+
+    async setIfAbsent(key, value, ttlMs = null) {
+      const result = ttlMs
+        ? await redis.set(k(key), JSON.stringify(value), 'PX', ttlMs, 'NX')
+        : await redis.set(k(key), JSON.stringify(value), 'NX');
+      return result === 'OK';
+    },
+
+    async del(key) {
+      await redis.del(k(key));
+    },
+
+    async hashSet(key, field, value) {
+      await redis.hset(k(key), field, JSON.stringify(value));
+    },
+
+    async hashDelete(key, field) {
+      await redis.hdel(k(key), field);
+    },
+
+    async hashGetAll(key) {
+      const raw = await redis.hgetall(k(key));
+      const hash = {};
+      for (const [field, value] of Object.entries(raw || {})) {
+        hash[field] = parse(value);
+      }
+      return hash;
+    },
+
+    async windowEntries(key, now, windowMs) {
+      await redis.zremrangebyscore(k(key), '-inf', now - windowMs);
+      const members = await redis.zrange(k(key), 0, -1, 'WITHSCORES');
+      const times = [];
+      for (let i = 1; i < members.length; i += 2) {
+        times.push(Number(members[i]));
+      }
+      return times;
+    },
+
+    async windowAdd(key, now, windowMs) {
+      // Unique member per entry, so two entries in the same millisecond both count
+      const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+      await redis.multi()
+        .zadd(k(key), now, member)
+        .pexpire(k(key), windowMs)
+        .exec();
+    },
+
+    async publish(channel, message) {
+      await redis.publish(k(channel), JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        await subscriber.subscribe(k(channel));
+      }
+      handlers.get(channel).push(handler);
+    },
+
+    async close() {
+      handlers.clear();
+      await Promise.allSettled([subscriber.quit(), redis.quit()]);
+    }
+  };
+}
+
+module.exports = {
+  create,
+  KEY_PREFIX
+};
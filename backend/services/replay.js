@@ -0,0 +1,122 @@
+/**
+ * Replay Service
+ *
+ * Replays a room's chat for someone watching a recording after the game
+ * (DVR the next morning). Live delivery (messageQueue) paces messages by real
+ * time - a message reaches you `offset` ms after it was sent - which means
+ * nothing to a viewer who starts hours later.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. Every message stores the sender's game position when it was sent
+ *    (gameElapsedSeconds, from roomManager.getUserGameTime()).
+ *
+ * 2. Starting a replay queues all of the room's messages in the viewer's
+ *    position queue (positionQueue). Each is released when the viewer's game
+ *    position reaches it - so pausing the recording and resyncing moves the
+ *    replay with them.
+ *
+ * 3. Messages sent while the replay runs are queued the same way.
+ *
+ * Nothing is delivered before the viewer's first sync.
+ *
+ * DATA STRUCTURES:
+ *
+ * replays: Map<socketId, roomId>
+ * startingReplays: Set<socketId>  // Claimed (claimReplay()), still loading the room's messages
+ */
+
+const positionQueue = require('./positionQueue');
+const logger = require('./logger');
+
+// Active replays (socketId -> roomId)
+const replays = new Map();
+
+// Replays being loaded (socketId)
+const startingReplays = new Set();
+
+/**
+ * Claim a viewer's replay before loading the room's messages, so a second
+ * start while the first is still loading doesn't queue the room twice.
+ * The claim ends with startReplay(), or cancelReplay() if starting fails.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ * @returns {boolean} false if the viewer is already replaying (or starting to)
+ */
+function claimReplay(socketId) {
+  if (replays.has(socketId) || startingReplays.has(socketId)) return false;
+  startingReplays.add(socketId);
+  return true;
+}
+
+/**
+ * Give up a claimed replay that couldn't be started.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ */
+function cancelReplay(socketId) {
+  startingReplays.delete(socketId);
+}
+
+/**
+ * Start replaying a room to a viewer.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ * @param {string} roomId - The room identifier
+ * @param {Array} messages - The room's messages in game order (messageHistory.loadReplayMessages())
+ */
+function startReplay(socketId, roomId, messages) {
+  startingReplays.delete(socketId);
+  replays.set(socketId, roomId);
+  for (const message of messages) {
+    positionQueue.queueMessage(socketId, roomId, message);
+  }
+  logger.debug({ socketId, roomId, messageCount: messages.length }, 'Replay started');
+}
+
+/**
+ * Add a message sent during a replay to the viewer's queue.
+ * Messages without a game position can't be placed and are skipped.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ * @param {Object} message - The message object
+ */
+function addMessage(socketId, message) {
+  const roomId = replays.get(socketId);
+  if (!roomId || message.gameElapsedSeconds === null || message.gameElapsedSeconds === undefined) {
+    return;
+  }
+  positionQueue.queueMessage(socketId, roomId, message);
+}
+
+/**
+ * Check whether a viewer is watching a replay.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ * @returns {boolean}
+ */
+function isReplaying(socketId) {
+  return replays.has(socketId);
+}
+
+/**
+ * Stop a viewer's replay.
+ * Called when the viewer disconnects.
+ *
+ * @param {string} socketId - The viewer's socket ID
+ * @returns {number} Number of messages that were never delivered
+ */
+function stopReplay(socketId) {
+  startingReplays.delete(socketId);
+  if (!replays.delete(socketId)) return 0;
+  return positionQueue.clearUserQueue(socketId);
+}
+
+module.exports = {
+  claimReplay,
+  cancelReplay,
+  startReplay,
+  addMessage,
+  isReplaying,
+  stopReplay
+};
@@ -9,42 +9,137 @@
  * - rooms: Map<roomId, Room>
  * - Room: {
  *     users: Map<socketId, User>,
- *     messages: Array<Message>,  // Recent messages cache
+ *     messages: Array<Message>,  // Recent messages cache (current versions, deleted ones marked)
+ *     changes: Map<messageId, Array<{ change, previous }>>,  // Edits/deletions of cached messages (messageEdits)
+ *     reactions: Map<messageId, Array<ReactionUpdate>>,  // Reactions to cached messages, oldest first (reactions)
  *     createdAt: number,
  *     dbId: string | null,       // Database ID for the room
- *     sportType: string          // Sport type (Phase 8)
+ *     sportType: string,         // Sport type (Phase 8)
+ *     syncMode: 'clock' | 'marker',  // How users sync (markerSync)
+ *     markers: Array<Marker>,    // Open "I saw this play" markers (marker mode only)
+ *     clockRate: number,         // Estimated game seconds per real second (delayEstimator)
+ *     retentionHours: number | null,  // How long chat history is kept (messageHistory)
+ *     deliveryPolicy: 'offset' | 'game-position',  // When messages arrive (positionQueue)
+ *     spoilerDetection: { action, rules, teamNames }  // What is checked for spoilers (spoilerClassifier)
  *   }
  * - User: {
  *     id: string,                // Socket ID
  *     sessionId: string,         // Database session ID (for persistence)
  *     nickname: string,
  *     joinedAt: number,
- *     gameTime: { period, minutes, seconds } | null,  // 'period' instead of 'quarter' for multi-sport
+ *     gameTime: Object | null,   // Progress reading, e.g. { period, minutes, seconds } (gameProgress)
  *     elapsedSeconds: number | null,
- *     offset: number
+ *     syncPoint: { realTime, elapsedSeconds, clockStopped } | null,  // Latest sync
+ *     syncSamples: Array<{ realTime, elapsedSeconds, clockStopped }>,  // Recent syncs
+ *     referencePoint: number | null,  // When the game "started" for this user (ms)
+ *     confidence: { level, score, sampleCount, resyncSuggested } | null,
+ *     offset: number,
+ *     replay: boolean,           // Watching later - paced by game time instead of offset (replay)
+ *     pausedAt: number | null,   // When the user paused their stream (null while playing)
+ *     instanceId: string         // Backend instance holding the user's socket (see SHARED STATE)
  *   }
- * - Message: { id, senderId, nickname, content, timestamp }
+ * - Message: { id, senderId, nickname, content, timestamp,
+ *     gameElapsedSeconds,       // Sender's game position when sent (null if unknown)
+ *     gameTime,                 // The same position as a reading, with its display string ("Q3 8:42")
+ *     version?, editedAt?, editedGameElapsedSeconds?,  // Once edited (messageEdits)
+ *     replyToId?, replyTo?,     // Replies: the parent's ID and a quote of it (messageHistory.toQuote)
+ *     spoiler?,                 // Flagged as a spoiler by the sender or spoilerClassifier (clients blur it until revealed)
+ *     emote?,                   // A /me action (commands)
+ *     reactions? }              // { emoji: count } that reached the viewer (as sent to them, not cached)
  *
- * OFFSET CALCULATION (unchanged - sport-agnostic):
- * Based purely on elapsed GAME TIME, not real-world time.
- * 1. Convert each user's game time to elapsed seconds (sport-aware)
- * 2. Find the MAX elapsed time (most advanced user = "live")
- * 3. Each user's offset = (max elapsed - their elapsed) * 1000ms
+ * OFFSET CALCULATION (sport-agnostic):
+ * Based on REFERENCE POINTS, so syncs taken at different real times compare correctly.
+ * 1. Convert each user's game time to elapsed seconds (sport-aware, see gameProgress -
+ *    innings, sets and laps become a progress scalar on the same scale)
+ * 2. Keep each user's recent syncs as samples and estimate the room's clock rate
+ *    from all of them (delayEstimator - the clock stops, so game time runs slower
+ *    than real time)
+ * 3. Reference point = where the user's fitted line reaches elapsed 0
+ * 4. The EARLIEST reference point is the baseline (most advanced user = "live")
+ * 5. Each user's offset = their reference point - baseline (timeUtils.calculateOffset)
+ *
+ * In marker rooms the samples come from marker sightings instead of clock readings
+ * (see markerSync); everything from step 2 on is the same.
+ *
+ * CURRENT GAME TIME:
+ * Following a user's fitted line forward to "now" estimates what they are seeing
+ * at this moment, without them resyncing. getRoomClock() collects these for the
+ * periodic room-clock broadcast (clock rooms only).
+ *
+ * Replay users (watching a recording after the game) are left out of the baseline
+ * and offsets - their delay is hours, not seconds. Their syncs still help estimate
+ * the clock rate, and the replay service paces messages by their game position.
+ *
+ * PAUSE / RESUME:
+ * A paused user's game position stops moving, and they drop out of baseline
+ * selection (their offset is frozen until they resume). Resuming shifts their
+ * sync samples forward by the pause duration - the broadcast picks up where it
+ * stopped, so their delay grows by exactly that long. messageQueue holds their
+ * queued messages meanwhile.
+ *
+ * A sync taken while the clock is stopped can't produce a reference point.
+ * The user keeps the reference point from their running-clock syncs; if they
+ * don't have one yet, they are "pending" and get the room's largest delay until
+ * they sync with the clock running.
+ *
+ * SHARED STATE (several backend instances, see storage.js):
+ * Each instance publishes the users it holds (sync samples, replay, pause) and
+ * keeps everyone else's as mirrors, so offsets and the baseline are computed
+ * from the whole room everywhere. Mirrors get their offsets recalculated like
+ * anyone else, but only the instance holding a user notifies them
+ * (updatedUsers lists local users only). Markers, new messages and edits are shared
+ * the same way. Instances send a heartbeat; mirrors of an instance that stops
+ * are dropped.
  *
  * Updated in Phase 8 to support multiple sports.
  */
 
 const timeUtils = require('./timeUtils');
 const prisma = require('./database');
-const { DEFAULT_SPORT } = require('./sportConfig');
+const delayEstimator = require('./delayEstimator');
+const markerSync = require('./markerSync');
+const gameProgress = require('./gameProgress');
+const messageHistory = require('./messageHistory');
+const messageEdits = require('./messageEdits');
+const reactions = require('./reactions');
+const spoilerClassifier = require('./spoilerClassifier');
+const { DEFAULT_SPORT, getSportConfig } = require('./sportConfig');
+const { getStorage, INSTANCE_ID } = require('./storage');
 const logger = require('./logger');
 
 // Maximum number of messages to keep in room history (in-memory cache)
 const MAX_MESSAGES_PER_ROOM = 50;
 
+// How long a user's game position keeps moving after their latest sync. Beyond
+// this we can't tell a running broadcast from a paused DVR, so position-based
+// delivery waits for a resync.
+const MAX_EXTRAPOLATION_MS = 10 * 60 * 1000; // 10 minutes
+
+// Shared state: instance heartbeat (mirrors of silent instances are dropped)
+const INSTANCE_HEARTBEAT_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 3 * INSTANCE_HEARTBEAT_MS;
+
+// Shared state: storage keys and channels
+const usersKey = (roomId) => `room:${roomId}:users`;
+const markersKey = (roomId) => `room:${roomId}:markers`;
+const instanceKey = (instanceId) => `instance:${instanceId}`;
+const ROOM_USERS_CHANNEL = 'room-users';
+const ROOM_MARKERS_CHANNEL = 'room-markers';
+const ROOM_MESSAGES_CHANNEL = 'room-messages';
+
+// User fields other instances need to mirror a user (the rest is derived)
+const SHARED_USER_FIELDS = [
+  'id', 'sessionId', 'nickname', 'joinedAt', 'gameTime', 'elapsedSeconds',
+  'syncPoint', 'syncSamples', 'syncedAt', 'replay', 'pausedAt', 'instanceId'
+];
+
 // In-memory storage for all rooms
 const rooms = new Map();
 
+// Shared state: heartbeat interval and the server's callbacks (see startSharing)
+let heartbeatIntervalId = null;
+let sharingHandlers = { onRemoteChange: () => {}, onRemoteMessage: () => {} };
+
 /**
  * Get or create a room by ID (in-memory only)
  * For database persistence, use initializeRoom() instead
@@ -57,9 +152,21 @@ function getRoom(roomId) {
     rooms.set(roomId, {
       users: new Map(),
       messages: [],
+      changes: new Map(),
+      reactions: new Map(),
       createdAt: Date.now(),
       dbId: null,  // Will be set when synced with database
-      sportType: DEFAULT_SPORT  // Default to basketball for backwards compatibility
+      sportType: DEFAULT_SPORT,  // Default to basketball for backwards compatibility
+      syncMode: markerSync.DEFAULT_SYNC_MODE,
+      markers: [],
+      clockRate: getSportConfig(DEFAULT_SPORT).typicalClockRate,
+      retentionHours: null,
+      deliveryPolicy: 'offset',
+      spoilerDetection: {
+        action: spoilerClassifier.DEFAULT_SPOILER_ACTION,
+        rules: spoilerClassifier.DEFAULT_SPOILER_RULES,
+        teamNames: []
+      }
     });
   }
   return rooms.get(roomId);
@@ -73,25 +180,34 @@ function getRoom(roomId) {
  * @param {string} dbRoomId - The database ID for the room
  * @param {Array} messages - Recent messages from database
  * @param {string} sportType - The sport type for this room (Phase 8)
+ * @param {string} syncMode - How users in this room sync ('clock' or 'marker')
+ * @param {number|null} retentionHours - How long chat history is kept (null = server default)
+ * @param {string} deliveryPolicy - When messages arrive ('offset' or 'game-position')
+ * @param {Object|null} spoilerDetection - { action, rules, teamNames } (null = keep the room's current settings)
  */
-function initializeRoom(roomId, dbRoomId, messages = [], sportType = DEFAULT_SPORT) {
+function initializeRoom(roomId, dbRoomId, messages = [], sportType = DEFAULT_SPORT, syncMode = markerSync.DEFAULT_SYNC_MODE, retentionHours = null, deliveryPolicy = 'offset', spoilerDetection = null) {
   const room = getRoom(roomId);
   room.dbId = dbRoomId;
   room.sportType = sportType;  // Set sport type from database
+  room.syncMode = syncMode;
+  room.retentionHours = retentionHours;
+  room.deliveryPolicy = deliveryPolicy;
+  if (spoilerDetection) room.spoilerDetection = spoilerDetection;
+  room.clockRate = getClockModel(room).typicalClockRate;
 
   // Load messages from database into memory (if not already loaded)
   if (room.messages.length === 0 && messages.length > 0) {
-    room.messages = messages.map(m => ({
-      id: m.id,
-      senderId: m.sessionId || 'unknown',
-      nickname: m.senderNickname,
-      content: m.content,
-      timestamp: m.timestamp.getTime()
-    }));
+    for (const row of messages) {
+      const { message, changes } = messageEdits.restoreMessage(row, room.sportType);
+      room.messages.push(message);
+      if (changes.length > 0) room.changes.set(message.id, changes);
+      const updates = reactions.restoreUpdates(row);
+      if (updates.length > 0) room.reactions.set(message.id, updates);
+    }
     logger.debug({ roomId, messageCount: messages.length }, 'Loaded messages from database');
   }
 
-  logger.debug({ roomId, sportType }, 'Room initialized');
+  logger.debug({ roomId, sportType, syncMode }, 'Room initialized');
   return room;
 }
 
@@ -100,11 +216,17 @@ function initializeRoom(roomId, dbRoomId, messages = [], sportType = DEFAULT_SPO
  *
  * @param {string} dbRoomId - The database room ID
  * @param {number} limit - Max messages to load
+ * @param {number|null} retentionHours - The room's retention window (older messages are skipped)
  * @returns {Promise<Array>} Array of message objects
  */
-async function loadMessagesFromDb(dbRoomId, limit = MAX_MESSAGES_PER_ROOM) {
+async function loadMessagesFromDb(dbRoomId, limit = MAX_MESSAGES_PER_ROOM, retentionHours = null) {
   const messages = await prisma.message.findMany({
-    where: { roomId: dbRoomId },
+    where: {
+      roomId: dbRoomId,
+      timestamp: { gte: messageHistory.getRetentionCutoff(retentionHours) }
+    },
+    // Deleted ones too - their deletion may not have reached everyone
+    include: { ...messageHistory.WITH_REPLY_TO, ...messageHistory.WITH_REACTIONS },
     orderBy: { timestamp: 'desc' },
     take: limit
   });
@@ -121,25 +243,33 @@ async function loadMessagesFromDb(dbRoomId, limit = MAX_MESSAGES_PER_ROOM) {
  * @param {string} nickname - The user's display name
  * @param {string} sessionId - The database session ID
  * @param {Object|null} restoredGameTime - Game time to restore (for reconnection)
+ * @param {boolean} replay - Rejoining a replay (see setUserReplay)
  */
-function addUser(roomId, socketId, nickname, sessionId = null, restoredGameTime = null) {
+function addUser(roomId, socketId, nickname, sessionId = null, restoredGameTime = null, replay = false) {
   const room = getRoom(roomId);
 
+  // Restore the sync samples saved with the session
+  const syncSamples = restoredGameTime ? restoreSyncSamples(restoredGameTime) : [];
+  const syncPoint = syncSamples.length > 0 ? syncSamples[syncSamples.length - 1] : null;
+
   const user = {
     id: socketId,
     sessionId: sessionId,
     nickname,
     joinedAt: Date.now(),
     // Game time sync fields - null until user syncs (or restored)
-    // Uses 'period' as generic term (works for quarters, periods, halves)
-    gameTime: restoredGameTime ? {
-      period: restoredGameTime.period ?? restoredGameTime.quarter,  // Support both for backwards compat
-      minutes: restoredGameTime.minutes,
-      seconds: restoredGameTime.seconds
-    } : null,
-    elapsedSeconds: restoredGameTime ? restoredGameTime.elapsedSeconds : null,
+    // The session stores the reading in its period/minutes/seconds columns (see gameProgress)
+    gameTime: gameProgress.slotsToReading(restoredGameTime, room.sportType || DEFAULT_SPORT),
+    elapsedSeconds: restoredGameTime?.elapsedSeconds ?? null,
+    syncPoint,
+    syncSamples,
+    referencePoint: null,  // Estimated from syncSamples in recalculateOffsets()
+    confidence: null,
     offset: 0,  // Will be recalculated if gameTime is restored
-    syncedAt: restoredGameTime ? Date.now() : null  // Track when user last synced
+    syncedAt: syncPoint ? syncPoint.realTime : null,  // Track when user last synced
+    replay,
+    pausedAt: null,
+    instanceId: INSTANCE_ID
   };
 
   room.users.set(socketId, user);
@@ -149,54 +279,139 @@ function addUser(roomId, socketId, nickname, sessionId = null, restoredGameTime
     recalculateOffsets(roomId);
   }
 
+  shareUser(roomId, user);
   return user;
 }
 
 /**
- * Recalculate all user offsets based on game time.
- * Called whenever a user syncs or resyncs.
+ * Rebuild a user's sync samples from a saved session.
+ *
+ * Sessions saved before sync samples were persisted only have the latest sync
+ * (and, if it was taken with the clock stopped, the reference point from the one
+ * before it). Sessions without syncedAt predate reference points entirely; treat
+ * those as a running-clock sync taken "now" like we always used to.
+ *
+ * @param {Object} restoredGameTime - Game time from sessionManager.getSessionGameTime()
+ * @returns {Array<Object>} Sync samples (oldest first)
+ */
+function restoreSyncSamples(restoredGameTime) {
+  if (Array.isArray(restoredGameTime.syncSamples) && restoredGameTime.syncSamples.length > 0) {
+    return restoredGameTime.syncSamples;
+  }
+
+  const { elapsedSeconds, syncedAt, referencePoint } = restoredGameTime;
+  if (syncedAt == null) {
+    return [{ realTime: Date.now(), elapsedSeconds, clockStopped: false }];
+  }
+
+  const clockStopped = restoredGameTime.clockStopped === true;
+  const samples = [];
+  if (clockStopped && referencePoint != null) {
+    // Stand-in for the running-clock sync the saved reference point came from
+    samples.push({
+      realTime: syncedAt,
+      elapsedSeconds: (syncedAt - referencePoint) / 1000,
+      clockStopped: false
+    });
+  }
+  samples.push({ realTime: syncedAt, elapsedSeconds, clockStopped });
+  return samples;
+}
+
+/**
+ * Get the clock model used to estimate delays in a room.
+ * Clock rooms use their sport's clock; marker rooms use the marker clock (real time).
+ *
+ * @param {Object} room - The room object
+ * @returns {Object} { clockStops, typicalClockRate }
+ */
+function getClockModel(room) {
+  if (room.syncMode === 'marker') {
+    return markerSync.MARKER_CLOCK;
+  }
+  return getSportConfig(room.sportType || DEFAULT_SPORT);
+}
+
+/**
+ * Recalculate all user offsets based on reference points.
+ * Called whenever a user syncs, resyncs, or a synced user leaves.
+ *
+ * Re-estimates the room's clock rate from everyone's sync samples, then each
+ * user's reference point and confidence. Users with a reference point are compared
+ * against the earliest one (the baseline). Synced users still waiting on a
+ * running-clock sync get the largest offset in the room, the same conservative
+ * delay unsynced users receive.
+ *
+ * Mirrored users (held by another instance) are included in the calculation,
+ * but left out of updatedUsers - their own instance notifies them.
  *
  * @param {string} roomId - The room identifier
- * @returns {Object} { maxElapsed, updatedUsers: Map<socketId, newOffset> }
+ * @returns {Object} { baselineReference, updatedUsers: Map<socketId, newOffset> }
  */
 function recalculateOffsets(roomId) {
   const room = rooms.get(roomId);
-  if (!room) return { maxElapsed: 0, updatedUsers: new Map() };
+  if (!room) return { baselineReference: null, updatedUsers: new Map() };
 
-  // Find all synced users and their elapsed times
-  const syncedUsers = [];
-  for (const [socketId, user] of room.users) {
-    if (user.elapsedSeconds !== null) {
-      syncedUsers.push({ socketId, user });
-    }
+  const clockModel = getClockModel(room);
+  const syncedUsers = Array.from(room.users.values()).filter(user => user.syncPoint !== null);
+  room.clockRate = delayEstimator.estimateClockRate(
+    syncedUsers.map(user => user.syncSamples),
+    clockModel
+  );
+
+  const now = Date.now();
+  for (const user of syncedUsers) {
+    const fit = delayEstimator.fitSamples(user.syncSamples, room.clockRate);
+    user.referencePoint = fit ? delayEstimator.estimateReferencePoint(fit, room.clockRate) : null;
+    user.confidence = delayEstimator.assessConfidence(fit, clockModel, now);
   }
 
-  if (syncedUsers.length === 0) {
-    return { maxElapsed: 0, updatedUsers: new Map() };
+  // Split synced users into those with a reference point and those still pending
+  const referencedUsers = [];
+  const pendingUsers = [];
+  for (const [socketId, user] of room.users) {
+    // Replay users keep offset 0 - the replay service paces their messages.
+    // Paused users keep their offset until they resume.
+    if (user.syncPoint === null || user.replay || user.pausedAt !== null) continue;
+    if (user.referencePoint !== null) {
+      referencedUsers.push({ socketId, user });
+    } else {
+      pendingUsers.push({ socketId, user });
+    }
   }
 
-  // Find the maximum elapsed time (most advanced user = live)
-  let maxElapsed = 0;
-  for (const { user } of syncedUsers) {
-    if (user.elapsedSeconds > maxElapsed) {
-      maxElapsed = user.elapsedSeconds;
+  // The earliest reference point is the most advanced user (= live)
+  let baselineReference = null;
+  for (const { user } of referencedUsers) {
+    if (baselineReference === null || user.referencePoint < baselineReference) {
+      baselineReference = user.referencePoint;
     }
   }
 
-  // Recalculate all offsets: offset = (maxElapsed - userElapsed) * 1000ms
   const updatedUsers = new Map();
-  for (const { socketId, user } of syncedUsers) {
-    const newOffset = (maxElapsed - user.elapsedSeconds) * 1000;
+  const applyOffset = (socketId, user, newOffset) => {
     if (user.offset !== newOffset) {
       user.offset = newOffset;
+      if (!isLocalUser(user)) return;
       updatedUsers.set(socketId, {
         offset: newOffset,
         offsetFormatted: timeUtils.formatOffset(newOffset)
       });
     }
+  };
+
+  let maxOffset = 0;
+  for (const { socketId, user } of referencedUsers) {
+    const newOffset = timeUtils.calculateOffset(user.referencePoint, baselineReference);
+    applyOffset(socketId, user, newOffset);
+    maxOffset = Math.max(maxOffset, newOffset);
+  }
+
+  for (const { socketId, user } of pendingUsers) {
+    applyOffset(socketId, user, maxOffset);
   }
 
-  return { maxElapsed, updatedUsers };
+  return { baselineReference, updatedUsers };
 }
 
 /**
@@ -204,12 +419,13 @@ function recalculateOffsets(roomId) {
  *
  * @param {string} roomId - The room identifier
  * @param {string} socketId - The user's socket ID
- * @param {number} period - Current period (1-based: quarter, period, half depending on sport)
- * @param {number} minutes - Minutes on clock
- * @param {number} seconds - Seconds on clock (0-59)
- * @returns {Object} { success, offset, offsetFormatted, isBaseline, error?, updatedUsers? }
+ * @param {Object} reading - What the user sees, keyed by the sport's progress fields
+ *   (e.g. { period, minutes, seconds } for clock sports - see gameProgress)
+ * @param {Object} options - Optional sync details
+ * @param {boolean} options.clockStopped - User reports the game clock is stopped
+ * @returns {Object} { success, offset, offsetFormatted, isBaseline, clockStopped, referencePending, confidence, error?, updatedUsers? }
  */
-function updateUserGameTime(roomId, socketId, period, minutes, seconds) {
+function updateUserGameTime(roomId, socketId, reading, options = {}) {
   const room = rooms.get(roomId);
   if (!room) {
     return { success: false, error: 'Room not found' };
@@ -220,55 +436,214 @@ function updateUserGameTime(roomId, socketId, period, minutes, seconds) {
     return { success: false, error: 'User not found' };
   }
 
+  if (room.syncMode === 'marker') {
+    return { success: false, error: 'This room syncs by play markers, not the game clock' };
+  }
+
   // Get sport type for this room (for validation and conversion)
   const sportType = room.sportType || DEFAULT_SPORT;
 
-  // Validate the game time input using sport-specific rules
-  const validation = timeUtils.validateGameTime(period, minutes, seconds, sportType);
+  // Validate the reading using the sport's progress model
+  const validation = gameProgress.validateReading(reading, sportType);
   if (!validation.valid) {
     return { success: false, error: validation.error };
   }
 
-  // Store the game time (using generic 'period' for all sports)
-  user.gameTime = { period, minutes, seconds };
+  user.gameTime = reading;
 
-  // Calculate elapsed seconds from game start using sport-specific conversion
-  const elapsedSeconds = timeUtils.gameTimeToElapsedSeconds(period, minutes, seconds, sportType);
+  // Convert to elapsed seconds from game start (the sport-agnostic progress scalar)
+  const elapsedSeconds = gameProgress.readingToElapsedSeconds(reading, sportType);
   user.elapsedSeconds = elapsedSeconds;
 
-  // Track when user synced (for sync visibility feature)
-  user.syncedAt = Date.now();
-
-  // Get display format for logging
-  const displayTime = timeUtils.elapsedSecondsToGameTime(elapsedSeconds, sportType);
-
-  // Recalculate all offsets
-  const { maxElapsed, updatedUsers } = recalculateOffsets(roomId);
+  // A stopped clock can't pin a reference point - the sample is kept (it still
+  // bounds how far the game can have moved) but only running-clock samples are fitted
+  const clockStopped = options.clockStopped === true ||
+    gameProgress.isStoppedReading(reading, sportType);
 
-  const isBaseline = user.elapsedSeconds === maxElapsed;
+  const result = recordSyncSample(roomId, user, { realTime: Date.now(), elapsedSeconds, clockStopped });
 
   logger.debug({
     roomId,
     nickname: user.nickname,
-    gameTime: displayTime.display,
+    gameTime: gameProgress.formatReading(reading, sportType),
     sportType,
     elapsedSeconds,
+    clockStopped,
+    referencePending: result.referencePending,
+    clockRate: room.clockRate,
+    sampleCount: user.syncSamples.length,
+    confidence: user.confidence.level,
     offset: user.offset,
-    isBaseline,
-    updatedUsersCount: updatedUsers.size
+    isBaseline: result.isBaseline,
+    updatedUsersCount: result.updatedUsers.size
   }, 'User game time synced');
 
+  return {
+    ...result,
+    elapsedSeconds  // Include for database persistence
+  };
+}
+
+/**
+ * Record a sync sample for a user and recalculate all offsets.
+ * Shared by game clock syncs and marker sightings.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} user - The user object
+ * @param {Object} sample - Sync sample { realTime, elapsedSeconds, clockStopped }
+ * @returns {Object} { success, offset, offsetFormatted, isBaseline, clockStopped, referencePending,
+ *   confidence, syncedAt, referencePoint, syncSamples, updatedUsers }
+ */
+function recordSyncSample(roomId, user, sample) {
+  // Syncing means they're watching again - line their earlier samples up first
+  const resumedAfterMs = user.pausedAt !== null ? resumeUserClock(user, sample.realTime) : null;
+
+  // Track when user synced (for sync visibility feature)
+  user.syncedAt = sample.realTime;
+  user.syncPoint = sample;
+  user.syncSamples = delayEstimator.appendSample(user.syncSamples, sample);
+
+  // Recalculate all offsets
+  const { baselineReference, updatedUsers } = recalculateOffsets(roomId);
+  shareUser(roomId, user);
+
+  const referencePending = user.referencePoint === null;
+  const isBaseline = !referencePending && user.referencePoint === baselineReference;
+
   return {
     success: true,
     offset: user.offset,
-    offsetFormatted: timeUtils.formatOffset(user.offset),
+    offsetFormatted: formatUserOffset(user),
     isBaseline,
-    elapsedSeconds,  // Include for database persistence
+    clockStopped: sample.clockStopped,
+    referencePending,
+    confidence: user.confidence,
+    syncedAt: sample.realTime,
+    referencePoint: user.referencePoint,
+    syncSamples: user.syncSamples,
+    resumedAfterMs,  // How long they had been paused (null if they weren't)
     // Include other users whose offsets changed (for broadcasting updates)
     updatedUsers
   };
 }
 
+/**
+ * Get the markers in a room that can still be tapped.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string|null} viewerKey - Recipient's session ID, to flag markers they already tapped
+ * @returns {Array} Array of public marker objects (oldest first)
+ */
+function getRoomMarkers(roomId, viewerKey = null) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+
+  room.markers = markerSync.pruneMarkers(room.markers);
+  return room.markers.map(marker => markerSync.toPublicMarker(marker, viewerKey));
+}
+
+/**
+ * Post an "I saw this play" marker.
+ * Posting counts as the poster seeing the play, so it also syncs them.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The poster's socket ID
+ * @param {string} label - Sanitized marker label
+ * @returns {Object} Same as recordSyncSample(), plus { marker } (or { success: false, error })
+ */
+function postMarker(roomId, socketId, label) {
+  const room = rooms.get(roomId);
+  if (!room) {
+    return { success: false, error: 'Room not found' };
+  }
+  if (room.syncMode !== 'marker') {
+    return { success: false, error: 'This room syncs by the game clock, not play markers' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  // Place the marker on the room's marker clock using the poster's known delay.
+  // Posters we know nothing about yet are assumed to be live (the current baseline).
+  let posterDelayMs = user.referencePoint;
+  if (posterDelayMs === null) {
+    const referencePoints = Array.from(room.users.values())
+      .map(u => u.referencePoint)
+      .filter(ref => ref !== null);
+    posterDelayMs = referencePoints.length > 0 ? Math.min(...referencePoints) : 0;
+  }
+
+  const now = Date.now();
+  const marker = markerSync.createMarker(user.sessionId || socketId, user.nickname, label, now, posterDelayMs);
+  room.markers = markerSync.pruneMarkers([...room.markers, marker], now);
+  shareMarker(roomId, marker);
+
+  const result = recordSyncSample(roomId, user, markerSync.markerToSample(marker, now));
+
+  logger.debug({
+    roomId,
+    nickname: user.nickname,
+    markerId: marker.id,
+    offset: user.offset,
+    updatedUsersCount: result.updatedUsers.size
+  }, 'Marker posted');
+
+  return { ...result, marker };
+}
+
+/**
+ * Record that a user just saw the play behind a marker.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {string} markerId - The marker's ID
+ * @returns {Object} Same as recordSyncSample() (or { success: false, error })
+ */
+function recordMarkerSighting(roomId, socketId, markerId) {
+  const room = rooms.get(roomId);
+  if (!room) {
+    return { success: false, error: 'Room not found' };
+  }
+  if (room.syncMode !== 'marker') {
+    return { success: false, error: 'This room syncs by the game clock, not play markers' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  const now = Date.now();
+  room.markers = markerSync.pruneMarkers(room.markers, now);
+  const marker = room.markers.find(m => m.id === markerId);
+  if (!marker) {
+    return { success: false, error: 'That play is too old to sync with' };
+  }
+
+  const viewerKey = user.sessionId || socketId;
+  if (marker.seenBy.has(viewerKey)) {
+    return { success: false, error: 'You already synced with that play' };
+  }
+  marker.seenBy.add(viewerKey);
+  shareMarker(roomId, marker);
+
+  const result = recordSyncSample(roomId, user, markerSync.markerToSample(marker, now));
+
+  logger.debug({
+    roomId,
+    nickname: user.nickname,
+    markerId,
+    delayMs: now - marker.postedAt,
+    offset: user.offset,
+    confidence: user.confidence.level,
+    updatedUsersCount: result.updatedUsers.size
+  }, 'Marker sighting recorded');
+
+  return result;
+}
+
 /**
  * Get a user's current offset
  * @param {string} roomId - The room identifier
@@ -293,7 +668,7 @@ function hasUserSynced(roomId, socketId) {
   const room = rooms.get(roomId);
   if (!room) return false;
   const user = room.users.get(socketId);
-  return user && user.gameTime !== null;
+  return !!user && user.syncPoint !== null;
 }
 
 /**
@@ -310,7 +685,7 @@ function getMaxRoomOffset(roomId) {
 
   let maxOffset = 0;
   for (const user of room.users.values()) {
-    if (user.gameTime !== null && user.offset > maxOffset) {
+    if (user.syncPoint !== null && user.offset > maxOffset) {
       maxOffset = user.offset;
     }
   }
@@ -331,26 +706,21 @@ function removeUser(roomId, socketId) {
   if (room) {
     removedUser = room.users.get(socketId);
 
-    // Check if the removed user was the most advanced (had max elapsed time)
-    let wasMaxElapsed = false;
-    if (removedUser && removedUser.elapsedSeconds !== null) {
-      let maxElapsed = 0;
-      for (const user of room.users.values()) {
-        if (user.elapsedSeconds !== null && user.elapsedSeconds > maxElapsed) {
-          maxElapsed = user.elapsedSeconds;
-        }
-      }
-      wasMaxElapsed = removedUser.elapsedSeconds === maxElapsed;
-    }
+    // A synced user leaving can move the baseline (if they were the most advanced)
+    // and the conservative delay given to pending users
+    const wasSynced = !!removedUser && removedUser.syncPoint !== null;
 
     room.users.delete(socketId);
+    if (removedUser && isLocalUser(removedUser)) {
+      unshareUser(roomId, socketId);
+    }
 
-    // Clean up empty rooms from memory (but keep in database)
-    if (room.users.size === 0) {
+    // Clean up rooms with no users on this instance (but keep in database
+    // and shared state)
+    if (!hasLocalUsers(room)) {
       rooms.delete(roomId);
-    } else if (wasMaxElapsed) {
-      // If the most advanced user left, recalculate for remaining users
-      logger.debug({ roomId, nickname: removedUser.nickname }, 'Most advanced user left, recalculating offsets');
+    } else if (wasSynced) {
+      logger.debug({ roomId, nickname: removedUser.nickname }, 'Synced user left, recalculating offsets');
       const result = recalculateOffsets(roomId);
       updatedUsers = result.updatedUsers;
     }
@@ -359,6 +729,17 @@ function removeUser(roomId, socketId) {
   return { removedUser, updatedUsers };
 }
 
+/**
+ * Format a user's offset for display ("Replay" for replay users, whose offset isn't used)
+ * @param {Object} user - The user object
+ * @returns {string} Human-readable offset
+ */
+function formatUserOffset(user) {
+  if (user.replay) return 'Replay';
+  if (user.pausedAt !== null) return 'Paused';
+  return timeUtils.formatOffset(user.offset);
+}
+
 /**
  * Get all users in a room
  * @param {string} roomId - The room identifier
@@ -368,95 +749,972 @@ function getRoomUsers(roomId) {
   const room = rooms.get(roomId);
   if (!room) return [];
 
+  const now = Date.now();
+
   // Convert Map to array and include sync status
   return Array.from(room.users.values()).map(user => ({
     id: user.id,
     nickname: user.nickname,
     joinedAt: user.joinedAt,
-    isSynced: user.gameTime !== null,
+    isSynced: user.syncPoint !== null,
     gameTime: user.gameTime,
+    referencePending: user.syncPoint !== null && user.referencePoint === null,
     offset: user.offset,
-    offsetFormatted: timeUtils.formatOffset(user.offset),
-    syncedAt: user.syncedAt  // When user last synced (for sync visibility)
+    offsetFormatted: formatUserOffset(user),
+    isReplay: user.replay,
+    isPaused: user.pausedAt !== null,
+    syncedAt: user.syncedAt,  // When user last synced (for sync visibility)
+    currentGameTime: estimateUserGameTime(room, user, now)
   }));
 }
 
 /**
- * Add a message to a room's history (in-memory + database)
+ * Estimate where a user's broadcast is right now.
  *
- * @param {string} roomId - The room identifier
- * @param {Object} message - The message object
- * @param {string|null} sessionId - The sender's session ID (for database)
+ * Follows the user's fitted line (their samples + the room clock rate) forward
+ * to the current moment. Never goes back before their latest sync, and users
+ * still waiting on a running-clock sync stay at their latest reading.
+ * Marker rooms have no game position to show.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} user - The user object
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object|null} { gameTime, display, elapsedSeconds, extrapolated } or null if unknown
  */
-function addMessage(roomId, message, sessionId = null) {
-  const room = getRoom(roomId);
+function estimateUserGameTime(room, user, now) {
+  if (room.syncMode === 'marker' || user.syncPoint === null) {
+    return null;
+  }
 
-  // Add to in-memory cache immediately (for real-time performance)
-  room.messages.push(message);
+  // A paused broadcast stays where it stopped
+  const at = user.pausedAt !== null ? Math.min(now, user.pausedAt) : now;
 
-  // Keep only the last MAX_MESSAGES_PER_ROOM messages in memory
-  if (room.messages.length > MAX_MESSAGES_PER_ROOM) {
-    room.messages = room.messages.slice(-MAX_MESSAGES_PER_ROOM);
-  }
+  const fit = delayEstimator.fitSamples(user.syncSamples, room.clockRate);
+  const elapsedSeconds = fit
+    ? Math.round(Math.max(
+      delayEstimator.predictElapsed(fit, room.clockRate, at),
+      user.syncPoint.elapsedSeconds
+    ))
+    : user.syncPoint.elapsedSeconds;
 
-  // Persist to database asynchronously (don't block real-time delivery)
-  if (room.dbId) {
-    persistMessageToDb(room.dbId, message, sessionId).catch(err => {
-      logger.error({ err, roomId }, 'Failed to persist message');
-    });
-  }
+  const { reading, display } = gameProgress.elapsedSecondsToReading(
+    elapsedSeconds,
+    room.sportType || DEFAULT_SPORT
+  );
+
+  return { gameTime: reading, display, elapsedSeconds, extrapolated: !!fit };
 }
 
 /**
- * Persist a message to the database (async, non-blocking)
+ * Get a user's estimated game time right now (what's on their screen).
+ * Used to stamp messages with where the sender was in the game.
  *
- * @param {string} dbRoomId - The database room ID
- * @param {Object} message - The message object
- * @param {string|null} sessionId - The sender's session ID
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object|null} { gameTime, display, elapsedSeconds, extrapolated }, or null if unsynced or in a marker room
  */
-async function persistMessageToDb(dbRoomId, message, sessionId) {
-  await prisma.message.create({
-    data: {
-      roomId: dbRoomId,
-      sessionId: sessionId,
-      senderNickname: message.nickname,
-      content: message.content,
-      timestamp: new Date(message.timestamp)
-    }
-  });
+function getUserGameTime(roomId, socketId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  const user = room?.users.get(socketId);
+  if (!user) return null;
+  return estimateUserGameTime(room, user, now);
 }
 
 /**
- * Get a user from a room
+ * Get the game position a user has reached right now, in elapsed game seconds.
+ * Used to release messages by game position (positionQueue).
+ *
+ * Unlike getUserGameTime(), the estimate stops MAX_EXTRAPOLATION_MS after the
+ * user's latest sync - a paused viewer gets nothing new until they resync.
+ *
  * @param {string} roomId - The room identifier
  * @param {string} socketId - The user's socket ID
- * @returns {Object|undefined} The user object or undefined
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {number|null} Elapsed game seconds, or null if unsynced or in a marker room
  */
-function getUser(roomId, socketId) {
+function getUserGamePosition(roomId, socketId, now = Date.now()) {
   const room = rooms.get(roomId);
-  if (!room) return undefined;
-  return room.users.get(socketId);
+  const user = room?.users.get(socketId);
+  if (!user) return null;
+  return estimateUserGamePosition(room, user, now);
 }
 
 /**
- * Get the room's in-memory messages
+ * Capped game position for a user object (see getUserGamePosition()).
+ *
+ * @param {Object} room - The room object
+ * @param {Object} user - The user object
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {number|null} Elapsed game seconds, or null if unsynced or in a marker room
+ */
+function estimateUserGamePosition(room, user, now) {
+  if (user.syncPoint === null) return null;
+
+  const horizon = Math.min(now, user.syncPoint.realTime + MAX_EXTRAPOLATION_MS);
+  return estimateUserGameTime(room, user, horizon)?.elapsedSeconds ?? null;
+}
+
+/**
+ * Switch a user to replay mode (watching a recording after the game).
+ * Their messages are then paced by game time (replay service) instead of offset.
+ *
  * @param {string} roomId - The room identifier
- * @returns {Array} Array of messages
+ * @param {string} socketId - The user's socket ID
+ * @returns {Object} { success, error?, updatedUsers? }
  */
-function getRoomMessages(roomId) {
+function setUserReplay(roomId, socketId) {
   const room = rooms.get(roomId);
-  if (!room) return [];
-  return room.messages;
+  if (!room) {
+    return { success: false, error: 'Room not found' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found in room' };
+  }
+
+  // Messages are placed by the sender's game clock, which marker rooms don't have
+  if (room.syncMode === 'marker') {
+    return { success: false, error: 'Replay is only available in game clock rooms' };
+  }
+
+  user.replay = true;
+  user.offset = 0;
+
+  // They no longer count towards the baseline or anyone's delay
+  const { updatedUsers } = recalculateOffsets(roomId);
+  shareUser(roomId, user);
+
+  logger.debug({ roomId, nickname: user.nickname }, 'User switched to replay');
+  return { success: true, updatedUsers };
 }
 
 /**
- * Get the sport type for a room
+ * Mark a user's stream as paused (DVR pause).
+ * Their game position stops moving and they leave baseline selection.
+ *
  * @param {string} roomId - The room identifier
- * @returns {string} The sport type (defaults to 'basketball')
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object} { success, error?, pausedAt?, updatedUsers? }
  */
-function getRoomSportType(roomId) {
+function pauseUser(roomId, socketId, now = Date.now()) {
   const room = rooms.get(roomId);
-  return room?.sportType || DEFAULT_SPORT;
+  if (!room) {
+    return { success: false, error: 'Room not found' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found in room' };
+  }
+
+  if (user.pausedAt !== null) {
+    return { success: false, error: 'Already paused' };
+  }
+
+  user.pausedAt = now;
+
+  // If they were the baseline, the next most advanced user becomes live
+  const { updatedUsers } = recalculateOffsets(roomId);
+  shareUser(roomId, user);
+
+  logger.debug({ roomId, nickname: user.nickname }, 'User paused');
+  return { success: true, pausedAt: now, updatedUsers };
+}
+
+/**
+ * Shift a paused user's sync samples forward by the pause duration and clear the pause.
+ * Their broadcast resumes where it stopped, so every sample moves later by that long.
+ *
+ * @param {Object} user - The user object
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {number} How long the user was paused (ms)
+ */
+function resumeUserClock(user, now) {
+  const pausedMs = Math.max(0, now - user.pausedAt);
+  user.pausedAt = null;
+
+  if (pausedMs > 0 && user.syncSamples.length > 0) {
+    user.syncSamples = user.syncSamples.map(sample => ({ ...sample, realTime: sample.realTime + pausedMs }));
+    user.syncPoint = user.syncSamples[user.syncSamples.length - 1];
+  }
+
+  return pausedMs;
+}
+
+/**
+ * Resume a paused user's stream.
+ * Their delay grows by the time they were paused; everyone's offsets are recalculated.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object} { success, error?, pausedMs?, offset?, offsetFormatted?, isBaseline?,
+ *   referencePoint?, syncSamples?, updatedUsers? }
+ */
+function resumeUser(roomId, socketId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  if (!room) {
+    return { success: false, error: 'Room not found' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found in room' };
+  }
+
+  if (user.pausedAt === null) {
+    return { success: false, error: 'Not paused' };
+  }
+
+  const pausedMs = resumeUserClock(user, now);
+  const { baselineReference, updatedUsers } = recalculateOffsets(roomId);
+  shareUser(roomId, user);
+
+  // Their own new offset is returned directly
+  updatedUsers.delete(socketId);
+
+  logger.debug({ roomId, nickname: user.nickname, pausedMs }, 'User resumed');
+  return {
+    success: true,
+    pausedMs,
+    offset: user.offset,
+    offsetFormatted: formatUserOffset(user),
+    isBaseline: user.referencePoint !== null && user.referencePoint === baselineReference,
+    referencePoint: user.referencePoint,
+    syncSamples: user.syncSamples,
+    updatedUsers
+  };
+}
+
+/**
+ * Get every synced user's estimated current game time, for the periodic
+ * room-clock broadcast.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object|null} { serverTime, users: [{ id, gameTime, display, extrapolated }] } or null if room not found
+ */
+function getRoomClock(roomId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+
+  const users = [];
+  for (const user of room.users.values()) {
+    const estimate = estimateUserGameTime(room, user, now);
+    if (estimate) {
+      users.push({
+        id: user.id,
+        gameTime: estimate.gameTime,
+        display: estimate.display,
+        extrapolated: estimate.extrapolated
+      });
+    }
+  }
+
+  return { serverTime: now, users };
+}
+
+/**
+ * Add a message to a room's history (in-memory + database)
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} message - The message object
+ * @param {string|null} sessionId - The sender's session ID (for database)
+ */
+function addMessage(roomId, message, sessionId = null) {
+  const room = getRoom(roomId);
+
+  // Add to in-memory cache immediately (for real-time performance)
+  cacheMessage(room, message);
+
+  // Persist to database asynchronously (don't block real-time delivery)
+  if (room.dbId) {
+    persistMessageToDb(room.dbId, message, sessionId).catch(err => {
+      logger.error({ err, roomId }, 'Failed to persist message');
+    });
+  }
+
+  // Other instances deliver it to the users they hold
+  publishShared(ROOM_MESSAGES_CHANNEL, { roomId, message });
+}
+
+/**
+ * Add a message to a room's in-memory cache, keeping the last MAX_MESSAGES_PER_ROOM.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} message - The message object
+ */
+function cacheMessage(room, message) {
+  room.messages.push(message);
+
+  if (room.messages.length > MAX_MESSAGES_PER_ROOM) {
+    const dropped = room.messages.splice(0, room.messages.length - MAX_MESSAGES_PER_ROOM);
+    dropped.forEach(old => {
+      room.changes.delete(old.id);
+      room.reactions.delete(old.id);
+    });
+  }
+}
+
+/**
+ * Record an edit or deletion (already saved, see messageEdits.js) in a room's
+ * cache and share it with other instances.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} change - The change (messageEdits.createChange())
+ */
+function addMessageChange(roomId, change) {
+  cacheChange(getRoom(roomId), change);
+  publishShared(ROOM_MESSAGES_CHANNEL, { roomId, message: change });
+}
+
+/**
+ * Apply a change to a cached message, remembering the version it replaced for
+ * users it hasn't reached yet. Deleted messages stay cached, marked deleted.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} change - The change
+ */
+function cacheChange(room, change) {
+  const index = room.messages.findIndex(message => message.id === change.messageId);
+  if (index === -1 || room.messages[index].deleted) return;  // Only recent messages are cached
+
+  const previous = room.messages[index];
+  room.messages[index] = messageEdits.applyChange(previous, change) ?? { ...previous, deleted: true };
+
+  if (!room.changes.has(change.messageId)) {
+    room.changes.set(change.messageId, []);
+  }
+  room.changes.get(change.messageId).push({ change, previous });
+}
+
+/**
+ * Record a reaction update (already saved, see reactions.js) in a room's cache
+ * and share it with other instances.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} update - The reaction update (reactions.createUpdate())
+ */
+function addReaction(roomId, update) {
+  cacheReaction(getRoom(roomId), update);
+  publishShared(ROOM_MESSAGES_CHANNEL, { roomId, message: update });
+}
+
+/**
+ * Add a reaction update to a cached message's updates.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} update - The reaction update
+ */
+function cacheReaction(room, update) {
+  const message = room.messages.find(cached => cached.id === update.messageId);
+  if (!message || message.deleted) return;  // Only recent messages are cached
+
+  if (!room.reactions.has(update.messageId)) {
+    room.reactions.set(update.messageId, []);
+  }
+  room.reactions.get(update.messageId).push(update);
+}
+
+/**
+ * Persist a message to the database (async, non-blocking)
+ *
+ * @param {string} dbRoomId - The database room ID
+ * @param {Object} message - The message object
+ * @param {string|null} sessionId - The sender's session ID
+ */
+async function persistMessageToDb(dbRoomId, message, sessionId) {
+  await prisma.message.create({
+    data: {
+      id: message.id,  // Same ID as the live message, so history pages match what clients have
+      roomId: dbRoomId,
+      sessionId: sessionId,
+      senderNickname: message.nickname,
+      content: message.content,
+      gameElapsedSeconds: message.gameElapsedSeconds ?? null,
+      replyToId: message.replyToId ?? null,
+      spoiler: !!message.spoiler,
+      emote: !!message.emote,
+      timestamp: new Date(message.timestamp)
+    }
+  });
+}
+
+/**
+ * Get the edits and deletions of a cached message, oldest first.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} messageId - The message ID
+ * @returns {Array} Array of changes (messageEdits.createChange())
+ */
+function getMessageChanges(roomId, messageId) {
+  const changes = rooms.get(roomId)?.changes.get(messageId) || [];
+  return changes.map(({ change }) => change);
+}
+
+/**
+ * Get a user from a room
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @returns {Object|undefined} The user object or undefined
+ */
+function getUser(roomId, socketId) {
+  const room = rooms.get(roomId);
+  if (!room) return undefined;
+  return room.users.get(socketId);
+}
+
+/**
+ * Change a user's nickname (/nick - the session is renamed by sessionManager).
+ * Messages they already sent keep the nickname they were sent with.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {string} nickname - The new nickname (validated)
+ * @returns {Object} { success, error?, previousNickname? }
+ */
+function renameUser(roomId, socketId, nickname) {
+  const user = getUser(roomId, socketId);
+  if (!user) {
+    return { success: false, error: 'User not found in room' };
+  }
+
+  const previousNickname = user.nickname;
+  user.nickname = nickname;
+  shareUser(roomId, user);
+
+  logger.debug({ roomId, previousNickname, nickname }, 'User renamed');
+  return { success: true, previousNickname };
+}
+
+/**
+ * Find a message in a room's in-memory cache (current version).
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} messageId - The message ID
+ * @returns {Object|undefined} The message (deleted: true once deleted), undefined if not cached
+ */
+function findMessage(roomId, messageId) {
+  return rooms.get(roomId)?.messages.find(message => message.id === messageId);
+}
+
+/**
+ * Get the room's in-memory messages
+ * @param {string} roomId - The room identifier
+ * @returns {Array} Array of messages
+ */
+function getRoomMessages(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return room.messages;
+}
+
+/**
+ * Split the in-memory messages into those that have reached a user's screen
+ * and those still on their way.
+ * Messages sent within the user's offset are still on their way (messageQueue);
+ * in game-position rooms, messages from further into the game than the user
+ * has reached are (positionQueue). Edits and deletions go the same way: until
+ * one reaches the user they see the version before it, and the change is on
+ * its way. A message that hasn't reached them is on its way in its current version.
+ * A reply waits for its parent: it stays on its way until the parent (and any
+ * change to it) has reached the user too.
+ * Visible messages carry the reaction counts that have reached the user; the
+ * updates that haven't are on their way, like those of messages on their way.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} user - The user object
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Object} { visible: Array, withheld: Array (messages, changes and reaction updates) }
+ */
+function partitionMessages(room, user, now) {
+  const gamePosition = room.deliveryPolicy === 'game-position'
+    ? estimateUserGamePosition(room, user, now)
+    : null;
+
+  const hasReached = (item) => (gamePosition !== null && item.gameElapsedSeconds !== null
+    ? item.gameElapsedSeconds <= gamePosition
+    // A paused user's screen stopped at pausedAt
+    : item.timestamp <= (user.pausedAt ?? now) - user.offset);
+
+  const visible = [];
+  const withheld = [];
+  const onTheirWay = new Set();  // Messages with something still on its way
+  for (const message of room.messages) {
+    const updates = message.deleted ? [] : room.reactions.get(message.id) || [];
+    if (!hasReached(message) || onTheirWay.has(message.replyToId)) {
+      onTheirWay.add(message.id);
+      if (!message.deleted) withheld.push(message, ...updates);
+      continue;
+    }
+
+    const counted = updates.filter(hasReached);
+    const reached = (version) => (counted.length > 0
+      ? { ...version, reactions: reactions.countReactions(counted) }
+      : version);
+    withheld.push(...updates.filter(update => !counted.includes(update)));
+
+    const changes = room.changes.get(message.id) || [];
+    const pending = changes.findIndex(({ change }) => !hasReached(change));
+    if (pending === -1) {
+      if (!message.deleted) visible.push(reached(message));
+      continue;
+    }
+    onTheirWay.add(message.id);
+    visible.push(reached(changes[pending].previous));
+    withheld.push(...changes.slice(pending).map(({ change }) => change));
+  }
+
+  return { visible, withheld };
+}
+
+/**
+ * Get the in-memory messages that have already reached a user's screen.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Array} Array of messages
+ */
+function getVisibleMessages(roomId, socketId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  const user = room?.users.get(socketId);
+  // Replay users get the room's messages from the replay service instead
+  if (!user || user.replay) return [];
+
+  return partitionMessages(room, user, now).visible;
+}
+
+/**
+ * Get the in-memory messages (edits and reactions too) that haven't reached a user's screen yet.
+ * Used on reconnect to queue what was sent while they were away.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {number} now - Current time (Date.now() format)
+ * @returns {Array} Array of messages, changes and reaction updates
+ */
+function getWithheldMessages(roomId, socketId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  const user = room?.users.get(socketId);
+  if (!user || user.replay || user.syncPoint === null) return [];
+
+  return partitionMessages(room, user, now).withheld;
+}
+
+/**
+ * Find a connected user by their session ID (for REST requests)
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} sessionId - The user's database session ID
+ * @returns {Object|undefined} The user object or undefined
+ */
+function getUserBySessionId(roomId, sessionId) {
+  const room = rooms.get(roomId);
+  if (!room) return undefined;
+  for (const user of room.users.values()) {
+    if (user.sessionId === sessionId) return user;
+  }
+  return undefined;
+}
+
+/**
+ * Load a page of older messages for a user, filtered by their offset
+ * so a page can never contain spoilers.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ * @param {Object} options - Page options
+ * @param {number|null} options.before - Only messages older than this (ms)
+ * @param {string|null} options.beforeId - ID of the message at the cursor (see messageHistory.loadHistoryPage())
+ * @param {number} options.limit - Max messages to return
+ * @returns {Promise<Object>} { success, messages?, hasMore?, nextCursor?, nextCursorId?, error? }
+ */
+async function loadHistory(roomId, socketId, { before = null, beforeId = null, limit = messageHistory.HISTORY_PAGE_SIZE } = {}) {
+  const room = rooms.get(roomId);
+  if (!room || !room.dbId) {
+    return { success: false, error: 'Room not found' };
+  }
+
+  const user = room.users.get(socketId);
+  if (!user) {
+    return { success: false, error: 'User not found in room' };
+  }
+
+  // Pages are cut by offset, which doesn't protect replay users
+  if (user.replay) {
+    return { success: false, error: 'Earlier messages arrive as the replay plays' };
+  }
+
+  // Same late joiner protection as live messages: no history before syncing
+  if (user.syncPoint === null) {
+    return { success: false, error: 'Sync with the game to load earlier messages' };
+  }
+
+  const page = await messageHistory.loadHistoryPage(room.dbId, {
+    before,
+    beforeId,
+    offset: user.offset,
+    gamePosition: room.deliveryPolicy === 'game-position' ? getUserGamePosition(roomId, socketId) : null,
+    retentionHours: room.retentionHours,
+    sportType: room.sportType,
+    limit,
+    // A paused user's screen stopped at pausedAt
+    ...(user.pausedAt !== null && { now: user.pausedAt })
+  });
+
+  return { success: true, ...page };
+}
+
+/**
+ * Get the sport type for a room
+ * @param {string} roomId - The room identifier
+ * @returns {string} The sport type (defaults to 'basketball')
+ */
+function getRoomSportType(roomId) {
+  const room = rooms.get(roomId);
+  return room?.sportType || DEFAULT_SPORT;
+}
+
+/**
+ * Get how users in a room sync
+ * @param {string} roomId - The room identifier
+ * @returns {string} 'clock' or 'marker' (defaults to 'clock')
+ */
+function getRoomSyncMode(roomId) {
+  const room = rooms.get(roomId);
+  return room?.syncMode || markerSync.DEFAULT_SYNC_MODE;
+}
+
+/**
+ * Get when messages are delivered in a room
+ * @param {string} roomId - The room identifier
+ * @returns {string} 'offset' or 'game-position' (defaults to 'offset')
+ */
+function getRoomDeliveryPolicy(roomId) {
+  const room = rooms.get(roomId);
+  return room?.deliveryPolicy || 'offset';
+}
+
+/**
+ * Get how messages in a room are checked for spoilers
+ * @param {string} roomId - The room identifier
+ * @returns {Object} { action, rules, teamNames } (see validation.detectSpoilers())
+ */
+function getRoomSpoilerDetection(roomId) {
+  const room = rooms.get(roomId);
+  return room?.spoilerDetection || {
+    action: spoilerClassifier.DEFAULT_SPOILER_ACTION,
+    rules: spoilerClassifier.DEFAULT_SPOILER_RULES,
+    teamNames: []
+  };
+}
+
+/**
+ * Check whether this instance holds a user's socket (rather than mirroring them).
+ *
+ * @param {Object} user - The user object
+ * @returns {boolean}
+ */
+function isLocalUser(user) {
+  return user.instanceId === INSTANCE_ID;
+}
+
+/**
+ * Check whether this instance holds any of a room's users.
+ *
+ * @param {Object} room - The room object
+ * @returns {boolean}
+ */
+function hasLocalUsers(room) {
+  for (const user of room.users.values()) {
+    if (isLocalUser(user)) return true;
+  }
+  return false;
+}
+
+/**
+ * Publish to the other instances (fire-and-forget - a failed publish is logged,
+ * it never holds up the local user).
+ *
+ * @param {string} channel - Storage channel
+ * @param {Object} payload - Message (INSTANCE_ID is added)
+ */
+function publishShared(channel, payload) {
+  getStorage().publish(channel, { instanceId: INSTANCE_ID, ...payload }).catch(err => {
+    logger.error({ err, channel, roomId: payload.roomId }, 'Failed to publish shared room state');
+  });
+}
+
+/**
+ * Save a local user's shared fields and tell the other instances.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} user - The user object
+ */
+function shareUser(roomId, user) {
+  const shared = {};
+  for (const field of SHARED_USER_FIELDS) {
+    shared[field] = user[field];
+  }
+
+  getStorage().hashSet(usersKey(roomId), user.id, shared)
+    .then(() => publishShared(ROOM_USERS_CHANNEL, { roomId, socketId: user.id, user: shared }))
+    .catch(err => logger.error({ err, roomId }, 'Failed to share user state'));
+}
+
+/**
+ * Remove a local user from shared state and tell the other instances.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {string} socketId - The user's socket ID
+ */
+function unshareUser(roomId, socketId) {
+  getStorage().hashDelete(usersKey(roomId), socketId)
+    .then(() => publishShared(ROOM_USERS_CHANNEL, { roomId, socketId, user: null }))
+    .catch(err => logger.error({ err, roomId }, 'Failed to remove shared user state'));
+}
+
+/**
+ * Save a marker (with who has tapped it) and tell the other instances.
+ *
+ * @param {string} roomId - The room identifier
+ * @param {Object} marker - The marker
+ */
+function shareMarker(roomId, marker) {
+  const shared = { ...marker, seenBy: Array.from(marker.seenBy) };
+
+  getStorage().hashSet(markersKey(roomId), marker.id, shared)
+    .then(() => publishShared(ROOM_MARKERS_CHANNEL, { roomId, marker: shared }))
+    .catch(err => logger.error({ err, roomId }, 'Failed to share marker'));
+}
+
+/**
+ * Build a mirror of a user held by another instance.
+ *
+ * @param {Object} shared - The user's shared fields
+ * @returns {Object} User object (reference point, confidence and offset are recalculated)
+ */
+function toMirrorUser(shared) {
+  return {
+    ...shared,
+    referencePoint: null,
+    confidence: null,
+    offset: 0
+  };
+}
+
+/**
+ * Add or replace a marker from another instance.
+ *
+ * @param {Object} room - The room object
+ * @param {Object} shared - The marker, with seenBy as an array
+ */
+function mergeMarker(room, shared) {
+  const marker = { ...shared, seenBy: new Set(shared.seenBy) };
+  const others = room.markers.filter(m => m.id !== marker.id);
+  room.markers = markerSync.pruneMarkers(
+    [...others, marker].sort((a, b) => a.postedAt - b.postedAt)
+  );
+}
+
+/**
+ * Find which of the given instances are still sending heartbeats.
+ *
+ * @param {Iterable<string>} instanceIds - Instance IDs
+ * @returns {Promise<Set<string>>} The live ones
+ */
+async function getLiveInstances(instanceIds) {
+  const ids = Array.from(new Set(instanceIds));
+  const storage = getStorage();
+  const beats = await Promise.all(ids.map(id => storage.get(instanceKey(id))));
+  return new Set(ids.filter((id, i) => id === INSTANCE_ID || beats[i] !== null));
+}
+
+/**
+ * Load the users and markers other instances hold in a room.
+ * Called when a room is initialized on this instance, before the joining user is added.
+ *
+ * @param {string} roomId - The room identifier
+ */
+async function loadSharedState(roomId) {
+  const storage = getStorage();
+  const [sharedUsers, sharedMarkers] = await Promise.all([
+    storage.hashGetAll(usersKey(roomId)),
+    storage.hashGetAll(markersKey(roomId))
+  ]);
+
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const live = await getLiveInstances(Object.values(sharedUsers).map(user => user.instanceId));
+  let mirrored = 0;
+  for (const [socketId, shared] of Object.entries(sharedUsers)) {
+    // Left behind by an instance that stopped (or by this one before a restart)
+    const stale = !live.has(shared.instanceId)
+      || (shared.instanceId === INSTANCE_ID && !room.users.has(socketId));
+    if (stale) {
+      storage.hashDelete(usersKey(roomId), socketId).catch(err => {
+        logger.error({ err, roomId }, 'Failed to remove stale shared user');
+      });
+      continue;
+    }
+    if (shared.instanceId !== INSTANCE_ID && !room.users.has(socketId)) {
+      room.users.set(socketId, toMirrorUser(shared));
+      mirrored++;
+    }
+  }
+
+  const now = Date.now();
+  for (const [markerId, shared] of Object.entries(sharedMarkers)) {
+    if (now - shared.postedAt >= markerSync.MARKER_TTL_MS) {
+      storage.hashDelete(markersKey(roomId), markerId).catch(err => {
+        logger.error({ err, roomId }, 'Failed to remove expired shared marker');
+      });
+      continue;
+    }
+    mergeMarker(room, shared);
+  }
+
+  if (mirrored > 0) {
+    recalculateOffsets(roomId);
+    logger.debug({ roomId, mirrored }, 'Loaded users from other instances');
+  }
+}
+
+/**
+ * Apply a user update published by another instance.
+ *
+ * @param {Object} event - { instanceId, roomId, socketId, user } (user is null when they left)
+ */
+function applyRemoteUser({ instanceId, roomId, socketId, user }) {
+  if (instanceId === INSTANCE_ID) return;
+  // Rooms without users here aren't mirrored (they load shared state on first join)
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const existing = room.users.get(socketId);
+  if (existing && isLocalUser(existing)) return;
+
+  if (user) {
+    room.users.set(socketId, toMirrorUser(user));
+  } else if (existing) {
+    room.users.delete(socketId);
+  } else {
+    return;
+  }
+
+  const { updatedUsers } = recalculateOffsets(roomId);
+  sharingHandlers.onRemoteChange(roomId, updatedUsers, []);
+}
+
+/**
+ * Apply a marker published by another instance.
+ *
+ * @param {Object} event - { instanceId, roomId, marker }
+ */
+function applyRemoteMarker({ instanceId, roomId, marker }) {
+  if (instanceId === INSTANCE_ID) return;
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  mergeMarker(room, marker);
+}
+
+/**
+ * Apply a message (an edit, deletion or reaction too) sent through another instance:
+ * cache it and hand it to the server to deliver to the users held here.
+ *
+ * @param {Object} event - { instanceId, roomId, message }
+ */
+function applyRemoteMessage({ instanceId, roomId, message }) {
+  if (instanceId === INSTANCE_ID) return;
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  if (messageEdits.isChange(message)) {
+    cacheChange(room, message);
+  } else if (reactions.isReaction(message)) {
+    cacheReaction(room, message);
+  } else {
+    cacheMessage(room, message);
+  }
+  sharingHandlers.onRemoteMessage(roomId, message);
+}
+
+/**
+ * Refresh this instance's heartbeat and drop mirrors of instances that stopped.
+ */
+async function heartbeat() {
+  const storage = getStorage();
+  await storage.set(instanceKey(INSTANCE_ID), Date.now(), INSTANCE_TTL_MS);
+
+  const remoteInstanceIds = [];
+  for (const room of rooms.values()) {
+    for (const user of room.users.values()) {
+      if (!isLocalUser(user)) remoteInstanceIds.push(user.instanceId);
+    }
+  }
+  if (remoteInstanceIds.length === 0) return;
+
+  const live = await getLiveInstances(remoteInstanceIds);
+  for (const [roomId, room] of rooms) {
+    const departedUsers = Array.from(room.users.values())
+      .filter(user => !isLocalUser(user) && !live.has(user.instanceId));
+    if (departedUsers.length === 0) continue;
+
+    for (const user of departedUsers) {
+      room.users.delete(user.id);
+      storage.hashDelete(usersKey(roomId), user.id).catch(err => {
+        logger.error({ err, roomId }, 'Failed to remove stale shared user');
+      });
+    }
+    logger.info({ roomId, count: departedUsers.length }, 'Dropped users of a stopped instance');
+
+    const { updatedUsers } = recalculateOffsets(roomId);
+    sharingHandlers.onRemoteChange(roomId, updatedUsers, departedUsers);
+  }
+}
+
+/**
+ * Start sharing room state with other instances.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onRemoteChange - (roomId, updatedUsers, departedUsers) after
+ *   another instance's users changed local users' offsets (departedUsers: users of an
+ *   instance that stopped)
+ * @param {Function} handlers.onRemoteMessage - (roomId, message) for a message (or an
+ *   edit or deletion) sent through another instance
+ */
+async function startSharing(handlers) {
+  sharingHandlers = { ...sharingHandlers, ...handlers };
+
+  const storage = getStorage();
+  await storage.subscribe(ROOM_USERS_CHANNEL, applyRemoteUser);
+  await storage.subscribe(ROOM_MARKERS_CHANNEL, applyRemoteMarker);
+  await storage.subscribe(ROOM_MESSAGES_CHANNEL, applyRemoteMessage);
+
+  await heartbeat();
+  heartbeatIntervalId = setInterval(() => {
+    heartbeat().catch(err => logger.error({ err }, 'Instance heartbeat failed'));
+  }, INSTANCE_HEARTBEAT_MS);
+
+  logger.info({ instanceId: INSTANCE_ID, storage: storage.kind }, 'Sharing room state');
+}
+
+/**
+ * Stop the heartbeat and tell other instances to drop this instance's users.
+ * Called when shutting down the server.
+ */
+async function stopSharing() {
+  if (heartbeatIntervalId) {
+    clearInterval(heartbeatIntervalId);
+    heartbeatIntervalId = null;
+  }
+  await getStorage().del(instanceKey(INSTANCE_ID));
 }
 
 /**
@@ -469,9 +1727,11 @@ function getStats() {
     rooms: Array.from(rooms.entries()).map(([id, room]) => ({
       id,
       sportType: room.sportType || DEFAULT_SPORT,
+      syncMode: room.syncMode,
+      deliveryPolicy: room.deliveryPolicy,
       userCount: room.users.size,
       messageCount: room.messages.length,
-      syncedUsers: Array.from(room.users.values()).filter(u => u.gameTime !== null).length
+      syncedUsers: Array.from(room.users.values()).filter(u => u.syncPoint !== null).length
     }))
   };
 }
@@ -484,8 +1744,17 @@ module.exports = {
   removeUser,
   getRoomUsers,
   getRoomMessages,
+  getMessageChanges,
+  findMessage,
+  getVisibleMessages,
+  getWithheldMessages,
+  loadHistory,
+  getUserBySessionId,
   addMessage,
+  addMessageChange,
+  addReaction,
   getUser,
+  renameUser,
   getStats,
   // Functions for game time sync
   updateUserGameTime,
@@ -495,6 +1764,27 @@ module.exports = {
   getMaxRoomOffset,  // Late joiner protection (Phase: Sync Improvement)
   // Sport type (Phase 8)
   getRoomSportType,
+  // Marker sync mode
+  getRoomSyncMode,
+  // Delivery policy
+  getRoomDeliveryPolicy,
+  getRoomSpoilerDetection,
+  getRoomMarkers,
+  postMarker,
+  recordMarkerSighting,
+  // Live positions
+  getRoomClock,
+  getUserGameTime,
+  getUserGamePosition,
+  // Replay mode
+  setUserReplay,
+  // Pause / resume
+  pauseUser,
+  resumeUser,
+  // Shared state (several instances)
+  loadSharedState,
+  startSharing,
+  stopSharing,
   // Constants
   MAX_MESSAGES_PER_ROOM
 };
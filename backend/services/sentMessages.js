@@ -0,0 +1,57 @@
+/**
+ * Sent Messages Service
+ *
+ * Remembers the client-generated ID of every message a session sends, so a
+ * retried send-message gets the original message's server ID back instead of
+ * posting the message twice.
+ *
+ * WHY: on a flaky connection the client can't tell a lost message from a lost
+ * ack, so it retries with the same client ID until it hears back. The IDs live
+ * in the storage adapter (see storage.js), so a retry that reaches another
+ * instance after a reconnect is still recognized.
+ *
+ * Client IDs are scoped to the session: two sessions can't collide, and a
+ * reconnect (new socket, same session) keeps its IDs.
+ */
+
+const { getStorage } = require('./storage');
+
+// How long a client ID is remembered - well past any client's retry window
+const DEDUPE_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+
+const sentKey = (sessionId, clientId) => `sent:${sessionId}:${clientId}`;
+
+/**
+ * Look up the message a session already sent with a client ID.
+ *
+ * @param {string} sessionId - The sender's session ID
+ * @param {string} clientId - Client-generated message ID
+ * @returns {Promise<string|null>} Server message ID, or null if it's new
+ */
+async function findSentMessage(sessionId, clientId) {
+  return getStorage().get(sentKey(sessionId, clientId));
+}
+
+/**
+ * Record that a session sent a message with a client ID.
+ * Atomic, so of two concurrent retries only one gets to post the message.
+ *
+ * @param {string} sessionId - The sender's session ID
+ * @param {string} clientId - Client-generated message ID
+ * @param {string} messageId - Server message ID
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, messageId } (the original's ID)
+ */
+async function claimClientId(sessionId, clientId, messageId) {
+  const storage = getStorage();
+  const claimed = await storage.setIfAbsent(sentKey(sessionId, clientId), messageId, DEDUPE_WINDOW_MS);
+  if (claimed) {
+    return { claimed: true };
+  }
+  return { claimed: false, messageId: await storage.get(sentKey(sessionId, clientId)) };
+}
+
+module.exports = {
+  findSentMessage,
+  claimClientId,
+  DEDUPE_WINDOW_MS
+};
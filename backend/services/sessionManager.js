@@ -15,6 +15,7 @@
  * After that, the session is considered expired and user joins fresh.
  */
 
+const crypto = require('crypto');
 const prisma = require('./database');
 const { withRetry } = require('./database');
 const logger = require('./logger');
@@ -36,16 +37,28 @@ const RECONNECT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
  * @param {string|null} roomMetadata.roomName - Display name for the room
  * @param {string|null} roomMetadata.teams - Teams playing (e.g., "Lakers vs Celtics")
  * @param {Date|null} roomMetadata.gameDate - Date of the game
+ * @param {string} syncMode - How users sync in new rooms ('clock' or 'marker')
+ * @param {number|null} retentionHours - How long new rooms keep chat history (null = server default)
+ * @param {string} deliveryPolicy - When messages arrive in new rooms ('offset' or 'game-position')
+ * @param {Object|null} spoilerDetection - Spoiler detection for new rooms { action, rules } (null = defaults)
  * @returns {Promise<{session: Object, room: Object, isReconnect: boolean}>}
  */
-async function getOrCreateSession(roomCode, nickname, existingSessionId = null, sportType = 'basketball', roomMetadata = null) {
+async function getOrCreateSession(roomCode, nickname, existingSessionId = null, sportType = 'basketball', roomMetadata = null, syncMode = 'clock', retentionHours = null, deliveryPolicy = 'offset', spoilerDetection = null) {
   // First, ensure the room exists (create if it doesn't)
-  // First joiner's sport type and metadata is used; existing rooms keep their values
+  // First joiner's sport type, sync mode, retention, delivery policy, spoiler detection and metadata
+  // is used; existing rooms keep their values
   const room = await prisma.room.upsert({
     where: { roomCode },
     create: {
       roomCode,
       sportType,
+      syncMode,
+      messageRetentionHours: retentionHours,
+      deliveryPolicy,
+      ...(spoilerDetection && {
+        spoilerDetection: spoilerDetection.action,
+        spoilerRules: spoilerDetection.rules
+      }),
       // Include room metadata if provided
       ...(roomMetadata && {
         roomName: roomMetadata.roomName || null,
@@ -156,30 +169,128 @@ async function disconnectSession(sessionId) {
  * Called when user syncs their game time
  *
  * @param {string} sessionId - The session ID
- * @param {Object} gameTime - { period, minutes, seconds } (accepts 'quarter' for backwards compat)
- * @param {number} elapsedSeconds - Calculated elapsed seconds
+ * @param {Object|null} gameTime - { period, minutes, seconds } (accepts 'quarter' for backwards compat),
+ *   null for marker syncs
+ * @param {number|null} elapsedSeconds - Calculated elapsed seconds (null for marker syncs)
+ * @param {Object} syncPoint - When and how the sync was taken
+ * @param {number} syncPoint.syncedAt - Real time of the sync (ms)
+ * @param {number|null} syncPoint.referencePoint - User's reference point (ms), null while pending
+ * @param {boolean} syncPoint.clockStopped - Whether the clock was stopped at sync
+ * @param {Array<Object>} syncPoint.syncSamples - User's recent sync samples (delayEstimator)
  */
-async function updateSessionGameTime(sessionId, gameTime, elapsedSeconds) {
+async function updateSessionGameTime(sessionId, gameTime, elapsedSeconds, syncPoint = {}) {
   // Support both 'period' (new) and 'quarter' (backwards compat)
-  const period = gameTime.period ?? gameTime.quarter;
+  const period = gameTime ? (gameTime.period ?? gameTime.quarter) : null;
+  const {
+    syncedAt = Date.now(),
+    referencePoint = null,
+    clockStopped = false,
+    syncSamples = []
+  } = syncPoint;
 
   await prisma.session.update({
     where: { id: sessionId },
     data: {
       gameTimeQuarter: period,  // Column name kept for backwards compat, but stores period
-      gameTimeMinutes: gameTime.minutes,
-      gameTimeSeconds: gameTime.seconds,
+      gameTimeMinutes: gameTime ? gameTime.minutes : null,
+      gameTimeSeconds: gameTime ? gameTime.seconds : null,
       elapsedSeconds: elapsedSeconds,
+      syncedAt: new Date(syncedAt),
+      referenceAt: referencePoint !== null ? new Date(referencePoint) : null,
+      clockStopped,
+      syncSamples,
       lastSeenAt: new Date()
     }
   });
 }
 
+/**
+ * Save a session's shifted sync samples after the user resumes from a pause
+ * (roomManager.resumeUser), so a reconnect restores the longer delay
+ *
+ * @param {string} sessionId - The session ID
+ * @param {number|null} referencePoint - User's reference point (ms), null while pending
+ * @param {Array<Object>} syncSamples - User's shifted sync samples (delayEstimator)
+ */
+async function updateSessionSyncSamples(sessionId, referencePoint, syncSamples) {
+  await prisma.session.update({
+    where: { id: sessionId },
+    data: {
+      referenceAt: referencePoint !== null ? new Date(referencePoint) : null,
+      syncSamples,
+      lastSeenAt: new Date()
+    }
+  });
+}
+
+/**
+ * Mark a session as watching a replay, so a reconnect resumes the replay
+ * instead of receiving the room's messages by offset
+ *
+ * @param {string} sessionId - The session ID
+ */
+async function setSessionReplay(sessionId) {
+  await prisma.session.update({
+    where: { id: sessionId },
+    data: { replay: true, lastSeenAt: new Date() }
+  });
+}
+
+/**
+ * Change a session's nickname (/nick). Nicknames are unique per room, including
+ * those of sessions that have left but can still be taken back. Signed-in users'
+ * recent rooms follow, so a quick rejoin uses the new nickname.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {string} nickname - The new nickname (validated)
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function renameSession(sessionId, nickname) {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: { room: { select: { roomCode: true } } }
+  });
+  if (!session) {
+    return { success: false, error: 'Session not found' };
+  }
+
+  const taken = await prisma.session.findFirst({
+    where: { roomId: session.roomId, nickname, id: { not: sessionId } }
+  });
+  if (taken) {
+    return { success: false, error: 'That nickname is taken in this room' };
+  }
+
+  try {
+    await prisma.session.update({
+      where: { id: sessionId },
+      data: { nickname, lastSeenAt: new Date() }
+    });
+  } catch (error) {
+    // Someone took it between the check and the update
+    if (error.code === 'P2002') {
+      return { success: false, error: 'That nickname is taken in this room' };
+    }
+    throw error;
+  }
+
+  if (session.userId) {
+    await prisma.recentRoom.updateMany({
+      where: { userId: session.userId, roomCode: session.room.roomCode },
+      data: { nickname }
+    });
+  }
+
+  logger.info(`[Session] Renamed ${session.nickname} to ${nickname} in room ${session.room.roomCode}`);
+  return { success: true };
+}
+
 /**
  * Get a session's stored game time (for reconnection)
  *
  * @param {string} sessionId - The session ID
  * @returns {Promise<Object|null>} Game time data or null if not synced
+ *   (period/minutes/seconds are null for users synced by play markers)
  */
 async function getSessionGameTime(sessionId) {
   const session = await prisma.session.findUnique({
@@ -188,11 +299,16 @@ async function getSessionGameTime(sessionId) {
       gameTimeQuarter: true,
       gameTimeMinutes: true,
       gameTimeSeconds: true,
-      elapsedSeconds: true
+      elapsedSeconds: true,
+      syncedAt: true,
+      referenceAt: true,
+      clockStopped: true,
+      syncSamples: true
     }
   });
 
-  if (!session || session.gameTimeQuarter === null) {
+  // Marker syncs have sync samples but no clock reading
+  if (!session || (session.gameTimeQuarter === null && !session.syncSamples)) {
     return null;
   }
 
@@ -202,7 +318,13 @@ async function getSessionGameTime(sessionId) {
     quarter: session.gameTimeQuarter, // Backwards compat
     minutes: session.gameTimeMinutes,
     seconds: session.gameTimeSeconds,
-    elapsedSeconds: session.elapsedSeconds
+    elapsedSeconds: session.elapsedSeconds,
+    // null syncedAt = synced before reference points were stored
+    syncedAt: session.syncedAt ? session.syncedAt.getTime() : null,
+    referencePoint: session.referenceAt ? session.referenceAt.getTime() : null,
+    clockStopped: session.clockStopped,
+    // null = saved before sync samples were stored
+    syncSamples: session.syncSamples
   };
 }
 
@@ -305,16 +427,32 @@ async function checkRoomExists(roomCode) {
   return !!room;
 }
 
+/**
+ * The sender ID a session's messages carry. Stays the same across reconnects and
+ * nickname changes, so clients can tell their own messages apart. A hash, because
+ * the session ID itself is what a client reconnects with.
+ *
+ * @param {string} sessionId - The session ID
+ * @returns {string} Sender ID
+ */
+function getSenderId(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
 module.exports = {
   getOrCreateSession,
   connectSession,
   disconnectSession,
   updateSessionGameTime,
+  updateSessionSyncSamples,
+  setSessionReplay,
+  renameSession,
   getSessionGameTime,
   findSessionBySocketId,
   deactivateSession,
   cleanupOldData,
   expireDisconnectedSessions,
   checkRoomExists,
+  getSenderId,
   RECONNECT_WINDOW_MS
 };
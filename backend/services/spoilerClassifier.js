@@ -0,0 +1,168 @@
+/**
+ * Spoiler Classifier Service
+ *
+ * Spots messages that spoil the game even for viewers who are right on time -
+ * a score pasted from another source ("FINAL: 112-108"), a result, a link to a
+ * live-score site. Offsets can't help there: the message is about a moment the
+ * viewer's broadcast hasn't shown, not the moment it was sent at.
+ *
+ * HOW IT WORKS:
+ *
+ * 1. The classifier is a set of RULES, each a test on the message text:
+ *    { id, label, test(content, context) => boolean }
+ *    context carries the room's team names, for rules that need them.
+ *
+ * 2. Each room chooses which rules run, and what happens to a message that
+ *    matches one (its spoiler detection settings, see validation.detectSpoilers()):
+ *    - 'tag': it is flagged as a spoiler (blurred until revealed)
+ *    - 'confirm': it is held back, and the sender decides whether to send it
+ *      as a spoiler, send it anyway, or drop it
+ *    - 'off': nothing runs
+ *
+ * 3. New rules are plugged in with registerRule(); a room turns them on by ID.
+ *
+ * Rules look at the raw text (before HTML escaping), and only decide whether
+ * something looks like a spoiler - a sender can always flag a message themselves.
+ */
+
+// What a room does with a message a rule matches
+const SPOILER_ACTIONS = ['tag', 'confirm', 'off'];
+const DEFAULT_SPOILER_ACTION = 'tag';
+
+// Registered rules, in registration order (id -> rule)
+const rules = new Map();
+
+// Scores: "112-108", "3 – 1", "21 to 17" (but not clock readings like "8:42")
+const SCORE_PATTERN = /(?:^|[^\d-])\d{1,3}\s*(?:-|–|—|\bto\b)\s*\d{1,3}(?![\d-])/i;
+
+// Results: "FINAL: ...", "final score", "game over", "full time", "they won the game"
+const RESULT_PATTERN = /\bfinal\s*(?:score\b|:)|\bgame over\b|\bfull[\s-]?time\b|\bfinal whistle\b|\b(?:won|wins|lost|loses|clinched?)\s+(?:the\s+)?(?:game|match|series|title|championship)\b/i;
+
+// Links to sites that show live scores
+const LIVE_SCORE_HOSTS = [
+  'livescore.com', 'flashscore.com', 'sofascore.com', 'fotmob.com', 'thescore.com',
+  'espn.com', 'cbssports.com', 'sports.yahoo.com', 'nba.com', 'nfl.com', 'nhl.com', 'mlb.com'
+];
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co\.uk|tv)\b[^\s]*/gi;
+const SCORE_PATH_PATTERN = /(?:score|boxscore|scoreboard|gamecast|live)/i;
+
+/**
+ * Escape a string for use in a regular expression.
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Pattern matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a link points at a live-score site, or a score page of any site.
+ *
+ * @param {string} link - A link found in a message
+ * @returns {boolean}
+ */
+function isLiveScoreLink(link) {
+  const withoutScheme = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '').toLowerCase();
+  const slash = withoutScheme.indexOf('/');
+  const host = slash === -1 ? withoutScheme : withoutScheme.slice(0, slash);
+  const path = slash === -1 ? '' : withoutScheme.slice(slash);
+
+  return LIVE_SCORE_HOSTS.some(site => host === site || host.endsWith(`.${site}`))
+    || SCORE_PATH_PATTERN.test(path)
+    || /(?:^|\.)live-?scores?\./.test(host);
+}
+
+/**
+ * Add a rule to the classifier (or replace the rule with the same ID).
+ *
+ * @param {Object} rule
+ * @param {string} rule.id - Stable ID rooms turn the rule on by
+ * @param {string} rule.label - What it found, for the sender ("a score")
+ * @param {Function} rule.test - (content, context) => boolean
+ */
+function registerRule({ id, label, test }) {
+  rules.set(id, { id, label, test });
+}
+
+/**
+ * Get the IDs of every registered rule.
+ *
+ * @returns {Array<string>}
+ */
+function getRuleIds() {
+  return [...rules.keys()];
+}
+
+/**
+ * Split a room's teams ("Lakers vs Celtics") into team names.
+ *
+ * @param {string|null} teams - The room's teams
+ * @returns {Array<string>} Team names (empty if the room didn't set any)
+ */
+function parseTeamNames(teams) {
+  if (!teams) return [];
+  return teams
+    .split(/\s+(?:vs\.?|v\.?|versus|at|@)\s+|\s*,\s*/i)
+    .map(name => name.trim())
+    .filter(name => name.length >= 2);
+}
+
+/**
+ * Run the given rules on a message.
+ *
+ * @param {string} content - The message text (raw, not HTML-escaped)
+ * @param {Array<string>} ruleIds - The rules to run (unknown IDs are skipped)
+ * @param {Object} context - { teamNames: Array<string> }
+ * @returns {Array<Object>} The rules that matched ({ id, label })
+ */
+function classify(content, ruleIds, context = { teamNames: [] }) {
+  const matches = [];
+  for (const id of ruleIds) {
+    const rule = rules.get(id);
+    if (rule && rule.test(content, context)) {
+      matches.push({ id: rule.id, label: rule.label });
+    }
+  }
+  return matches;
+}
+
+registerRule({
+  id: 'score',
+  label: 'a score',
+  test: (content) => SCORE_PATTERN.test(content)
+});
+
+registerRule({
+  id: 'final',
+  label: 'a final result',
+  test: (content) => RESULT_PATTERN.test(content)
+});
+
+registerRule({
+  id: 'team-score',
+  label: "a team's score",
+  test: (content, { teamNames = [] }) => teamNames.some(name => {
+    const team = escapeRegExp(name);
+    return new RegExp(`\\b${team}\\b\\W{0,3}\\d{1,3}\\b|\\b\\d{1,3}\\W{0,3}${team}\\b`, 'i').test(content);
+  })
+});
+
+registerRule({
+  id: 'live-score-link',
+  label: 'a live-score link',
+  test: (content) => (content.match(LINK_PATTERN) || []).some(isLiveScoreLink)
+});
+
+// Rules new rooms run (every built-in rule)
+const DEFAULT_SPOILER_RULES = getRuleIds();
+
+module.exports = {
+  registerRule,
+  getRuleIds,
+  parseTeamNames,
+  classify,
+  SPOILER_ACTIONS,
+  DEFAULT_SPOILER_ACTION,
+  DEFAULT_SPOILER_RULES
+};
@@ -3,71 +3,265 @@
  *
  * This is the single source of truth for all sport-specific settings.
  * Each sport has different:
- * - Number of periods (quarters, halves, periods)
+ * - Number of periods (quarters, halves, periods), plus any overtime periods
  * - Period duration in minutes
  * - Clock direction (counts down vs counts up)
+ * - Clock behavior (whether it stops, and how fast it advances vs real time)
+ * - Or, for sports without a game clock, a progress model (innings, sets, laps)
  * - Display labels and formatting
  *
+ * Sports are DATA, not code: each one is a JSON file in backend/sports/
+ * (or the directory in SPORTS_DIR), validated against SPORT_SCHEMA when the
+ * server starts. Adding a sport means adding a file. The frontend gets the
+ * same definitions from GET /api/sports.
+ *
  * The offset calculation logic (in roomManager.js) is sport-agnostic -
  * it only works with elapsed seconds. This module handles the conversion
  * between display time and elapsed seconds for each sport.
  */
 
-const SPORT_CONFIGS = {
-  basketball: {
-    id: 'basketball',
-    label: 'Basketball',
-    emoji: '🏀',
-    periods: 4,
-    periodLabel: 'Quarter', // Full name: "Quarter 1"
-    periodLabelShort: 'Q', // Short name: "Q1"
-    periodDurationMinutes: 12,
-    clockDirection: 'down', // Clock counts DOWN (12:00 -> 0:00)
-    maxMinutes: 12,
-    description: '4 quarters, 12 min each',
-  },
-  football: {
-    id: 'football',
-    label: 'Football',
-    emoji: '🏈',
-    periods: 4,
-    periodLabel: 'Quarter',
-    periodLabelShort: 'Q',
-    periodDurationMinutes: 15,
-    clockDirection: 'down',
-    maxMinutes: 15,
-    description: '4 quarters, 15 min each',
-  },
-  hockey: {
-    id: 'hockey',
-    label: 'Hockey',
-    emoji: '🏒',
-    periods: 3,
-    periodLabel: 'Period',
-    periodLabelShort: 'P',
-    periodDurationMinutes: 20,
-    clockDirection: 'down',
-    maxMinutes: 20,
-    description: '3 periods, 20 min each',
-  },
-  soccer: {
-    id: 'soccer',
-    label: 'Soccer',
-    emoji: '⚽',
-    periods: 2,
-    periodLabel: 'Half',
-    periodLabelShort: 'H',
-    periodDurationMinutes: 45,
-    clockDirection: 'up', // Clock counts UP (0:00 -> 45:00+)
-    maxMinutes: 59, // Allow stoppage time (up to 59:59)
-    allowStoppageTime: true,
-    description: '2 halves, 45+ min each',
-  },
-};
+const fs = require('fs');
+const path = require('path');
+
+// Where sport definitions live (one <id>.json file per sport)
+const SPORTS_DIR = process.env.SPORTS_DIR || path.join(__dirname, '..', 'sports');
 
 // Default sport for backwards compatibility with existing rooms
 const DEFAULT_SPORT = 'basketball';
 
+/**
+ * Schema for a sport's "overtime" block.
+ * Overtime periods are numbered after regulation: basketball's OT1 is period 5.
+ */
+const OVERTIME_SCHEMA = {
+  periods: { type: 'integer', required: true, min: 1, description: 'Most overtime periods a user can pick' },
+  periodDurationMinutes: { type: 'integer', required: true, min: 1, description: 'Length of each overtime period' },
+  periodLabel: { type: 'string', required: true, description: 'Full overtime period name, e.g. "Overtime"' },
+  periodLabelShort: { type: 'string', required: true, description: 'Short prefix, e.g. "OT" for "OT1"' },
+  periodNames: { type: 'string[]', description: 'Display name per overtime period (defaults to periodLabelShort + number)' },
+  clockStartMinutes: { type: 'integer', min: 0, description: 'Count-up clocks only: clock reading when overtime starts (defaults to the end of regulation with continuousClock)' },
+};
+
+/**
+ * Schema for a sport's "progress" block: how a viewer reports where the game is.
+ * Sports without one use the game clock. See gameProgress.js for the models.
+ */
+const PROGRESS_SCHEMA = {
+  model: { type: 'string', required: true, enum: ['clock', 'innings', 'sets', 'laps'], description: 'Progress model' },
+  unitSeconds: { type: 'integer', min: 1, description: 'Nominal real seconds per out, point or lap (non-clock models)' },
+  innings: { type: 'integer', min: 1, description: 'innings: regulation innings' },
+  extraInnings: { type: 'integer', min: 0, description: 'innings: most extra innings a user can pick' },
+  outsPerHalf: { type: 'integer', min: 1, description: 'innings: outs per half-inning (default 3)' },
+  sets: { type: 'integer', min: 1, description: 'sets: most sets in a match' },
+  maxGamesPerSet: { type: 'integer', min: 1, description: 'sets: most games in a set (omit when sets have no games, e.g. volleyball)' },
+  maxPoints: { type: 'integer', min: 1, description: 'sets: most points in a game (or in a set, without games)' },
+  laps: { type: 'integer', min: 1, description: 'laps: most laps a user can pick (race distance varies by circuit)' },
+};
+
+// Parameters each progress model needs (beyond "model")
+const PROGRESS_MODEL_PARAMS = {
+  clock: [],
+  innings: ['unitSeconds', 'innings'],
+  sets: ['unitSeconds', 'sets', 'maxPoints'],
+  laps: ['unitSeconds', 'laps'],
+};
+
+// Fields that only mean something for the clock model - required there, optional otherwise
+const CLOCK_FIELDS = ['periods', 'periodLabel', 'periodLabelShort', 'periodDurationMinutes', 'clockDirection', 'maxMinutes'];
+
+/**
+ * Schema for a sport definition file.
+ * Each field: { type, required?, description, ...constraints }
+ * CLOCK_FIELDS are also required unless the sport has a non-clock progress model.
+ * 'object' fields are checked against their own nested schema.
+ */
+const SPORT_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z][a-z0-9-]*$/, description: 'Identifier, must match the file name' },
+  label: { type: 'string', required: true, description: 'Display name, e.g. "Basketball"' },
+  emoji: { type: 'string', required: true, description: 'Icon shown next to the label' },
+  description: { type: 'string', required: true, description: 'One-line summary, e.g. "4 quarters, 12 min each"' },
+  periods: { type: 'integer', min: 1, description: 'Number of regulation periods' },
+  periodLabel: { type: 'string', description: 'Full period name, e.g. "Quarter"' },
+  periodLabelShort: { type: 'string', description: 'Short period prefix, e.g. "Q" for "Q1"' },
+  periodNames: { type: 'string[]', description: 'Display name per period (defaults to periodLabelShort + number)' },
+  periodDurationMinutes: { type: 'integer', min: 1, description: 'Length of each period' },
+  clockDirection: { type: 'string', enum: ['down', 'up'], description: 'Clock counts down (time remaining) or up (time elapsed)' },
+  maxMinutes: { type: 'integer', min: 1, description: 'Largest minutes value within a period (count-up: period length plus stoppage time)' },
+  allowStoppageTime: { type: 'boolean', description: 'Count-up clock runs past the period length into added time ("45+3")' },
+  continuousClock: { type: 'boolean', description: 'Count-up clock keeps running across periods (soccer 2nd half starts at 45:00)' },
+  clockStops: { type: 'boolean', required: true, description: 'Clock stops during play (timeouts, fouls)' },
+  typicalClockRate: { type: 'number', required: true, min: 0.1, max: 1, description: 'Typical game seconds per real second' },
+  overtime: { type: 'object', schema: OVERTIME_SCHEMA, description: 'Extra periods played after regulation when tied' },
+  progress: { type: 'object', schema: PROGRESS_SCHEMA, description: 'Progress model for sports without a game clock' },
+};
+
+/**
+ * Check a value against one schema field.
+ *
+ * @param {*} value - Value from the definition file
+ * @param {Object} rule - SPORT_SCHEMA entry
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string';
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.length === 0)) {
+        return 'must be an array of non-empty strings';
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      break;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+
+  return null;
+}
+
+/**
+ * Check an object's fields against a schema.
+ *
+ * @param {Object} object - Object to check
+ * @param {Object} schema - Field rules (SPORT_SCHEMA or a nested schema)
+ * @param {string} prefix - Prepended to field names in error messages
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function checkSchema(object, schema, prefix = '') {
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (object[field] === undefined) {
+      if (rule.required) errors.push(`${prefix}${field} is required`);
+      continue;
+    }
+    const problem = checkField(object[field], rule);
+    if (problem) {
+      errors.push(`${prefix}${field} ${problem}`);
+    } else if (rule.type === 'object') {
+      errors.push(...checkSchema(object[field], rule.schema, `${prefix}${field}.`));
+    }
+  }
+
+  for (const field of Object.keys(object)) {
+    if (!(field in schema)) errors.push(`${prefix}${field} is not a known field`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a sport definition against SPORT_SCHEMA.
+ *
+ * @param {Object} definition - Parsed sport definition
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateSportDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['must be a JSON object'] };
+  }
+
+  const errors = checkSchema(definition, SPORT_SCHEMA);
+
+  // Cross-field rules
+  const model = definition.progress?.model ?? 'clock';
+  if (errors.length === 0) {
+    if (model === 'clock') {
+      for (const field of CLOCK_FIELDS) {
+        if (definition[field] === undefined) errors.push(`${field} is required for clock sports`);
+      }
+    }
+    for (const param of PROGRESS_MODEL_PARAMS[model]) {
+      if (definition.progress[param] === undefined) errors.push(`progress.${param} is required for ${model} sports`);
+    }
+    if (model !== 'clock' && (definition.clockStops || definition.typicalClockRate !== 1)) {
+      errors.push('Non-clock sports must set clockStops: false and typicalClockRate: 1');
+    }
+    if (model !== 'clock' && definition.overtime) {
+      errors.push('overtime only applies to clock sports');
+    }
+  }
+
+  if (errors.length === 0) {
+    if (definition.periodNames && definition.periodNames.length !== definition.periods) {
+      errors.push(`periodNames must have one name per period (${definition.periods})`);
+    }
+    if (definition.maxMinutes < definition.periodDurationMinutes) {
+      errors.push('maxMinutes must be at least periodDurationMinutes');
+    }
+
+    const { overtime } = definition;
+    if (overtime?.periodNames && overtime.periodNames.length !== overtime.periods) {
+      errors.push(`overtime.periodNames must have one name per period (${overtime.periods})`);
+    }
+    if (overtime?.clockStartMinutes !== undefined && definition.clockDirection !== 'up') {
+      errors.push('overtime.clockStartMinutes only applies to count-up clocks');
+    }
+    if ((definition.continuousClock || definition.allowStoppageTime) && definition.clockDirection !== 'up') {
+      errors.push('continuousClock and allowStoppageTime only apply to count-up clocks');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load and validate every sport definition in a directory.
+ * Throws on any invalid file so a bad definition stops the server at startup
+ * instead of breaking rooms later.
+ *
+ * @param {string} dir - Directory containing <id>.json files
+ * @returns {Object} Map of sport id -> sport configuration
+ */
+function loadSportConfigs(dir = SPORTS_DIR) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  const configs = {};
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid sport definition ${filePath}: ${err.message}`);
+    }
+
+    const { valid, errors } = validateSportDefinition(definition);
+    if (!valid) {
+      throw new Error(`Invalid sport definition ${filePath}: ${errors.join('; ')}`);
+    }
+    if (definition.id !== path.basename(file, '.json')) {
+      throw new Error(`Invalid sport definition ${filePath}: id "${definition.id}" must match the file name`);
+    }
+
+    configs[definition.id] = Object.freeze(definition);
+  }
+
+  if (!configs[DEFAULT_SPORT]) {
+    throw new Error(`Sport definitions in ${dir} must include the default sport "${DEFAULT_SPORT}"`);
+  }
+
+  return configs;
+}
+
+const SPORT_CONFIGS = loadSportConfigs();
+
 /**
  * Get configuration for a specific sport type.
  * Falls back to basketball if sport type is invalid.
@@ -96,7 +290,7 @@ function getAllSports() {
  * @returns {boolean} True if valid sport type
  */
 function isValidSportType(sportType) {
-  return sportType in SPORT_CONFIGS;
+  return Object.prototype.hasOwnProperty.call(SPORT_CONFIGS, sportType);
 }
 
 /**
@@ -108,11 +302,135 @@ function getValidSportTypes() {
   return Object.keys(SPORT_CONFIGS);
 }
 
+/**
+ * Get the total number of selectable periods, regulation plus overtime.
+ *
+ * @param {Object} config - Sport configuration
+ * @returns {number} Highest valid period number
+ */
+function getTotalPeriods(config) {
+  return config.periods + (config.overtime?.periods ?? 0);
+}
+
+/**
+ * Describe one period of a game: its name, length, where it starts on the
+ * elapsed-seconds timeline, and the clock readings that are valid in it.
+ *
+ * Periods after config.periods are overtime periods (OT1 is periods + 1).
+ *
+ * Count-up clocks with continuousClock keep running across periods, like a soccer
+ * match clock (2nd half runs 45:00-90:00); overtime.clockStartMinutes sets where
+ * extra time starts. With allowStoppageTime, each period is followed by its own
+ * added-time segment (up to maxMinutes - periodDurationMinutes), so the next
+ * period starts after it on the timeline and "45+3" never overlaps the 2nd half.
+ *
+ * @param {Object} config - Sport configuration
+ * @param {number} period - Period number (1-based)
+ * @returns {Object|null} Period info, or null if the period doesn't exist
+ *
+ * @example
+ * getPeriodInfo(getSportConfig('basketball'), 5)
+ * // Returns: { period: 5, name: 'OT1', label: 'Overtime', isOvertime: true,
+ * //   durationMinutes: 5, stoppageMinutes: 0, startElapsedSeconds: 2880,
+ * //   clockStartMinutes: 0, minMinutes: 0, maxMinutes: 5 }
+ *
+ * @example
+ * getPeriodInfo(getSportConfig('soccer'), 2)
+ * // Returns: { period: 2, name: '2nd Half', ..., durationMinutes: 45, stoppageMinutes: 14,
+ * //   startElapsedSeconds: 3540, clockStartMinutes: 45, minMinutes: 45, maxMinutes: 104 }
+ */
+function getPeriodInfo(config, period) {
+  if (!Number.isInteger(period) || period < 1 || period > getTotalPeriods(config)) {
+    return null;
+  }
+
+  const countsUp = config.clockDirection === 'up';
+  // Added time after every period (count-up sports only)
+  const stoppageMinutes = countsUp && config.allowStoppageTime
+    ? config.maxMinutes - config.periodDurationMinutes
+    : 0;
+  const regulationSlotMinutes = config.periodDurationMinutes + stoppageMinutes;
+
+  let info;
+  if (period <= config.periods) {
+    const durationMinutes = config.periodDurationMinutes;
+    info = {
+      period,
+      name: config.periodNames?.[period - 1] ?? `${config.periodLabelShort}${period}`,
+      label: config.periodLabel,
+      isOvertime: false,
+      durationMinutes,
+      startElapsedSeconds: (period - 1) * regulationSlotMinutes * 60,
+      clockStartMinutes: countsUp && config.continuousClock ? (period - 1) * durationMinutes : 0,
+    };
+  } else {
+    const overtime = config.overtime;
+    const overtimeNumber = period - config.periods;
+    const durationMinutes = overtime.periodDurationMinutes;
+    const firstClockStart = overtime.clockStartMinutes
+      ?? (config.continuousClock ? config.periods * config.periodDurationMinutes : null);
+
+    info = {
+      period,
+      name: overtime.periodNames?.[overtimeNumber - 1] ?? `${overtime.periodLabelShort}${overtimeNumber}`,
+      label: overtime.periodLabel,
+      isOvertime: true,
+      durationMinutes,
+      startElapsedSeconds: config.periods * regulationSlotMinutes * 60 +
+        (overtimeNumber - 1) * (durationMinutes + stoppageMinutes) * 60,
+      clockStartMinutes: countsUp && firstClockStart !== null
+        ? firstClockStart + (overtimeNumber - 1) * durationMinutes
+        : 0,
+    };
+  }
+
+  return {
+    ...info,
+    stoppageMinutes,
+    minMinutes: countsUp ? info.clockStartMinutes : 0,
+    maxMinutes: countsUp
+      ? info.clockStartMinutes + info.durationMinutes + stoppageMinutes
+      : info.durationMinutes,
+  };
+}
+
+/**
+ * Describe every selectable period, regulation then overtime. Sent to clients
+ * with the sport (GET /api/sports, room-joined) for the period picker and the
+ * clock range, so they never redo the math in getPeriodInfo().
+ *
+ * @param {Object} config - Sport configuration
+ * @returns {Array<Object>} getPeriodInfo() for periods 1 to getTotalPeriods(),
+ *   empty for sports without a game clock (see gameProgress)
+ */
+function getAllPeriodInfo(config) {
+  if (config.progress && config.progress.model !== 'clock') return [];
+  return Array.from({ length: getTotalPeriods(config) }, (_, i) => getPeriodInfo(config, i + 1));
+}
+
+/**
+ * Get the display name of a period (e.g., "Q3", "2nd Half", "OT1").
+ *
+ * @param {Object} config - Sport configuration
+ * @param {number} period - Period number (1-based)
+ * @returns {string} Period display name
+ */
+function getPeriodName(config, period) {
+  return getPeriodInfo(config, period)?.name ?? `${config.periodLabelShort}${period}`;
+}
+
 module.exports = {
   SPORT_CONFIGS,
+  SPORT_SCHEMA,
   DEFAULT_SPORT,
   getSportConfig,
   getAllSports,
   isValidSportType,
   getValidSportTypes,
+  getTotalPeriods,
+  getPeriodInfo,
+  getAllPeriodInfo,
+  getPeriodName,
+  validateSportDefinition,
+  loadSportConfigs,
 };
@@ -0,0 +1,102 @@
+/**
+ * Storage Service
+ *
+ * Shared state for running more than one backend instance.
+ *
+ * WHY: room users (sync samples, offsets), rate limits and sync countdowns
+ * used to live only in process memory, so every user of a room had to be on
+ * the same instance. With a shared store, each instance keeps serving its own
+ * sockets from memory and mirrors everyone else through the store.
+ *
+ * ADAPTERS:
+ * - memoryStorage: one instance, everything in this process (default)
+ * - redisStorage: any Redis-compatible server, set REDIS_URL to use it.
+ *   Socket.IO then uses the Redis adapter too, so io.to(room).emit() reaches
+ *   sockets on every instance.
+ *
+ * INTERFACE (every method is async; values are JSON-serializable):
+ * - get(key) -> value | null
+ * - set(key, value, ttlMs?)
+ * - setIfAbsent(key, value, ttlMs?) -> boolean (false if the key exists)
+ * - del(key)
+ * - hashSet(key, field, value), hashDelete(key, field)
+ * - hashGetAll(key) -> { field: value }
+ * - windowEntries(key, now, windowMs) -> timestamps still in the window
+ * - windowAdd(key, now, windowMs) - record a timestamp in a sliding window
+ * - publish(channel, message), subscribe(channel, handler)
+ * - close()
+ *
+ * Messages published by an instance come back to its own subscribers too;
+ * every message carries INSTANCE_ID so handlers can skip their own.
+ *
+ * What is NOT in the store: per-socket delivery timers (messageQueue,
+ * positionQueue) stay with the instance that holds the socket. Undelivered
+ * messages are already durable per session in the database (PendingDelivery).
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const memoryStorage = require('./memoryStorage');
+const logger = require('./logger');
+
+// Identifies this process in shared state (who owns which users)
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// The adapter in use (created on first use)
+let storage = null;
+
+/**
+ * Create the adapter configured by the environment.
+ * REDIS_URL selects Redis; otherwise everything stays in memory.
+ *
+ * @returns {Object} Storage adapter
+ */
+function createStorage() {
+  if (process.env.REDIS_URL) {
+    // Only load the Redis client when it's configured
+    const redisStorage = require('./redisStorage');
+    logger.info({ instanceId: INSTANCE_ID }, 'Using Redis storage for shared room state');
+    return redisStorage.create({ url: process.env.REDIS_URL });
+  }
+  return memoryStorage.create();
+}
+
+/**
+ * Get the storage adapter.
+ *
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Use a specific adapter (e.g. Redis against a local stand-in).
+ * Must be called before anything else uses storage.
+ *
+ * @param {Object} adapter - Storage adapter
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+/**
+ * Close the adapter's connections.
+ * Called when shutting down the server.
+ */
+async function closeStorage() {
+  if (storage) {
+    await storage.close();
+    storage = null;
+  }
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  closeStorage,
+  INSTANCE_ID
+};
@@ -16,13 +16,19 @@
  *    - COUNTUP (soccer): Clock shows time ELAPSED
  *
  * 4. Reference Point: When the game "started" in real-world time for this user.
- *    Calculated as: currentRealTime - elapsedGameSeconds
+ *    Calculated as: syncRealTime - elapsedGameSeconds
+ *    Because it is anchored to the moment of sync, a reference point stays valid
+ *    as real time passes (as long as the game clock was running when it was taken).
  *
  * 5. Offset: How many seconds behind the baseline a user is.
- *    This is SPORT-AGNOSTIC - once we have elapsed seconds, offset math is the same.
+ *    This is SPORT-AGNOSTIC - once we have reference points, offset math is the same.
+ *
+ * 6. Clock-Stopped Readings: A clock that isn't running (timeout, end of a period,
+ *    before kickoff) can't pin a reference point - the reading says nothing about
+ *    how much real time has passed. See isClockStoppedReading().
  */
 
-const { getSportConfig, DEFAULT_SPORT } = require('./sportConfig');
+const { getSportConfig, getPeriodInfo, getPeriodName, getTotalPeriods, DEFAULT_SPORT } = require('./sportConfig');
 
 /**
  * Converts a game clock time to total elapsed seconds from game start.
@@ -34,8 +40,15 @@ const { getSportConfig, DEFAULT_SPORT } = require('./sportConfig');
  * For COUNTUP sports (soccer):
  *   Clock shows time ELAPSED directly
  *   Example: "23:15 in 1st Half" = 23:15 elapsed in that half
+ *   A continuous clock keeps running across halves (2nd half starts at 45:00), and
+ *   minutes past the period length are added time: "48:00 in 1st Half" is 45+3.
+ *   Each period's added time has its own stretch of the timeline (see
+ *   sportConfig.getPeriodInfo), so first-half stoppage sorts before the 2nd half.
+ *
+ * Overtime periods continue the numbering after regulation (basketball OT1 = period 5)
+ * and start where regulation ends on the elapsed timeline.
  *
- * @param {number} period - The current period (1-based: Q1, P1, 1st Half, etc.)
+ * @param {number} period - The current period (1-based: Q1, P1, 1st Half, OT1, etc.)
  * @param {number} minutes - Minutes on the clock
  * @param {number} seconds - Seconds on the clock (0-59)
  * @param {string} sportType - Sport identifier (default: 'basketball')
@@ -50,22 +63,23 @@ const { getSportConfig, DEFAULT_SPORT } = require('./sportConfig');
  * // Soccer: 23:15 into 1st Half
  * gameTimeToElapsedSeconds(1, 23, 15, 'soccer')
  * // Returns: 23*60 + 15 = 1395 seconds
+ *
+ * @example
+ * // Soccer: 50:00 on the clock in the 2nd half (after the 1st half's 45 + 14 added minutes)
+ * gameTimeToElapsedSeconds(2, 50, 0, 'soccer')
+ * // Returns: 59*60 + 5*60 = 3840 seconds
  */
 function gameTimeToElapsedSeconds(period, minutes, seconds, sportType = DEFAULT_SPORT) {
   const config = getSportConfig(sportType);
-  const periodDurationSeconds = config.periodDurationMinutes * 60;
+  const info = getPeriodInfo(config, period);
 
-  // Validate period
-  if (period < 1 || period > config.periods) {
+  // Validate period (regulation or overtime)
+  if (!info) {
     throw new Error(
-      `Invalid ${config.periodLabel.toLowerCase()}: ${period}. Must be 1-${config.periods}`
+      `Invalid ${config.periodLabel.toLowerCase()}: ${period}. Must be 1-${getTotalPeriods(config)}`
     );
   }
 
-  // Calculate seconds elapsed in completed periods
-  const completedPeriods = period - 1;
-  const completedPeriodSeconds = completedPeriods * periodDurationSeconds;
-
   // Calculate seconds elapsed in current period based on clock direction
   let elapsedInCurrentPeriod;
 
@@ -73,13 +87,14 @@ function gameTimeToElapsedSeconds(period, minutes, seconds, sportType = DEFAULT_
     // COUNTDOWN: clock shows time REMAINING
     // So elapsed = duration - remaining
     const timeRemainingInPeriod = minutes * 60 + seconds;
-    elapsedInCurrentPeriod = periodDurationSeconds - timeRemainingInPeriod;
+    elapsedInCurrentPeriod = info.durationMinutes * 60 - timeRemainingInPeriod;
   } else {
-    // COUNTUP: clock shows time ELAPSED directly
-    elapsedInCurrentPeriod = minutes * 60 + seconds;
+    // COUNTUP: clock shows time ELAPSED, measured from where this period's clock starts
+    // (0:00 in regulation, 90:00 for soccer's first period of extra time)
+    elapsedInCurrentPeriod = minutes * 60 + seconds - info.clockStartMinutes * 60;
   }
 
-  return completedPeriodSeconds + elapsedInCurrentPeriod;
+  return info.startElapsedSeconds + elapsedInCurrentPeriod;
 }
 
 /**
@@ -99,45 +114,89 @@ function gameTimeToElapsedSeconds(period, minutes, seconds, sportType = DEFAULT_
  * // Soccer
  * elapsedSecondsToGameTime(1395, 'soccer')
  * // Returns: { period: 1, minutes: 23, seconds: 15, display: "1st Half 23:15" }
+ *
+ * @example
+ * // Soccer first-half stoppage time (its own segment, before the 2nd half)
+ * elapsedSecondsToGameTime(2880, 'soccer')
+ * // Returns: { period: 1, minutes: 48, seconds: 0, display: "1st Half 45+3:00" }
+ *
+ * @example
+ * // Basketball overtime (regulation ends at 2880)
+ * elapsedSecondsToGameTime(2988, 'basketball')
+ * // Returns: { period: 5, minutes: 3, seconds: 12, display: "OT1 3:12" }
  */
 function elapsedSecondsToGameTime(elapsedSeconds, sportType = DEFAULT_SPORT) {
   const config = getSportConfig(sportType);
-  const periodDurationSeconds = config.periodDurationMinutes * 60;
+  const totalPeriods = getTotalPeriods(config);
 
-  // Clamp to valid range
-  const maxElapsed = config.periods * periodDurationSeconds;
+  // Clamp to valid range (end of the last overtime period, including its added time)
+  const lastPeriod = getPeriodInfo(config, totalPeriods);
+  const maxElapsed = lastPeriod.startElapsedSeconds +
+    (lastPeriod.durationMinutes + lastPeriod.stoppageMinutes) * 60;
   elapsedSeconds = Math.max(0, Math.min(elapsedSeconds, maxElapsed));
 
-  // Determine which period we're in
-  const period = Math.min(
-    Math.floor(elapsedSeconds / periodDurationSeconds) + 1,
-    config.periods
-  );
+  // Determine which period we're in (the last one that has started).
+  // The end of regulation stays in regulation ("Q4 0:00"), not "OT1 5:00".
+  let info = getPeriodInfo(config, 1);
+  for (let p = 2; p <= totalPeriods; p++) {
+    const next = getPeriodInfo(config, p);
+    if (next.startElapsedSeconds > elapsedSeconds) break;
+    if (next.isOvertime && next.startElapsedSeconds === elapsedSeconds) break;
+    info = next;
+  }
+  const { period } = info;
 
-  // Calculate how much time has elapsed in this period
-  const completedPeriodSeconds = (period - 1) * periodDurationSeconds;
-  const elapsedInPeriod = elapsedSeconds - completedPeriodSeconds;
+  // Calculate how much time has elapsed in this period (including added time)
+  const periodSeconds = info.durationMinutes * 60;
+  const elapsedInPeriod = Math.min(
+    elapsedSeconds - info.startElapsedSeconds,
+    periodSeconds + info.stoppageMinutes * 60
+  );
 
-  let minutes, seconds, display;
+  let minutes, seconds;
 
   if (config.clockDirection === 'down') {
     // COUNTDOWN: show time remaining
-    const timeRemaining = periodDurationSeconds - elapsedInPeriod;
+    const timeRemaining = periodSeconds - elapsedInPeriod;
     minutes = Math.floor(timeRemaining / 60);
     seconds = timeRemaining % 60;
-    display = `${config.periodLabelShort}${period} ${minutes}:${seconds.toString().padStart(2, '0')}`;
   } else {
-    // COUNTUP: show time elapsed
-    minutes = Math.floor(elapsedInPeriod / 60);
-    seconds = elapsedInPeriod % 60;
-    // For soccer: "1st Half 23:15" or "2nd Half 23:15"
-    const ordinal = period === 1 ? '1st' : '2nd';
-    display = `${ordinal} ${config.periodLabel} ${minutes}:${seconds.toString().padStart(2, '0')}`;
+    // COUNTUP: show the clock (continuing the match clock where the sport does)
+    const clockSeconds = info.clockStartMinutes * 60 + elapsedInPeriod;
+    minutes = Math.floor(clockSeconds / 60);
+    seconds = clockSeconds % 60;
   }
 
+  const display = formatGameTime(period, minutes, seconds, sportType);
+
   return { period, minutes, seconds, display };
 }
 
+/**
+ * Formats a game clock reading for display.
+ * Count-up clocks past the period length show added time the way broadcasters do.
+ *
+ * @param {number} period - Period number (1-based)
+ * @param {number} minutes - Minutes on clock
+ * @param {number} seconds - Seconds on clock
+ * @param {string} sportType - Sport identifier (default: 'basketball')
+ * @returns {string} "Q3 8:42", "1st Half 23:15", "1st Half 45+3:12", "OT1 3:12", "ET 1st 105:00"
+ */
+function formatGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  const info = getPeriodInfo(config, period);
+  const paddedSeconds = seconds.toString().padStart(2, '0');
+
+  if (config.clockDirection === 'up' && info) {
+    const periodEndMinutes = info.clockStartMinutes + info.durationMinutes;
+    if (minutes * 60 + seconds > periodEndMinutes * 60) {
+      return `${info.name} ${periodEndMinutes}+${minutes - periodEndMinutes}:${paddedSeconds}`;
+    }
+  }
+
+  return `${getPeriodName(config, period)} ${minutes}:${paddedSeconds}`;
+}
+
 /**
  * Validates game time input values for a specific sport.
  *
@@ -149,11 +208,12 @@ function elapsedSecondsToGameTime(elapsedSeconds, sportType = DEFAULT_SPORT) {
  */
 function validateGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
   const config = getSportConfig(sportType);
+  const info = typeof period === 'number' ? getPeriodInfo(config, period) : null;
 
-  if (typeof period !== 'number' || period < 1 || period > config.periods) {
+  if (!info) {
     return {
       valid: false,
-      error: `${config.periodLabel} must be 1-${config.periods}`,
+      error: `${config.periodLabel} must be 1-${getTotalPeriods(config)}`,
     };
   }
 
@@ -166,34 +226,51 @@ function validateGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
   }
 
   // Sport-specific minute validation based on clock direction
-  if (config.clockDirection === 'down') {
-    // COUNTDOWN sports: max minutes is the period duration
-    if (minutes > config.periodDurationMinutes) {
-      return {
-        valid: false,
-        error: `Minutes must be 0-${config.periodDurationMinutes}`,
-      };
-    }
-    // Special case: full duration only valid with 0 seconds
-    if (minutes === config.periodDurationMinutes && seconds > 0) {
-      return {
-        valid: false,
-        error: `Time cannot exceed ${config.periodDurationMinutes}:00`,
-      };
-    }
-  } else {
-    // COUNTUP sports (soccer): allow up to maxMinutes for stoppage time
-    if (minutes > config.maxMinutes) {
-      return {
-        valid: false,
-        error: `Minutes must be 0-${config.maxMinutes}`,
-      };
-    }
+  // (COUNTUP sports allow minutes past the period length for stoppage time)
+  if (minutes < info.minMinutes || minutes > info.maxMinutes) {
+    return {
+      valid: false,
+      error: `Minutes must be ${info.minMinutes}-${info.maxMinutes}`,
+    };
+  }
+  // Special case: full duration only valid with 0 seconds
+  if (config.clockDirection === 'down' && minutes === info.maxMinutes && seconds > 0) {
+    return {
+      valid: false,
+      error: `Time cannot exceed ${info.maxMinutes}:00`,
+    };
   }
 
   return { valid: true };
 }
 
+/**
+ * Checks whether a game clock reading is one where the clock is (almost always) stopped.
+ *
+ * These readings can't be turned into a reference point: the clock sits on them for
+ * an unknown amount of real time (breaks between periods, halftime, before kickoff).
+ *
+ * For COUNTDOWN sports: the full period duration (period not started) or 0:00 (period over)
+ * For COUNTUP sports: the period's starting reading (0:00, or 90:00 before extra time)
+ *
+ * @param {number} period - Period number (1-based)
+ * @param {number} minutes - Minutes on clock
+ * @param {number} seconds - Seconds on clock
+ * @param {string} sportType - Sport identifier (default: 'basketball')
+ * @returns {boolean} True if the clock is stopped at this reading
+ */
+function isClockStoppedReading(period, minutes, seconds, sportType = DEFAULT_SPORT) {
+  const config = getSportConfig(sportType);
+  const info = getPeriodInfo(config, period);
+  const clockSeconds = minutes * 60 + seconds;
+
+  if (config.clockDirection === 'down') {
+    return clockSeconds === 0 || clockSeconds === info.durationMinutes * 60;
+  }
+
+  return clockSeconds === info.clockStartMinutes * 60;
+}
+
 // ============================================
 // SPORT-AGNOSTIC FUNCTIONS (unchanged from Phase 7)
 // These work with elapsed seconds, so they don't need sport knowledge
@@ -274,8 +351,10 @@ function formatOffset(offsetMs) {
 module.exports = {
   gameTimeToElapsedSeconds,
   elapsedSecondsToGameTime,
+  formatGameTime,
   calculateReferencePoint,
   calculateOffset,
   formatOffset,
   validateGameTime,
+  isClockStoppedReading,
 };
@@ -14,7 +14,12 @@
 
 const validator = require('validator');
 const Filter = require('bad-words');
-const { isValidSportType, getValidSportTypes, getSportConfig, DEFAULT_SPORT } = require('./sportConfig');
+const { isValidSportType, getValidSportTypes, getSportConfig, getPeriodInfo, getTotalPeriods, DEFAULT_SPORT } = require('./sportConfig');
+const { SYNC_MODES } = require('./markerSync');
+const { RETENTION_OPTIONS_HOURS, HISTORY_PAGE_SIZE } = require('./messageHistory');
+const { DELIVERY_POLICIES } = require('./deliveryPolicy');
+const { REACTION_EMOJIS } = require('./reactions');
+const { classify, getRuleIds, SPOILER_ACTIONS, DEFAULT_SPOILER_ACTION, DEFAULT_SPOILER_RULES } = require('./spoilerClassifier');
 
 // Initialize profanity filter
 // This blocks offensive words in nicknames
@@ -98,6 +103,7 @@ function validateNickname(nickname) {
  * - Must be 1-500 characters
  * - Trims whitespace from ends
  * - Escapes HTML entities
+ * - Slash commands ("/spoiler ...", "/me ...") are parsed before this (see commands.js)
  *
  * @param {string} content - Raw message content
  * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
@@ -126,6 +132,86 @@ function validateMessage(content) {
   return { valid: true, sanitized };
 }
 
+/**
+ * Check a chat message for spoiler content with a room's rules (see spoilerClassifier)
+ * - Runs on the raw content, before escaping (links and scores keep their characters)
+ * - Nothing runs in rooms that turned detection off
+ *
+ * @param {string} content - Raw message content (already validated)
+ * @param {Object} detection - The room's settings { action, rules, teamNames }
+ * @returns {Array<Object>} The rules that matched ({ id, label }), empty if none
+ */
+function detectSpoilers(content, detection) {
+  if (detection.action === 'off') return [];
+  return classify(content, detection.rules, { teamNames: detection.teamNames });
+}
+
+/**
+ * Validate the ID a client attaches to a message it sends (for retries and acks)
+ * - Optional (older clients don't send one)
+ * - Must be a UUID (crypto.randomUUID() in the browser)
+ *
+ * @param {string|null|undefined} clientId - Client-generated message ID
+ * @returns {Object} { valid: boolean, sanitized?: string|null, error?: string }
+ */
+function validateClientMessageId(clientId) {
+  if (clientId === undefined || clientId === null) {
+    return { valid: true, sanitized: null };
+  }
+
+  if (typeof clientId !== 'string' || !validator.isUUID(clientId)) {
+    return { valid: false, error: 'Invalid message ID' };
+  }
+
+  return { valid: true, sanitized: clientId.toLowerCase() };
+}
+
+/**
+ * Validate the server ID of a message being edited or deleted
+ * - Must be a non-empty string of at most 100 characters
+ *
+ * @param {string} messageId - Message ID from the client
+ * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
+ */
+function validateMessageId(messageId) {
+  if (typeof messageId !== 'string' || messageId.length < 1 || messageId.length > 100) {
+    return { valid: false, error: 'Invalid message ID' };
+  }
+
+  return { valid: true, sanitized: messageId };
+}
+
+/**
+ * Validate the message a new message replies to
+ * - Optional (most messages aren't replies)
+ * - Otherwise a message ID (see validateMessageId)
+ *
+ * @param {string|null|undefined} replyToId - Parent message ID from the client
+ * @returns {Object} { valid: boolean, sanitized?: string|null, error?: string }
+ */
+function validateReplyToId(replyToId) {
+  if (replyToId === undefined || replyToId === null) {
+    return { valid: true, sanitized: null };
+  }
+
+  return validateMessageId(replyToId);
+}
+
+/**
+ * Validate a reaction emoji
+ * - Must be one of the reaction emoji (reactions.REACTION_EMOJIS)
+ *
+ * @param {string} emoji - Emoji from the client
+ * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
+ */
+function validateReaction(emoji) {
+  if (!REACTION_EMOJIS.includes(emoji)) {
+    return { valid: false, error: `Invalid reaction. Must be one of: ${REACTION_EMOJIS.join(' ')}` };
+  }
+
+  return { valid: true, sanitized: emoji };
+}
+
 /**
  * Validate a room ID
  * - Must be 1-50 characters
@@ -188,6 +274,170 @@ function validateSportType(sportType) {
   return { valid: true, sanitized: normalized };
 }
 
+/**
+ * Validate a room's sync mode
+ *
+ * @param {string} syncMode - 'clock' (game clock) or 'marker' (play markers)
+ * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
+ */
+function validateSyncMode(syncMode) {
+  if (typeof syncMode !== 'string') {
+    return { valid: false, error: 'Sync mode must be a string' };
+  }
+
+  const normalized = syncMode.toLowerCase().trim();
+
+  if (!SYNC_MODES.includes(normalized)) {
+    return {
+      valid: false,
+      error: `Invalid sync mode. Must be one of: ${SYNC_MODES.join(', ')}`,
+    };
+  }
+
+  return { valid: true, sanitized: normalized };
+}
+
+/**
+ * Validate a room's delivery policy
+ *
+ * @param {string} deliveryPolicy - 'offset' (sent + delay) or 'game-position'
+ * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
+ */
+function validateDeliveryPolicy(deliveryPolicy) {
+  if (typeof deliveryPolicy !== 'string') {
+    return { valid: false, error: 'Delivery policy must be a string' };
+  }
+
+  const normalized = deliveryPolicy.toLowerCase().trim();
+
+  if (!DELIVERY_POLICIES.includes(normalized)) {
+    return {
+      valid: false,
+      error: `Invalid delivery policy. Must be one of: ${DELIVERY_POLICIES.join(', ')}`,
+    };
+  }
+
+  return { valid: true, sanitized: normalized };
+}
+
+/**
+ * Validate a room's spoiler detection settings
+ * - action: what happens to a message a rule matches (see spoilerClassifier)
+ * - rules: which rules run (IDs of registered rules, duplicates dropped)
+ *
+ * @param {Object} settings - { action, rules }
+ * @returns {Object} { valid: boolean, sanitized?: { action, rules }, error?: string }
+ */
+function validateSpoilerDetection({ action, rules } = {}) {
+  const normalizedAction = typeof action === 'string' ? action.toLowerCase().trim() : DEFAULT_SPOILER_ACTION;
+  if (!SPOILER_ACTIONS.includes(normalizedAction)) {
+    return {
+      valid: false,
+      error: `Invalid spoiler detection. Must be one of: ${SPOILER_ACTIONS.join(', ')}`,
+    };
+  }
+
+  if (rules === undefined || rules === null) {
+    return { valid: true, sanitized: { action: normalizedAction, rules: DEFAULT_SPOILER_RULES } };
+  }
+
+  const known = getRuleIds();
+  if (!Array.isArray(rules) || rules.some(rule => !known.includes(rule))) {
+    return {
+      valid: false,
+      error: `Invalid spoiler rules. Must be some of: ${known.join(', ')}`,
+    };
+  }
+
+  return { valid: true, sanitized: { action: normalizedAction, rules: [...new Set(rules)] } };
+}
+
+/**
+ * Validate a room's message retention window
+ *
+ * @param {number|string} hours - How long to keep chat history, in hours
+ * @returns {Object} { valid: boolean, sanitized?: number, error?: string }
+ */
+function validateRetentionHours(hours) {
+  const parsed = typeof hours === 'string' ? parseInt(hours, 10) : hours;
+
+  if (!RETENTION_OPTIONS_HOURS.includes(parsed)) {
+    return {
+      valid: false,
+      error: `Invalid retention. Must be one of: ${RETENTION_OPTIONS_HOURS.join(', ')} hours`,
+    };
+  }
+
+  return { valid: true, sanitized: parsed };
+}
+
+/**
+ * Validate a history page request
+ * - before: optional cursor, a message timestamp (ms) or ISO date string
+ * - beforeId: optional, the ID of the message at the cursor (see validateMessageId) -
+ *   messages sent in the same ms are paged by ID
+ * - limit: optional page size, 1 to HISTORY_PAGE_SIZE
+ *
+ * @param {Object} request - { before, beforeId, limit } from a socket event or query string
+ * @returns {Object} { valid: boolean, sanitized?: { before, beforeId, limit }, error?: string }
+ */
+function validateHistoryRequest({ before, beforeId, limit } = {}) {
+  let cursor = null;
+  if (before !== undefined && before !== null && before !== '') {
+    cursor = /^\d+$/.test(String(before)) ? Number(before) : Date.parse(before);
+    if (!Number.isFinite(cursor) || cursor <= 0) {
+      return { valid: false, error: 'Invalid history cursor' };
+    }
+  }
+
+  let cursorId = null;
+  if (cursor !== null && beforeId !== undefined && beforeId !== null && beforeId !== '') {
+    const idValidation = validateMessageId(beforeId);
+    if (!idValidation.valid) {
+      return { valid: false, error: 'Invalid history cursor' };
+    }
+    cursorId = idValidation.sanitized;
+  }
+
+  let pageSize = HISTORY_PAGE_SIZE;
+  if (limit !== undefined && limit !== null && limit !== '') {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > HISTORY_PAGE_SIZE) {
+      return { valid: false, error: `Limit must be 1-${HISTORY_PAGE_SIZE}` };
+    }
+  }
+
+  return { valid: true, sanitized: { before: cursor, beforeId: cursorId, limit: pageSize } };
+}
+
+/**
+ * Validate a play marker label (e.g., "Tatum three")
+ * - Must be 1-60 characters
+ *
+ * @param {string} label - Raw marker label
+ * @returns {Object} { valid: boolean, sanitized?: string, error?: string }
+ */
+function validateMarkerLabel(label) {
+  if (typeof label !== 'string') {
+    return { valid: false, error: 'Marker must be a string' };
+  }
+
+  const trimmed = label.trim();
+
+  if (trimmed.length < 1) {
+    return { valid: false, error: 'Describe the play you just saw' };
+  }
+
+  if (trimmed.length > 60) {
+    return { valid: false, error: 'Marker must be 60 characters or less' };
+  }
+
+  // Escape HTML entities (defense in depth, like messages)
+  const sanitized = validator.escape(trimmed);
+
+  return { valid: true, sanitized };
+}
+
 /**
  * Validate room name (optional display name for the room)
  *
@@ -278,6 +528,7 @@ function validateGameDate(gameDate) {
  * - Football: 4 quarters, 15 min max (clock counts DOWN)
  * - Hockey: 3 periods, 20 min max (clock counts DOWN)
  * - Soccer: 2 halves, 59 min max for stoppage time (clock counts UP)
+ * - Overtime periods follow regulation (e.g., basketball OT1 = period 5)
  *
  * @param {number} period - Period number (1-based)
  * @param {number} minutes - Minutes on clock
@@ -297,11 +548,12 @@ function validateGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
     return { valid: false, error: 'Game time values must be numbers' };
   }
 
-  // Validate period based on sport
-  if (p < 1 || p > config.periods) {
+  // Validate period based on sport (regulation or overtime)
+  const info = getPeriodInfo(config, p);
+  if (!info) {
     return {
       valid: false,
-      error: `${config.periodLabel} must be 1-${config.periods}`,
+      error: `${config.periodLabel} must be 1-${getTotalPeriods(config)}`,
     };
   }
 
@@ -310,30 +562,21 @@ function validateGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
     return { valid: false, error: 'Seconds must be 0-59' };
   }
 
-  // Validate minutes based on sport and clock direction
-  if (config.clockDirection === 'down') {
-    // COUNTDOWN sports: max minutes is the period duration
-    if (m < 0 || m > config.periodDurationMinutes) {
-      return {
-        valid: false,
-        error: `Minutes must be 0-${config.periodDurationMinutes}`,
-      };
-    }
-    // Full duration only valid with 0 seconds (period start)
-    if (m === config.periodDurationMinutes && s > 0) {
-      return {
-        valid: false,
-        error: `Time cannot exceed ${config.periodDurationMinutes}:00`,
-      };
-    }
-  } else {
-    // COUNTUP sports (soccer): allow up to maxMinutes for stoppage time
-    if (m < 0 || m > config.maxMinutes) {
-      return {
-        valid: false,
-        error: `Minutes must be 0-${config.maxMinutes}`,
-      };
-    }
+  // Validate minutes based on the period's clock range
+  // COUNTDOWN: 0 to the period duration
+  // COUNTUP: from the period's starting reading, plus stoppage time (soccer)
+  if (m < info.minMinutes || m > info.maxMinutes) {
+    return {
+      valid: false,
+      error: `Minutes must be ${info.minMinutes}-${info.maxMinutes}`,
+    };
+  }
+  // Full duration only valid with 0 seconds (period start)
+  if (config.clockDirection === 'down' && m === info.maxMinutes && s > 0) {
+    return {
+      valid: false,
+      error: `Time cannot exceed ${info.maxMinutes}:00`,
+    };
   }
 
   return { valid: true };
@@ -342,9 +585,20 @@ function validateGameTime(period, minutes, seconds, sportType = DEFAULT_SPORT) {
 module.exports = {
   validateNickname,
   validateMessage,
+  detectSpoilers,
+  validateClientMessageId,
+  validateMessageId,
+  validateReplyToId,
+  validateReaction,
   validateRoomId,
   validateGameTime,
   validateSportType,
+  validateSyncMode,
+  validateDeliveryPolicy,
+  validateRetentionHours,
+  validateSpoilerDetection,
+  validateHistoryRequest,
+  validateMarkerLabel,
   validateRoomName,
   validateTeams,
   validateGameDate,
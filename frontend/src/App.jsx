@@ -7,6 +7,8 @@ import ChatRoom from './components/ChatRoom';
 import PrivacyPolicy from './pages/PrivacyPolicy';
 import TermsOfService from './pages/TermsOfService';
 import { Spinner } from './components/ui/spinner';
+import { Button } from './components/ui/button';
+import { loadSports } from './lib/sportConfig';
 
 /**
  * Main App Component
@@ -15,9 +17,10 @@ import { Spinner } from './components/ui/spinner';
  * Initializes auth and socket connection on mount.
  */
 function App() {
-  const { joinRoom, sendMessage, leaveRoom, syncGameTime, reportMessage, startCountdown } = useSocket();
+  const { joinRoom, sendMessage, retryMessage, confirmMessage, discardMessage, runCommand, editMessage, deleteMessage, reactToMessage, loadHistory, startReplay, pausePlayback, resumePlayback, leaveRoom, syncGameTime, postMarker, markMarkerSeen, reportMessage, startCountdown } = useSocket();
   const { roomId, pendingAutoReconnect, viewingHome } = useChatStore();
   const { initialize, isLoading, profile } = useAuthStore();
+  const [sportsStatus, setSportsStatus] = useState('loading'); // 'loading' | 'ready' | 'error'
 
   // Extract room code from /join/:roomCode invite URLs
   const [prefillRoomCode] = useState(() => {
@@ -62,6 +65,16 @@ function App() {
     initialize();
   }, [initialize]);
 
+  // Load sport definitions from the server (needed by every room screen)
+  useEffect(() => {
+    loadSports()
+      .then(() => setSportsStatus('ready'))
+      .catch((error) => {
+        console.error('Error loading sports:', error);
+        setSportsStatus('error');
+      });
+  }, []);
+
   // Apply theme based on user preference
   useEffect(() => {
     const theme = profile?.theme || 'system';
@@ -79,8 +92,8 @@ function App() {
     }
   }, [profile?.theme]);
 
-  // Show loading while checking auth state
-  if (isLoading) {
+  // Show loading while checking auth state and fetching sports
+  if (isLoading || sportsStatus === 'loading') {
     return (
       <div className="min-h-screen flex flex-col items-center justify-center gap-3 bg-background">
         <Spinner size="lg" />
@@ -89,6 +102,18 @@ function App() {
     );
   }
 
+  // Sports are required to create, join or sync a room
+  if (sportsStatus === 'error') {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-3 bg-background">
+        <div className="text-muted-foreground text-sm">Couldn't reach the server. Please try again.</div>
+        <Button variant="outline" size="sm" onClick={() => window.location.reload()}>
+          Reload
+        </Button>
+      </div>
+    );
+  }
+
   // Show reconnecting state while auto-reconnecting to stored session
   if (pendingAutoReconnect && !roomId) {
     return (
@@ -120,8 +145,21 @@ function App() {
       ) : (
         <ChatRoom
           onSendMessage={sendMessage}
+          onRunCommand={runCommand}
+          onRetryMessage={retryMessage}
+          onConfirmMessage={confirmMessage}
+          onDiscardMessage={discardMessage}
+          onEditMessage={editMessage}
+          onDeleteMessage={deleteMessage}
+          onReactToMessage={reactToMessage}
+          onLoadHistory={loadHistory}
+          onStartReplay={startReplay}
+          onPausePlayback={pausePlayback}
+          onResumePlayback={resumePlayback}
           onLeaveRoom={leaveRoom}
           onSyncGameTime={syncGameTime}
+          onPostMarker={postMarker}
+          onMarkerSeen={markMarkerSeen}
           onReportMessage={reportMessage}
           onStartCountdown={startCountdown}
         />
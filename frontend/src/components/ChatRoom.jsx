@@ -2,6 +2,8 @@ import { useState, useRef, useEffect } from 'react';
 import useChatStore from '../store/chatStore';
 import AuthButton from './AuthButton';
 import TimeSync from './TimeSync';
+import MarkerSync from './MarkerSync';
+import ProgressSync from './ProgressSync';
 import SyncModal from './SyncModal';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -10,8 +12,9 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
-import { Home, Menu, X, Clock, Copy, Check, Link2, Flag } from 'lucide-react';
-import { getSportConfig } from '../lib/sportConfig';
+import { Home, Menu, X, Clock, Copy, Check, Link2, Flag, History, Pause, Play, AlertCircle, WifiOff, Pencil, Trash2, Reply, ChevronDown, ChevronRight, SmilePlus, EyeOff } from 'lucide-react';
+import { getSportConfig, isClockSport } from '../lib/sportConfig';
+import { parseCommand, suggestCommands } from '../lib/commands';
 
 /**
  * ChatRoom Component
@@ -19,7 +22,11 @@ import { getSportConfig } from '../lib/sportConfig';
  * The main chat interface showing messages, user list, and message input.
  */
 const RESYNC_REMINDER_MS = 20 * 60 * 1000;
+// Game-position rooms and replays stop delivering 10 minutes after your last sync, so remind sooner
+const GAME_POSITION_RESYNC_REMINDER_MS = 8 * 60 * 1000;
 const RESYNC_CHECK_INTERVAL_MS = 60 * 1000;
+// Emoji a message can be reacted to with (backend/services/reactions.js)
+const REACTION_EMOJIS = ['🔥', '😱', '👏', '😂', '😢', '👀'];
 
 /**
  * Format a timestamp as relative time (e.g., "just now", "2m ago")
@@ -35,7 +42,34 @@ function formatRelativeSyncTime(timestamp) {
   return `${hours}h ago`;
 }
 
-function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage, onStartCountdown }) {
+/**
+ * The text to show for a message: /me actions read "* Sam jumps off the couch"
+ */
+function messageText(message) {
+  return message.emote ? `* ${message.nickname} ${message.content}` : message.content;
+}
+
+/**
+ * Describe the server's answer to a slash command (see lib/commands.js)
+ */
+function describeCommandResult(result) {
+  if (result.status === 'failed') {
+    return result.usage ? `${result.error} (e.g. ${result.usage})` : result.error;
+  }
+  switch (result.command) {
+    case 'sync': return 'Synced with your game time.';
+    case 'pause': return 'Paused. New messages are held until you /resume.';
+    case 'resume': return 'Resumed.';
+    case 'nick': return `You're now ${result.nickname}.`;
+    case 'who':
+      return `Here: ${result.users.map((user) =>
+        `${user.nickname} (${user.isSynced || user.isReplay ? user.offsetFormatted : 'not synced'})`
+      ).join(', ')}`;
+    default: return `Ran /${result.command}.`;
+  }
+}
+
+function ChatRoom({ onSendMessage, onRunCommand, onRetryMessage, onConfirmMessage, onDiscardMessage, onEditMessage, onDeleteMessage, onReactToMessage, onLoadHistory, onStartReplay, onPausePlayback, onResumePlayback, onLeaveRoom, onSyncGameTime, onPostMarker, onMarkerSeen, onReportMessage, onStartCountdown }) {
   const [inputValue, setInputValue] = useState('');
   const [showSyncModal, setShowSyncModal] = useState(false);
   const [pendingMessage, setPendingMessage] = useState('');
@@ -44,6 +78,14 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
   const [copied, setCopied] = useState(false);
   const [linkCopied, setLinkCopied] = useState(false);
   const [reportedMessageIds, setReportedMessageIds] = useState(new Set());
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [expandedThreads, setExpandedThreads] = useState(new Set());
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [markSpoiler, setMarkSpoiler] = useState(false);
+  const [commandResult, setCommandResult] = useState(null);
+  const [revealedSpoilers, setRevealedSpoilers] = useState(new Set());
   const [, setTick] = useState(0);  // Force re-render for relative time updates
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
@@ -57,8 +99,14 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
   const {
     roomId,
     nickname,
+    senderId,
     users,
     messages,
+    historyHasMore,
+    isLoadingHistory,
+    isReplay,
+    replayTruncated,
+    isPaused,
     error,
     clearError,
     isSynced,
@@ -68,6 +116,8 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
     isReconnecting,
     connectionError,
     sportType,
+    syncMode,
+    deliveryPolicy,
     setViewingHome,
     // Room metadata (Phase 11)
     roomName,
@@ -81,20 +131,26 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
   // Get sport config for display
   const sportConfig = getSportConfig(sportType);
 
+  // Scroll down for new messages only - not when older ones are paged in above
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [lastMessageId]);
 
   useEffect(() => {
     inputRef.current?.focus();
   }, []);
 
+  // Messages wait for our game position (not our offset) - they stop when it goes stale
+  const deliversByPosition = deliveryPolicy === 'game-position' || isReplay;
+
   useEffect(() => {
     if (!isSynced || !lastSyncTime) return;
 
+    const reminderMs = deliversByPosition ? GAME_POSITION_RESYNC_REMINDER_MS : RESYNC_REMINDER_MS;
     const checkResyncNeeded = () => {
       const elapsed = Date.now() - lastSyncTime;
-      if (elapsed >= RESYNC_REMINDER_MS) {
+      if (elapsed >= reminderMs) {
         setShowResyncReminder(true);
       }
     };
@@ -102,12 +158,35 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
     checkResyncNeeded();
     const interval = setInterval(checkResyncNeeded, RESYNC_CHECK_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [isSynced, lastSyncTime]);
+  }, [isSynced, lastSyncTime, deliversByPosition]);
 
   useEffect(() => {
     setShowResyncReminder(false);
   }, [lastSyncTime]);
 
+  // Send what's in the composer, as a reply and/or spoiler if it's set up as one
+  // (/me and /spoiler send the message they describe)
+  const send = (content) => {
+    const message = parseCommand(content)?.message ?? { content };
+    onSendMessage(message.content, {
+      replyTo: replyingTo,
+      spoiler: markSpoiler || !!message.spoiler,
+      emote: !!message.emote
+    });
+    setReplyingTo(null);
+    setMarkSpoiler(false);
+  };
+
+  // Run any other slash command - it isn't a message, so it works before syncing.
+  // A command the server couldn't run goes back in the composer to fix.
+  const runCommand = (content) => {
+    setCommandResult(null);
+    onRunCommand(content).then((result) => {
+      setCommandResult(result);
+      if (result.status === 'failed') setInputValue((current) => current || content);
+    });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     clearError();
@@ -117,20 +196,27 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
       return;
     }
 
+    const command = parseCommand(content);
+    if (command && !command.message) {
+      runCommand(content);
+      setInputValue('');
+      return;
+    }
+
     if (!isSynced) {
       setPendingMessage(content);
       setShowSyncModal(true);
       return;
     }
 
-    onSendMessage(content);
+    send(content);
     setInputValue('');
   };
 
   const handleModalClose = () => {
     setShowSyncModal(false);
     if (isSynced && pendingMessage) {
-      onSendMessage(pendingMessage);
+      send(pendingMessage);
       setInputValue('');
       setPendingMessage('');
     } else if (pendingMessage) {
@@ -170,6 +256,13 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
     }
   };
 
+  const handleStartReplay = () => {
+    const confirmed = window.confirm(
+      'Watching a recording? The chat will replay as your recording reaches the moment each message was sent.\n\nSync with the game clock on your recording to start.'
+    );
+    if (confirmed) onStartReplay();
+  };
+
   const handleReport = (message) => {
     if (reportedMessageIds.has(message.id)) return;
     const confirmed = window.confirm(
@@ -181,6 +274,83 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
     });
   };
 
+  // Messages can be replied to (and our own changed) once the server has them (they have its ID)
+  const canReply = (message) => !message.deleted && (!message.status || message.status === 'sent');
+  // Ours by sender ID - nicknames change (/nick), and someone else can take our old one
+  const isOwn = (message) => !!senderId && message.senderId === senderId;
+  const canChange = (message) => isOwn(message) && canReply(message);
+
+  // Threads: replies to each message, in the order they arrived
+  const repliesByParent = new Map();
+  for (const message of messages) {
+    if (!message.replyToId) continue;
+    if (!repliesByParent.has(message.replyToId)) repliesByParent.set(message.replyToId, []);
+    repliesByParent.get(message.replyToId).push(message);
+  }
+
+  // A reply quotes its parent as we have it (edited or deleted since), or as it was sent
+  const getQuote = (message) => {
+    const parent = messages.find((m) => m.id === message.replyToId);
+    return parent || message.replyTo;
+  };
+
+  // Other people's spoilers stay blurred until we click them (quotes of them too)
+  const isHiddenSpoiler = (message) => message.spoiler && !isOwn(message) && !revealedSpoilers.has(message.id);
+
+  const revealSpoiler = (messageId) => {
+    setRevealedSpoilers((prev) => new Set([...prev, messageId]));
+  };
+
+  const startReply = (message) => {
+    setReplyingTo(message);
+    inputRef.current?.focus();
+  };
+
+  const toggleThread = (messageId) => {
+    setExpandedThreads((prev) => {
+      const next = new Set(prev);
+      if (next.has(messageId)) {
+        next.delete(messageId);
+      } else {
+        next.add(messageId);
+      }
+      return next;
+    });
+  };
+
+  const handleReact = (message, emoji) => {
+    onReactToMessage(message.id, emoji);
+    setReactionPickerFor(null);
+  };
+
+  const startEdit = (message) => {
+    setEditingMessageId(message.id);
+    setEditValue(message.content);
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const message = messages.find((m) => m.id === editingMessageId);
+    const content = editValue.trim();
+    if (message && content && content !== message.content) {
+      onEditMessage(message.id, content).then((response) => {
+        if (response?.status !== 'confirm') return;
+        const confirmed = window.confirm(
+          `Your edit looks like a spoiler${response.matches?.length > 0 ? ` (${response.matches.join(', ')})` : ''}.\n\nSave it anyway?`
+        );
+        if (confirmed) onEditMessage(message.id, content, { confirmed: true });
+      });
+    }
+    setEditingMessageId(null);
+  };
+
+  const handleDelete = (message) => {
+    const confirmed = window.confirm(
+      'Delete this message?\n\nViewers who are behind you will still see it until their stream reaches the moment you deleted it.'
+    );
+    if (confirmed) onDeleteMessage(message.id);
+  };
+
   return (
     <>
     {/* Countdown sync overlay — covers the screen during 3-2-1 sync */}
@@ -251,7 +421,7 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
           </div>
           <div className="flex items-center gap-2 sm:gap-3 flex-shrink-0">
             {isSynced && (
-              <Badge variant="outline" className="hidden sm:inline-flex">{offsetFormatted}</Badge>
+              <Badge variant="outline" className="hidden sm:inline-flex">{isPaused ? 'Paused' : offsetFormatted}</Badge>
             )}
             <span className="text-sm text-muted-foreground hidden md:inline">
               Chatting as: <strong className="text-foreground">{nickname}</strong>
@@ -328,11 +498,55 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
               </Button>
             </div>
 
-            <TimeSync
-              onSync={onSyncGameTime}
-              autoSyncTrigger={autoSyncTrigger}
-              onStartCountdown={onStartCountdown}
-            />
+            {syncMode === 'marker' ? (
+              <MarkerSync onPostMarker={onPostMarker} onMarkerSeen={onMarkerSeen} />
+            ) : !isClockSport(sportConfig) ? (
+              <ProgressSync
+                onSync={onSyncGameTime}
+                autoSyncTrigger={autoSyncTrigger}
+                onStartCountdown={onStartCountdown}
+              />
+            ) : (
+              <TimeSync
+                onSync={onSyncGameTime}
+                autoSyncTrigger={autoSyncTrigger}
+                onStartCountdown={onStartCountdown}
+              />
+            )}
+
+            {/* Pause / resume — holds messages while the stream is paused */}
+            {isSynced && onPausePlayback && (
+              <Button
+                variant="outline"
+                size="sm"
+                className="w-full h-7 text-xs"
+                onClick={isPaused ? onResumePlayback : onPausePlayback}
+              >
+                {isPaused ? <Play className="h-3 w-3 mr-1" /> : <Pause className="h-3 w-3 mr-1" />}
+                {isPaused ? 'I resumed' : 'I paused'}
+              </Button>
+            )}
+
+            {/* Replay — for watching a recording after the game */}
+            {syncMode === 'clock' && onStartReplay && (
+              isReplay ? (
+                <p className="text-xs text-muted-foreground px-1">
+                  <History className="inline h-3 w-3 mr-1" />
+                  Replaying: messages arrive as your recording reaches them
+                  {replayTruncated && ' (this room has too many to replay them all, so the replay ends early)'}
+                </p>
+              ) : (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="w-full h-7 text-xs text-muted-foreground"
+                  onClick={handleStartReplay}
+                >
+                  <History className="h-3 w-3 mr-1" />
+                  Watching a recording? Replay the chat
+                </Button>
+              )
+            )}
 
             <Card>
               <CardHeader className="py-2 px-3">
@@ -361,6 +575,17 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
                           </span>
                         )}
                       </div>
+                      {user.isSynced && user.currentGameTime && (
+                        <p
+                          className="text-xs text-muted-foreground mt-0.5"
+                          title={user.currentGameTime.extrapolated
+                            ? 'Estimated from their syncs'
+                            : 'Their last sync'}
+                        >
+                          {user.currentGameTime.extrapolated ? '≈ ' : ''}
+                          {user.currentGameTime.display}
+                        </p>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -397,6 +622,20 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
         <main className="flex-1 flex flex-col overflow-hidden">
           <ScrollArea className="flex-1 p-4">
             <div className="space-y-3">
+              {/* Older messages — paged in from the server, filtered by our delay */}
+              {isSynced && !isReplay && messages.length > 0 && historyHasMore && onLoadHistory && (
+                <div className="text-center">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-xs h-7"
+                    onClick={onLoadHistory}
+                    disabled={isLoadingHistory}
+                  >
+                    {isLoadingHistory ? 'Loading…' : 'Load earlier messages'}
+                  </Button>
+                </div>
+              )}
               {messages.length === 0 ? (
                 <div className="text-center py-12 text-muted-foreground">
                   <p>No messages yet. Say hello!</p>
@@ -414,30 +653,282 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
                   <div
                     key={message.id}
                     className={`group relative max-w-[80%] ${
-                      message.nickname === nickname ? 'ml-auto' : ''
+                      isOwn(message) ? 'ml-auto' : ''
                     }`}
                   >
                     <div
                       className={`rounded-lg px-3 py-2 shadow-sm ${
-                        message.nickname === nickname
+                        isOwn(message)
                           ? 'bg-primary text-primary-foreground'
                           : 'bg-muted text-foreground'
-                      }`}
+                      } ${message.status && message.status !== 'sent' ? 'opacity-70' : ''}`}
                     >
                       <div className="flex items-center justify-between gap-4 mb-1">
                         <span className="font-medium text-sm">{message.nickname}</span>
                         <span className={`text-xs ${
-                          message.nickname === nickname
+                          isOwn(message)
                             ? 'text-primary-foreground/70'
                             : 'text-muted-foreground'
                         }`}>
+                          {/* Where the sender was in the game when they sent it */}
+                          {message.gameTime && (
+                            <span className="font-medium">{message.gameTime.display} · </span>
+                          )}
                           {formatTime(message.timestamp)}
+                          {message.editedAt && !message.deleted && ' · edited'}
+                          {message.spoiler && !message.deleted && ' · spoiler'}
                         </span>
                       </div>
-                      <p className="text-sm break-words">{message.content}</p>
+                      {/* Inline quote of the message this one replies to */}
+                      {message.replyToId && getQuote(message) && (
+                        <div className={`mb-1 border-l-2 pl-2 text-xs ${
+                          isOwn(message)
+                            ? 'border-primary-foreground/50 text-primary-foreground/80'
+                            : 'border-muted-foreground/50 text-muted-foreground'
+                        }`}>
+                          <span className="font-medium">{getQuote(message).nickname}</span>
+                          <p className="line-clamp-2 break-words">
+                            {getQuote(message).deleted ? (
+                              <em>Message deleted</em>
+                            ) : isHiddenSpoiler(getQuote(message)) ? (
+                              <button
+                                type="button"
+                                onClick={() => revealSpoiler(getQuote(message).id)}
+                                className="blur-sm select-none text-left"
+                                aria-label="Reveal spoiler"
+                                title="Spoiler - click to reveal"
+                              >
+                                {messageText(getQuote(message))}
+                              </button>
+                            ) : messageText(getQuote(message))}
+                          </p>
+                        </div>
+                      )}
+                      {message.deleted ? (
+                        <p className="text-sm italic opacity-70">Message deleted</p>
+                      ) : editingMessageId === message.id ? (
+                        <form onSubmit={handleEditSubmit} className="flex gap-2">
+                          <Input
+                            value={editValue}
+                            onChange={(e) => setEditValue(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Escape' && setEditingMessageId(null)}
+                            maxLength={500}
+                            className="h-8 text-sm bg-background text-foreground"
+                            autoFocus
+                          />
+                          <Button type="submit" size="sm" variant="secondary" className="h-8">
+                            Save
+                          </Button>
+                        </form>
+                      ) : isHiddenSpoiler(message) ? (
+                        <button
+                          type="button"
+                          onClick={() => revealSpoiler(message.id)}
+                          className="block w-full text-left"
+                          aria-label="Reveal spoiler"
+                          title="Spoiler - click to reveal"
+                        >
+                          <p className={`text-sm break-words blur-sm select-none ${message.emote ? 'italic' : ''}`}>{messageText(message)}</p>
+                        </button>
+                      ) : (
+                        <p className={`text-sm break-words ${message.emote ? 'italic' : ''}`}>{messageText(message)}</p>
+                      )}
                     </div>
+                    {/* Reactions as they've reached us (counts grow on our delay) */}
+                    {onReactToMessage && canReply(message) && (
+                      Object.keys(message.reactions || {}).length > 0 || reactionPickerFor === message.id
+                    ) && (
+                      <div className={`mt-1 flex flex-wrap gap-1 ${isOwn(message) ? 'justify-end' : ''}`}>
+                        {Object.entries(message.reactions || {}).map(([emoji, count]) => (
+                          <button
+                            key={emoji}
+                            type="button"
+                            onClick={() => handleReact(message, emoji)}
+                            className={`rounded-full border px-1.5 text-xs ${
+                              message.myReactions?.includes(emoji)
+                                ? 'border-primary bg-primary/10'
+                                : 'border-border bg-background hover:bg-muted'
+                            }`}
+                            aria-label={`${emoji} ${count}`}
+                          >
+                            {emoji} {count}
+                          </button>
+                        ))}
+                        {reactionPickerFor === message.id && REACTION_EMOJIS.map((emoji) => (
+                          <button
+                            key={`pick-${emoji}`}
+                            type="button"
+                            onClick={() => handleReact(message, emoji)}
+                            className="rounded-full px-1 text-sm hover:bg-muted"
+                            aria-label={`React with ${emoji}`}
+                          >
+                            {emoji}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {/* Collapsible thread: the replies to this message */}
+                    {repliesByParent.has(message.id) && (
+                      <div className={`mt-0.5 text-xs ${isOwn(message) ? 'text-right' : ''}`}>
+                        <button
+                          type="button"
+                          onClick={() => toggleThread(message.id)}
+                          className="inline-flex items-center gap-1 text-muted-foreground hover:text-foreground"
+                          aria-expanded={expandedThreads.has(message.id)}
+                        >
+                          {expandedThreads.has(message.id)
+                            ? <ChevronDown className="h-3 w-3" />
+                            : <ChevronRight className="h-3 w-3" />}
+                          {repliesByParent.get(message.id).length === 1
+                            ? '1 reply'
+                            : `${repliesByParent.get(message.id).length} replies`}
+                        </button>
+                        {expandedThreads.has(message.id) && (
+                          <div className="mt-1 space-y-1 border-l-2 border-muted pl-2 text-left">
+                            {repliesByParent.get(message.id).map((reply) => (
+                              <p key={reply.id} className={`break-words ${reply.emote && !reply.deleted ? 'italic' : ''}`}>
+                                {/* A /me action already starts with its sender */}
+                                {(!reply.emote || reply.deleted) && <span className="font-medium">{reply.nickname}: </span>}
+                                {reply.deleted ? (
+                                  <em className="text-muted-foreground">Message deleted</em>
+                                ) : isHiddenSpoiler(reply) ? (
+                                  <button
+                                    type="button"
+                                    onClick={() => revealSpoiler(reply.id)}
+                                    className="blur-sm select-none text-left"
+                                    aria-label="Reveal spoiler"
+                                    title="Spoiler - click to reveal"
+                                  >
+                                    {messageText(reply)}
+                                  </button>
+                                ) : messageText(reply)}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    {/* Delivery status of messages we sent from this page */}
+                    {message.status === 'queued' && (
+                      <p className="mt-0.5 flex items-center justify-end gap-1 text-xs text-muted-foreground">
+                        <WifiOff className="h-3 w-3" /> Waiting for connection
+                      </p>
+                    )}
+                    {message.status === 'pending' && (
+                      <p className="mt-0.5 flex items-center justify-end gap-1 text-xs text-muted-foreground">
+                        <Clock className="h-3 w-3" /> Sending…
+                      </p>
+                    )}
+                    {message.status === 'sent' && (
+                      <p className="mt-0.5 flex items-center justify-end gap-1 text-xs text-muted-foreground">
+                        <Check className="h-3 w-3" /> Sent
+                      </p>
+                    )}
+                    {message.status === 'failed' && (
+                      <p className="mt-0.5 flex items-center justify-end gap-1 text-xs text-destructive">
+                        <AlertCircle className="h-3 w-3" /> Not sent ·
+                        <button
+                          type="button"
+                          onClick={() => onRetryMessage(message.clientId)}
+                          className="underline hover:no-underline"
+                        >
+                          Retry
+                        </button>
+                      </p>
+                    )}
+                    {/* Held by the room's spoiler check until we decide */}
+                    {message.status === 'held' && (
+                      <p className="mt-0.5 flex flex-wrap items-center justify-end gap-1 text-xs text-amber-600 dark:text-amber-400">
+                        <EyeOff className="h-3 w-3" />
+                        Looks like a spoiler{message.spoilerMatches?.length > 0 && ` (${message.spoilerMatches.join(', ')})`} ·
+                        <button
+                          type="button"
+                          onClick={() => onConfirmMessage(message.clientId, { spoiler: true })}
+                          className="underline hover:no-underline"
+                        >
+                          Send as spoiler
+                        </button>
+                        ·
+                        <button
+                          type="button"
+                          onClick={() => onConfirmMessage(message.clientId)}
+                          className="underline hover:no-underline"
+                        >
+                          Send anyway
+                        </button>
+                        ·
+                        <button
+                          type="button"
+                          onClick={() => onDiscardMessage(message.clientId)}
+                          className="underline hover:no-underline"
+                        >
+                          Discard
+                        </button>
+                      </p>
+                    )}
+                    {/* React / reply / edit / delete — on our own messages, appear on hover */}
+                    {canChange(message) && editingMessageId !== message.id && onEditMessage && (
+                      <div className="absolute -top-1 -left-20 flex opacity-0 group-hover:opacity-100 transition-opacity">
+                        {onReactToMessage && (
+                          <button
+                            onClick={() => setReactionPickerFor(reactionPickerFor === message.id ? null : message.id)}
+                            className="p-1 rounded text-muted-foreground hover:text-foreground"
+                            aria-label="React to message"
+                            title="React"
+                          >
+                            <SmilePlus className="h-3 w-3" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => startReply(message)}
+                          className="p-1 rounded text-muted-foreground hover:text-foreground"
+                          aria-label="Reply to message"
+                          title="Reply"
+                        >
+                          <Reply className="h-3 w-3" />
+                        </button>
+                        <button
+                          onClick={() => startEdit(message)}
+                          className="p-1 rounded text-muted-foreground hover:text-foreground"
+                          aria-label="Edit message"
+                          title="Edit message"
+                        >
+                          <Pencil className="h-3 w-3" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(message)}
+                          className="p-1 rounded text-muted-foreground hover:text-destructive"
+                          aria-label="Delete message"
+                          title="Delete message"
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </div>
+                    )}
+                    {/* Reply button — on other people's messages, appears on hover */}
+                    {!isOwn(message) && canReply(message) && (
+                      <button
+                        onClick={() => startReply(message)}
+                        className="absolute -top-1 -right-12 opacity-0 group-hover:opacity-100 transition-opacity p-1 rounded text-muted-foreground hover:text-foreground"
+                        aria-label="Reply to message"
+                        title="Reply"
+                      >
+                        <Reply className="h-3 w-3" />
+                      </button>
+                    )}
+                    {/* React button — on other people's messages, appears on hover */}
+                    {!isOwn(message) && canReply(message) && onReactToMessage && (
+                      <button
+                        onClick={() => setReactionPickerFor(reactionPickerFor === message.id ? null : message.id)}
+                        className="absolute -top-1 -right-[4.5rem] opacity-0 group-hover:opacity-100 transition-opacity p-1 rounded text-muted-foreground hover:text-foreground"
+                        aria-label="React to message"
+                        title="React"
+                      >
+                        <SmilePlus className="h-3 w-3" />
+                      </button>
+                    )}
                     {/* Report button — only on other people's messages, appears on hover */}
-                    {message.nickname !== nickname && onReportMessage && (
+                    {!isOwn(message) && !message.deleted && onReportMessage && (
                       <button
                         onClick={() => handleReport(message)}
                         className="absolute -top-1 -right-6 opacity-0 group-hover:opacity-100 transition-opacity p-1 rounded text-muted-foreground hover:text-destructive"
@@ -486,10 +977,26 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
               </Alert>
             )}
 
-            {showResyncReminder && (
+            {isPaused && (
               <Alert>
                 <AlertDescription className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
-                  <span className="text-sm">It's been a while since you synced. Is your game time still accurate?</span>
+                  <span className="text-sm">Paused. New messages are held until you resume.</span>
+                  <Button size="sm" className="flex-shrink-0" onClick={onResumePlayback}>
+                    <Play className="h-3 w-3 mr-1" />
+                    I resumed
+                  </Button>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {showResyncReminder && !isPaused && (
+              <Alert>
+                <AlertDescription className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                  <span className="text-sm">
+                    {deliversByPosition
+                      ? 'Messages pause until you resync. Is your game time still accurate?'
+                      : "It's been a while since you synced. Is your game time still accurate?"}
+                  </span>
                   <div className="flex gap-2 flex-shrink-0">
                     <Button size="sm" onClick={() => setShowSyncModal(true)}>
                       Resync
@@ -507,20 +1014,93 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
 
           {/* Message Input */}
           <form onSubmit={handleSubmit} className="p-4">
+            {/* What the last slash command did (only we see it) */}
+            {commandResult && (
+              <div className={`mb-2 flex items-start justify-between gap-2 rounded-md bg-muted px-3 py-1 text-xs ${
+                commandResult.status === 'failed' ? 'text-destructive' : ''
+              }`}>
+                <span className="break-words">{describeCommandResult(commandResult)}</span>
+                <button
+                  type="button"
+                  onClick={() => setCommandResult(null)}
+                  className="flex-shrink-0 text-muted-foreground hover:text-foreground"
+                  aria-label="Dismiss"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </div>
+            )}
+            {/* Commands matching what's typed so far */}
+            {suggestCommands(inputValue).length > 0 && (
+              <div className="mb-2 rounded-md border bg-popover py-1 text-xs">
+                {suggestCommands(inputValue).map((command) => (
+                  <button
+                    key={command.name}
+                    type="button"
+                    onClick={() => {
+                      setInputValue(`/${command.name} `);
+                      inputRef.current?.focus();
+                    }}
+                    className="flex w-full gap-2 px-3 py-1 text-left hover:bg-muted"
+                  >
+                    <span className="font-medium">{command.usage}</span>
+                    <span className="truncate text-muted-foreground">{command.description}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            {replyingTo && (
+              <div className="mb-2 flex items-center justify-between gap-2 rounded-md border-l-2 border-primary bg-muted px-3 py-1 text-xs">
+                <span className="truncate">
+                  Replying to <span className="font-medium">{replyingTo.nickname}</span>:{' '}
+                  {isHiddenSpoiler(replyingTo) ? (
+                    <button
+                      type="button"
+                      onClick={() => revealSpoiler(replyingTo.id)}
+                      className="blur-sm select-none"
+                      aria-label="Reveal spoiler"
+                      title="Spoiler - click to reveal"
+                    >
+                      {replyingTo.content}
+                    </button>
+                  ) : replyingTo.content}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setReplyingTo(null)}
+                  className="flex-shrink-0 text-muted-foreground hover:text-foreground"
+                  aria-label="Cancel reply"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </div>
+            )}
             <div className="flex gap-2">
               <Input
                 ref={inputRef}
                 type="text"
                 value={inputValue}
                 onChange={(e) => setInputValue(e.target.value)}
-                placeholder={isConnected ? "Type a message..." : "Reconnecting..."}
+                placeholder={!isConnected
+                  ? 'Offline - messages send when you reconnect'
+                  : markSpoiler ? 'Spoiler - blurred until others reveal it' : 'Type a message, or / for commands'}
                 maxLength={500}
                 className="flex-1"
-                disabled={!isConnected}
               />
+              <Button
+                type="button"
+                variant={markSpoiler ? 'secondary' : 'ghost'}
+                size="icon"
+                onClick={() => setMarkSpoiler(!markSpoiler)}
+                aria-pressed={markSpoiler}
+                aria-label="Mark as spoiler"
+                title="Mark as spoiler (or start with /spoiler)"
+              >
+                <EyeOff className="h-4 w-4" />
+              </Button>
               <Button
                 type="submit"
-                disabled={inputValue.trim().length === 0 || !isConnected}
+                disabled={inputValue.trim().length === 0}
               >
                 Send
               </Button>
@@ -556,6 +1136,8 @@ function ChatRoom({ onSendMessage, onLeaveRoom, onSyncGameTime, onReportMessage,
         isOpen={showSyncModal}
         onClose={handleModalClose}
         onSync={onSyncGameTime}
+        onPostMarker={onPostMarker}
+        onMarkerSeen={onMarkerSeen}
         title="Sync Required"
         subtitle="Please sync your game time before sending messages"
       />
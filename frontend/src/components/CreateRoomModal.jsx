@@ -22,6 +22,43 @@ function generateRoomCode() {
   return `${word}-${suffix}`;
 }
 
+// How viewers line up their delays: read the game clock, or tap on plays as they see them
+const SYNC_MODE_OPTIONS = [
+  { id: 'clock', label: 'Game clock', description: 'Enter the time on screen' },
+  { id: 'marker', label: 'Play markers', description: 'Tap when you see a play' },
+];
+
+// When a message reaches each viewer: after their delay, or once their game clock gets there
+const DELIVERY_POLICY_OPTIONS = [
+  { id: 'offset', label: 'After my delay', description: 'Keeps flowing if you pause' },
+  { id: 'game-position', label: 'At my game time', description: 'Waits while you pause' },
+];
+
+// How long the room keeps its chat history
+const RETENTION_OPTIONS = [
+  { hours: 6, label: '6 hours' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' },
+];
+const DEFAULT_RETENTION_HOURS = 24;
+
+// What happens to messages that look like spoilers (scores, results, live-score links)
+const SPOILER_DETECTION_OPTIONS = [
+  { id: 'tag', label: 'Blur them', description: 'Tagged as spoilers' },
+  { id: 'confirm', label: 'Ask sender', description: 'Held until confirmed' },
+  { id: 'off', label: 'Off', description: 'No checks' },
+];
+
+// What counts as looking like a spoiler (the backend's spoiler classifier rules)
+const SPOILER_RULE_OPTIONS = [
+  { id: 'score', label: 'Scores' },
+  { id: 'final', label: 'Final results' },
+  { id: 'team-score', label: 'Team + number' },
+  { id: 'live-score-link', label: 'Live-score links' },
+];
+const DEFAULT_SPOILER_RULES = SPOILER_RULE_OPTIONS.map((rule) => rule.id);
+
 /**
  * CreateRoomModal Component
  *
@@ -33,6 +70,11 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
   const [gameDate, setGameDate] = useState('');
   const [nickname, setNickname] = useState(defaultNickname);
   const [selectedSport, setSelectedSport] = useState(DEFAULT_SPORT);
+  const [syncMode, setSyncMode] = useState('clock');
+  const [deliveryPolicy, setDeliveryPolicy] = useState('offset');
+  const [retentionHours, setRetentionHours] = useState(DEFAULT_RETENTION_HOURS);
+  const [spoilerDetection, setSpoilerDetection] = useState('tag');
+  const [spoilerRules, setSpoilerRules] = useState(DEFAULT_SPOILER_RULES);
   const [generatedCode, setGeneratedCode] = useState(() => generateRoomCode());
   const [copied, setCopied] = useState(false);
   const [validationError, setValidationError] = useState('');
@@ -51,6 +93,11 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
       setTeams('');
       setGameDate('');
       setSelectedSport(DEFAULT_SPORT);
+      setSyncMode('clock');
+      setDeliveryPolicy('offset');
+      setRetentionHours(DEFAULT_RETENTION_HOURS);
+      setSpoilerDetection('tag');
+      setSpoilerRules(DEFAULT_SPOILER_RULES);
       setCopied(false);
       setValidationError('');
       setGeneratedCode(generateRoomCode());
@@ -67,6 +114,12 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
     }
   };
 
+  const toggleSpoilerRule = (ruleId) => {
+    setSpoilerRules((rules) =>
+      rules.includes(ruleId) ? rules.filter((id) => id !== ruleId) : [...rules, ruleId]
+    );
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     setValidationError('');
@@ -81,7 +134,7 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
       return;
     }
 
-    trackEvent('room_created', { sportType: selectedSport });
+    trackEvent('room_created', { sportType: selectedSport, syncMode });
 
     // Pass all room data to parent
     onCreateRoom({
@@ -90,6 +143,13 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
       teams: teams.trim() || null,
       gameDate: gameDate || null,
       sportType: selectedSport,
+      syncMode,
+      // Marker rooms have no game clock to deliver by
+      deliveryPolicy: syncMode === 'clock' ? deliveryPolicy : 'offset',
+      retentionHours,
+      // No rules left is the same as no checks
+      spoilerDetection: spoilerRules.length > 0 ? spoilerDetection : 'off',
+      spoilerRules,
       nickname: trimmedNickname,
     });
   };
@@ -139,6 +199,99 @@ function CreateRoomModal({ open, onClose, onCreateRoom, defaultNickname = '', er
             </div>
           </div>
 
+          {/* Sync Method */}
+          <div className="space-y-2">
+            <Label>Sync Method</Label>
+            <div className="grid grid-cols-2 gap-2">
+              {SYNC_MODE_OPTIONS.map((option) => (
+                <Button
+                  key={option.id}
+                  type="button"
+                  variant={syncMode === option.id ? 'default' : 'outline'}
+                  className="h-auto py-2 flex flex-col items-center gap-0.5"
+                  onClick={() => setSyncMode(option.id)}
+                >
+                  <span className="text-sm font-medium">{option.label}</span>
+                  <span className="text-xs font-normal opacity-75">{option.description}</span>
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          {/* Delivery policy (clock rooms only) */}
+          {syncMode === 'clock' && (
+            <div className="space-y-2">
+              <Label>Deliver Messages</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {DELIVERY_POLICY_OPTIONS.map((option) => (
+                  <Button
+                    key={option.id}
+                    type="button"
+                    variant={deliveryPolicy === option.id ? 'default' : 'outline'}
+                    className="h-auto py-2 flex flex-col items-center gap-0.5"
+                    onClick={() => setDeliveryPolicy(option.id)}
+                  >
+                    <span className="text-sm font-medium">{option.label}</span>
+                    <span className="text-xs font-normal opacity-75">{option.description}</span>
+                  </Button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Message retention */}
+          <div className="space-y-2">
+            <Label>Keep Chat For</Label>
+            <div className="grid grid-cols-4 gap-2">
+              {RETENTION_OPTIONS.map((option) => (
+                <Button
+                  key={option.hours}
+                  type="button"
+                  size="sm"
+                  variant={retentionHours === option.hours ? 'default' : 'outline'}
+                  onClick={() => setRetentionHours(option.hours)}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          {/* Spoiler detection */}
+          <div className="space-y-2">
+            <Label>Messages That Look Like Spoilers</Label>
+            <div className="grid grid-cols-3 gap-2">
+              {SPOILER_DETECTION_OPTIONS.map((option) => (
+                <Button
+                  key={option.id}
+                  type="button"
+                  variant={spoilerDetection === option.id ? 'default' : 'outline'}
+                  className="h-auto py-2 flex flex-col items-center gap-0.5"
+                  onClick={() => setSpoilerDetection(option.id)}
+                >
+                  <span className="text-sm font-medium">{option.label}</span>
+                  <span className="text-xs font-normal opacity-75">{option.description}</span>
+                </Button>
+              ))}
+            </div>
+            {spoilerDetection !== 'off' && (
+              <div className="flex flex-wrap gap-2">
+                {SPOILER_RULE_OPTIONS.map((rule) => (
+                  <Button
+                    key={rule.id}
+                    type="button"
+                    size="sm"
+                    variant={spoilerRules.includes(rule.id) ? 'secondary' : 'outline'}
+                    aria-pressed={spoilerRules.includes(rule.id)}
+                    onClick={() => toggleSpoilerRule(rule.id)}
+                  >
+                    {rule.label}
+                  </Button>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Teams (optional) */}
           <div className="space-y-2">
             <Label htmlFor="teams">
@@ -146,6 +146,11 @@ function HomePage({ onJoin, onNavigate, prefillRoomCode = '' }) {
         roomName: roomData.roomName,
         teams: roomData.teams,
         gameDate: roomData.gameDate,
+        syncMode: roomData.syncMode,
+        deliveryPolicy: roomData.deliveryPolicy,
+        retentionHours: roomData.retentionHours,
+        spoilerDetection: roomData.spoilerDetection,
+        spoilerRules: roomData.spoilerRules,
       }
     );
     setShowCreateModal(false);
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import useChatStore from '../store/chatStore';
+import SyncStatus from './SyncStatus';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Eye } from 'lucide-react';
+
+// Matches the server's marker lifetime — older plays can't be tapped
+const MARKER_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Format how long ago a marker was posted (e.g., "just now", "2m ago")
+ */
+function formatMarkerAge(postedAt) {
+  const seconds = Math.floor((Date.now() - postedAt) / 1000);
+  if (seconds < 10) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  return `${Math.floor(seconds / 60)}m ago`;
+}
+
+/**
+ * Get the markers that can still be tapped, newest first
+ */
+function getOpenMarkers(markers) {
+  const now = Date.now();
+  return markers
+    .filter((marker) => now - marker.postedAt < MARKER_TTL_MS)
+    .reverse();
+}
+
+/**
+ * MarkerSync Component
+ *
+ * Sync for rooms that use "I saw this play" markers instead of the game clock.
+ * - Post a marker the moment you see a play ("Tatum three")
+ * - Tap "I saw it" on someone else's marker when that play reaches your screen
+ *
+ * The server turns the time between a post and each tap into a broadcast delay.
+ */
+function MarkerSync({ onPostMarker, onMarkerSeen }) {
+  const { isSynced, markers } = useChatStore();
+  const [label, setLabel] = useState('');
+  const [, setTick] = useState(0);  // Force re-render so ages and expiry stay current
+
+  useEffect(() => {
+    const interval = setInterval(() => setTick(t => t + 1), 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const openMarkers = getOpenMarkers(markers);
+
+  const handlePost = (e) => {
+    e.preventDefault();
+    const trimmed = label.trim();
+    if (trimmed.length === 0) return;
+    onPostMarker(trimmed);
+    setLabel('');
+  };
+
+  return (
+    <Card>
+      <CardHeader className="py-2 px-3">
+        <CardTitle className="text-sm">Sync by Plays</CardTitle>
+      </CardHeader>
+      <CardContent className="py-2 px-3 space-y-2">
+        {isSynced && (
+          <div className="space-y-0.5">
+            <SyncStatus resyncHint="Tap a few more plays to sharpen your delay estimate." />
+          </div>
+        )}
+
+        <form onSubmit={handlePost} className="space-y-1">
+          <div className="flex gap-2">
+            <Input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="Just saw… (e.g. Tatum three)"
+              maxLength={60}
+              className="h-9"
+            />
+            <Button type="submit" size="sm" className="h-9" disabled={label.trim().length === 0}>
+              Post
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Post the moment a play happens on your screen
+          </p>
+        </form>
+
+        {openMarkers.length > 0 && (
+          <ul className="space-y-1.5 pt-1">
+            {openMarkers.map((marker) => (
+              <li key={marker.id} className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-xs font-medium truncate">{marker.label}</p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {marker.nickname} · {formatMarkerAge(marker.postedAt)}
+                  </p>
+                </div>
+                <Button
+                  type="button"
+                  size="sm"
+                  variant={marker.seen ? 'ghost' : 'outline'}
+                  className="h-7 px-2 gap-1 flex-shrink-0 text-xs"
+                  disabled={marker.seen}
+                  onClick={() => onMarkerSeen(marker.id)}
+                >
+                  <Eye className="h-3 w-3" />
+                  {marker.seen ? 'Seen' : 'I saw it'}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MarkerSync;
@@ -0,0 +1,179 @@
+import { useState, useMemo, useCallback, useEffect } from 'react';
+import useChatStore from '../store/chatStore';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import SyncStatus from './SyncStatus';
+import { getSportConfig, DEFAULT_SPORT } from '../lib/sportConfig';
+
+/**
+ * ProgressSync Component
+ *
+ * TimeSync for sports without a game clock: the user enters where the game is
+ * (inning + half + outs, set + game + points, lap) instead of a clock reading.
+ * The fields come from the server (sportConfig.progressFields), so any progress
+ * model renders without changes here.
+ *
+ * Counts only change in steps, so syncs are most accurate right as they change.
+ */
+function ProgressSync({ onSync, autoSyncTrigger, onStartCountdown }) {
+  const { sportType, sportConfig, isSynced, gameTime } = useChatStore();
+
+  // Use server config if available, else lookup by type
+  const config = useMemo(() => {
+    if (sportConfig) return sportConfig;
+    return getSportConfig(sportType || DEFAULT_SPORT);
+  }, [sportType, sportConfig]);
+
+  const fields = useMemo(() => config.progressFields || [], [config]);
+
+  // Start every field at its lowest value (e.g. Top 1st, 0 outs)
+  const [values, setValues] = useState(() => Object.fromEntries(
+    fields.map((field) => [field.key, String(field.options ? field.options[0].value : field.min)])
+  ));
+
+  // After syncing, collapse the form to a compact one-line summary
+  const [showForm, setShowForm] = useState(!isSynced);
+  const [prevSynced, setPrevSynced] = useState(isSynced);
+  if (isSynced !== prevSynced) {
+    setPrevSynced(isSynced);
+    if (isSynced) setShowForm(false); // just synced — collapse
+  }
+
+  const setValue = (key, value) => {
+    setValues((current) => ({ ...current, [key]: value }));
+  };
+
+  // Core sync logic — shared between manual submit and countdown auto-trigger
+  const trySync = useCallback(() => {
+    const reading = {};
+    for (const field of fields) {
+      const value = parseInt(values[field.key], 10);
+      if (!field.options && (isNaN(value) || value < field.min || value > field.max)) {
+        alert(`${field.label} must be ${field.min}-${field.max}`);
+        return;
+      }
+      reading[field.key] = value;
+    }
+
+    // A count doesn't tell us whether play is stopped, so never flag it
+    onSync(reading, false);
+  }, [fields, values, onSync]);
+
+  const handleSync = (e) => {
+    e.preventDefault();
+    trySync();
+  };
+
+  // Auto-submit when countdown fires
+  useEffect(() => {
+    if (autoSyncTrigger) {
+      trySync();
+    }
+  }, [autoSyncTrigger, trySync]);
+
+  // Formatted by the server ("Bot 7th, 2 outs")
+  const displayGameTime = gameTime?.display ?? null;
+
+  return (
+    <Card>
+      <CardHeader className="py-2 px-3">
+        <CardTitle className="text-sm">Sync Game Progress</CardTitle>
+      </CardHeader>
+      <CardContent className="py-2 px-3 space-y-2">
+
+        {/* Compact synced summary — shown after a successful sync */}
+        {isSynced && !showForm && (
+          <div className="space-y-0.5">
+            <div className="flex items-center justify-between">
+              <p className="text-xs font-medium text-foreground">{displayGameTime}</p>
+              <Button
+                type="button"
+                size="sm"
+                variant="ghost"
+                className="text-xs h-6 px-2 -mr-1 flex-shrink-0"
+                onClick={() => setShowForm(true)}
+              >
+                Resync
+              </Button>
+            </div>
+            <SyncStatus resyncHint="Resync right as the score changes to sharpen your delay estimate." />
+          </div>
+        )}
+
+        {/* Full form — shown when unsynced or when user clicks Resync */}
+        {showForm && (
+          <form onSubmit={handleSync} className="space-y-2">
+            <div className="flex items-end gap-2">
+              {fields.map((field) => (
+                <div key={field.key} className="space-y-1 flex-1 min-w-0">
+                  <Label htmlFor={field.key} className="text-xs">{field.label}</Label>
+                  {field.options ? (
+                    <Select value={values[field.key]} onValueChange={(value) => setValue(field.key, value)}>
+                      <SelectTrigger id={field.key} className="w-full h-9">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {field.options.map((opt) => (
+                          <SelectItem key={opt.value} value={String(opt.value)}>
+                            {opt.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <Input
+                      type="number"
+                      id={field.key}
+                      min={field.min}
+                      max={field.max}
+                      value={values[field.key]}
+                      onChange={(e) => setValue(field.key, e.target.value)}
+                      className="w-full h-9"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <p className="text-xs text-muted-foreground">
+              Sync right as it changes on your screen (the moment an out, point or lap is completed)
+            </p>
+
+            <Button type="submit" size="sm" className="w-full">
+              {isSynced ? 'Resync' : 'Sync'}
+            </Button>
+
+            {onStartCountdown && (
+              <div className="space-y-1 pt-1">
+                <Button
+                  type="button"
+                  size="sm"
+                  variant="outline"
+                  className="w-full"
+                  onClick={onStartCountdown}
+                >
+                  Countdown Sync
+                </Button>
+                <p className="text-xs text-muted-foreground text-center">
+                  Pre-fill the next count above, then sync together as it changes
+                </p>
+              </div>
+            )}
+          </form>
+        )}
+
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ProgressSync;
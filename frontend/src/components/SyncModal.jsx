@@ -1,6 +1,9 @@
 import { useEffect, useState } from 'react';
 import useChatStore from '../store/chatStore';
 import TimeSync from './TimeSync';
+import MarkerSync from './MarkerSync';
+import ProgressSync from './ProgressSync';
+import { isClockSport } from '../lib/sportConfig';
 import { Button } from '@/components/ui/button';
 import {
   Dialog,
@@ -13,12 +16,16 @@ import {
 /**
  * SyncModal Component
  *
- * A modal that displays the TimeSync form when users need to sync their game time.
+ * A modal that displays the TimeSync form (MarkerSync in marker rooms, ProgressSync for
+ * sports without a game clock) when users
+ * need to sync.
  * Includes educational content explaining why sync matters for spoiler protection.
  * Uses Shadcn Dialog for consistent styling and accessibility.
  */
-function SyncModal({ isOpen, onClose, onSync, title, subtitle }) {
-  const { isSynced } = useChatStore();
+function SyncModal({ isOpen, onClose, onSync, onPostMarker, onMarkerSeen, title, subtitle }) {
+  const { isSynced, syncMode, sportConfig } = useChatStore();
+  const isMarkerMode = syncMode === 'marker';
+  const isClock = isClockSport(sportConfig);
   // Show education on first sync only (not for resyncs)
   const [hasSeenEducation, setHasSeenEducation] = useState(false);
 
@@ -54,7 +61,13 @@ function SyncModal({ isOpen, onClose, onSync, title, subtitle }) {
                   To protect you from spoilers:
                 </p>
                 <ol className="text-sm space-y-1 list-decimal list-inside text-muted-foreground">
-                  <li>Enter your current game clock time</li>
+                  <li>
+                    {isMarkerMode
+                      ? 'Post a play as you see it, or tap "I saw it" on a friend\'s'
+                      : isClock
+                        ? 'Enter your current game clock time'
+                        : 'Enter where the game is on your screen'}
+                  </li>
                   <li>We calculate your broadcast delay</li>
                   <li>Messages are held until you catch up</li>
                 </ol>
@@ -69,7 +82,13 @@ function SyncModal({ isOpen, onClose, onSync, title, subtitle }) {
           </div>
         ) : (
           <div className="py-2">
-            <TimeSync onSync={onSync} />
+            {isMarkerMode ? (
+              <MarkerSync onPostMarker={onPostMarker} onMarkerSeen={onMarkerSeen} />
+            ) : !isClock ? (
+              <ProgressSync onSync={onSync} />
+            ) : (
+              <TimeSync onSync={onSync} />
+            )}
           </div>
         )}
       </DialogContent>
@@ -0,0 +1,43 @@
+import useChatStore from '../store/chatStore';
+import { Badge } from '@/components/ui/badge';
+
+// How accurate the server thinks the delay estimate is (from sync-confirmed)
+const CONFIDENCE_LABELS = {
+  low: 'Rough estimate',
+  medium: 'Fair accuracy',
+  high: 'Accurate',
+};
+
+/**
+ * SyncStatus Component
+ *
+ * The user's delay badge plus how much to trust it, shown by TimeSync and MarkerSync
+ * once the user has synced. Suggests a resync when the server's confidence is low.
+ */
+function SyncStatus({ resyncHint }) {
+  const { offsetFormatted, isBaseline, referencePending, syncConfidence } = useChatStore();
+
+  return (
+    <>
+      <div className="flex items-center gap-1.5">
+        <Badge variant={isBaseline ? 'default' : 'secondary'} className="text-xs h-5">
+          {isBaseline ? 'Live' : offsetFormatted}
+        </Badge>
+        {syncConfidence && !referencePending && (
+          <span className="text-xs text-muted-foreground">
+            {CONFIDENCE_LABELS[syncConfidence.level]}
+          </span>
+        )}
+      </div>
+      {referencePending ? (
+        <p className="text-xs text-muted-foreground">
+          Synced while the clock was stopped — resync once play resumes for an accurate delay.
+        </p>
+      ) : syncConfidence?.resyncSuggested && (
+        <p className="text-xs text-muted-foreground">{resyncHint}</p>
+      )}
+    </>
+  );
+}
+
+export default SyncStatus;
@@ -4,7 +4,7 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
 import {
   Select,
   SelectContent,
@@ -12,7 +12,8 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { getSportConfig, getPeriodOptions, formatGameTime, DEFAULT_SPORT } from '../lib/sportConfig';
+import SyncStatus from './SyncStatus';
+import { getSportConfig, getPeriodInfo, getPeriodOptions, DEFAULT_SPORT } from '../lib/sportConfig';
 
 /**
  * TimeSync Component
@@ -21,13 +22,13 @@ import { getSportConfig, getPeriodOptions, formatGameTime, DEFAULT_SPORT } from
  * to calculate their offset from other viewers.
  *
  * Updated in Phase 8 to support multiple sports with different:
- * - Period counts (4 quarters, 3 periods, 2 halves)
- * - Period durations (12, 15, 20, 45 minutes)
+ * - Period counts (4 quarters, 3 periods, 2 halves), plus overtime periods
+ * - Period durations (12, 15, 20, 45 minutes; 5 minute NBA overtime)
  * - Clock directions (countdown vs countup)
  */
 function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
   // Get sport type from store (set when joining room)
-  const { sportType, sportConfig, isSynced, gameTime, offsetFormatted, isBaseline } = useChatStore();
+  const { sportType, sportConfig, isSynced, gameTime } = useChatStore();
 
   // Get sport configuration - use server config if available, else lookup by type
   const config = useMemo(() => {
@@ -37,8 +38,8 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
 
   // Get period options for the dropdown
   const periodOptions = useMemo(() => {
-    return getPeriodOptions(sportType || DEFAULT_SPORT);
-  }, [sportType]);
+    return getPeriodOptions(config);
+  }, [config]);
 
   // Initialize with appropriate defaults based on clock direction
   const [period, setPeriod] = useState('1');
@@ -47,6 +48,24 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
   });
   const [seconds, setSeconds] = useState(0);
 
+  // Clock range for the selected period (overtime periods have their own length)
+  const periodInfo = useMemo(() => {
+    return getPeriodInfo(config, parseInt(period, 10)) || getPeriodInfo(config, 1);
+  }, [config, period]);
+
+  // Reset the clock to the start of the newly selected period
+  // (12:00 for a basketball quarter, 5:00 for OT, 90:00 for soccer extra time)
+  const handlePeriodChange = (value) => {
+    setPeriod(value);
+    const info = getPeriodInfo(config, parseInt(value, 10));
+    if (info) {
+      setMinutes(config.clockDirection === 'down' ? info.durationMinutes : info.clockStartMinutes);
+      setSeconds(0);
+    }
+  };
+  // Clock-stopped syncs can't pin down the broadcast delay on their own
+  const [clockStopped, setClockStopped] = useState(false);
+
   // After syncing, collapse the form to a compact one-line summary.
   // showForm=true when unsynced (user needs to fill it in), false after a successful sync.
   const [showForm, setShowForm] = useState(!isSynced);
@@ -64,32 +83,26 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
     const m = parseInt(minutes, 10);
     const s = parseInt(seconds, 10);
 
-    if (p < 1 || p > config.periods) {
-      alert(`${config.periodLabel} must be 1-${config.periods}`);
+    const info = getPeriodInfo(config, p);
+    if (!info) {
+      alert(`Choose a ${config.periodLabel.toLowerCase()}`);
       return;
     }
     if (s < 0 || s > 59) {
       alert('Seconds must be 0-59');
       return;
     }
-    if (config.clockDirection === 'down') {
-      if (m < 0 || m > config.periodDurationMinutes) {
-        alert(`Minutes must be 0-${config.periodDurationMinutes}`);
-        return;
-      }
-      if (m === config.periodDurationMinutes && s > 0) {
-        alert(`Time cannot exceed ${config.periodDurationMinutes}:00`);
-        return;
-      }
-    } else {
-      if (m < 0 || m > config.maxMinutes) {
-        alert(`Minutes must be 0-${config.maxMinutes}`);
-        return;
-      }
+    if (m < info.minMinutes || m > info.maxMinutes) {
+      alert(`Minutes must be ${info.minMinutes}-${info.maxMinutes}`);
+      return;
+    }
+    if (config.clockDirection === 'down' && m === info.maxMinutes && s > 0) {
+      alert(`Time cannot exceed ${info.maxMinutes}:00`);
+      return;
     }
 
-    onSync(p, m, s);
-  }, [period, minutes, seconds, config, onSync]);
+    onSync({ period: p, minutes: m, seconds: s }, clockStopped);
+  }, [period, minutes, seconds, clockStopped, config, onSync]);
 
   const handleSync = (e) => {
     e.preventDefault();
@@ -103,11 +116,8 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
     }
   }, [autoSyncTrigger, trySync]);
 
-  // Format game time for display using sport-specific formatting
-  const displayGameTime = useMemo(() => {
-    if (!gameTime) return null;
-    return formatGameTime(gameTime, sportType || DEFAULT_SPORT);
-  }, [gameTime, sportType]);
+  // Formatted by the server ("Q3 8:42")
+  const displayGameTime = gameTime?.display ?? null;
 
   return (
     <Card>
@@ -131,9 +141,7 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
                 Resync
               </Button>
             </div>
-            <Badge variant={isBaseline ? 'default' : 'secondary'} className="text-xs h-5">
-              {isBaseline ? 'Live' : offsetFormatted}
-            </Badge>
+            <SyncStatus resyncHint="Resync while the clock is running to sharpen your delay estimate." />
           </div>
         )}
 
@@ -142,8 +150,8 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
           <form onSubmit={handleSync} className="space-y-2">
             <div className="flex items-end gap-2">
               <div className="space-y-1 flex-1 min-w-0">
-                <Label htmlFor="period" className="text-xs">{config.periodLabel}</Label>
-                <Select value={period} onValueChange={setPeriod}>
+                <Label htmlFor="period" className="text-xs">{periodInfo.label}</Label>
+                <Select value={period} onValueChange={handlePeriodChange}>
                   <SelectTrigger className="w-full h-9">
                     <SelectValue />
                   </SelectTrigger>
@@ -162,8 +170,8 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
                 <Input
                   type="number"
                   id="minutes"
-                  min="0"
-                  max={config.clockDirection === 'down' ? config.periodDurationMinutes : config.maxMinutes}
+                  min={periodInfo.minMinutes}
+                  max={periodInfo.maxMinutes}
                   value={minutes}
                   onChange={(e) => setMinutes(e.target.value)}
                   className="w-full h-9"
@@ -189,9 +197,20 @@ function TimeSync({ onSync, autoSyncTrigger, onStartCountdown }) {
             <p className="text-xs text-muted-foreground">
               {config.clockDirection === 'down'
                 ? 'Enter time remaining (clock counts down)'
-                : 'Enter elapsed time (clock counts up)'}
+                : config.allowStoppageTime
+                  ? 'Enter the match clock (48:12 for 45+3:12 added time)'
+                  : 'Enter elapsed time (clock counts up)'}
             </p>
 
+            <div className="flex items-center justify-between gap-2">
+              <Label htmlFor="clockStopped" className="text-xs font-normal">Clock is stopped</Label>
+              <Switch
+                id="clockStopped"
+                checked={clockStopped}
+                onCheckedChange={setClockStopped}
+              />
+            </div>
+
             <Button type="submit" size="sm" className="w-full">
               {isSynced ? 'Resync' : 'Sync Time'}
             </Button>
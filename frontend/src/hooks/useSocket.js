@@ -17,9 +17,26 @@ import { trackEvent } from '../lib/posthog';
  * Returns:
  * - socket: The Socket.IO socket instance
  * - joinRoom: Function to join a room
- * - sendMessage: Function to send a message
+ * - sendMessage: Function to send a message, optionally as a reply or flagged as a spoiler
+ *   (shown as pending until the server acks it)
+ * - retryMessage: Function to resend a message that failed (same clientId, so no duplicates)
+ * - confirmMessage / discardMessage: Functions to send or drop a message the server held
+ *   because it looks like a spoiler (rooms that ask the sender first)
+ * - runCommand: Function to run a slash command (/sync, /pause, /nick, /who...) - resolves
+ *   with the server's answer, which only we get
+ * - editMessage / deleteMessage: Functions to change one of our messages (everyone else
+ *   gets the change on their own delay, as messages-changed)
+ * - reactToMessage: Function to toggle an emoji reaction (counts reach everyone on their
+ *   own delay, as reactions-changed)
+ *
+ * Outbox:
+ * - Messages sent while disconnected (or before the auto-rejoin completes) are kept
+ *   in localStorage per room, and sent in order once joined-room arrives. The server
+ *   stamps them when they arrive, like any other message.
  * - leaveRoom: Function to leave the current room
- * - syncGameTime: Function to sync the user's game time
+ * - syncGameTime: Function to sync the user's game time (or innings/sets/laps progress)
+ * - postMarker: Function to post an "I saw this play" marker (marker sync rooms)
+ * - markMarkerSeen: Function to sync by tapping a marker when the play appears
  */
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 
@@ -56,6 +73,16 @@ function playNotificationSound() {
 // LocalStorage key for session data
 const SESSION_STORAGE_KEY = 'spoilerfree_session';
 
+// How long to wait for the server to ack a message before showing it as failed
+const MESSAGE_ACK_TIMEOUT_MS = 10 * 1000;
+
+// LocalStorage key for messages typed while disconnected: { [roomId]: Array<{ clientId, content, timestamp }> }
+const OUTBOX_STORAGE_KEY = 'spoilerfree_outbox';
+
+// Most messages the outbox holds per room - the server's rate limit (10 a minute)
+// would reject the rest of a bigger flush
+const MAX_OUTBOX_MESSAGES = 10;
+
 /**
  * Get stored session from localStorage
  * @returns {Object|null} { roomId, nickname, sessionId } or null
@@ -102,6 +129,143 @@ function clearStoredSession() {
   }
 }
 
+/**
+ * Get a room's outbox from localStorage
+ * @param {string} roomId
+ * @returns {Array} Queued messages { clientId, content, timestamp, replyTo?, spoiler?, emote? } (oldest first)
+ */
+function getStoredOutbox(roomId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || '{}');
+    return Array.isArray(stored[roomId]) ? stored[roomId] : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Replace a room's outbox in localStorage (an empty list removes it)
+ * @param {string} roomId
+ * @param {Array} messages - Queued messages { clientId, content, timestamp, replyTo?, spoiler?, emote? }
+ */
+function storeOutbox(roomId, messages) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || '{}');
+    if (messages.length > 0) {
+      stored[roomId] = messages;
+    } else {
+      delete stored[roomId];
+    }
+    localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(stored));
+  } catch {
+    // Silently ignore — localStorage unavailable
+  }
+}
+
+/**
+ * Emit a message and track its ack in the store. The server dedupes by clientId,
+ * so resending one that did arrive just acks it again. Rooms that ask before
+ * sending anything that looks like a spoiler answer 'confirm' - the message is
+ * held (with what it matched) until we send it confirmed or drop it.
+ * @param {Socket} socket
+ * @param {string} clientId - Client-generated message ID
+ * @param {string} content - Message text
+ * @param {Object} options
+ * @param {string|null} options.replyToId - The message it replies to, if any
+ * @param {boolean} options.spoiler - Flagged as a spoiler (blurred until revealed)
+ * @param {boolean} options.emote - A /me action
+ * @param {boolean} options.confirmed - Send it even if it looks like a spoiler
+ * @returns {Promise<boolean>} Whether the server took the message
+ */
+function emitMessage(socket, clientId, content, { replyToId = null, spoiler = false, emote = false, confirmed = false } = {}) {
+  return new Promise((resolve) => {
+    socket
+      .timeout(MESSAGE_ACK_TIMEOUT_MS)
+      .emit('send-message', {
+        content,
+        clientId,
+        ...(replyToId && { replyToId }),
+        ...(spoiler && { spoiler }),
+        ...(emote && { emote }),
+        ...(confirmed && { confirmed })
+      }, (err, response) => {
+        const { updateOutgoingMessage } = useChatStore.getState();
+        if (err || response?.status === 'failed') {
+          updateOutgoingMessage(clientId, { status: 'failed' });
+          resolve(false);
+          return;
+        }
+        if (response?.status === 'confirm') {
+          updateOutgoingMessage(clientId, { status: 'held', spoilerMatches: response.matches });
+          resolve(false);
+          return;
+        }
+        updateOutgoingMessage(clientId, { status: 'sent', id: response.id });
+        resolve(true);
+      });
+  });
+}
+
+/**
+ * The copy of a message we show until the server has it (its ID is the clientId).
+ * @param {string} clientId - Client-generated message ID
+ * @param {string} nickname - Our nickname
+ * @param {string} content - Message text
+ * @param {number} timestamp - When it was typed
+ * @param {Object} options
+ * @param {Object|null} options.replyTo - Quote of the message it replies to ({ id, nickname, content })
+ * @param {boolean} options.spoiler - Flagged as a spoiler
+ * @param {boolean} options.emote - A /me action
+ * @returns {Object} Message
+ */
+function toOutgoingMessage(clientId, nickname, content, timestamp, { replyTo = null, spoiler = false, emote = false } = {}) {
+  return {
+    id: clientId,
+    clientId,
+    nickname,
+    content,
+    timestamp,
+    ...(replyTo && { replyToId: replyTo.id, replyTo }),
+    ...(spoiler && { spoiler }),
+    ...(emote && { emote })
+  };
+}
+
+// Set while the outbox is being sent, so a quick reconnect doesn't send it twice
+let flushingOutbox = false;
+
+/**
+ * Send a room's outbox, one message at a time in the order they were typed.
+ * Each message leaves the outbox once the server has answered - a rejected one
+ * shows as failed and can be retried by hand.
+ * @param {Socket} socket
+ * @param {string} roomId
+ * @param {Function} canSend - Returns false once we've disconnected again
+ */
+async function flushOutbox(socket, roomId, canSend) {
+  if (flushingOutbox) return;
+  flushingOutbox = true;
+  try {
+    // After a page reload, queued messages are only in localStorage
+    const { messages, nickname, addOutgoingMessage, updateOutgoingMessage } = useChatStore.getState();
+    const outbox = getStoredOutbox(roomId);
+    for (const { clientId, content, timestamp, replyTo, spoiler, emote } of outbox) {
+      if (!messages.some((m) => m.clientId === clientId)) {
+        addOutgoingMessage(toOutgoingMessage(clientId, nickname, content, timestamp, { replyTo, spoiler, emote }), 'queued');
+      }
+    }
+
+    for (const { clientId, content, replyTo, spoiler, emote } of outbox) {
+      if (!canSend()) break;
+      updateOutgoingMessage(clientId, { status: 'pending' });
+      await emitMessage(socket, clientId, content, { replyToId: replyTo?.id ?? null, spoiler, emote });
+      storeOutbox(roomId, getStoredOutbox(roomId).filter((m) => m.clientId !== clientId));
+    }
+  } finally {
+    flushingOutbox = false;
+  }
+}
+
 // Timeout for auto-reconnection (10 seconds)
 const RECONNECT_TIMEOUT_MS = 10000;
 
@@ -109,6 +273,7 @@ export function useSocket() {
   const socketRef = useRef(null);
   const lastTokenRef = useRef(null); // Track the last token used for connection
   const reconnectTimeoutRef = useRef(null); // Track reconnect timeout
+  const joinedRef = useRef(false); // In a room on the current connection (joined-room received)
 
   // Get store actions
   const {
@@ -202,6 +367,7 @@ export function useSocket() {
     });
 
     socket.on('disconnect', (reason) => {
+      joinedRef.current = false;
       setConnected(false);
       // Set a friendly message based on the disconnect reason
       if (reason === 'io server disconnect') {
@@ -251,8 +417,12 @@ export function useSocket() {
       setRoom(data.roomId, data.nickname, data.sessionId, data.sportType, data.sportConfig, {
         roomName: data.roomName,
         teams: data.teams,
-        gameDate: data.gameDate
+        gameDate: data.gameDate,
+        syncMode: data.syncMode,
+        deliveryPolicy: data.deliveryPolicy
       });
+      useChatStore.getState().setSenderId(data.senderId);
+      useChatStore.getState().setMarkers(data.markers || []);
 
       // If user was viewing home when they refreshed, keep them on home screen
       if (shouldViewHome) {
@@ -262,19 +432,29 @@ export function useSocket() {
       setPendingAutoReconnect(false); // Clear pending state now that we've joined
       setUsers(data.users);
       setMessages(data.messages || []);
+      // Edits and deletions owed from while we were away
+      if (data.changes?.length > 0) {
+        useChatStore.getState().applyMessageChanges(data.changes);
+      }
+      if (data.reactions?.length > 0) {
+        useChatStore.getState().applyReactions(data.reactions);
+      }
+      useChatStore.getState().setReplay(!!data.isReplay, !!data.replayTruncated);
+
+      // Send whatever was typed while we were away
+      joinedRef.current = true;
+      flushOutbox(socket, data.roomId, () => socket.connected && joinedRef.current);
 
       // If reconnecting with restored sync state, apply it
       if (data.isReconnect && data.syncState) {
         setSyncState({
-          gameTime: {
-            // Support both 'period' (new) and 'quarter' (backwards compat)
-            period: data.syncState.period ?? data.syncState.quarter,
-            minutes: data.syncState.minutes,
-            seconds: data.syncState.seconds
-          },
+          // Progress reading (null for marker-synced users)
+          gameTime: data.syncState.gameTime,
           offset: data.syncState.offset,
           offsetFormatted: data.syncState.offsetFormatted,
-          isBaseline: data.syncState.isBaseline
+          isBaseline: data.syncState.isBaseline,
+          referencePending: data.syncState.referencePending,
+          syncConfidence: data.syncState.confidence
         });
       }
     });
@@ -287,15 +467,26 @@ export function useSocket() {
       removeUser(user.id);
     });
 
+    // Someone changed their nickname (/nick) - if it was us, rejoin under the new one
+    socket.on('user-renamed', ({ id, nickname }) => {
+      useChatStore.getState().renameUser(id, nickname);
+      if (id !== socket.id) return;
+      useChatStore.getState().setNickname(nickname);
+      const stored = getStoredSession();
+      if (stored) {
+        storeSession(stored.roomId, nickname, stored.sessionId, stored.sportType, stored.viewingHome);
+      }
+    });
+
     // Message events
-    socket.on('new-message', (message) => {
-      addMessage(message);
+    const receiveMessages = (messages) => {
+      addMessage(messages);
 
       const profile = useAuthStore.getState().profile;
       const soundEnabled = profile?.notificationSound ?? true;
-      const currentNickname = useChatStore.getState().nickname;
-      if (message.nickname !== currentNickname) {
-        // Play notification sound if enabled
+      const ownSenderId = useChatStore.getState().senderId;
+      if (messages.some((message) => message.senderId !== ownSenderId)) {
+        // Play notification sound if enabled (once per batch)
         if (soundEnabled) {
           playNotificationSound();
         }
@@ -304,6 +495,25 @@ export function useSocket() {
           document.title = '(1) New Message — SpoilerFreeChat';
         }
       }
+    };
+
+    socket.on('new-message', (message) => {
+      receiveMessages([message]);
+    });
+
+    // Messages that came due together arrive as one batch (one re-render)
+    socket.on('new-messages', (data) => {
+      receiveMessages(data.messages);
+    });
+
+    // Edits and deletions, delivered on our delay like messages
+    socket.on('messages-changed', (data) => {
+      useChatStore.getState().applyMessageChanges(data.changes);
+    });
+
+    // Reaction counts, delivered on our delay too - they grow as our broadcast catches up
+    socket.on('reactions-changed', (data) => {
+      useChatStore.getState().applyReactions(data.reactions);
     });
 
     // Message history (sent when late joiner syncs for the first time)
@@ -311,19 +521,42 @@ export function useSocket() {
       setMessages(data.messages);
     });
 
+    // Replay mode started - the server re-sends the room's messages by game time
+    socket.on('replay-started', (data) => {
+      useChatStore.getState().setReplay(true, !!data?.truncated);
+      setMessages([]);
+    });
+
+    // Paused / resumed stream - the server holds our messages while paused
+    socket.on('playback-paused', () => {
+      useChatStore.getState().setPaused(true);
+    });
+
+    socket.on('playback-resumed', () => {
+      useChatStore.getState().setPaused(false);
+      useChatStore.getState().markResynced();
+    });
+
+    // A page of older messages (reply to load-history)
+    socket.on('history-page', (data) => {
+      useChatStore.getState().prependMessages(data.messages, data.hasMore);
+    });
+
     // Phase 2: Game time sync events (updated Phase 8 for multi-sport)
     socket.on('sync-confirmed', (data) => {
-      trackEvent('sync_completed', { offset: data.offset, isBaseline: data.isBaseline });
+      trackEvent('sync_completed', {
+        offset: data.offset,
+        isBaseline: data.isBaseline,
+        confidence: data.confidence?.level
+      });
       setSyncState({
-        // Support both 'period' (new) and 'quarter' (backwards compat)
-        gameTime: {
-          period: data.period ?? data.quarter,
-          minutes: data.minutes,
-          seconds: data.seconds
-        },
+        // The reading we synced with (null for marker syncs)
+        gameTime: data.gameTime,
         offset: data.offset,
         offsetFormatted: data.offsetFormatted,
-        isBaseline: data.isBaseline
+        isBaseline: data.isBaseline,
+        referencePending: data.referencePending,
+        syncConfidence: data.confidence
       });
       // Also update own entry in users list (user-synced only goes to others)
       updateUserSync(socket.id, {
@@ -344,12 +577,18 @@ export function useSocket() {
 
     // When our offset changes due to someone else syncing (baseline shift)
     socket.on('offset-updated', (data) => {
-      setSyncState({
-        gameTime: useChatStore.getState().gameTime, // Keep existing game time
-        offset: data.offset,
-        offsetFormatted: data.offsetFormatted,
-        isBaseline: data.isBaseline
-      });
+      useChatStore.getState().updateOffset(data);
+    });
+
+    // Where everyone's broadcast is now (sent every few seconds)
+    socket.on('room-clock', (clock) => {
+      useChatStore.getState().applyRoomClock(clock);
+    });
+
+    // Play markers (marker sync rooms) — shown immediately so viewers can tap
+    // "I just saw it" when the play reaches their screen
+    socket.on('marker-posted', (marker) => {
+      useChatStore.getState().addMarker(marker);
     });
 
     // Session expired event
@@ -361,6 +600,7 @@ export function useSocket() {
       }
       clearStoredSession();
       setPendingAutoReconnect(false);
+      useChatStore.getState().setLoadingHistory(false);
       setError(data.message);
     });
 
@@ -421,7 +661,8 @@ export function useSocket() {
 
   // Join a room (with session support for reconnection)
   // sportType is only used when creating a new room (first joiner sets sport)
-  // roomMetadata is optional: { roomName, teams, gameDate } - only used when creating
+  // roomMetadata is optional: { roomName, teams, gameDate, syncMode, deliveryPolicy, retentionHours,
+  // spoilerDetection, spoilerRules } - only used when creating
   // joinOnly: if true, the server will reject the join if the room doesn't already exist
   const joinRoom = useCallback((roomId, nickname, sportType = 'basketball', roomMetadata = null, joinOnly = false) => {
     if (socketRef.current) {
@@ -445,25 +686,173 @@ export function useSocket() {
         ...(roomMetadata && {
           roomName: roomMetadata.roomName,
           teams: roomMetadata.teams,
-          gameDate: roomMetadata.gameDate
+          gameDate: roomMetadata.gameDate,
+          syncMode: roomMetadata.syncMode,
+          deliveryPolicy: roomMetadata.deliveryPolicy,
+          retentionHours: roomMetadata.retentionHours,
+          spoilerDetection: roomMetadata.spoilerDetection,
+          spoilerRules: roomMetadata.spoilerRules
         })
       });
     }
   }, []);
 
-  // Send a message
-  const sendMessage = useCallback((content) => {
+  // Send a message - or keep it in the outbox if we're offline or still rejoining.
+  // replyTo: the message it replies to, if any (quoted in our copy until the server's arrives)
+  // spoiler: flagged as a spoiler, so everyone else sees it blurred until they reveal it
+  // emote: a /me action
+  const sendMessage = useCallback((content, { replyTo = null, spoiler = false, emote = false } = {}) => {
+    if (socketRef.current) {
+      trackEvent(replyTo ? 'reply_sent' : 'message_sent');
+      const clientId = crypto.randomUUID();
+      const timestamp = Date.now();
+      const { roomId, nickname, addOutgoingMessage, setError } = useChatStore.getState();
+      const quote = replyTo && { id: replyTo.id, nickname: replyTo.nickname, content: replyTo.content };
+
+      if (!socketRef.current.connected || !joinedRef.current) {
+        const outbox = getStoredOutbox(roomId);
+        if (outbox.length >= MAX_OUTBOX_MESSAGES) {
+          setError("You're offline - wait to reconnect before sending more messages.");
+          return;
+        }
+        storeOutbox(roomId, [...outbox, { clientId, content, timestamp, ...(quote && { replyTo: quote }), ...(spoiler && { spoiler }), ...(emote && { emote }) }]);
+        addOutgoingMessage(toOutgoingMessage(clientId, nickname, content, timestamp, { replyTo: quote, spoiler, emote }), 'queued');
+        return;
+      }
+
+      addOutgoingMessage(toOutgoingMessage(clientId, nickname, content, timestamp, { replyTo: quote, spoiler, emote }));
+      emitMessage(socketRef.current, clientId, content, { replyToId: quote?.id ?? null, spoiler, emote });
+    }
+  }, []);
+
+  // Resend a message that failed
+  const retryMessage = useCallback((clientId) => {
+    const message = useChatStore.getState().messages.find((m) => m.clientId === clientId);
+    if (socketRef.current && message?.status === 'failed') {
+      useChatStore.getState().updateOutgoingMessage(clientId, { status: 'pending' });
+      emitMessage(socketRef.current, clientId, message.content, {
+        replyToId: message.replyToId ?? null,
+        spoiler: !!message.spoiler,
+        emote: !!message.emote
+      });
+    }
+  }, []);
+
+  // Send a message the server held because it looks like a spoiler - flagged as
+  // one (spoiler: true), or as it is
+  const confirmMessage = useCallback((clientId, { spoiler = false } = {}) => {
+    const message = useChatStore.getState().messages.find((m) => m.clientId === clientId);
+    if (socketRef.current && message?.status === 'held') {
+      trackEvent(spoiler ? 'held_message_tagged' : 'held_message_confirmed');
+      useChatStore.getState().updateOutgoingMessage(clientId, {
+        status: 'pending',
+        spoilerMatches: undefined,
+        ...(spoiler && { spoiler })
+      });
+      emitMessage(socketRef.current, clientId, message.content, {
+        replyToId: message.replyToId ?? null,
+        spoiler: spoiler || !!message.spoiler,
+        emote: !!message.emote,
+        confirmed: true
+      });
+    }
+  }, []);
+
+  // Run a slash command. Commands aren't messages: they aren't kept in the outbox,
+  // and the answer - { status: 'done', command, ... } or { status: 'failed', command?,
+  // code, error, usage? } - is ours alone
+  const runCommand = useCallback((content) => {
+    if (!socketRef.current?.connected || !joinedRef.current) {
+      return Promise.resolve({ status: 'failed', code: 'offline', error: "You're offline - try again once you've reconnected." });
+    }
+    return new Promise((resolve) => {
+      socketRef.current
+        .timeout(MESSAGE_ACK_TIMEOUT_MS)
+        .emit('send-message', { content }, (err, response) => {
+          if (err) {
+            resolve({ status: 'failed', code: 'timeout', error: 'No answer from the server. Please try again.' });
+            return;
+          }
+          if (response?.status === 'done') trackEvent('command_run', { command: response.command });
+          resolve(response);
+        });
+    });
+  }, []);
+
+  // Drop a held message instead of sending it
+  const discardMessage = useCallback((clientId) => {
+    trackEvent('held_message_discarded');
+    useChatStore.getState().removeOutgoingMessage(clientId);
+  }, []);
+
+  // Edit or delete one of our messages (the server checks it's ours).
+  // Resolves with the server's answer - { status: 'confirm', matches } if the room
+  // asks us first because the edit looks like a spoiler (send again with confirmed)
+  const editMessage = useCallback((messageId, content, { confirmed = false } = {}) => {
+    if (!socketRef.current) return Promise.resolve({ status: 'failed' });
+    trackEvent('message_edited');
+    return new Promise((resolve) => {
+      socketRef.current.emit('edit-message', { messageId, content, ...(confirmed && { confirmed }) }, resolve);
+    });
+  }, []);
+
+  const deleteMessage = useCallback((messageId) => {
+    if (socketRef.current) {
+      trackEvent('message_deleted');
+      socketRef.current.emit('delete-message', { messageId });
+    }
+  }, []);
+
+  // Add or remove one of our reactions to a message
+  const reactToMessage = useCallback((messageId, emoji) => {
+    if (socketRef.current) {
+      trackEvent('message_reacted', { emoji });
+      socketRef.current.emit('react-message', { messageId, emoji }, (response) => {
+        if (response?.status === 'sent') {
+          useChatStore.getState().setMyReaction(messageId, emoji, response.reacted);
+        }
+      });
+    }
+  }, []);
+
+  // Load the page of messages before the oldest one we have
+  const loadHistory = useCallback(() => {
+    const { messages, isLoadingHistory } = useChatStore.getState();
+    if (socketRef.current && !isLoadingHistory) {
+      useChatStore.getState().setLoadingHistory(true);
+      // The cursor is (timestamp, id): messages sent in the same ms are paged by ID
+      socketRef.current.emit('load-history', { before: messages[0]?.timestamp ?? null, beforeId: messages[0]?.id ?? null });
+    }
+  }, []);
+
+  // Watch a recording: replay the room's messages by game time instead of offset
+  const startReplay = useCallback(() => {
+    if (socketRef.current) {
+      trackEvent('replay_started');
+      socketRef.current.emit('start-replay');
+    }
+  }, []);
+
+  // "I paused" / "I resumed" - hold messages while the stream is paused
+  const pausePlayback = useCallback(() => {
+    if (socketRef.current) {
+      trackEvent('playback_paused');
+      socketRef.current.emit('pause-playback');
+    }
+  }, []);
+
+  const resumePlayback = useCallback(() => {
     if (socketRef.current) {
-      trackEvent('message_sent');
-      socketRef.current.emit('send-message', { content });
+      socketRef.current.emit('resume-playback');
     }
   }, []);
 
   // Leave the current room (disconnect and reconnect)
   const leaveRoom = useCallback(() => {
     if (socketRef.current) {
-      // Clear stored session when explicitly leaving
+      // Clear stored session (and anything still waiting to be sent) when explicitly leaving
       clearStoredSession();
+      storeOutbox(useChatStore.getState().roomId, []);
       socketRef.current.disconnect();
       socketRef.current.connect();
       clearRoom();
@@ -472,9 +861,28 @@ export function useSocket() {
 
   // Phase 2: Sync game time (updated Phase 8 for multi-sport)
   // Uses 'period' as generic term (works for quarters, periods, halves)
-  const syncGameTime = useCallback((period, minutes, seconds) => {
+  // clockStopped: user reports the game clock isn't running (timeout, break)
+  // reading: the sport's progress fields - { period, minutes, seconds } for clock sports,
+  // { inning, half, outs } for baseball, etc. (sportConfig.progressFields)
+  const syncGameTime = useCallback((reading, clockStopped = false) => {
+    if (socketRef.current) {
+      socketRef.current.emit('sync-game-time', { ...reading, clockStopped });
+    }
+  }, []);
+
+  // Marker sync: post the play you just saw (also syncs you)
+  const postMarker = useCallback((label) => {
+    if (socketRef.current) {
+      trackEvent('marker_posted');
+      socketRef.current.emit('post-marker', { label });
+    }
+  }, []);
+
+  // Marker sync: the play behind a marker just appeared on your screen
+  const markMarkerSeen = useCallback((markerId) => {
     if (socketRef.current) {
-      socketRef.current.emit('sync-game-time', { period, minutes, seconds });
+      useChatStore.getState().markMarkerSeen(markerId);
+      socketRef.current.emit('marker-seen', { markerId });
     }
   }, []);
 
@@ -500,8 +908,21 @@ export function useSocket() {
     socket: socketRef.current,
     joinRoom,
     sendMessage,
+    retryMessage,
+    confirmMessage,
+    discardMessage,
+    runCommand,
+    editMessage,
+    deleteMessage,
+    reactToMessage,
+    loadHistory,
+    startReplay,
+    pausePlayback,
+    resumePlayback,
     leaveRoom,
     syncGameTime,
+    postMarker,
+    markMarkerSeen,
     reportMessage,
     startCountdown
   };
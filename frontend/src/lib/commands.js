@@ -0,0 +1,58 @@
+/**
+ * Chat Commands (Frontend)
+ *
+ * Slash commands typed into the message composer. The server parses and runs
+ * them (backend/services/commands.js) - this copy of the built-in list lets the
+ * composer suggest them, and turns the ones that send a message (/me, /spoiler)
+ * into that message right away, so our pending copy looks like the real thing.
+ *
+ * Everything else that looks like a command goes to the server as typed, which
+ * answers with the result or a structured error ({ code, error, usage? }).
+ *
+ * Used by:
+ * - ChatRoom.jsx: Composer suggestions and sending
+ */
+
+// Built-in commands, in the server's order
+export const COMMANDS = [
+  { name: 'sync', usage: '/sync Q3 8:42', description: 'Sync with the game time on your screen' },
+  { name: 'pause', usage: '/pause', description: 'Pause your stream - messages wait until you resume' },
+  { name: 'resume', usage: '/resume', description: 'Resume your stream after a pause' },
+  { name: 'me', usage: '/me jumps off the couch', description: 'Send an action', sendsMessage: true },
+  { name: 'spoiler', usage: '/spoiler what a finish', description: 'Send a message blurred until revealed', sendsMessage: true },
+  { name: 'nick', usage: '/nick NewName', description: 'Change your nickname in this room' },
+  { name: 'who', usage: '/who', description: "List who's here and how far behind live they are" },
+];
+
+// "/name" followed by anything (the name is letters only, like the server's)
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Parse composer text as a command.
+ *
+ * @param {string} content - Composer text
+ * @returns {Object|null} null for a normal message, { name, message: { content, emote?, spoiler? } }
+ *   for /me and /spoiler with something after them, otherwise { name } (run by the server)
+ */
+export function parseCommand(content) {
+  const match = content.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const args = (match[2] || '').trim();
+  if (args.length > 0 && name === 'me') return { name, message: { content: args, emote: true } };
+  if (args.length > 0 && name === 'spoiler') return { name, message: { content: args, spoiler: true } };
+  return { name };
+}
+
+/**
+ * Commands matching what's been typed so far ("/s" -> /sync, /spoiler).
+ *
+ * @param {string} content - Composer text
+ * @returns {Array<Object>} Matching commands (empty once there's a space, or no slash)
+ */
+export function suggestCommands(content) {
+  const match = content.match(/^\/([a-z]*)$/i);
+  if (!match) return [];
+  return COMMANDS.filter((command) => command.name.startsWith(match[1].toLowerCase()));
+}
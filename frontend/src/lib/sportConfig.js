@@ -1,71 +1,66 @@
 /**
  * Sport Configuration (Frontend)
  *
- * This mirrors the backend sport configuration for UI rendering.
- * Defines the timing rules and display settings for each supported sport.
+ * Sport definitions live on the backend (one JSON file per sport in backend/sports/)
+ * and are fetched once from GET /api/sports at startup. App.jsx calls loadSports()
+ * before rendering anything that needs them; the helpers below read the loaded data.
+ *
+ * Sports without a game clock (baseball, tennis, F1...) have a "progress" model and
+ * the server includes the fields to sync with as progressFields
+ * (e.g. [{ key: 'inning', label: 'Inning', min: 1, max: 18 }, ...]).
+ * Clock sports come with periodInfo: every period's name and clock range.
+ *
+ * The sport rules themselves stay on the server: it sends game times with their
+ * display string ({ period, minutes, seconds, display: 'Q3 8:42' }), so nothing
+ * here formats or computes them.
  *
  * Used by:
  * - JoinRoom.jsx: Sport selector UI
  * - TimeSync.jsx: Dynamic period labels and validation
+ * - ProgressSync.jsx: Sync form for innings, sets and laps
  * - ChatRoom.jsx: Sport display in room header
  */
 
-export const SPORT_CONFIGS = {
-  basketball: {
-    id: 'basketball',
-    label: 'Basketball',
-    emoji: '🏀',
-    periods: 4,
-    periodLabel: 'Quarter',
-    periodLabelShort: 'Q',
-    periodDurationMinutes: 12,
-    clockDirection: 'down', // Clock counts DOWN
-    maxMinutes: 12,
-    description: '4 quarters, 12 min each',
-  },
-  football: {
-    id: 'football',
-    label: 'Football',
-    emoji: '🏈',
-    periods: 4,
-    periodLabel: 'Quarter',
-    periodLabelShort: 'Q',
-    periodDurationMinutes: 15,
-    clockDirection: 'down',
-    maxMinutes: 15,
-    description: '4 quarters, 15 min each',
-  },
-  hockey: {
-    id: 'hockey',
-    label: 'Hockey',
-    emoji: '🏒',
-    periods: 3,
-    periodLabel: 'Period',
-    periodLabelShort: 'P',
-    periodDurationMinutes: 20,
-    clockDirection: 'down',
-    maxMinutes: 20,
-    description: '3 periods, 20 min each',
-  },
-  soccer: {
-    id: 'soccer',
-    label: 'Soccer',
-    emoji: '⚽',
-    periods: 2,
-    periodLabel: 'Half',
-    periodLabelShort: 'H',
-    periodDurationMinutes: 45,
-    clockDirection: 'up', // Clock counts UP
-    maxMinutes: 59, // Allow stoppage time
-    description: '2 halves, 45+ min each',
-  },
-};
+const API_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
+
+// Filled in by loadSports() - sport id -> sport configuration
+export let SPORT_CONFIGS = {};
+
+// Replaced by the server's default once loaded
+export let DEFAULT_SPORT = 'basketball';
 
-export const DEFAULT_SPORT = 'basketball';
+let loadPromise = null;
+
+/**
+ * Fetch sport definitions from the server.
+ * Safe to call more than once - the request is only made once (unless it failed).
+ *
+ * @returns {Promise<void>} Resolves once definitions are loaded
+ */
+export function loadSports() {
+  if (!loadPromise) {
+    loadPromise = fetch(`${API_URL}/api/sports`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load sports (${response.status})`);
+        }
+        return response.json();
+      })
+      .then(({ sports, defaultSport }) => {
+        SPORT_CONFIGS = Object.fromEntries(sports.map((sport) => [sport.id, sport]));
+        DEFAULT_SPORT = defaultSport;
+      })
+      .catch((error) => {
+        loadPromise = null; // Allow a retry
+        throw error;
+      });
+  }
+  return loadPromise;
+}
 
 /**
  * Get configuration for a specific sport type.
- * Falls back to basketball if sport type is invalid.
+ * Falls back to the default sport if sport type is invalid.
  *
  * @param {string} sportType - Sport identifier
  * @returns {Object} Sport configuration object
@@ -74,6 +69,16 @@ export function getSportConfig(sportType) {
   return SPORT_CONFIGS[sportType] || SPORT_CONFIGS[DEFAULT_SPORT];
 }
 
+/**
+ * Check if a sport type is one the server knows about.
+ *
+ * @param {string} sportType - Sport identifier to check
+ * @returns {boolean} True if valid sport type
+ */
+export function isValidSportType(sportType) {
+  return Object.prototype.hasOwnProperty.call(SPORT_CONFIGS, sportType);
+}
+
 /**
  * Get all available sports as an array.
  * Useful for populating sport selector UI.
@@ -85,48 +90,35 @@ export function getAllSports() {
 }
 
 /**
- * Format game time for display based on sport.
+ * Describe one period: name, length and valid clock readings.
+ * Computed by the server (sportConfig.getAllPeriodInfo() in the backend) and
+ * sent with the sport as periodInfo.
  *
- * @param {Object} gameTime - { period, minutes, seconds }
- * @param {string} sportType - Sport identifier
- * @returns {string} Formatted game time string
+ * @param {Object} config - Sport configuration
+ * @param {number} period - Period number (1-based)
+ * @returns {Object|null} { period, name, label, isOvertime, durationMinutes, stoppageMinutes, clockStartMinutes, minMinutes, maxMinutes }
  */
-export function formatGameTime(gameTime, sportType = DEFAULT_SPORT) {
-  if (!gameTime) return null;
-
-  const config = getSportConfig(sportType);
-  const { period, minutes, seconds } = gameTime;
-  const paddedSeconds = seconds.toString().padStart(2, '0');
-
-  if (config.periodLabel === 'Half') {
-    // Soccer: "1st Half 23:15"
-    const ordinal = period === 1 ? '1st' : '2nd';
-    return `${ordinal} Half ${minutes}:${paddedSeconds}`;
-  }
+export function getPeriodInfo(config, period) {
+  return config.periodInfo?.find((info) => info.period === period) ?? null;
+}
 
-  // Other sports: "Q3 8:42" or "P2 15:30"
-  return `${config.periodLabelShort}${period} ${minutes}:${paddedSeconds}`;
+/**
+ * Check whether a sport syncs by the game clock (vs. innings, sets or laps).
+ *
+ * @param {Object} config - Sport configuration
+ * @returns {boolean} True for clock sports
+ */
+export function isClockSport(config) {
+  return (config?.progress?.model ?? 'clock') === 'clock';
 }
 
 /**
  * Get period options for the period selector dropdown.
+ * Overtime periods follow regulation ("Q4", then "OT1").
  *
- * @param {string} sportType - Sport identifier
+ * @param {Object} config - Sport configuration
  * @returns {Array} Array of { value, label } objects
  */
-export function getPeriodOptions(sportType = DEFAULT_SPORT) {
-  const config = getSportConfig(sportType);
-  const options = [];
-
-  for (let i = 1; i <= config.periods; i++) {
-    let label;
-    if (config.periodLabel === 'Half') {
-      label = i === 1 ? '1st Half' : '2nd Half';
-    } else {
-      label = `${config.periodLabelShort}${i}`;
-    }
-    options.push({ value: String(i), label });
-  }
-
-  return options;
+export function getPeriodOptions(config) {
+  return (config.periodInfo || []).map((info) => ({ value: String(info.period), label: info.name }));
 }
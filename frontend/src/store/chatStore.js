@@ -37,6 +37,17 @@ function updateStoredViewingHome(viewingHome) {
   }
 }
 
+/**
+ * Keep our own messages that the server hasn't confirmed yet (queued, pending,
+ * held or failed) when the message list is replaced, unless the new list already has them.
+ */
+function keepUnconfirmed(messages, previous) {
+  const known = new Set(messages.map((m) => m.clientId).filter(Boolean));
+  return messages.concat(
+    previous.filter((m) => m.status && m.status !== 'sent' && !known.has(m.clientId))
+  );
+}
+
 /**
  * Chat Store
  *
@@ -48,8 +59,20 @@ function updateStoredViewingHome(viewingHome) {
  * - roomId: Current room the user is in (null if not joined)
  * - nickname: User's display name (null if not joined)
  * - sessionId: Database session ID for reconnection support
+ * - senderId: The senderId our own messages carry (same across reconnects and nickname changes)
  * - users: Array of users in the current room
+ *   (currentGameTime: the server's estimate of where each synced user's broadcast is now,
+ *   refreshed by room-clock events)
  * - messages: Array of messages in the current room
+ *   (our own messages carry a clientId and status: 'queued' while offline (outbox),
+ *   'pending' until the server acks them, then 'sent' - or 'failed' if it rejected
+ *   them or never answered, or 'held' (with spoilerMatches) if the room asks us to
+ *   confirm messages that look like spoilers; edited messages carry version and editedAt, deleted
+ *   ones deleted: true)
+ * - historyHasMore / isLoadingHistory: Paging back through older messages (load-history)
+ * - isReplay: Watching a recording - messages are replayed by game time, not offset
+ *   (replayTruncated: the room had more than one replay holds, so it stops early)
+ * - isPaused: The user paused their stream - the server holds their messages until they resume
  * - error: Current error message (null if no error)
  *
  * Sport State (Phase 8):
@@ -57,12 +80,21 @@ function updateStoredViewingHome(viewingHome) {
  * - sportConfig: Sport-specific configuration from server
  *
  * Game Time Sync State (Phase 2, updated Phase 8):
- * - gameTime: { period, minutes, seconds } - User's current game time
+ * - gameTime: { period, minutes, seconds, display } - User's current game time, formatted by the server
  * - isSynced: Whether the user has synced their game time
  * - offset: Delay in milliseconds relative to baseline
  * - offsetFormatted: Human-readable offset (e.g., "23 seconds behind")
  * - isBaseline: Whether this user set the room's baseline
+ * - referencePending: Synced with the clock stopped and no earlier running-clock sync,
+ *   so the server can't place the user yet (they get the room's max delay)
+ * - syncConfidence: How much the server trusts the delay estimate
+ *   ({ level: 'low'|'medium'|'high', score, sampleCount, resyncSuggested }) or null
  * - lastSyncTime: Timestamp of last sync (for resync reminder)
+ *
+ * Marker Sync State (rooms that sync by "I saw this play" instead of the game clock):
+ * - syncMode: 'clock' or 'marker' - chosen when the room is created
+ * - deliveryPolicy: 'offset' or 'game-position' - when messages reach each viewer (clock rooms)
+ * - markers: Open play markers { id, label, nickname, postedAt, seen } (oldest first)
  */
 const useChatStore = create((set) => ({
   // Connection state
@@ -83,12 +115,16 @@ const useChatStore = create((set) => ({
   roomId: null,
   nickname: null,
   sessionId: null,  // Database session ID for reconnection
+  senderId: null,  // On our own messages
+  setSenderId: (senderId) => set({ senderId }),
   sportType: null,  // Sport type for the room (Phase 8)
   sportConfig: null, // Sport-specific config from server (Phase 8)
   // Room metadata (Phase 11)
   roomName: null,  // Display name for the room
   teams: null,     // Teams playing (e.g., "Lakers vs Celtics")
   gameDate: null,  // Date of the game
+  syncMode: 'clock', // How users in this room sync ('clock' or 'marker')
+  deliveryPolicy: 'offset', // When messages reach each viewer ('offset' or 'game-position')
   setRoom: (roomId, nickname, sessionId = null, sportType = null, sportConfig = null, roomMetadata = null) =>
     set({
       roomId,
@@ -99,25 +135,43 @@ const useChatStore = create((set) => ({
       roomName: roomMetadata?.roomName || null,
       teams: roomMetadata?.teams || null,
       gameDate: roomMetadata?.gameDate || null,
-      viewingHome: false
+      syncMode: roomMetadata?.syncMode || 'clock',
+      deliveryPolicy: roomMetadata?.deliveryPolicy || 'offset',
+      viewingHome: false,
+      historyHasMore: true,
+      isLoadingHistory: false,
+      isReplay: false,
+      replayTruncated: false,
+      isPaused: false
     }),
   clearRoom: () => set({
     roomId: null,
     nickname: null,
     sessionId: null,
+    senderId: null,
     sportType: null,
     sportConfig: null,
     roomName: null,
     teams: null,
     gameDate: null,
+    syncMode: 'clock',
+    deliveryPolicy: 'offset',
+    markers: [],
     users: [],
     messages: [],
+    historyHasMore: true,
+    isLoadingHistory: false,
+    isReplay: false,
+    replayTruncated: false,
+    isPaused: false,
     // Reset sync state when leaving room
     gameTime: null,
     isSynced: false,
     offset: 0,
     offsetFormatted: 'Not synced',
     isBaseline: false,
+    referencePending: false,
+    syncConfidence: null,
     lastSyncTime: null,
     viewingHome: false
   }),
@@ -141,6 +195,12 @@ const useChatStore = create((set) => ({
   removeUser: (userId) => set((state) => ({
     users: state.users.filter((u) => u.id !== userId)
   })),
+  // Someone changed their nickname (/nick) - messages they already sent keep the old one
+  renameUser: (userId, nickname) => set((state) => ({
+    users: state.users.map((u) => (u.id === userId ? { ...u, nickname } : u))
+  })),
+  // We changed ours
+  setNickname: (nickname) => set({ nickname }),
   // Update a specific user's sync status (when they sync their game time)
   updateUserSync: (userId, syncData) => set((state) => ({
     users: state.users.map((u) =>
@@ -149,12 +209,131 @@ const useChatStore = create((set) => ({
         : u
     )
   })),
+  // Apply a room-clock broadcast: each synced user's estimated current game time
+  applyRoomClock: (clock) => set((state) => {
+    const byId = new Map(clock.users.map((entry) => [entry.id, entry]));
+    return {
+      users: state.users.map((u) => ({ ...u, currentGameTime: byId.get(u.id) || null }))
+    };
+  }),
 
   // Messages
   messages: [],
-  setMessages: (messages) => set({ messages }),
-  addMessage: (message) => set((state) => ({
-    messages: [...state.messages, message]
+  setMessages: (messages) => set((state) => ({
+    messages: keepUnconfirmed(messages, state.messages)
+  })),
+  // Accepts one message or a batch (new-messages), so a burst updates the list once.
+  // Our own messages replace the pending copies we've been showing.
+  addMessage: (messageOrBatch) => set((state) => {
+    const incoming = [].concat(messageOrBatch);
+    const byClientId = new Map(incoming.filter((m) => m.clientId).map((m) => [m.clientId, m]));
+    const matched = new Set();
+    const messages = state.messages.map((m) => {
+      const confirmed = m.status && byClientId.get(m.clientId);
+      if (!confirmed) return m;
+      matched.add(m.clientId);
+      return { ...confirmed, status: 'sent' };
+    });
+    return {
+      messages: messages.concat(incoming.filter((m) => !matched.has(m.clientId)))
+    };
+  }),
+  // A message we're sending, shown as pending until the server acks it
+  // (or queued, if it's waiting in the outbox for us to reconnect)
+  addOutgoingMessage: (message, status = 'pending') => set((state) => ({
+    messages: [...state.messages, { ...message, senderId: state.senderId, status }]
+  })),
+  // Update the status of one of our unconfirmed messages (by its clientId)
+  updateOutgoingMessage: (clientId, changes) => set((state) => ({
+    messages: state.messages.map((m) =>
+      m.clientId === clientId && m.status ? { ...m, ...changes } : m
+    )
+  })),
+  // Drop one of our unconfirmed messages (a held spoiler we decided not to send)
+  removeOutgoingMessage: (clientId) => set((state) => ({
+    messages: state.messages.filter((m) => !(m.clientId === clientId && m.status))
+  })),
+  // Edits and deletions (messages-changed), reaching us on the same delay as messages.
+  // Each carries the version it makes, so a late or repeated change never undoes a newer one.
+  applyMessageChanges: (changes) => set((state) => {
+    const byMessageId = new Map();
+    for (const change of changes) {
+      byMessageId.set(change.messageId, [...(byMessageId.get(change.messageId) || []), change]);
+    }
+    return {
+      messages: state.messages.map((m) => (byMessageId.get(m.id) || []).reduce((current, change) => {
+        if (current.deleted || change.version <= (current.version ?? 0)) return current;
+        if (change.type === 'delete') return { ...current, content: '', deleted: true };
+        return {
+          ...current,
+          content: change.content,
+          version: change.version,
+          editedAt: change.editedAt,
+          // An edit that looks like a spoiler flags the message
+          ...(change.spoiler && { spoiler: true })
+        };
+      }, m))
+    };
+  }),
+  // Reaction updates (reactions-changed), reaching us on the same delay as messages.
+  // Each carries the emoji's new count, so a repeated update can't count twice.
+  applyReactions: (updates) => set((state) => {
+    const byMessageId = new Map();
+    for (const update of updates) {
+      byMessageId.set(update.messageId, [...(byMessageId.get(update.messageId) || []), update]);
+    }
+    return {
+      messages: state.messages.map((m) => {
+        const forMessage = byMessageId.get(m.id);
+        if (!forMessage) return m;
+        const reactions = { ...m.reactions };
+        for (const update of forMessage) {
+          if (update.count > 0) reactions[update.emoji] = update.count;
+          else delete reactions[update.emoji];
+        }
+        return { ...m, reactions };
+      })
+    };
+  }),
+  // Our own reactions (from react-message acks), so we can show which ones are ours
+  setMyReaction: (messageId, emoji, reacted) => set((state) => ({
+    messages: state.messages.map((m) => {
+      if (m.id !== messageId) return m;
+      const mine = (m.myReactions || []).filter((e) => e !== emoji);
+      return { ...m, myReactions: reacted ? [...mine, emoji] : mine };
+    })
+  })),
+
+  // Replay mode: watching a recording, messages arrive as it reaches their game time
+  isReplay: false,
+  replayTruncated: false,
+  setReplay: (isReplay, replayTruncated = false) => set({ isReplay, replayTruncated }),
+
+  // Paused stream (DVR pause): messages are held server-side until resume
+  isPaused: false,
+  setPaused: (isPaused) => set({ isPaused }),
+
+  // Older messages (paged in with load-history, already filtered by our offset)
+  historyHasMore: true,
+  isLoadingHistory: false,
+  setLoadingHistory: (isLoadingHistory) => set({ isLoadingHistory }),
+  prependMessages: (olderMessages, hasMore) => set((state) => {
+    const knownIds = new Set(state.messages.map((m) => m.id));
+    return {
+      messages: [...olderMessages.filter((m) => !knownIds.has(m.id)), ...state.messages],
+      historyHasMore: hasMore,
+      isLoadingHistory: false
+    };
+  }),
+
+  // Play markers (marker sync mode)
+  markers: [],
+  setMarkers: (markers) => set({ markers }),
+  addMarker: (marker) => set((state) => ({
+    markers: [...state.markers.filter((m) => m.id !== marker.id), marker]
+  })),
+  markMarkerSeen: (markerId) => set((state) => ({
+    markers: state.markers.map((m) => (m.id === markerId ? { ...m, seen: true } : m))
   })),
 
   // Error handling
@@ -168,18 +347,29 @@ const useChatStore = create((set) => ({
   offset: 0, // milliseconds
   offsetFormatted: 'Not synced',
   isBaseline: false,
+  referencePending: false,
+  syncConfidence: null,
   lastSyncTime: null, // Timestamp for resync reminder
 
   // Set the user's synced game time and offset
-  setSyncState: ({ gameTime, offset, offsetFormatted, isBaseline }) => set({
+  setSyncState: ({ gameTime, offset, offsetFormatted, isBaseline, referencePending = false, syncConfidence = null }) => set({
     gameTime,
     isSynced: true,
     offset,
     offsetFormatted,
     isBaseline,
+    referencePending,
+    syncConfidence,
     lastSyncTime: Date.now()
   }),
 
+  // Our offset moved without us syncing (someone else became the baseline) -
+  // the resync reminder keeps counting from our own last sync
+  updateOffset: ({ offset, offsetFormatted, isBaseline }) => set({ offset, offsetFormatted, isBaseline }),
+
+  // Our position was re-anchored without a new reading (resumed after a pause)
+  markResynced: () => set({ lastSyncTime: Date.now() }),
+
   // Countdown sync state — used to show the 3-2-1 overlay in ChatRoom
   // countdownValue: null (inactive), 3/2/1 (counting), or 0 (SYNC NOW!)
   countdownActive: false,